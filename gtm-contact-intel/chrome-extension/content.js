@@ -27,9 +27,12 @@ function extractLinkedInData() {
     throw new Error('Please navigate to a LinkedIn profile page');
   }
 
+  const { posts, engagements } = extractActivity();
+
   const data = {
     profile: extractProfile(),
-    posts: extractPosts()
+    posts,
+    engagements
   };
 
   return data;
@@ -148,11 +151,20 @@ function extractProfile() {
   return profile;
 }
 
+// Feed item headers: "Jane Doe commented on this", "Jane Doe likes this", "Jane Doe reposted this"
+const ACTIVITY_HEADERS = [
+  { pattern: /\breposted this\b/i, type: 'shared' },
+  { pattern: /\b(?:commented on|replied to)\b/i, type: 'commented' },
+  { pattern: /\b(?:likes|loves|celebrates|supports|finds this|reacted to)\b/i, type: 'liked' }
+];
+
 /**
- * Extract recent posts
+ * Extract recent activity: the contact's own posts and reposts, and the
+ * people and companies whose posts they comment on, react to and repost
  */
-function extractPosts() {
+function extractActivity() {
   const posts = [];
+  const engagements = [];
 
   // Try to find posts in the activity section
   // Note: This works best if you're on the /recent-activity/ page
@@ -160,76 +172,134 @@ function extractPosts() {
                        document.querySelectorAll('[data-urn*="activity"]');
 
   postElements.forEach((postEl, index) => {
-    if (index >= 10) return; // Limit to 10 posts
+    if (index >= 20) return; // Limit to 20 feed items
 
     try {
-      const post = {
-        url: null,
-        date: null,
-        content: null,
-        likes: 0,
-        comments: 0,
-        shares: 0,
-        type: 'post'
-      };
+      const headerEl = postEl.querySelector('.update-components-header__text-view') ||
+                      postEl.querySelector('.update-components-header');
+      const header = headerEl ? headerEl.textContent.trim() : '';
+      const activity = ACTIVITY_HEADERS.find(h => h.pattern.test(header));
 
-      // Extract post content
-      const contentEl = postEl.querySelector('.feed-shared-text') ||
-                       postEl.querySelector('.break-words');
-      if (contentEl) {
-        post.content = contentEl.textContent.trim();
+      const post = extractPost(postEl);
+
+      if (activity) {
+        const engagement = extractEngagement(postEl, activity.type, post);
+        if (engagement) engagements.push(engagement);
       }
 
-      // Extract date
-      const dateEl = postEl.querySelector('.feed-shared-actor__sub-description') ||
-                    postEl.querySelector('time');
-      if (dateEl) {
-        const dateText = dateEl.textContent.trim();
-        post.date = parseLinkedInDate(dateText);
+      // Comments and reactions are on other people's posts - only reposts are the contact's
+      if ((!activity || activity.type === 'shared') && posts.length < 10 &&
+          post.content && post.content.length > 10) {
+        posts.push(post);
       }
 
-      // Extract engagement counts
-      const socialBar = postEl.querySelector('.social-details-social-counts');
-      if (socialBar) {
-        const text = socialBar.textContent;
+    } catch (error) {
+      console.error('Error extracting post:', error);
+    }
+  });
 
-        // Likes
-        const likesMatch = text.match(/(\d[\d,]*)\s*(?:reactions?|likes?)/i);
-        if (likesMatch) {
-          post.likes = parseInt(likesMatch[1].replace(/,/g, ''));
-        }
+  return { posts, engagements };
+}
 
-        // Comments
-        const commentsMatch = text.match(/(\d[\d,]*)\s*comments?/i);
-        if (commentsMatch) {
-          post.comments = parseInt(commentsMatch[1].replace(/,/g, ''));
-        }
+/**
+ * Extract one post
+ */
+function extractPost(postEl) {
+  const post = {
+    url: null,
+    date: null,
+    content: null,
+    likes: 0,
+    comments: 0,
+    shares: 0,
+    type: 'post'
+  };
 
-        // Shares/reposts
-        const sharesMatch = text.match(/(\d[\d,]*)\s*(?:reposts?|shares?)/i);
-        if (sharesMatch) {
-          post.shares = parseInt(sharesMatch[1].replace(/,/g, ''));
-        }
-      }
+  // Extract post content (not the contact's comment under it)
+  const contentEl = Array.from(postEl.querySelectorAll('.feed-shared-text, .update-components-text, .break-words'))
+    .find(el => !el.closest('.comments-comment-item, .comments-comment-entity'));
+  if (contentEl) {
+    post.content = contentEl.textContent.trim();
+  }
 
-      // Try to extract post URL
-      const linkEl = postEl.querySelector('a[href*="/posts/"]') ||
-                    postEl.querySelector('a[href*="activity"]');
-      if (linkEl) {
-        post.url = linkEl.href.split('?')[0];
-      }
+  // Extract date
+  const dateEl = postEl.querySelector('.feed-shared-actor__sub-description') ||
+                postEl.querySelector('.update-components-actor__sub-description') ||
+                postEl.querySelector('time');
+  if (dateEl) {
+    const dateText = dateEl.textContent.trim();
+    post.date = parseLinkedInDate(dateText);
+  }
 
-      // Only add post if we have content
-      if (post.content && post.content.length > 10) {
-        posts.push(post);
-      }
+  // Extract engagement counts
+  const socialBar = postEl.querySelector('.social-details-social-counts');
+  if (socialBar) {
+    const text = socialBar.textContent;
 
-    } catch (error) {
-      console.error('Error extracting post:', error);
+    // Likes
+    const likesMatch = text.match(/(\d[\d,]*)\s*(?:reactions?|likes?)/i);
+    if (likesMatch) {
+      post.likes = parseInt(likesMatch[1].replace(/,/g, ''));
     }
-  });
 
-  return posts;
+    // Comments
+    const commentsMatch = text.match(/(\d[\d,]*)\s*comments?/i);
+    if (commentsMatch) {
+      post.comments = parseInt(commentsMatch[1].replace(/,/g, ''));
+    }
+
+    // Shares/reposts
+    const sharesMatch = text.match(/(\d[\d,]*)\s*(?:reposts?|shares?)/i);
+    if (sharesMatch) {
+      post.shares = parseInt(sharesMatch[1].replace(/,/g, ''));
+    }
+  }
+
+  // Try to extract post URL
+  const urn = postEl.getAttribute('data-urn');
+  const linkEl = postEl.querySelector('a[href*="/posts/"]') ||
+                postEl.querySelector('a[href*="activity"]');
+  if (urn && urn.includes('activity')) {
+    post.url = `https://www.linkedin.com/feed/update/${urn}/`;
+  } else if (linkEl) {
+    post.url = linkEl.href.split('?')[0];
+  }
+
+  return post;
+}
+
+/**
+ * Extract who a comment, reaction or repost engaged with: the post's author
+ */
+function extractEngagement(postEl, type, post) {
+  const actorEl = postEl.querySelector('.update-components-actor') ||
+                 postEl.querySelector('.feed-shared-actor');
+  if (!actorEl) return null;
+
+  const nameEl = actorEl.querySelector('.update-components-actor__title span[aria-hidden="true"]') ||
+                actorEl.querySelector('.feed-shared-actor__name');
+  const headlineEl = actorEl.querySelector('.update-components-actor__description span[aria-hidden="true"]') ||
+                    actorEl.querySelector('.feed-shared-actor__description');
+  const linkEl = actorEl.querySelector('a[href*="/in/"], a[href*="/company/"]');
+
+  const engagement = {
+    type,
+    target_name: nameEl ? nameEl.textContent.trim() : null,
+    target_url: linkEl ? linkEl.href.split('?')[0] : null,
+    target_headline: headlineEl ? headlineEl.textContent.trim() : null,
+    post_url: post.url,
+    content: post.content,
+    comment_text: null,
+    date: post.date
+  };
+
+  if (type === 'commented') {
+    const commentEl = postEl.querySelector('.comments-comment-item__main-content') ||
+                     postEl.querySelector('.comments-comment-item-content-body');
+    engagement.comment_text = commentEl ? commentEl.textContent.trim() : null;
+  }
+
+  return engagement.target_name || engagement.target_url ? engagement : null;
 }
 
 /**
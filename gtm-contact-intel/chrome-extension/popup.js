@@ -93,7 +93,7 @@ submitBtn.addEventListener('click', async () => {
 
     if (response.ok && result.success) {
       showStatus(
-        `✅ Success! Saved ${result.results.posts_saved} posts, created ${result.results.signals_created} signals`,
+        `✅ Success! Saved ${result.results.posts_saved} posts, ${result.results.engagements_saved || 0} engagements, created ${result.results.signals_created} signals`,
         'success'
       );
 
@@ -137,7 +137,7 @@ function showStatus(message, type) {
  * Show data preview
  */
 function showPreview(data) {
-  const { profile, posts } = data;
+  const { profile, posts, engagements = [] } = data;
 
   let html = '<div class="preview-section">';
 
@@ -172,6 +172,13 @@ function showPreview(data) {
     html += `<div class="preview-item">...and ${posts.length - 3} more posts</div>`;
   }
 
+  // Engagements preview: whose posts they comment on, react to and repost
+  html += `<div class="preview-item"><strong>Engagements:</strong> ${engagements.length} found</div>`;
+  if (engagements.length > 0) {
+    const people = [...new Set(engagements.map(e => e.target_name).filter(Boolean))];
+    html += `<div class="preview-data">${people.slice(0, 5).join(', ')}${people.length > 5 ? '...' : ''}</div>`;
+  }
+
   html += '</div>';
 
   previewContentEl.innerHTML = html;
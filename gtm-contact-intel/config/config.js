@@ -39,14 +39,281 @@ module.exports = {
     linkedinPostLookbackDays: parseInt(process.env.LINKEDIN_POST_LOOKBACK_DAYS) || 30,
     maxLinkedinPostsPerProfile: parseInt(process.env.MAX_LINKEDIN_POSTS_PER_PROFILE) || 20,
     scrapeTimeoutMs: parseInt(process.env.SCRAPE_TIMEOUT_MS) || 30000,
+    // Careers pages are scraped once per company within this window, not once per contact
+    companyJobsFreshnessDays: parseInt(process.env.COMPANY_JOBS_FRESHNESS_DAYS) || 7,
   },
 
   intelligence: {
     minSignalRelevanceScore: parseFloat(process.env.MIN_SIGNAL_RELEVANCE_SCORE) || 0.5,
-    linkedinRelevanceBoost: parseFloat(process.env.LINKEDIN_RELEVANCE_BOOST) || 0.3,
     topSignalsCount: parseInt(process.env.TOP_SIGNALS_COUNT) || 5,
   },
 
+  // Scoring weights live in versioned DB profiles (see src/processors/scoring-profiles.js);
+  // this is the profile used when a request doesn't pick one
+  scoring: {
+    defaultProfile: process.env.SCORING_PROFILE || 'default',
+  },
+
+  // Research job queue (see src/workers)
+  queue: {
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 5000,
+    concurrency: parseInt(process.env.WORKER_CONCURRENCY) || 1,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30000,
+    backoffMaxMs: parseInt(process.env.JOB_BACKOFF_MAX_MS) || 900000,
+    heartbeatIntervalMs: parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS) || 15000,
+    staleJobTimeoutMs: parseInt(process.env.JOB_STALE_TIMEOUT_MS) || 300000,
+    reaperIntervalMs: parseInt(process.env.JOB_REAPER_INTERVAL_MS) || 60000,
+    shutdownTimeoutMs: parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT_MS) || 30000,
+  },
+
+  // Bulk research intake (POST /api/research/bulk)
+  bulkResearch: {
+    maxRows: parseInt(process.env.BULK_RESEARCH_MAX_ROWS) || 2000,
+    maxBodySize: process.env.BULK_RESEARCH_MAX_BODY_SIZE || '5mb',
+    // Each contact costs two LinkedIn scrapes (profile + activity); batch jobs
+    // are spaced out so they drain at the LinkedIn rate limit
+    linkedinRequestsPerContact: parseInt(process.env.BULK_LINKEDIN_REQUESTS_PER_CONTACT) || 2,
+  },
+
+  // Scheduled re-research (see src/workers/research-scheduler.js)
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    tickIntervalMs: parseInt(process.env.SCHEDULER_TICK_INTERVAL_MS) || 60000,
+    maxSchedulesPerTick: parseInt(process.env.SCHEDULER_MAX_SCHEDULES_PER_TICK) || 20,
+    // Named refresh cadences (days between runs) for contact and list schedules
+    cadences: {
+      daily: 1,
+      weekly: 7,
+      biweekly: 14,
+      monthly: 30,
+      quarterly: 90,
+    },
+    defaultCadence: process.env.SCHEDULER_DEFAULT_CADENCE || 'monthly',
+    // A source is only re-scraped once its data is older than this
+    sourceMaxAgeDays: {
+      linkedin: parseInt(process.env.FRESHNESS_LINKEDIN_DAYS) || 7,
+      github: parseInt(process.env.FRESHNESS_GITHUB_DAYS) || 30,
+      podcasts: parseInt(process.env.FRESHNESS_PODCASTS_DAYS) || 30,
+      jobs: parseInt(process.env.COMPANY_JOBS_FRESHNESS_DAYS) || 7,
+    },
+    // Scheduled jobs may wait in the queue before they run, so data scraped by
+    // the previous run can be slightly younger than a full cadence
+    freshnessGraceHours: parseInt(process.env.FRESHNESS_GRACE_HOURS) || 24,
+  },
+
+  // Signal expiry and archiving (see src/processors/signal-lifecycle.js)
+  signalLifecycle: {
+    // Days a signal stays active after it was last detected, per signal_type.
+    // Signals about a single post expire relative to the post date instead.
+    ttlDays: {
+      linkedin_activity: 30,
+      linkedin_content: 30,
+      linkedin_profile_change: 180,
+      github_activity: 60,
+      speaking_engagement: 365,
+      company_hiring: 30,
+      company_initiatives: 60,
+      company_tech_stack: 180,
+      pain_point: 60,
+    },
+    defaultTtlDays: parseInt(process.env.SIGNAL_DEFAULT_TTL_DAYS) || 90,
+    // Expired and superseded signals are archived this long afterwards
+    archiveAfterDays: parseInt(process.env.SIGNAL_ARCHIVE_AFTER_DAYS) || 30,
+  },
+
+  // Time decay of signal scores, per signal_category (see src/processors/signal-scorer.js).
+  // Urgency and wedge potential fall towards floor with the given half-life,
+  // counted from the source event (post date) or when the signal was last seen.
+  signalDecay: {
+    categories: {
+      buying_signal: {
+        halfLifeDays: parseFloat(process.env.DECAY_BUYING_SIGNAL_HALF_LIFE_DAYS) || 14,
+        floor: 0.1,
+      },
+      timing_trigger: {
+        halfLifeDays: parseFloat(process.env.DECAY_TIMING_TRIGGER_HALF_LIFE_DAYS) || 45,
+        floor: 0.2,
+      },
+      thought_leadership: {
+        halfLifeDays: parseFloat(process.env.DECAY_THOUGHT_LEADERSHIP_HALF_LIFE_DAYS) || 60,
+        floor: 0.4,
+      },
+      competitive: {
+        halfLifeDays: parseFloat(process.env.DECAY_COMPETITIVE_HALF_LIFE_DAYS) || 90,
+        floor: 0.3,
+      },
+      technical: {
+        halfLifeDays: parseFloat(process.env.DECAY_TECHNICAL_HALF_LIFE_DAYS) || 120,
+        floor: 0.4,
+      },
+    },
+    default: { halfLifeDays: 60, floor: 0.3 },
+    // Signals are re-materialised in batches of this size by recalculateAllScores
+    recalculateBatchSize: parseInt(process.env.SIGNAL_RECALCULATE_BATCH_SIZE) || 500,
+  },
+
+  // Post theme extraction (see src/processors/theme-extractor.js)
+  themes: {
+    maxPerPost: parseInt(process.env.THEMES_PER_POST) || 5,
+    // Document frequencies come from the most recently scraped posts
+    corpusMaxPosts: parseInt(process.env.THEME_CORPUS_MAX_POSTS) || 2000,
+    corpusRefreshMinutes: parseInt(process.env.THEME_CORPUS_REFRESH_MINUTES) || 60,
+    // Stored posts are re-extracted in batches of this size by POST /api/linkedin/themes/recalculate
+    recalculateBatchSize: parseInt(process.env.THEME_RECALCULATE_BATCH_SIZE) || 200,
+  },
+
+  // Pain point taxonomy (see src/processors/pain-classifier.js). Posts, job
+  // descriptions and podcast quotes are labelled with every pain whose phrases
+  // they use; metric is what a fix moves, for outreach copy.
+  painTaxonomy: {
+    labels: {
+      data_quality: {
+        name: 'data quality',
+        metric: 'duplicate and incomplete records',
+        phrases: [
+          'data quality', 'dirty data', 'bad data', 'messy data', 'duplicate records',
+          'duplicates', 'data hygiene', 'data decay', 'stale data', 'incomplete data',
+          'missing fields', 'garbage in', 'crm hygiene', 'data cleanup', 'clean up the crm'
+        ]
+      },
+      pipeline_visibility: {
+        name: 'pipeline visibility',
+        metric: 'time spent in pipeline reviews',
+        phrases: [
+          'pipeline visibility', 'visibility into pipeline', 'visibility into the pipeline',
+          'no visibility', 'lack of visibility', 'pipeline review', 'pipeline reviews',
+          'deal inspection', 'where deals stand', 'stuck deals', 'stalled deals',
+          'pipeline hygiene', 'pipeline coverage'
+        ]
+      },
+      tool_sprawl: {
+        name: 'tool sprawl',
+        metric: 'tools in the stack',
+        phrases: [
+          'tool sprawl', 'too many tools', 'point solutions', 'bloated stack',
+          'stack consolidation', 'consolidate our stack', 'consolidate tools', 'overlapping tools',
+          'tech debt', 'shelfware', 'another tool', 'integrations break', 'disconnected tools',
+          'tools that don\'t talk'
+        ]
+      },
+      forecast_accuracy: {
+        name: 'forecast accuracy',
+        metric: 'forecast variance',
+        phrases: [
+          'forecast accuracy', 'forecasting accuracy', 'accurate forecast', 'inaccurate forecast',
+          'missed forecast', 'missed the forecast', 'forecast miss', 'forecast calls', 'commit calls',
+          'sandbagging', 'happy ears', 'forecast variance', 'forecasting process'
+        ]
+      },
+      rep_ramp_time: {
+        name: 'rep ramp time',
+        metric: 'ramp time for new reps',
+        phrases: [
+          'ramp time', 'rep ramp', 'ramping reps', 'ramp new reps', 'time to productivity',
+          'time to first deal', 'onboarding new reps', 'new rep onboarding', 'new hire onboarding',
+          'months to ramp', 'sales onboarding'
+        ]
+      },
+      manual_processes: {
+        name: 'manual processes',
+        metric: 'hours of manual work per week',
+        phrases: [
+          'manual process', 'manual processes', 'manual data entry', 'manual work', 'spreadsheets',
+          'copy-paste', 'copy and paste', 'wasting time', 'busywork', 'by hand', 'manually'
+        ]
+      },
+    },
+    // Words that mark a sentence as describing a problem rather than a win,
+    // on top of gtmTopics.painPoints ("improve", "fix" carry the pain in job descriptions)
+    cues: [
+      'pain', 'nightmare', 'mess', 'messy', 'headache', 'bottleneck', 'slow', 'fix',
+      'improve', 'clean up', 'overhaul', 'streamline', 'reduce', 'lack of', 'no way to',
+      'can\'t', 'cannot', 'never', 'keeps', 'still'
+    ],
+    // Labels below this confidence are dropped - a bare phrase match with no
+    // problem cue or corroboration (0.55) doesn't make it
+    minConfidence: parseFloat(process.env.PAIN_MIN_CONFIDENCE) || 0.6,
+  },
+
+  // Warm introduction paths (see src/processors/relationship-graph.js). A
+  // connector's strength is the sum of the weights of the ties they share
+  // with the contact, capped at 1.
+  introPaths: {
+    weights: {
+      // Worked at the same company at the same time, plus a bonus per year together
+      colleagues: 0.5,
+      colleaguesPerYear: 0.05,
+      colleaguesMaxBonus: 0.2,
+      // Same employer, at different times or when the dates are unknown
+      sameEmployer: 0.2,
+      // Same school at the same time, or at different/unknown times
+      classmates: 0.35,
+      sameSchool: 0.15,
+      // The contact engaged with the connector's posts or the other way round,
+      // plus a bonus per further engagement
+      engagement: 0.3,
+      engagementPerInteraction: 0.05,
+      engagementMaxBonus: 0.15,
+      // Per person both of them engage with
+      sharedNetwork: 0.05,
+      sharedNetworkMax: 0.15,
+    },
+    // Connectors below this strength are not listed
+    minStrength: parseFloat(process.env.INTRO_MIN_STRENGTH) || 0.15,
+  },
+
+  // Outreach sequences (see src/processors/sequence-generator.js). Steps on
+  // channels recommendChannels scores below minChannelScore are left out.
+  outreachSequences: {
+    minChannelScore: parseFloat(process.env.SEQUENCE_MIN_CHANNEL_SCORE) || 0.3,
+    maxSteps: parseInt(process.env.SEQUENCE_MAX_STEPS) || 6,
+    // Characters per message body. LinkedIn caps connection notes at 300 and
+    // InMail at 1900; emails and call scripts are kept short enough to read
+    charLimits: {
+      linkedin_connection: 300,
+      linkedin_dm: 1900,
+      email: 1500,
+      phone: 600,
+    },
+  },
+
+  // Tech stack tracking (see src/processors/tech-stack-tracker.js)
+  techStack: {
+    // Category for every tool in gtmTopics.tools
+    categories: {
+      'Salesforce': 'CRM',
+      'HubSpot': 'CRM',
+      'Pipedrive': 'CRM',
+      'Outreach': 'Sales Engagement',
+      'SalesLoft': 'Sales Engagement',
+      'Gong': 'Conversation Intelligence',
+      'Chorus': 'Conversation Intelligence',
+      'ZoomInfo': 'Data & Enrichment',
+      'Apollo': 'Data & Enrichment',
+      'Clay': 'Data & Enrichment',
+      'Marketo': 'Marketing Automation',
+      'Pardot': 'Marketing Automation',
+      'Zapier': 'Workflow Automation',
+      'Monday.com': 'Project Management',
+      'Asana': 'Project Management',
+      'Slack': 'Collaboration'
+    },
+    // Confidence of a single detection, by source. Repeated detections and
+    // detections from several sources are merged with noisy-OR:
+    // 1 - (1 - c1) * (1 - c2) * ...
+    sourceConfidence: {
+      job_posting: parseFloat(process.env.TECH_CONFIDENCE_JOB_POSTING) || 0.7,
+      github: parseFloat(process.env.TECH_CONFIDENCE_GITHUB) || 0.5,
+      linkedin_post: parseFloat(process.env.TECH_CONFIDENCE_LINKEDIN_POST) || 0.35,
+    },
+    // Detections not seen again within this window are no longer current
+    staleAfterDays: parseInt(process.env.TECH_STACK_STALE_AFTER_DAYS) || 365,
+    // Evidence keys kept per detection (newest first) to recognise documents
+    // already counted; older keys are dropped once a detection has more
+    maxEvidenceKeys: parseInt(process.env.TECH_STACK_MAX_EVIDENCE_KEYS) || 200,
+  },
+
   // GTM topic keywords for content analysis
   gtmTopics: {
     painPoints: [
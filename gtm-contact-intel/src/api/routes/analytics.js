@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+
+const { analyticsQueries, ANALYTICS_INTERVALS } = require('../../db/queries');
+const signalScorer = require('../../processors/signal-scorer');
+const painClassifier = require('../../processors/pain-classifier');
+
+const DEFAULT_WINDOW_DAYS = 90;
+const DEFAULT_THEME_LIMIT = 20;
+const MAX_THEME_LIMIT = 100;
+const SOURCES = ['linkedin', 'github', 'podcasts', 'jobs'];
+
+/**
+ * GET /api/analytics/signals
+ * Active signal counts by type and category, detections over time and the
+ * composite score distribution
+ * Query params: since (ISO 8601, default 90 days ago), interval (day | week | month)
+ */
+router.get('/signals', async (req, res) => {
+  try {
+    const { options, errors } = parseAnalyticsQuery(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors
+      });
+    }
+
+    const stats = await signalScorer.getGlobalSignalStats(options);
+
+    res.json(stats);
+
+  } catch (error) {
+    console.error('Signal analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to compute signal analytics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/wedges
+ * Wedge types across each contact's latest playbook
+ */
+router.get('/wedges', async (req, res) => {
+  try {
+    const rows = await analyticsQueries.getWedgeTypes();
+    const playbooks = rows.length > 0 ? rows[0].playbooks : 0;
+
+    res.json({
+      playbooks,
+      wedges: rows.map(row => ({
+        wedge_type: row.wedge_type,
+        primary_count: row.primary_count,
+        primary_percentage: percentage(row.primary_count, playbooks),
+        found_count: row.found_count,
+        found_percentage: percentage(row.found_count, playbooks),
+        avg_score: row.avg_score === null ? null : Math.round(row.avg_score * 1000) / 1000
+      }))
+    });
+
+  } catch (error) {
+    console.error('Wedge analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to compute wedge analytics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/pain-themes
+ * Most common pain point labels (config.painTaxonomy) across LinkedIn posts,
+ * job descriptions and podcasts, ranked by how many companies raised them
+ * Query params: since (ISO 8601, default 90 days ago), limit (max 100)
+ */
+router.get('/pain-themes', async (req, res) => {
+  try {
+    const { options, errors } = parseAnalyticsQuery(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors
+      });
+    }
+
+    const painPoints = await analyticsQueries.getTopPainPoints(options);
+
+    res.json({
+      since: options.since.toISOString(),
+      count: painPoints.length,
+      // Labels since removed from the taxonomy keep their key as the name
+      themes: painPoints.map(p => ({
+        theme: painClassifier.describe(p.label)?.name || p.label,
+        ...p
+      }))
+    });
+
+  } catch (error) {
+    console.error('Pain theme analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to compute pain point themes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/coverage
+ * Percentage of researched contacts each source found data for
+ */
+router.get('/coverage', async (req, res) => {
+  try {
+    const coverage = await analyticsQueries.getSourceCoverage();
+
+    const sources = {};
+    SOURCES.forEach(source => {
+      sources[source] = {
+        contacts: coverage[source],
+        percentage: percentage(coverage[source], coverage.researched)
+      };
+    });
+
+    res.json({
+      contacts: coverage.contacts,
+      researched: coverage.researched,
+      sources
+    });
+
+  } catch (error) {
+    console.error('Coverage analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to compute source coverage',
+      message: error.message
+    });
+  }
+});
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Parse and validate analytics query parameters
+ * @returns {Object} { options, errors }
+ */
+function parseAnalyticsQuery(query) {
+  const errors = [];
+  const options = {};
+
+  if (query.since === undefined) {
+    options.since = new Date(Date.now() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  } else {
+    const since = new Date(query.since);
+    if (Number.isNaN(since.getTime())) {
+      errors.push('since must be an ISO 8601 date');
+    } else {
+      options.since = since;
+    }
+  }
+
+  options.interval = query.interval || 'week';
+  if (!ANALYTICS_INTERVALS.includes(options.interval)) {
+    errors.push(`interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`);
+  }
+
+  options.limit = query.limit === undefined ? DEFAULT_THEME_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_THEME_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_THEME_LIMIT}`);
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Share of a total as a percentage with one decimal (0 when the total is 0)
+ */
+function percentage(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+module.exports = router;
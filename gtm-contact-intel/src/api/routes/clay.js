@@ -5,6 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const { sendToClay, sendBatchToClay, formatForClay } = require('../../exporters/clay-webhook');
+const scoringProfiles = require('../../processors/scoring-profiles');
 
 /**
  * POST /api/clay/send/:contactId
@@ -22,7 +23,15 @@ router.post('/send/:contactId', async (req, res) => {
       });
     }
 
-    const result = await sendToClay(parseInt(contactId), webhookUrl);
+    const scoringProfile = await scoringProfiles.resolve(req.query.scoring_profile);
+
+    if (!scoringProfile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
+
+    const result = await sendToClay(parseInt(contactId), webhookUrl, scoringProfile);
 
     res.json({
       success: true,
@@ -60,7 +69,15 @@ router.post('/send-batch', async (req, res) => {
       });
     }
 
-    const result = await sendBatchToClay(contactIds, webhookUrl);
+    const scoringProfile = await scoringProfiles.resolve(req.query.scoring_profile);
+
+    if (!scoringProfile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
+
+    const result = await sendBatchToClay(contactIds, webhookUrl, scoringProfile);
 
     res.json({
       success: true,
@@ -83,7 +100,16 @@ router.post('/send-batch', async (req, res) => {
 router.get('/preview/:contactId', async (req, res) => {
   try {
     const { contactId } = req.params;
-    const clayData = await formatForClay(parseInt(contactId));
+
+    const scoringProfile = await scoringProfiles.resolve(req.query.scoring_profile);
+
+    if (!scoringProfile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
+
+    const clayData = await formatForClay(parseInt(contactId), scoringProfile);
 
     res.json({
       contact_id: parseInt(contactId),
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+
+const { companyQueries } = require('../../db/queries');
+const { normalizeDomain } = require('../validators/contact');
+const accountAggregator = require('../../processors/account-aggregator');
+const techStackTracker = require('../../processors/tech-stack-tracker');
+const scoringProfiles = require('../../processors/scoring-profiles');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * GET /api/companies
+ * List companies with contact and research counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const q = typeof req.query.q === 'string' && req.query.q.trim() ? req.query.q.trim() : null;
+
+    const { companies, total } = await companyQueries.listCompanies({
+      q,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      companies,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Company list error:', error);
+    res.status(500).json({
+      error: 'Failed to list companies',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/companies/:domain
+ * Account dossier: contacts (as a buying committee), job postings, tech stack
+ * and signals for every researched contact at the domain
+ * Query params: scoring_profile (name or name@version)
+ */
+router.get('/:domain', async (req, res) => {
+  try {
+    const domain = normalizeDomain(req.params.domain);
+
+    const scoringProfile = await scoringProfiles.resolve(req.query.scoring_profile);
+
+    if (!scoringProfile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
+
+    const dossier = await accountAggregator.buildDossier(domain, scoringProfile);
+
+    if (!dossier) {
+      return res.status(404).json({
+        error: 'Company not found'
+      });
+    }
+
+    res.json(dossier);
+
+  } catch (error) {
+    console.error('Company dossier error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve company dossier',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/companies/:domain/tech-stack
+ * Detected tools with confidence merged across job postings, LinkedIn posts
+ * and GitHub, plus the per-source evidence behind each tool
+ */
+router.get('/:domain/tech-stack', async (req, res) => {
+  try {
+    const domain = normalizeDomain(req.params.domain);
+    const { min_confidence } = req.query;
+
+    const techStack = await techStackTracker.getTechStack(domain);
+    const minConfidence = parseFloat(min_confidence) || 0;
+    const tools = techStack.tools.filter(tool => tool.confidence >= minConfidence);
+
+    res.json({
+      domain,
+      count: tools.length,
+      tools,
+      by_category: techStackTracker.groupByCategory(tools)
+    });
+
+  } catch (error) {
+    console.error('Tech stack retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve tech stack',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/companies/:domain/contacts
+ * Contacts at the company with research status
+ */
+router.get('/:domain/contacts', async (req, res) => {
+  try {
+    const domain = normalizeDomain(req.params.domain);
+
+    const contacts = await companyQueries.getContactsByCompany(domain);
+
+    res.json({
+      domain,
+      count: contacts.length,
+      contacts
+    });
+
+  } catch (error) {
+    console.error('Company contacts error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve company contacts',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router();
+
+const { competitorQueries } = require('../../db/queries');
+const competitorDetector = require('../../processors/competitor-detector');
+const { validateCompetitor } = require('../validators/competitor');
+
+const MAX_MENTIONS = 200;
+
+/**
+ * GET /api/competitors
+ * The competitor catalogue with mention counts. Inactive competitors are
+ * only listed with ?include_inactive=true
+ */
+router.get('/', async (req, res) => {
+  try {
+    const competitors = await competitorQueries.listCompetitors({
+      includeInactive: req.query.include_inactive === 'true'
+    });
+
+    res.json({
+      count: competitors.length,
+      competitors
+    });
+
+  } catch (error) {
+    console.error('Competitor list error:', error);
+    res.status(500).json({
+      error: 'Failed to list competitors',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/competitors
+ * Add a competitor. Its name, aliases and product names are matched in posts,
+ * job postings and podcasts from the next research run on.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { competitor, errors } = validateCompetitor(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid competitor',
+        details: errors
+      });
+    }
+
+    const saved = await competitorQueries.createCompetitor(competitor);
+    competitorDetector.invalidate();
+
+    res.json({ competitor: saved });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'A competitor with this name already exists'
+      });
+    }
+
+    console.error('Competitor creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create competitor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/competitors/:competitorId
+ */
+router.get('/:competitorId', async (req, res) => {
+  try {
+    const competitor = await competitorQueries.getCompetitor(req.params.competitorId);
+
+    if (!competitor) {
+      return res.status(404).json({
+        error: 'Competitor not found'
+      });
+    }
+
+    res.json({ competitor });
+
+  } catch (error) {
+    console.error('Competitor retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve competitor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/competitors/:competitorId
+ * Update match terms or category, or deactivate (active: false) to stop
+ * matching without losing recorded mentions. Lists replace the stored ones.
+ */
+router.patch('/:competitorId', async (req, res) => {
+  try {
+    const { competitor: updates, errors } = validateCompetitor(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid competitor update',
+        details: errors
+      });
+    }
+
+    const competitor = await competitorQueries.updateCompetitor(req.params.competitorId, updates);
+
+    if (!competitor) {
+      return res.status(404).json({
+        error: 'Competitor not found'
+      });
+    }
+
+    competitorDetector.invalidate();
+
+    res.json({ competitor });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'A competitor with this name already exists'
+      });
+    }
+
+    console.error('Competitor update error:', error);
+    res.status(500).json({
+      error: 'Failed to update competitor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/competitors/:competitorId
+ * Remove a competitor and its recorded mentions. Signals already raised
+ * archive on the contact's next research run.
+ */
+router.delete('/:competitorId', async (req, res) => {
+  try {
+    const competitor = await competitorQueries.deleteCompetitor(req.params.competitorId);
+
+    if (!competitor) {
+      return res.status(404).json({
+        error: 'Competitor not found'
+      });
+    }
+
+    competitorDetector.invalidate();
+
+    res.json({
+      deleted: true,
+      competitor_id: competitor.id
+    });
+
+  } catch (error) {
+    console.error('Competitor deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete competitor',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/competitors/:competitorId/mentions
+ * Where the competitor came up, newest first: ?stance= filters to
+ * complaining, evaluating, praising or neutral
+ */
+router.get('/:competitorId/mentions', async (req, res) => {
+  try {
+    const { stance } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_MENTIONS);
+
+    if (stance && !competitorDetector.STANCES.includes(stance)) {
+      return res.status(400).json({
+        error: 'Invalid stance',
+        details: [`stance must be one of: ${competitorDetector.STANCES.join(', ')}`]
+      });
+    }
+
+    const competitor = await competitorQueries.getCompetitor(req.params.competitorId);
+
+    if (!competitor) {
+      return res.status(404).json({
+        error: 'Competitor not found'
+      });
+    }
+
+    const mentions = await competitorQueries.getMentionsByCompetitor(competitor.id, { stance, limit });
+
+    res.json({
+      competitor_id: competitor.id,
+      competitor: competitor.name,
+      count: mentions.length,
+      mentions: mentions.map(m => ({
+        id: m.id,
+        source: m.source,
+        source_ref: m.source_ref,
+        stance: m.stance,
+        matched_term: m.matched_term,
+        context: m.context,
+        mentioned_at: m.mentioned_at,
+        contact_id: m.contact_id,
+        contact_name: m.contact_name,
+        company_domain: m.company_domain
+      }))
+    });
+
+  } catch (error) {
+    console.error('Competitor mentions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve competitor mentions',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
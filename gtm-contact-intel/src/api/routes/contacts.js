@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+
+const { CONTACT_SORT_COLUMNS, contactQueries } = require('../../db/queries');
+const { validateContactUpdate } = require('../validators/contact');
+const relationshipGraph = require('../../processors/relationship-graph');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_INTRO_PATHS = 100;
+const CONNECTOR_TYPES = ['contact', 'team_member'];
+
+/**
+ * GET /api/contacts
+ * List contacts with pagination, filters, sorting and free-text search
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { filters, errors } = parseListQuery(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors
+      });
+    }
+
+    const { contacts, total } = await contactQueries.listContacts(filters);
+
+    res.json({
+      contacts,
+      pagination: {
+        page: filters.page,
+        limit: filters.limit,
+        total,
+        total_pages: Math.ceil(total / filters.limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Contact list error:', error);
+    res.status(500).json({
+      error: 'Failed to list contacts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/:id
+ * Get a single contact record (full research dossier: /api/research/contacts/:id)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const contact = await contactQueries.getContactById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+
+    const lastResearchedAt = await contactQueries.getLastResearchedAt(contact.id);
+
+    res.json({
+      contact: {
+        ...contact,
+        last_researched_at: lastResearchedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Contact retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve contact',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/contacts/:id
+ * Update contact fields (same fields and validation as POST /api/research)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { updates, errors } = validateContactUpdate(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid contact update',
+        details: errors
+      });
+    }
+
+    const contact = await contactQueries.updateContact(req.params.id, updates);
+
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+
+    res.json({ contact });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Another contact already has this linkedin_url'
+      });
+    }
+
+    console.error('Contact update error:', error);
+    res.status(500).json({
+      error: 'Failed to update contact',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/contacts/:id
+ * Delete a contact and all of its research data
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const contact = await contactQueries.deleteContact(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+
+    res.json({
+      deleted: true,
+      contact_id: contact.id
+    });
+
+  } catch (error) {
+    console.error('Contact deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete contact',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/:id/intro-paths
+ * Who could make a warm introduction: other researched contacts and our team
+ * members, ranked by the ties they share with the contact (past employers
+ * with overlapping dates, schools, LinkedIn engagement).
+ * ?type=contact or ?type=team_member lists one kind only
+ */
+router.get('/:id/intro-paths', async (req, res) => {
+  try {
+    const { type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_INTRO_PATHS);
+
+    if (type && !CONNECTOR_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid type',
+        details: [`type must be one of: ${CONNECTOR_TYPES.join(', ')}`]
+      });
+    }
+
+    const result = await relationshipGraph.findIntroPaths(req.params.id, { limit, type });
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+
+    res.json({
+      contact: result.contact,
+      candidates_considered: result.candidates_considered,
+      count: result.paths.length,
+      intro_paths: result.paths
+    });
+
+  } catch (error) {
+    console.error('Intro path error:', error);
+    res.status(500).json({
+      error: 'Failed to find intro paths',
+      message: error.message
+    });
+  }
+});
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Parse and validate list query parameters
+ * @returns {Object} { filters, errors }
+ */
+function parseListQuery(query) {
+  const errors = [];
+  const filters = {};
+
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push('page must be a positive integer');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  filters.page = page;
+  filters.limit = limit;
+  filters.offset = (page - 1) * limit;
+
+  for (const field of ['q', 'company_domain', 'title']) {
+    if (typeof query[field] === 'string' && query[field].trim()) {
+      filters[field] = query[field].trim();
+    }
+  }
+  if (filters.company_domain) {
+    filters.company_domain = filters.company_domain.toLowerCase();
+  }
+
+  for (const field of ['has_email', 'researched']) {
+    if (query[field] === undefined) continue;
+
+    if (query[field] === 'true' || query[field] === 'false') {
+      filters[field] = query[field] === 'true';
+    } else {
+      errors.push(`${field} must be true or false`);
+    }
+  }
+
+  for (const field of ['researched_before', 'researched_after']) {
+    if (query[field] === undefined) continue;
+
+    const date = new Date(query[field]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${field} must be an ISO 8601 date`);
+    } else {
+      filters[field] = date;
+    }
+  }
+
+  filters.sort = query.sort || 'created_at';
+  if (!CONTACT_SORT_COLUMNS[filters.sort]) {
+    errors.push(`sort must be one of: ${Object.keys(CONTACT_SORT_COLUMNS).join(', ')}`);
+  }
+
+  filters.order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(filters.order)) {
+    errors.push('order must be asc or desc');
+  }
+
+  return { filters, errors };
+}
+
+module.exports = router;
@@ -3,16 +3,26 @@ const router = express.Router();
 
 const clayFormatter = require('../../exporters/clay-formatter');
 const csvExporter = require('../../exporters/csv-exporter');
+const scoringProfiles = require('../../processors/scoring-profiles');
 
 /**
  * GET /api/export/clay/:contactId
  * Export contact data in Clay-compatible format
+ * Query params: scoring_profile (name or name@version)
  */
 router.get('/clay/:contactId', async (req, res) => {
   try {
     const { contactId } = req.params;
 
-    const clayData = await clayFormatter.formatContact(contactId);
+    const scoringProfile = await scoringProfiles.resolve(req.query.scoring_profile);
+
+    if (!scoringProfile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
+
+    const clayData = await clayFormatter.formatContact(contactId, scoringProfile);
 
     res.json(clayData);
 
@@ -28,7 +38,7 @@ router.get('/clay/:contactId', async (req, res) => {
 /**
  * GET /api/export/csv
  * Export multiple contacts to CSV
- * Query params: contact_ids (comma-separated)
+ * Query params: contact_ids (comma-separated), format, scoring_profile
  */
 router.get('/csv', async (req, res) => {
   try {
@@ -44,21 +54,32 @@ router.get('/csv', async (req, res) => {
 
     const contactIds = contact_ids.split(',').map(id => parseInt(id.trim()));
 
+    const scoringProfile = await scoringProfiles.resolve(req.query.scoring_profile);
+
+    if (!scoringProfile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
+
     let csv;
 
     // Handle different export formats
     switch (format) {
       case 'linkedin':
-        csv = await csvExporter.exportLinkedInOnly(contactIds);
+        csv = await csvExporter.exportLinkedInOnly(contactIds, scoringProfile);
         break;
       case 'playbook':
-        csv = await csvExporter.exportPlaybookSummary(contactIds);
+        csv = await csvExporter.exportPlaybookSummary(contactIds, scoringProfile);
         break;
       case 'high_priority':
-        csv = await csvExporter.exportHighPriorityContacts(contactIds);
+        csv = await csvExporter.exportHighPriorityContacts(contactIds, scoringProfile);
+        break;
+      case 'sequence':
+        csv = await csvExporter.exportSequences(contactIds);
         break;
       default:
-        csv = await csvExporter.exportMultipleContacts(contactIds);
+        csv = await csvExporter.exportMultipleContacts(contactIds, scoringProfile);
     }
 
     if (!csv) {
@@ -111,6 +132,11 @@ router.get('/csv/columns', (req, res) => {
           name: 'high_priority',
           description: 'Only high-priority contacts',
           usage: '/api/export/csv?contact_ids=1,2,3&format=high_priority'
+        },
+        {
+          name: 'sequence',
+          description: 'Outreach sequence steps, one row per step',
+          usage: '/api/export/csv?contact_ids=1,2,3&format=sequence'
         }
       ]
     });
@@ -127,6 +153,7 @@ router.get('/csv/columns', (req, res) => {
 /**
  * POST /api/export/clay/batch
  * Export multiple contacts to Clay format
+ * Query params: scoring_profile
  */
 router.post('/clay/batch', async (req, res) => {
   try {
@@ -139,10 +166,19 @@ router.post('/clay/batch', async (req, res) => {
       });
     }
 
-    const clayDataArray = await clayFormatter.formatMultipleContacts(contact_ids);
+    const scoringProfile = await scoringProfiles.resolve(req.query.scoring_profile);
+
+    if (!scoringProfile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
+
+    const clayDataArray = await clayFormatter.formatMultipleContacts(contact_ids, scoringProfile);
 
     res.json({
       count: clayDataArray.length,
+      scoring_profile: scoringProfile.ref,
       contacts: clayDataArray
     });
 
@@ -197,6 +233,12 @@ router.get('/formats', (req, res) => {
         endpoint: 'GET /api/export/csv?contact_ids=1,2,3&format=high_priority',
         description: 'Export only high-priority contacts',
         use_case: 'Prioritized outreach lists'
+      },
+      {
+        name: 'CSV (Sequence)',
+        endpoint: 'GET /api/export/csv?contact_ids=1,2,3&format=sequence',
+        description: 'Export each contact\'s latest outreach sequence, one row per step',
+        use_case: 'Loading cadences into a sequencing tool'
       }
     ]
   });
@@ -1,8 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { linkedinQueries, signalQueries } = require('../../db/queries');
+const { contactQueries, linkedinQueries } = require('../../db/queries');
+const linkedinAnalyzer = require('../../scrapers/linkedin-analyzer');
+const profileChangeDetector = require('../../processors/profile-change-detector');
+const careerHistory = require('../../processors/career-history');
+const competitorDetector = require('../../processors/competitor-detector');
+const sentimentAnalyzer = require('../../processors/sentiment-analyzer');
+const themeExtractor = require('../../processors/theme-extractor');
+const engagementGraph = require('../../processors/engagement-graph');
+const painClassifier = require('../../processors/pain-classifier');
+const signalLifecycle = require('../../processors/signal-lifecycle');
 const config = require('../../../config/config');
 
+const CHANGE_TYPES = ['job_change', 'title_update', 'company_update', 'location_change'];
+const ENGAGEMENT_TYPES = ['commented', 'liked', 'shared', 'mentioned'];
+const MAX_THEMES = 100;
+const MAX_GRAPH_ENTRIES = 50;
+
 /**
  * POST /api/linkedin/manual-entry/:contactId
  * Manually add LinkedIn data for a contact
@@ -11,27 +25,44 @@ const config = require('../../../config/config');
 router.post('/manual-entry/:contactId', async (req, res) => {
   try {
     const { contactId } = req.params;
-    const { profile, posts } = req.body;
+    const { profile, posts, engagements } = req.body;
 
-    if (!profile && !posts) {
+    if (!profile && !posts && !engagements) {
       return res.status(400).json({
         error: 'Missing data',
-        message: 'Provide at least profile or posts data'
+        message: 'Provide at least profile, posts or engagements data'
       });
     }
 
+    if (engagements !== undefined) {
+      const errors = validateEngagements(engagements);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid engagements',
+          details: errors
+        });
+      }
+    }
+
     const results = {
       profile_saved: false,
       posts_saved: 0,
+      engagements_saved: 0,
       signals_created: 0
     };
 
+    // Manual entries reuse the analyzer's signal slots, so entering the same
+    // data twice refreshes signals instead of duplicating them
+    const linkedinSignals = [];
+
     // Save profile data if provided
     if (profile) {
       const profileData = {
         contact_id: contactId,
         linkedin_url: profile.linkedin_url || profile.url,
         profile_headline: profile.headline,
+        current_title: profile.current_title || profile.title,
+        current_company: profile.current_company || profile.company,
         location: profile.location,
         connections_count: profile.connections_count || profile.connections,
         followers_count: profile.followers_count || profile.followers,
@@ -45,28 +76,19 @@ router.post('/manual-entry/:contactId', async (req, res) => {
         raw_profile_data: profile
       };
 
-      await linkedinQueries.saveProfile(contactId, profileData);
+      // Diff against the stored profile - job, title, company and location
+      // changes are recorded and become timing_trigger signals
+      const { changes, signals } = await profileChangeDetector.saveProfile(contactId, profileData, 'manual_entry');
       results.profile_saved = true;
-
-      // Create profile-based signals
-      if (profile.tenure_months && profile.tenure_months < 6) {
-        await signalQueries.createSignal(contactId, {
-          signal_type: 'linkedin_profile_change',
-          signal_category: 'timing_trigger',
-          description: `Recently joined current company (${profile.tenure_months} months ago) - in evaluation phase`,
-          relevance_score: 0.95,
-          urgency_score: 0.95,
-          wedge_potential: 0.90,
-          raw_data: { tenureMonths: profile.tenure_months, source: 'manual_entry' }
-        });
-        results.signals_created++;
-      }
+      results.profile_changes = changes.map(c => c.change_type);
+      results.signals_created += signals.length;
 
       // Influence signal
       if (profile.connections_count > 500 || profile.followers_count > 500) {
         const influenceLevel = profile.connections_count > 2000 ? 'high' : 'medium';
-        await signalQueries.createSignal(contactId, {
+        linkedinSignals.push({
           signal_type: 'linkedin_activity',
+          signal_key: 'influence',
           signal_category: 'thought_leadership',
           description: `${influenceLevel} LinkedIn influence: ${profile.connections_count} connections, ${profile.followers_count} followers`,
           relevance_score: 0.80,
@@ -84,6 +106,8 @@ router.post('/manual-entry/:contactId', async (req, res) => {
 
     // Save posts if provided
     if (posts && Array.isArray(posts) && posts.length > 0) {
+      const catalogue = await competitorDetector.getCatalogue();
+      const corpus = await themeExtractor.getCorpus();
       const formattedPosts = posts.map(post => ({
         contact_id: contactId,
         post_url: post.url || post.post_url || `https://linkedin.com/posts/${Date.now()}`,
@@ -95,27 +119,64 @@ router.post('/manual-entry/:contactId', async (req, res) => {
         comments_count: post.comments || post.comments_count,
         shares_count: post.shares || post.shares_count,
         topics_detected: post.topics || detectTopics(post.content || post.text),
-        sentiment: post.sentiment || analyzeSentiment(post.content || post.text),
+        sentiment: post.sentiment,
         key_themes: post.themes || post.key_themes || [],
-        mentions_competitors: post.mentions_competitors || false,
-        mentions_pain_points: post.mentions_pain_points || hasPainPoints(post.content || post.text),
+        mentions_competitors: false,
+        pain_points: painClassifier.classify(post.content || post.text),
         mentions_buying_signals: post.mentions_buying_signals || hasBuyingSignals(post.content || post.text),
         raw_post_data: post
       }));
 
+      formattedPosts.forEach(post => {
+        const sentiment = sentimentAnalyzer.analyze(post.post_content);
+        post.sentiment = post.sentiment || sentiment.label;
+        post.sentiment_score = sentiment.score;
+        post.aspect_sentiment = sentiment.aspects;
+
+        post.competitor_mentions = competitorDetector.detect(post.post_content, catalogue, {
+          source_ref: post.post_url,
+          mentioned_at: post.post_date
+        });
+        post.mentions_competitors = post.competitor_mentions.length > 0;
+        post.mentions_pain_points = post.raw_post_data.mentions_pain_points ||
+          hasPainPoints(post.post_content) || post.pain_points.length > 0;
+
+        // Themes entered by hand are kept as given; otherwise they're extracted
+        if (post.key_themes.length === 0) {
+          post.theme_scores = themeExtractor.extract(post.post_content, corpus);
+          post.key_themes = post.theme_scores.map(t => t.theme);
+        }
+      });
+
       const savedPosts = await linkedinQueries.savePosts(contactId, formattedPosts);
       results.posts_saved = savedPosts.length;
 
+      // Tools mentioned in posts feed the company's tech stack
+      const contact = await contactQueries.getContactById(contactId);
+      await linkedinAnalyzer.recordTechStack(contact?.company_domain, formattedPosts);
+      await linkedinAnalyzer.recordCompetitorMentions(contact, formattedPosts);
+
+      const competitorSignals = competitorDetector.buildSignals(
+        formattedPosts.flatMap(p => p.competitor_mentions),
+        'linkedin_post'
+      );
+      linkedinSignals.push(...competitorSignals);
+      results.signals_created += competitorSignals.length;
+
       // Create post-based signals
       const painPointPosts = formattedPosts.filter(p => p.mentions_pain_points);
       if (painPointPosts.length > 0) {
         const latestPainPost = painPointPosts[0];
         const daysSince = Math.floor((Date.now() - new Date(latestPainPost.post_date)) / (1000 * 60 * 60 * 24));
+        const painNames = latestPainPost.pain_points.map(p => p.name);
 
-        await signalQueries.createSignal(contactId, {
+        linkedinSignals.push({
           signal_type: 'linkedin_content',
+          signal_key: 'latest_pain_point',
+          source_ref: latestPainPost.post_url,
+          observed_at: latestPainPost.post_date,
           signal_category: 'buying_signal',
-          description: `Recently discussed challenges in LinkedIn post (${daysSince} days ago). Topics: ${latestPainPost.key_themes.join(', ')}`,
+          description: `Recently discussed ${painNames.join(', ') || 'challenges'} in LinkedIn post (${daysSince} days ago). Topics: ${latestPainPost.key_themes.join(', ')}`,
           relevance_score: 0.95,
           urgency_score: daysSince < 7 ? 0.95 : 0.85,
           wedge_potential: 0.95,
@@ -123,6 +184,7 @@ router.post('/manual-entry/:contactId', async (req, res) => {
             postUrl: latestPainPost.post_url,
             postDate: latestPainPost.post_date,
             daysSince,
+            painPoints: latestPainPost.pain_points,
             source: 'manual_entry'
           }
         });
@@ -132,8 +194,9 @@ router.post('/manual-entry/:contactId', async (req, res) => {
       // High engagement signal
       const avgEngagement = formattedPosts.reduce((sum, p) => sum + (p.engagement_count || 0), 0) / formattedPosts.length;
       if (avgEngagement > 20) {
-        await signalQueries.createSignal(contactId, {
+        linkedinSignals.push({
           signal_type: 'linkedin_activity',
+          signal_key: 'posting_volume',
           signal_category: 'thought_leadership',
           description: `Active LinkedIn poster with ${formattedPosts.length} recent posts. Average ${Math.round(avgEngagement)} engagements per post.`,
           relevance_score: 0.85,
@@ -149,6 +212,31 @@ router.post('/manual-entry/:contactId', async (req, res) => {
       }
     }
 
+    // Comments, reactions and reshares of other people's posts
+    if (engagements && engagements.length > 0) {
+      const formattedEngagements = engagements
+        .map(e => linkedinAnalyzer.buildEngagement({
+          engagement_type: e.type || e.engagement_type,
+          target_name: e.target_name,
+          target_url: e.target_url || e.target_profile,
+          target_headline: e.target_headline,
+          target_company: e.target_company,
+          post_url: e.post_url || e.url,
+          content: e.content || e.text,
+          comment_text: e.comment_text,
+          engagement_date: e.date || e.engagement_date || null,
+          source: 'manual'
+        }))
+        .filter(Boolean);
+
+      const savedEngagements = await linkedinQueries.saveEngagements(contactId, formattedEngagements);
+      results.engagements_saved = savedEngagements.length;
+    }
+
+    if (linkedinSignals.length > 0) {
+      await signalLifecycle.recordSignals(contactId, 'linkedin', linkedinSignals);
+    }
+
     res.json({
       success: true,
       message: 'LinkedIn data saved successfully',
@@ -164,6 +252,197 @@ router.post('/manual-entry/:contactId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/linkedin/profile-changes/:contactId
+ * Job, title, company and location changes detected across profile scrapes
+ */
+router.get('/profile-changes/:contactId', async (req, res) => {
+  try {
+    const { contactId } = req.params;
+    const { type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (type && !CHANGE_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid change type',
+        details: [`type must be one of: ${CHANGE_TYPES.join(', ')}`]
+      });
+    }
+
+    const contact = await contactQueries.getContactById(contactId);
+
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+
+    const [profile, changes] = await Promise.all([
+      linkedinQueries.getProfile(contactId),
+      linkedinQueries.getProfileChanges(contactId, { changeType: type || null, limit })
+    ]);
+
+    res.json({
+      contact_id: parseInt(contactId),
+      current: {
+        title: profile?.current_title || null,
+        company: profile?.current_company || null,
+        location: profile?.location || null,
+        profile_scraped_at: profile?.profile_scraped_at || null
+      },
+      total_changes: changes.length,
+      changes
+    });
+
+  } catch (error) {
+    console.error('Profile changes retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve profile changes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/linkedin/career/:contactId
+ * Work history parsed from the profile's Experience section, with tenure and
+ * career features (average tenure, promotion velocity)
+ */
+router.get('/career/:contactId', async (req, res) => {
+  try {
+    const { contactId } = req.params;
+
+    const contact = await contactQueries.getContactById(contactId);
+
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+
+    const positions = await linkedinQueries.getPositions(contactId);
+    const now = new Date();
+
+    res.json({
+      contact_id: parseInt(contactId),
+      positions: positions.map(p => ({
+        ...p,
+        duration_months: careerHistory.durationMonths(p, now)
+      })),
+      features: positions.length > 0 ? careerHistory.analyze(positions, { now }) : null
+    });
+
+  } catch (error) {
+    console.error('Career history retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve career history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/linkedin/themes/:contactId
+ * What the contact keeps posting about: each theme with the number of posts
+ * it ranked in and its TF-IDF score summed across them
+ */
+router.get('/themes/:contactId', async (req, res) => {
+  try {
+    const { contactId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_THEMES);
+
+    const contact = await contactQueries.getContactById(contactId);
+
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+
+    const themes = await linkedinQueries.getContactThemes(contactId, { limit });
+
+    res.json({
+      contact_id: parseInt(contactId),
+      count: themes.length,
+      themes
+    });
+
+  } catch (error) {
+    console.error('Theme retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve themes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/linkedin/engagement-graph/:contactId
+ * Who the contact interacts with: the people, companies, vendors and topics
+ * of the posts they comment on, react to and reshare, strongest first.
+ * ?limit= entries per list, ?days= only engagements from the last N days
+ */
+router.get('/engagement-graph/:contactId', async (req, res) => {
+  try {
+    const { contactId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_GRAPH_ENTRIES);
+    const days = parseInt(req.query.days) || null;
+
+    const contact = await contactQueries.getContactById(contactId);
+
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+
+    const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+    const graph = await engagementGraph.build(contact.id, { limit, since });
+
+    res.json({
+      contact_id: contact.id,
+      ...graph
+    });
+
+  } catch (error) {
+    console.error('Engagement graph error:', error);
+    res.status(500).json({
+      error: 'Failed to build engagement graph',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/linkedin/themes/recalculate
+ * Re-extract stored posts' themes against the current corpus - after a bulk
+ * import, or when themes were extracted while the corpus was still small.
+ * Body: { contact_id } to limit to one contact.
+ */
+router.post('/themes/recalculate', async (req, res) => {
+  try {
+    const contactId = req.body?.contact_id;
+
+    if (contactId !== undefined && (!Number.isInteger(contactId) || contactId < 1)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: ['contact_id must be a positive integer']
+      });
+    }
+
+    const result = await themeExtractor.recalculateStoredThemes(contactId || null);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Theme recalculation error:', error);
+    res.status(500).json({
+      error: 'Failed to recalculate themes',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Helper: Detect topics in text
  */
@@ -188,21 +467,25 @@ function detectTopics(text) {
 }
 
 /**
- * Helper: Analyze sentiment
+ * Helper: Validate manually entered engagements
  */
-function analyzeSentiment(text) {
-  if (!text) return 'neutral';
-
-  const lowerText = text.toLowerCase();
-  const positiveWords = ['excited', 'great', 'amazing', 'love', 'excellent', 'successful'];
-  const negativeWords = ['frustrated', 'struggling', 'difficult', 'problem', 'broken'];
+function validateEngagements(engagements) {
+  if (!Array.isArray(engagements)) {
+    return ['engagements must be an array'];
+  }
 
-  const positiveCount = positiveWords.filter(word => lowerText.includes(word)).length;
-  const negativeCount = negativeWords.filter(word => lowerText.includes(word)).length;
+  const errors = [];
+  engagements.forEach((e, i) => {
+    const type = e?.type || e?.engagement_type;
+    if (!ENGAGEMENT_TYPES.includes(type)) {
+      errors.push(`engagements[${i}].type must be one of: ${ENGAGEMENT_TYPES.join(', ')}`);
+    }
+    if (!e?.target_name && !e?.target_url && !e?.target_profile) {
+      errors.push(`engagements[${i}] needs a target_name or target_url`);
+    }
+  });
 
-  if (positiveCount > negativeCount) return 'positive';
-  if (negativeCount > positiveCount) return 'negative';
-  return 'neutral';
+  return errors;
 }
 
 /**
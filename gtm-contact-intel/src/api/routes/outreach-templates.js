@@ -0,0 +1,295 @@
+const express = require('express');
+const router = express.Router();
+
+const { outreachTemplateQueries } = require('../../db/queries');
+const outreachTemplates = require('../../processors/outreach-templates');
+const playbookGenerator = require('../../processors/playbook-generator');
+const sellerProfile = require('../../processors/seller-profile');
+const { validateOutreachTemplate } = require('../validators/outreach-template');
+
+/**
+ * Preview options shared by saved and draft templates
+ * @returns {Object} { contactId, wedgeType, teamMemberId, errors }
+ */
+async function validatePreviewOptions(body) {
+  const errors = [];
+  const contactId = body?.contact_id;
+  const wedgeType = body?.wedge_type ?? null;
+  const teamMemberId = body?.team_member_id ?? null;
+
+  if (!Number.isInteger(contactId) || contactId < 1) {
+    errors.push('contact_id must be a positive integer');
+  }
+  if (wedgeType !== null && typeof wedgeType !== 'string') {
+    errors.push('wedge_type must be a string');
+  }
+  if (teamMemberId !== null && (!Number.isInteger(teamMemberId) || teamMemberId < 1)) {
+    errors.push('team_member_id must be a positive integer');
+  } else if (teamMemberId !== null) {
+    const repError = await sellerProfile.validateRep(teamMemberId);
+    if (repError) errors.push(repError);
+  }
+
+  return { contactId, wedgeType, teamMemberId, errors };
+}
+
+/**
+ * GET /api/outreach-templates
+ * The template library. Inactive templates are only listed with
+ * ?include_inactive=true
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await outreachTemplateQueries.listTemplates({
+      includeInactive: req.query.include_inactive === 'true'
+    });
+
+    res.json({
+      count: templates.length,
+      templates
+    });
+
+  } catch (error) {
+    console.error('Outreach template list error:', error);
+    res.status(500).json({
+      error: 'Failed to list outreach templates',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/outreach-templates/variables
+ * Variables templates can use, and the personas they can target
+ */
+router.get('/variables', (req, res) => {
+  res.json({
+    variables: Object.entries(outreachTemplates.variables)
+      .map(([name, description]) => ({ name, description })),
+    personas: outreachTemplates.personas
+  });
+});
+
+/**
+ * POST /api/outreach-templates
+ * Add a template. Playbooks use it from the next generation on.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { template, errors } = validateOutreachTemplate(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid outreach template',
+        details: errors
+      });
+    }
+
+    const saved = await outreachTemplateQueries.createTemplate(template);
+    outreachTemplates.invalidate();
+
+    res.json({ template: saved });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'An outreach template with this name already exists'
+      });
+    }
+
+    console.error('Outreach template creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create outreach template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/outreach-templates/preview
+ * Render an unsaved template against a real contact.
+ * Body: { contact_id, wedge_type, team_member_id, template: { subject, body, wedge_types } }
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { contactId, wedgeType, teamMemberId, errors } = await validatePreviewOptions(req.body);
+    const draft = req.body?.template;
+    const { template, errors: templateErrors } = draft && typeof draft === 'object'
+      ? validateOutreachTemplate(draft, { partial: true })
+      : { template: null, errors: ['must be an object with a body'] };
+
+    errors.push(...templateErrors.map(e => `template: ${e}`));
+    if (template && !template.body) {
+      errors.push('template: body is required');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid preview request',
+        details: errors
+      });
+    }
+
+    const preview = await playbookGenerator.previewTemplate(contactId, template, { wedgeType, teamMemberId });
+
+    if (!preview) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+
+    res.json({ preview });
+
+  } catch (error) {
+    console.error('Outreach template preview error:', error);
+    res.status(500).json({
+      error: 'Failed to preview outreach template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/outreach-templates/:templateId
+ */
+router.get('/:templateId', async (req, res) => {
+  try {
+    const template = await outreachTemplateQueries.getTemplate(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Outreach template not found'
+      });
+    }
+
+    res.json({ template });
+
+  } catch (error) {
+    console.error('Outreach template retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve outreach template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/outreach-templates/:templateId
+ * Update fields, or deactivate (active: false) to stop using the template
+ */
+router.patch('/:templateId', async (req, res) => {
+  try {
+    const { template: updates, errors } = validateOutreachTemplate(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid outreach template update',
+        details: errors
+      });
+    }
+
+    const template = await outreachTemplateQueries.updateTemplate(req.params.templateId, updates);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Outreach template not found'
+      });
+    }
+
+    outreachTemplates.invalidate();
+
+    res.json({ template });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'An outreach template with this name already exists'
+      });
+    }
+
+    console.error('Outreach template update error:', error);
+    res.status(500).json({
+      error: 'Failed to update outreach template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/outreach-templates/:templateId
+ */
+router.delete('/:templateId', async (req, res) => {
+  try {
+    const template = await outreachTemplateQueries.deleteTemplate(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Outreach template not found'
+      });
+    }
+
+    outreachTemplates.invalidate();
+
+    res.json({
+      deleted: true,
+      template_id: template.id
+    });
+
+  } catch (error) {
+    console.error('Outreach template deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete outreach template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/outreach-templates/:templateId/preview
+ * Render a saved template against a real contact. Body: { contact_id, wedge_type, team_member_id }
+ * - without wedge_type, the contact's best detected wedge the template is for
+ * (or their primary wedge) fills the wedge variables; without team_member_id,
+ * the seller profile's default rep signs.
+ */
+router.post('/:templateId/preview', async (req, res) => {
+  try {
+    const { contactId, wedgeType, teamMemberId, errors } = await validatePreviewOptions(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid preview request',
+        details: errors
+      });
+    }
+
+    const template = await outreachTemplateQueries.getTemplate(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Outreach template not found'
+      });
+    }
+
+    const preview = await playbookGenerator.previewTemplate(contactId, template, { wedgeType, teamMemberId });
+
+    if (!preview) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+
+    res.json({
+      template_id: template.id,
+      preview
+    });
+
+  } catch (error) {
+    console.error('Outreach template preview error:', error);
+    res.status(500).json({
+      error: 'Failed to preview outreach template',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
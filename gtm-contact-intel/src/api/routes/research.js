@@ -1,74 +1,75 @@
 const express = require('express');
+const { Parser } = require('json2csv');
 const router = express.Router();
 
+const config = require('../../../config/config');
 const {
   contactQueries,
   linkedinQueries,
   githubQueries,
   speakingQueries,
   researchJobQueries,
-  companyQueries
+  researchBatchQueries,
+  companyQueries,
+  signalQueries,
+  sequenceQueries
 } = require('../../db/queries');
+const { REQUIRED_FIELDS, validateContact } = require('../validators/contact');
 
-const linkedinAnalyzer = require('../../scrapers/linkedin-analyzer');
-const githubAnalyzer = require('../../scrapers/github-analyzer');
-const podcastFinder = require('../../scrapers/podcast-finder');
-const jobParser = require('../../scrapers/job-parser');
 const playbookGenerator = require('../../processors/playbook-generator');
+const sellerProfile = require('../../processors/seller-profile');
 const signalScorer = require('../../processors/signal-scorer');
+const sentimentAnalyzer = require('../../processors/sentiment-analyzer');
+const scoringProfiles = require('../../processors/scoring-profiles');
+const bulkIntake = require('../../processors/bulk-intake');
+const sourceRegistry = require('../../sources');
+const jobEvents = require('../../events/job-events');
+
+const TERMINAL_JOB_STATUSES = ['completed', 'failed'];
+const SSE_KEEP_ALIVE_MS = 15000;
+
+const BATCH_ERROR_FIELDS = [
+  'row_number', 'full_name', 'linkedin_url', 'email', 'current_company',
+  'current_title', 'company_domain', 'industry', 'status', 'error'
+];
+
+// CSV uploads for POST /bulk (JSON bodies are parsed by the app-level parser)
+const csvBody = express.text({
+  type: ['text/csv', 'application/csv'],
+  limit: config.bulkResearch.maxBodySize
+});
 
 /**
  * POST /api/research
- * Initiate research job for a contact
+ * Queue a research job for a contact (processed by the research worker).
+ * Optional `sources` (e.g. ["linkedin", "github"]) limits the job to those
+ * sources; every registered source runs when it is omitted.
  */
 router.post('/', async (req, res) => {
   try {
-    const {
-      full_name,
-      linkedin_url,
-      email,
-      current_company,
-      current_title,
-      company_domain
-    } = req.body;
-
-    // Validate required fields
-    if (!full_name || !linkedin_url) {
+    const { contact: contactData, errors } = validateContact(req.body);
+    const { sources, errors: sourceErrors } = sourceRegistry.parseSources(req.body?.sources);
+
+    if (errors.length > 0 || sourceErrors.length > 0) {
       return res.status(400).json({
-        error: 'Missing required fields',
-        required: ['full_name', 'linkedin_url']
+        error: 'Invalid contact',
+        required: REQUIRED_FIELDS,
+        details: [...errors, ...sourceErrors]
       });
     }
 
     // Create or update contact
-    const contact = await contactQueries.upsertContact({
-      full_name,
-      linkedin_url,
-      email,
-      current_company,
-      current_title,
-      company_domain
-    });
+    const contact = await contactQueries.upsertContact(contactData);
 
-    // Create research job
-    const job = await researchJobQueries.createJob(contact.id);
-
-    // Start research in background
-    performResearch(contact.id, job.id, {
-      full_name,
-      linkedin_url,
-      current_company,
-      current_title,
-      company_domain
-    }).catch(err => {
-      console.error('Background research error:', err);
-    });
+    // Queue research job - picked up by a worker (npm run worker)
+    const job = await researchJobQueries.createJob(contact.id, sources);
 
     res.json({
       job_id: job.id,
       contact_id: contact.id,
       status: 'pending',
-      message: 'Research job started',
+      sources: sources || sourceRegistry.names(),
+      message: 'Research job queued',
       estimated_time: '3-5 minutes'
     });
 
@@ -81,9 +82,175 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/research/bulk
+ * Queue research for a list of contacts. Accepts a JSON array (or
+ * { contacts: [...] }) or a CSV upload (Content-Type: text/csv) with the same
+ * fields as POST /api/research. Every row is validated and deduped on
+ * linkedin_url; accepted rows become child jobs of a research batch.
+ */
+router.post('/bulk', csvBody, async (req, res) => {
+  let parsed;
+
+  try {
+    parsed = bulkIntake.parseBody(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid bulk research payload',
+      message: error.message
+    });
+  }
+
+  if (parsed.records.length === 0) {
+    return res.status(400).json({
+      error: 'No contacts provided'
+    });
+  }
+
+  if (parsed.records.length > config.bulkResearch.maxRows) {
+    return res.status(400).json({
+      error: 'Too many contacts',
+      message: `A batch can contain at most ${config.bulkResearch.maxRows} rows (got ${parsed.records.length})`
+    });
+  }
+
+  try {
+    const rows = bulkIntake.prepareRows(parsed.records);
+    const jobSpacingMs = bulkIntake.getJobSpacingMs();
+    const batch = await researchBatchQueries.createBatch(parsed.format, rows, jobSpacingMs);
+
+    res.json({
+      batch_id: batch.id,
+      status: batch.queued_rows > 0 ? 'processing' : 'completed',
+      total_rows: batch.total_rows,
+      queued_rows: batch.queued_rows,
+      duplicate_rows: batch.duplicate_rows,
+      invalid_rows: batch.invalid_rows,
+      message: `${batch.queued_rows} research job(s) queued`,
+      estimated_time: `${Math.ceil((batch.queued_rows * jobSpacingMs) / 60000)} minutes`,
+      progress_url: `/api/research/batches/${batch.id}`,
+      errors_url: `/api/research/batches/${batch.id}/errors`
+    });
+
+  } catch (error) {
+    console.error('Bulk research intake error:', error);
+    res.status(500).json({
+      error: 'Failed to queue bulk research',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/research/sources
+ * Intelligence sources a research job can run
+ */
+router.get('/sources', (req, res) => {
+  res.json({
+    sources: sourceRegistry.list().map(adapter => ({
+      name: adapter.name,
+      description: adapter.description
+    }))
+  });
+});
+
+/**
+ * GET /api/research/batches/:batchId
+ * Batch-level progress across all child research jobs
+ */
+router.get('/batches/:batchId', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const batch = await researchBatchQueries.getBatch(batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch not found'
+      });
+    }
+
+    const counts = await researchBatchQueries.getBatchJobCounts(batch.id);
+    const jobs = {
+      pending: counts.pending || 0,
+      processing: counts.processing || 0,
+      completed: counts.completed || 0,
+      failed: counts.failed || 0
+    };
+    const finished = jobs.completed + jobs.failed;
+
+    res.json({
+      batch_id: batch.id,
+      source_format: batch.source_format,
+      created_at: batch.created_at,
+      status: jobs.pending + jobs.processing > 0 ? 'processing' : 'completed',
+      total_rows: batch.total_rows,
+      queued_rows: batch.queued_rows,
+      duplicate_rows: batch.duplicate_rows,
+      invalid_rows: batch.invalid_rows,
+      jobs,
+      percent_complete: batch.queued_rows > 0
+        ? Math.round((finished / batch.queued_rows) * 100)
+        : 100,
+      errors_url: `/api/research/batches/${batch.id}/errors`
+    });
+
+  } catch (error) {
+    console.error('Batch progress error:', error);
+    res.status(500).json({
+      error: 'Failed to get batch progress',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/research/batches/:batchId/errors
+ * Per-row error report: invalid and duplicate rows plus rows whose research
+ * job failed. CSV download by default, JSON with ?format=json
+ */
+router.get('/batches/:batchId/errors', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { format = 'csv' } = req.query;
+
+    const batch = await researchBatchQueries.getBatch(batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Batch not found'
+      });
+    }
+
+    const errorRows = (await researchBatchQueries.getBatchErrors(batch.id)).map(formatBatchErrorRow);
+
+    if (format === 'json') {
+      return res.json({
+        batch_id: batch.id,
+        count: errorRows.length,
+        rows: errorRows
+      });
+    }
+
+    const parser = new Parser({ fields: BATCH_ERROR_FIELDS });
+    const csv = errorRows.length > 0 ? parser.parse(errorRows) : BATCH_ERROR_FIELDS.join(',');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="research-batch-${batch.id}-errors.csv"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Batch error report error:', error);
+    res.status(500).json({
+      error: 'Failed to build batch error report',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/research/:jobId
- * Check research job status
+ * Check research job status, including per-stage progress
  */
 router.get('/:jobId', async (req, res) => {
   try {
@@ -97,15 +264,9 @@ router.get('/:jobId', async (req, res) => {
       });
     }
 
-    res.json({
-      job_id: job.id,
-      contact_id: job.contact_id,
-      status: job.status,
-      requested_at: job.requested_at,
-      completed_at: job.completed_at,
-      results: job.results_summary,
-      error: job.error_message
-    });
+    const stages = await researchJobQueries.getJobStages(job.id);
+
+    res.json(formatJobStatus(job, stages));
 
   } catch (error) {
     console.error('Job status check error:', error);
@@ -116,6 +277,96 @@ router.get('/:jobId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/research/:jobId/events
+ * Stream job and stage transitions as Server-Sent Events.
+ * Sends a `snapshot` event first, then `stage` and `job` events as the worker
+ * progresses. The stream closes once the job completes or fails.
+ */
+router.get('/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+  let job;
+
+  try {
+    job = await researchJobQueries.getJob(jobId);
+  } catch (error) {
+    console.error('Job events lookup error:', error);
+    return res.status(500).json({
+      error: 'Failed to stream job events',
+      message: error.message
+    });
+  }
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let unsubscribe = () => {};
+  let keepAlive = null;
+
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  };
+
+  req.on('close', close);
+
+  try {
+    // Subscribe before reading the snapshot so no transition falls in between
+    unsubscribe = await jobEvents.subscribe(job.id, event => {
+      send(event.type, event);
+      if (event.type === 'job' && TERMINAL_JOB_STATUSES.includes(event.status)) {
+        close();
+      }
+    });
+
+    // The client may have gone while we subscribed; close() ran with the placeholder
+    if (closed) {
+      return unsubscribe();
+    }
+
+    const [currentJob, stages] = await Promise.all([
+      researchJobQueries.getJob(job.id),
+      researchJobQueries.getJobStages(job.id)
+    ]);
+
+    send('snapshot', formatJobStatus(currentJob, stages));
+
+    if (closed || TERMINAL_JOB_STATUSES.includes(currentJob.status)) {
+      return close();
+    }
+
+    keepAlive = setInterval(() => {
+      if (!closed) res.write(': keep-alive\n\n');
+    }, SSE_KEEP_ALIVE_MS);
+
+  } catch (error) {
+    console.error('Job events stream error:', error);
+    send('error', { error: 'Failed to stream job events', message: error.message });
+    close();
+  }
+});
+
 /**
  * GET /api/contacts/:contactId
  * Get full intelligence dossier for a contact
@@ -179,20 +430,74 @@ router.get('/contacts/:contactId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/signals/recalculate
+ * Re-materialise stored signal scores after the scoring model or decay curves
+ * change. Body: { contact_id } to limit to one contact.
+ * Query params: scoring_profile (name or name@version)
+ */
+router.post('/signals/recalculate', async (req, res) => {
+  try {
+    const contactId = req.body?.contact_id;
+
+    if (contactId !== undefined && (!Number.isInteger(contactId) || contactId < 1)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: ['contact_id must be a positive integer']
+      });
+    }
+
+    const scoringProfile = await scoringProfiles.resolve(req.query.scoring_profile);
+
+    if (!scoringProfile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
+
+    const result = await signalScorer.recalculateAllScores(contactId || null, scoringProfile);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Signal score recalculation error:', error);
+    res.status(500).json({
+      error: 'Failed to recalculate signal scores',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/signals/:contactId
- * Get all intelligence signals for a contact
+ * Get all active intelligence signals for a contact
+ * ?include_inactive=true adds expired, superseded and archived signals
+ * ?scoring_profile= scores with a named profile (name or name@version)
  */
 router.get('/signals/:contactId', async (req, res) => {
   try {
     const { contactId } = req.params;
+    const includeInactive = req.query.include_inactive === 'true';
+
+    const scoringProfile = await scoringProfiles.resolve(req.query.scoring_profile);
+
+    if (!scoringProfile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
 
-    const signals = await signalScorer.scoreAndPrioritizeSignals(contactId);
+    const [signals, inactiveSignals] = await Promise.all([
+      signalScorer.scoreAndPrioritizeSignals(contactId, scoringProfile),
+      includeInactive ? signalQueries.getInactiveSignals(contactId) : null
+    ]);
 
     res.json({
       contact_id: parseInt(contactId),
       total_signals: signals.length,
-      signals
+      scoring_profile: scoringProfile.ref,
+      signals,
+      ...(inactiveSignals && { inactive_signals: inactiveSignals })
     });
 
   } catch (error) {
@@ -206,13 +511,31 @@ router.get('/signals/:contactId', async (req, res) => {
 
 /**
  * GET /api/playbook/:contactId
- * Get GTM playbook for a contact
+ * Get GTM playbook for a contact. ?team_member_id= signs the outreach as that
+ * rep instead of the seller profile's default rep.
  */
 router.get('/playbook/:contactId', async (req, res) => {
   try {
     const { contactId } = req.params;
+    const teamMemberId = req.query.team_member_id ? parseInt(req.query.team_member_id) : null;
 
-    const result = await playbookGenerator.generatePlaybook(contactId);
+    if (req.query.team_member_id && !(teamMemberId > 0)) {
+      return res.status(400).json({
+        error: 'Invalid team_member_id',
+        details: ['team_member_id must be a positive integer']
+      });
+    }
+
+    // Outreach signed by an unknown or former rep would go out with placeholders
+    const repError = teamMemberId ? await sellerProfile.validateRep(teamMemberId) : null;
+    if (repError) {
+      return res.status(400).json({
+        error: 'Invalid team_member_id',
+        details: [repError]
+      });
+    }
+
+    const result = await playbookGenerator.generatePlaybook(contactId, { teamMemberId });
 
     if (!result.success) {
       return res.status(404).json({
@@ -235,6 +558,36 @@ router.get('/playbook/:contactId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/playbook/:contactId/sequence
+ * Latest stored outreach sequence, without regenerating the playbook
+ */
+router.get('/playbook/:contactId/sequence', async (req, res) => {
+  try {
+    const { contactId } = req.params;
+
+    const sequence = await sequenceQueries.getLatestSequence(contactId);
+
+    if (!sequence) {
+      return res.status(404).json({
+        error: 'Outreach sequence not found'
+      });
+    }
+
+    res.json({
+      contact_id: parseInt(contactId),
+      sequence
+    });
+
+  } catch (error) {
+    console.error('Outreach sequence retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve outreach sequence',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/linkedin/recent-activity/:contactId
  * Get recent LinkedIn posts and activity
@@ -262,6 +615,10 @@ router.get('/linkedin/recent-activity/:contactId', async (req, res) => {
       posts: posts.map(p => ({
         post_url: p.post_url,
         post_date: p.post_date,
+        post_type: p.post_type,
+        reshared_author: p.reshared_author_name
+          ? { name: p.reshared_author_name, url: p.reshared_author_url }
+          : null,
         content: p.post_content.substring(0, 500),
         engagement: {
           total: p.engagement_count,
@@ -271,9 +628,13 @@ router.get('/linkedin/recent-activity/:contactId', async (req, res) => {
         },
         topics: p.topics_detected,
         sentiment: p.sentiment,
+        sentiment_score: p.sentiment_score === null ? null : parseFloat(p.sentiment_score),
+        aspect_sentiment: p.aspect_sentiment || [],
         mentions_pain_points: p.mentions_pain_points,
+        pain_points: p.pain_points || [],
         mentions_buying_signals: p.mentions_buying_signals,
-        key_themes: p.key_themes
+        key_themes: p.key_themes,
+        theme_scores: p.theme_scores || []
       })),
       activity_summary: `${posts.length} posts analyzed, avg ${avgEngagement} engagements per post`
     });
@@ -318,9 +679,10 @@ router.get('/linkedin/engagement-patterns/:contactId', async (req, res) => {
       high_engagement_posts: posts.filter(p => (p.engagement_count || 0) > avgEngagement * 1.5).length,
       posts_with_pain_points: posts.filter(p => p.mentions_pain_points).length,
       posts_with_buying_signals: posts.filter(p => p.mentions_buying_signals).length,
-      top_topics: this.extractTopTopics(posts),
-      sentiment_distribution: this.analyzeSentiment(posts),
-      influence_level: this.assessInfluence(profile, posts)
+      top_topics: extractTopTopics(posts),
+      sentiment_distribution: sentimentAnalyzer.distribution(posts),
+      aspect_sentiment: sentimentAnalyzer.summarizeAspects(posts),
+      influence_level: assessInfluence(profile, posts)
     };
 
     res.json({
@@ -340,101 +702,60 @@ router.get('/linkedin/engagement-patterns/:contactId', async (req, res) => {
 // ===== HELPER FUNCTIONS =====
 
 /**
- * Perform research in background
+ * Flatten a batch row into a line of the per-row error report
  */
-async function performResearch(contactId, jobId, contactData) {
-  try {
-    await researchJobQueries.updateJobStatus(jobId, 'processing');
-
-    const results = {
-      linkedin: { found: false },
-      github: { found: false },
-      podcasts: { found: false },
-      jobs: { analyzed: 0 }
-    };
-
-    // 1. LinkedIn research (PRIORITY)
-    try {
-      const linkedinResult = await linkedinAnalyzer.researchContact(
-        contactId,
-        contactData.linkedin_url
-      );
-      results.linkedin = {
-        found: linkedinResult.success,
-        posts_analyzed: linkedinResult.postsAnalyzed || 0,
-        influence_score: linkedinResult.influenceScore || 0
-      };
-    } catch (error) {
-      console.error('LinkedIn research error:', error.message);
-    }
-
-    // 2. GitHub research
-    try {
-      const githubResult = await githubAnalyzer.researchContact(
-        contactId,
-        contactData.full_name,
-        contactData.current_company
-      );
-      results.github = {
-        found: githubResult.success,
-        username: githubResult.username
-      };
-    } catch (error) {
-      console.error('GitHub research error:', error.message);
-    }
-
-    // 3. Podcast/speaking research
-    try {
-      const podcastResult = await podcastFinder.researchContact(
-        contactId,
-        contactData.full_name,
-        contactData.current_title
-      );
-      results.podcasts = {
-        found: podcastResult.success,
-        count: podcastResult.count || 0
-      };
-    } catch (error) {
-      console.error('Podcast research error:', error.message);
-    }
-
-    // 4. Job postings research
-    if (contactData.company_domain) {
-      try {
-        const jobResult = await jobParser.researchCompany(
-          contactId,
-          contactData.company_domain,
-          contactData.current_company
-        );
-        results.jobs = {
-          analyzed: jobResult.analyzed || 0,
-          signals: jobResult.gtmRelevantJobs || 0
-        };
-      } catch (error) {
-        console.error('Job parsing error:', error.message);
-      }
-    }
-
-    // 5. Generate playbook
-    let playbookGenerated = false;
-    try {
-      const playbookResult = await playbookGenerator.generatePlaybook(contactId);
-      playbookGenerated = playbookResult.success;
-    } catch (error) {
-      console.error('Playbook generation error:', error.message);
-    }
-
-    results.playbook_generated = playbookGenerated;
-
-    // Mark job as completed
-    await researchJobQueries.updateJobStatus(jobId, 'completed', null, results);
-
-    console.log(`Research completed for contact ${contactId}`);
+function formatBatchErrorRow(row) {
+  const input = row.input || {};
+  const failed = row.status === 'queued' && row.job_status === 'failed';
+
+  return {
+    row_number: row.row_number,
+    full_name: input.full_name,
+    linkedin_url: input.linkedin_url,
+    email: input.email,
+    current_company: input.current_company,
+    current_title: input.current_title,
+    company_domain: input.company_domain,
+    industry: input.industry,
+    status: failed ? 'failed' : row.status,
+    error: failed ? row.job_error : (row.errors || []).join('; '),
+    contact_id: row.contact_id,
+    job_id: row.job_id
+  };
+}
 
-  } catch (error) {
-    console.error('Research job error:', error);
-    await researchJobQueries.updateJobStatus(jobId, 'failed', error.message);
-  }
+/**
+ * Format a research job and its stages for API responses
+ */
+function formatJobStatus(job, stages) {
+  return {
+    job_id: job.id,
+    contact_id: job.contact_id,
+    status: job.status,
+    requested_at: job.requested_at,
+    started_at: job.started_at,
+    completed_at: job.completed_at,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    sources: job.sources,
+    next_attempt_at: job.status === 'pending' && job.attempts > 0 ? job.run_after : null,
+    completed_stages: stages
+      .filter(stage => stage.status === 'completed' || stage.status === 'skipped')
+      .map(stage => stage.stage),
+    stages: stages.map(stage => ({
+      stage: stage.stage,
+      status: stage.status,
+      attempt: stage.attempt,
+      started_at: stage.started_at,
+      finished_at: stage.finished_at,
+      duration_ms: stage.started_at && stage.finished_at
+        ? new Date(stage.finished_at) - new Date(stage.started_at)
+        : null,
+      error: stage.error_message
+    })),
+    results: job.results_summary,
+    error: job.error_message
+  };
 }
 
 /**
@@ -457,21 +778,6 @@ function extractTopTopics(posts) {
     .map(([topic, count]) => ({ topic, count }));
 }
 
-/**
- * Analyze sentiment distribution
- */
-function analyzeSentiment(posts) {
-  const sentiments = { positive: 0, neutral: 0, negative: 0 };
-
-  posts.forEach(post => {
-    if (post.sentiment) {
-      sentiments[post.sentiment]++;
-    }
-  });
-
-  return sentiments;
-}
-
 /**
  * Assess influence level
  */
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  contactQueries,
+  researchBatchQueries,
+  researchScheduleQueries
+} = require('../../db/queries');
+const { validateSchedule } = require('../validators/schedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * GET /api/research/schedules
+ * List refresh schedules, optionally for one contact or list
+ */
+router.get('/', async (req, res) => {
+  try {
+    const contactId = parseInt(req.query.contact_id, 10) || null;
+    const batchId = parseInt(req.query.batch_id, 10) || null;
+    const enabled = req.query.enabled === undefined ? null : req.query.enabled === 'true';
+
+    const schedules = await researchScheduleQueries.listSchedules({ contactId, batchId, enabled });
+
+    res.json({
+      count: schedules.length,
+      schedules
+    });
+
+  } catch (error) {
+    console.error('Schedule list error:', error);
+    res.status(500).json({
+      error: 'Failed to list schedules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/research/schedules
+ * Schedule re-research for a contact (contact_id) or every contact of a bulk
+ * list (batch_id). Saving a schedule for the same target again replaces it.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { schedule, errors } = validateSchedule(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid schedule',
+        details: errors
+      });
+    }
+
+    const target = schedule.contact_id
+      ? await contactQueries.getContactById(schedule.contact_id)
+      : await researchBatchQueries.getBatch(schedule.batch_id);
+
+    if (!target) {
+      return res.status(404).json({
+        error: schedule.contact_id ? 'Contact not found' : 'Batch not found'
+      });
+    }
+
+    const saved = await researchScheduleQueries.upsertSchedule(schedule);
+
+    res.json({ schedule: saved });
+
+  } catch (error) {
+    console.error('Schedule creation error:', error);
+    res.status(500).json({
+      error: 'Failed to save schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/research/schedules/:scheduleId
+ * Schedule with its most recent refresh jobs and what each one changed
+ */
+router.get('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await researchScheduleQueries.getSchedule(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Schedule not found'
+      });
+    }
+
+    const jobs = await researchScheduleQueries.getScheduleJobs(schedule.id);
+
+    res.json({
+      schedule,
+      recent_jobs: jobs.map(job => ({
+        job_id: job.id,
+        contact_id: job.contact_id,
+        status: job.status,
+        sources: job.sources,
+        requested_at: job.requested_at,
+        completed_at: job.completed_at,
+        error: job.error_message,
+        changes: job.results_summary?.changes || null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Schedule retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/research/schedules/:scheduleId
+ * Change the cadence, pause/resume (enabled) or move the next run
+ */
+router.patch('/:scheduleId', async (req, res) => {
+  try {
+    const { schedule: updates, errors } = validateSchedule(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid schedule update',
+        details: errors
+      });
+    }
+
+    const existing = await researchScheduleQueries.getSchedule(req.params.scheduleId);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Schedule not found'
+      });
+    }
+
+    // A new cadence counts from the last run unless the next run is set explicitly
+    if (updates.interval_days && !updates.next_run_at) {
+      updates.next_run_at = existing.last_run_at
+        ? new Date(new Date(existing.last_run_at).getTime() + updates.interval_days * DAY_MS)
+        : new Date();
+    }
+
+    const schedule = await researchScheduleQueries.updateSchedule(existing.id, updates);
+
+    res.json({ schedule });
+
+  } catch (error) {
+    console.error('Schedule update error:', error);
+    res.status(500).json({
+      error: 'Failed to update schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/research/schedules/:scheduleId
+ * Stop scheduled re-research (jobs already queued still run)
+ */
+router.delete('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await researchScheduleQueries.deleteSchedule(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      deleted: true,
+      schedule_id: schedule.id
+    });
+
+  } catch (error) {
+    console.error('Schedule deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete schedule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+
+const config = require('../../../config/config');
+const { scoringProfileQueries } = require('../../db/queries');
+const scoringProfiles = require('../../processors/scoring-profiles');
+const { validateScoringProfile, validateModel } = require('../validators/scoring-profile');
+
+/**
+ * GET /api/scoring-profiles
+ * Latest version of every scoring profile
+ */
+router.get('/', async (req, res) => {
+  try {
+    const profiles = await scoringProfileQueries.listProfiles();
+
+    res.json({
+      count: profiles.length,
+      default_profile: config.scoring.defaultProfile,
+      profiles
+    });
+
+  } catch (error) {
+    console.error('Scoring profile list error:', error);
+    res.status(500).json({
+      error: 'Failed to list scoring profiles',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scoring-profiles
+ * Save a new version of a profile (version 1 for a new name). The model is
+ * merged onto the profile's latest version, or onto the default profile for
+ * a new name, so only the weights that change need to be sent.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { profile, errors } = validateScoringProfile(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid scoring profile',
+        details: errors
+      });
+    }
+
+    const base = await scoringProfiles.resolve(profile.name) || await scoringProfiles.resolve();
+
+    if (!base) {
+      return res.status(404).json({
+        error: 'Scoring profile not found',
+        message: `No "${profile.name}" or default profile to build on`
+      });
+    }
+
+    const model = scoringProfiles.mergeModel(base.model, profile.model);
+    const modelErrors = validateModel(model);
+
+    if (modelErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid scoring profile',
+        details: modelErrors
+      });
+    }
+
+    const saved = await scoringProfileQueries.createVersion(
+      profile.name,
+      profile.description || base.description,
+      model
+    );
+    scoringProfiles.invalidate(saved.name);
+
+    res.json({ profile: saved });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Another version of this profile was saved at the same time - retry'
+      });
+    }
+
+    console.error('Scoring profile creation error:', error);
+    res.status(500).json({
+      error: 'Failed to save scoring profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scoring-profiles/:ref
+ * One profile: "enterprise" for the latest version, "enterprise@2" for a specific one
+ */
+router.get('/:ref', async (req, res) => {
+  try {
+    const profile = await scoringProfiles.resolve(req.params.ref);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
+
+    res.json({ profile });
+
+  } catch (error) {
+    console.error('Scoring profile retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve scoring profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scoring-profiles/:name/versions
+ * Every saved version of a profile, newest first
+ */
+router.get('/:name/versions', async (req, res) => {
+  try {
+    const versions = await scoringProfileQueries.getVersions(req.params.name.toLowerCase());
+
+    if (versions.length === 0) {
+      return res.status(404).json({
+        error: 'Scoring profile not found'
+      });
+    }
+
+    res.json({
+      name: versions[0].name,
+      count: versions.length,
+      versions
+    });
+
+  } catch (error) {
+    console.error('Scoring profile versions error:', error);
+    res.status(500).json({
+      error: 'Failed to list scoring profile versions',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
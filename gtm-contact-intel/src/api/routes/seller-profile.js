@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+
+const { sellerProfileQueries } = require('../../db/queries');
+const sellerProfile = require('../../processors/seller-profile');
+const { validateSellerProfile, validateCaseStudy } = require('../validators/seller-profile');
+
+/**
+ * An unknown default_team_member_id fails the foreign key
+ */
+function isUnknownTeamMember(error) {
+  return error.code === '23503';
+}
+
+/**
+ * GET /api/seller-profile
+ * Our company, product and value props
+ */
+router.get('/', async (req, res) => {
+  try {
+    const profile = await sellerProfileQueries.getProfile();
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Seller profile not found'
+      });
+    }
+
+    res.json({ profile });
+
+  } catch (error) {
+    console.error('Seller profile retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve seller profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/seller-profile
+ * Create or replace the profile. Playbooks use it from the next generation on.
+ */
+router.put('/', async (req, res) => {
+  try {
+    const { profile, errors } = validateSellerProfile(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid seller profile',
+        details: errors
+      });
+    }
+
+    const saved = await sellerProfileQueries.saveProfile(profile);
+    sellerProfile.invalidate();
+
+    res.json({ profile: saved });
+
+  } catch (error) {
+    if (isUnknownTeamMember(error)) {
+      return res.status(400).json({
+        error: 'Invalid seller profile',
+        details: ['default_team_member_id is not a team member']
+      });
+    }
+
+    console.error('Seller profile save error:', error);
+    res.status(500).json({
+      error: 'Failed to save seller profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/seller-profile
+ * Update fields of an existing profile
+ */
+router.patch('/', async (req, res) => {
+  try {
+    const { profile: updates, errors } = validateSellerProfile(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid seller profile update',
+        details: errors
+      });
+    }
+
+    const profile = await sellerProfileQueries.updateProfile(updates);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Seller profile not found'
+      });
+    }
+
+    sellerProfile.invalidate();
+
+    res.json({ profile });
+
+  } catch (error) {
+    if (isUnknownTeamMember(error)) {
+      return res.status(400).json({
+        error: 'Invalid seller profile update',
+        details: ['default_team_member_id is not a team member']
+      });
+    }
+
+    console.error('Seller profile update error:', error);
+    res.status(500).json({
+      error: 'Failed to update seller profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/seller-profile/case-studies
+ * Inactive case studies are only listed with ?include_inactive=true
+ */
+router.get('/case-studies', async (req, res) => {
+  try {
+    const caseStudies = await sellerProfileQueries.listCaseStudies({
+      includeInactive: req.query.include_inactive === 'true'
+    });
+
+    res.json({
+      count: caseStudies.length,
+      case_studies: caseStudies
+    });
+
+  } catch (error) {
+    console.error('Case study list error:', error);
+    res.status(500).json({
+      error: 'Failed to list case studies',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/seller-profile/case-studies
+ */
+router.post('/case-studies', async (req, res) => {
+  try {
+    const { caseStudy, errors } = validateCaseStudy(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid case study',
+        details: errors
+      });
+    }
+
+    const saved = await sellerProfileQueries.createCaseStudy(caseStudy);
+    sellerProfile.invalidate();
+
+    res.json({ case_study: saved });
+
+  } catch (error) {
+    console.error('Case study creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create case study',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/seller-profile/case-studies/:caseStudyId
+ */
+router.get('/case-studies/:caseStudyId', async (req, res) => {
+  try {
+    const caseStudy = await sellerProfileQueries.getCaseStudy(req.params.caseStudyId);
+
+    if (!caseStudy) {
+      return res.status(404).json({
+        error: 'Case study not found'
+      });
+    }
+
+    res.json({ case_study: caseStudy });
+
+  } catch (error) {
+    console.error('Case study retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve case study',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/seller-profile/case-studies/:caseStudyId
+ * Update fields, or deactivate (active: false) to stop citing the case study
+ */
+router.patch('/case-studies/:caseStudyId', async (req, res) => {
+  try {
+    const { caseStudy: updates, errors } = validateCaseStudy(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid case study update',
+        details: errors
+      });
+    }
+
+    const caseStudy = await sellerProfileQueries.updateCaseStudy(req.params.caseStudyId, updates);
+
+    if (!caseStudy) {
+      return res.status(404).json({
+        error: 'Case study not found'
+      });
+    }
+
+    sellerProfile.invalidate();
+
+    res.json({ case_study: caseStudy });
+
+  } catch (error) {
+    console.error('Case study update error:', error);
+    res.status(500).json({
+      error: 'Failed to update case study',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/seller-profile/case-studies/:caseStudyId
+ */
+router.delete('/case-studies/:caseStudyId', async (req, res) => {
+  try {
+    const caseStudy = await sellerProfileQueries.deleteCaseStudy(req.params.caseStudyId);
+
+    if (!caseStudy) {
+      return res.status(404).json({
+        error: 'Case study not found'
+      });
+    }
+
+    sellerProfile.invalidate();
+
+    res.json({
+      deleted: true,
+      case_study_id: caseStudy.id
+    });
+
+  } catch (error) {
+    console.error('Case study deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete case study',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
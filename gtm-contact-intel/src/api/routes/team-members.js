@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+
+const { teamMemberQueries } = require('../../db/queries');
+const { validateTeamMember } = require('../validators/team-member');
+
+/**
+ * GET /api/team-members
+ * Our reps. Inactive members are only listed with ?include_inactive=true
+ */
+router.get('/', async (req, res) => {
+  try {
+    const members = await teamMemberQueries.listTeamMembers({
+      includeInactive: req.query.include_inactive === 'true'
+    });
+
+    res.json({
+      count: members.length,
+      team_members: members
+    });
+
+  } catch (error) {
+    console.error('Team member list error:', error);
+    res.status(500).json({
+      error: 'Failed to list team members',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/team-members
+ * Add a rep. Their work history, schools and LinkedIn profile make them a
+ * candidate connector in GET /api/contacts/:id/intro-paths.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { member, errors } = validateTeamMember(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid team member',
+        details: errors
+      });
+    }
+
+    const saved = await teamMemberQueries.createTeamMember(member);
+
+    res.json({ team_member: saved });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'A team member with this email or linkedin_url already exists'
+      });
+    }
+
+    console.error('Team member creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create team member',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/team-members/:teamMemberId
+ */
+router.get('/:teamMemberId', async (req, res) => {
+  try {
+    const member = await teamMemberQueries.getTeamMember(req.params.teamMemberId);
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'Team member not found'
+      });
+    }
+
+    res.json({ team_member: member });
+
+  } catch (error) {
+    console.error('Team member retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve team member',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/team-members/:teamMemberId
+ * Update fields, or deactivate (active: false) to stop suggesting them as a
+ * connector. positions and education replace the stored lists.
+ */
+router.patch('/:teamMemberId', async (req, res) => {
+  try {
+    const { member: updates, errors } = validateTeamMember(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid team member update',
+        details: errors
+      });
+    }
+
+    const member = await teamMemberQueries.updateTeamMember(req.params.teamMemberId, updates);
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'Team member not found'
+      });
+    }
+
+    res.json({ team_member: member });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'A team member with this email or linkedin_url already exists'
+      });
+    }
+
+    console.error('Team member update error:', error);
+    res.status(500).json({
+      error: 'Failed to update team member',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/team-members/:teamMemberId
+ */
+router.delete('/:teamMemberId', async (req, res) => {
+  try {
+    const member = await teamMemberQueries.deleteTeamMember(req.params.teamMemberId);
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'Team member not found'
+      });
+    }
+
+    res.json({
+      deleted: true,
+      team_member_id: member.id
+    });
+
+  } catch (error) {
+    console.error('Team member deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete team member',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -7,9 +7,18 @@ const db = require('../db/client');
 
 // Import routes
 const researchRoutes = require('./routes/research');
+const scheduleRoutes = require('./routes/schedules');
+const contactRoutes = require('./routes/contacts');
+const companyRoutes = require('./routes/companies');
 const exportRoutes = require('./routes/export');
 const linkedinRoutes = require('./routes/linkedin');
 const clayRoutes = require('./routes/clay');
+const scoringProfileRoutes = require('./routes/scoring-profiles');
+const analyticsRoutes = require('./routes/analytics');
+const competitorRoutes = require('./routes/competitors');
+const teamMemberRoutes = require('./routes/team-members');
+const outreachTemplateRoutes = require('./routes/outreach-templates');
+const sellerProfileRoutes = require('./routes/seller-profile');
 
 // Initialize Express app
 const app = express();
@@ -17,7 +26,7 @@ const app = express();
 // Security middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: config.bulkResearch.maxBodySize })); // Large enough for bulk research lists
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting
@@ -39,10 +48,19 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/research/schedules', scheduleRoutes); // Before /api/research/:jobId
 app.use('/api/research', researchRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/companies', companyRoutes);
 app.use('/api/export', exportRoutes);
 app.use('/api/linkedin', linkedinRoutes);
 app.use('/api/clay', clayRoutes);
+app.use('/api/scoring-profiles', scoringProfileRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/competitors', competitorRoutes);
+app.use('/api/team-members', teamMemberRoutes);
+app.use('/api/outreach-templates', outreachTemplateRoutes);
+app.use('/api/seller-profile', sellerProfileRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -76,17 +94,77 @@ app.listen(PORT, () => {
 Available endpoints:
   GET  /health                                    - Health check
   POST /api/research                              - Start research job
+  GET  /api/research/sources                      - List intelligence sources
+  POST /api/research/bulk                         - Queue research for a CSV/JSON list
+  GET  /api/research/batches/:batchId             - Get batch progress
+  GET  /api/research/batches/:batchId/errors      - Download batch error report (CSV)
+  GET  /api/research/schedules                    - List refresh schedules
+  POST /api/research/schedules                    - Schedule re-research for a contact or list
+  GET  /api/research/schedules/:scheduleId        - Get schedule and recent refresh jobs
+  PATCH /api/research/schedules/:scheduleId       - Update cadence or pause a schedule
+  DELETE /api/research/schedules/:scheduleId      - Delete a schedule
   GET  /api/research/:jobId                       - Get job status
-  GET  /api/contacts/:contactId                   - Get contact dossier
+  GET  /api/research/:jobId/events                - Stream job progress (SSE)
+  GET  /api/research/contacts/:contactId          - Get contact dossier
+  GET  /api/contacts                              - List/search contacts
+  GET  /api/contacts/:id                          - Get contact
+  PATCH /api/contacts/:id                         - Update contact
+  DELETE /api/contacts/:id                        - Delete contact and its research
+  GET  /api/contacts/:id/intro-paths              - Rank warm introduction paths
+  GET  /api/companies                             - List companies
+  GET  /api/companies/:domain                     - Get account dossier
+  GET  /api/companies/:domain/contacts            - List contacts at a company
+  GET  /api/companies/:domain/tech-stack          - Get company tech stack
   GET  /api/signals/:contactId                    - Get intelligence signals
+  POST /api/signals/recalculate                   - Re-materialise stored signal scores
   GET  /api/playbook/:contactId                   - Get GTM playbook
+  GET  /api/playbook/:contactId/sequence          - Latest outreach sequence
   GET  /api/linkedin/recent-activity/:contactId   - Get LinkedIn activity
   GET  /api/linkedin/engagement-patterns/:contactId - Get engagement analysis
+  GET  /api/linkedin/profile-changes/:contactId   - Get detected profile changes
+  GET  /api/linkedin/themes/:contactId           - Get a contact's recurring post themes
+  GET  /api/linkedin/engagement-graph/:contactId - Get who a contact engages with
+  POST /api/linkedin/themes/recalculate           - Re-extract stored post themes
   GET  /api/export/clay/:contactId                - Export to Clay format
   GET  /api/export/csv                            - Export multiple contacts to CSV
   POST /api/clay/send/:contactId                  - Send contact to Clay webhook
   POST /api/clay/send-batch                       - Send multiple contacts to Clay
   GET  /api/clay/preview/:contactId               - Preview Clay webhook data
+  GET  /api/scoring-profiles                      - List scoring profiles
+  POST /api/scoring-profiles                      - Save a new scoring profile version
+  GET  /api/scoring-profiles/:ref                 - Get a profile (name or name@version)
+  GET  /api/scoring-profiles/:name/versions       - List a profile's versions
+  GET  /api/analytics/signals                     - Signal counts, timeline and scores
+  GET  /api/analytics/wedges                      - Most common wedge types
+  GET  /api/analytics/pain-themes                 - Top pain point themes
+  GET  /api/analytics/coverage                    - Contacts with each source found
+  GET  /api/competitors                           - List the competitor catalogue
+  POST /api/competitors                           - Add a competitor
+  GET  /api/competitors/:id                       - Get a competitor
+  PATCH /api/competitors/:id                      - Update names, aliases or products
+  DELETE /api/competitors/:id                     - Remove a competitor and its mentions
+  GET  /api/competitors/:id/mentions              - Mentions with stance and context
+  GET  /api/team-members                          - List our reps
+  POST /api/team-members                          - Add a rep (candidate intro connector)
+  GET  /api/team-members/:id                      - Get a rep
+  PATCH /api/team-members/:id                     - Update work history, schools, profile or signature
+  DELETE /api/team-members/:id                    - Remove a rep
+  GET  /api/outreach-templates                    - List outreach templates
+  GET  /api/outreach-templates/variables          - Template variables and personas
+  POST /api/outreach-templates                    - Add a template (by wedge type and persona)
+  POST /api/outreach-templates/preview            - Render a draft against a contact
+  GET  /api/outreach-templates/:id                - Get a template
+  PATCH /api/outreach-templates/:id               - Update or deactivate a template
+  DELETE /api/outreach-templates/:id              - Remove a template
+  POST /api/outreach-templates/:id/preview        - Render a template against a contact
+  GET  /api/seller-profile                        - Our product and value props
+  PUT  /api/seller-profile                        - Create or replace the seller profile
+  PATCH /api/seller-profile                       - Update the seller profile
+  GET  /api/seller-profile/case-studies           - List case studies
+  POST /api/seller-profile/case-studies           - Add a case study (by pain label and industry)
+  GET  /api/seller-profile/case-studies/:id       - Get a case study
+  PATCH /api/seller-profile/case-studies/:id      - Update or deactivate a case study
+  DELETE /api/seller-profile/case-studies/:id     - Remove a case study
 
 LinkedIn scraping is ACTIVE - respecting rate limits
 `);
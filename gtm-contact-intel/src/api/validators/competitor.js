@@ -0,0 +1,149 @@
+/**
+ * Competitor Validation
+ * Shared by catalogue creation and PATCH. Every name, alias and product is a
+ * term posts, job postings and podcasts are matched against, so terms are
+ * trimmed and de-duplicated here.
+ */
+
+const FIELDS = ['name', 'aliases', 'products', 'displaces_category', 'notes', 'active'];
+
+// VARCHAR(255) columns on the competitors table
+const MAX_LENGTH = 255;
+const MAX_TERMS = 50;
+
+// Terms this short match too much unrelated text ("HQ", "AI")
+const MIN_TERM_LENGTH = 2;
+
+function validateText(field, value, { required = false } = {}) {
+  if (value === null || value === undefined || value === '') {
+    return required ? { error: `${field} is required` } : { value: null };
+  }
+
+  if (typeof value !== 'string') {
+    return { error: `${field} must be a string` };
+  }
+
+  const trimmed = value.trim();
+  if (required && !trimmed) {
+    return { error: `${field} is required` };
+  }
+  if (trimmed.length > MAX_LENGTH) {
+    return { error: `${field} must be at most ${MAX_LENGTH} characters` };
+  }
+
+  return { value: trimmed || null };
+}
+
+/**
+ * Validate a list of match terms
+ * @returns {Object} { value, error } - trimmed, de-duplicated (case-insensitively) terms
+ */
+function validateTerms(field, value) {
+  if (value === null || value === undefined) {
+    return { value: [] };
+  }
+
+  if (!Array.isArray(value) || value.some(term => typeof term !== 'string')) {
+    return { error: `${field} must be an array of strings` };
+  }
+
+  const seen = new Set();
+  const terms = [];
+
+  for (const term of value.map(t => t.trim()).filter(Boolean)) {
+    if (term.length < MIN_TERM_LENGTH || term.length > MAX_LENGTH) {
+      return { error: `${field} entries must be ${MIN_TERM_LENGTH}-${MAX_LENGTH} characters` };
+    }
+    if (!seen.has(term.toLowerCase())) {
+      seen.add(term.toLowerCase());
+      terms.push(term);
+    }
+  }
+
+  if (terms.length > MAX_TERMS) {
+    return { error: `${field} can have at most ${MAX_TERMS} entries` };
+  }
+
+  return { value: terms };
+}
+
+/**
+ * Validate a competitor payload
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial: true for PATCH (nothing is required) }
+ * @returns {Object} { competitor, errors } - competitor holds only the fields provided
+ */
+function validateCompetitor(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { competitor: null, errors: ['Request body must be an object'] };
+  }
+
+  const errors = [];
+  const competitor = {};
+
+  for (const field of Object.keys(input)) {
+    if (!FIELDS.includes(field)) {
+      errors.push(`${field} is not a competitor field`);
+    }
+  }
+
+  if (!partial || input.name !== undefined) {
+    const { value, error } = validateText('name', input.name, { required: true });
+    if (error) {
+      errors.push(error);
+    } else if (value.length < MIN_TERM_LENGTH) {
+      errors.push(`name must be at least ${MIN_TERM_LENGTH} characters`);
+    } else {
+      competitor.name = value;
+    }
+  }
+
+  for (const field of ['aliases', 'products']) {
+    if (input[field] !== undefined) {
+      const { value, error } = validateTerms(field, input[field]);
+      if (error) {
+        errors.push(error);
+      } else {
+        competitor[field] = value;
+      }
+    }
+  }
+
+  if (input.displaces_category !== undefined) {
+    const { value, error } = validateText('displaces_category', input.displaces_category);
+    if (error) {
+      errors.push(error);
+    } else {
+      competitor.displaces_category = value;
+    }
+  }
+
+  if (input.notes !== undefined) {
+    if (input.notes !== null && typeof input.notes !== 'string') {
+      errors.push('notes must be a string');
+    } else {
+      competitor.notes = input.notes;
+    }
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    } else {
+      competitor.active = input.active;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(competitor).length === 0) {
+    errors.push(`Provide at least one of: ${FIELDS.join(', ')}`);
+  }
+
+  return {
+    competitor: errors.length === 0 ? competitor : null,
+    errors
+  };
+}
+
+module.exports = {
+  validateCompetitor
+};
@@ -0,0 +1,201 @@
+/**
+ * Contact Validation
+ * Shared by single and bulk research intake so both accept exactly the
+ * fields contactQueries.upsertContact stores.
+ */
+
+const CONTACT_FIELDS = [
+  'full_name',
+  'linkedin_url',
+  'email',
+  'current_company',
+  'current_title',
+  'company_domain',
+  'industry'
+];
+
+const REQUIRED_FIELDS = ['full_name', 'linkedin_url'];
+
+// VARCHAR(255) columns on the contacts table
+const MAX_LENGTH = 255;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * Normalize a LinkedIn profile URL so the same person always maps to the
+ * same contact: https://www.linkedin.com/in/<slug>
+ * @param {string} url - Raw LinkedIn URL
+ * @returns {string|null} Normalized URL, or null if not a profile URL
+ */
+function normalizeLinkedInUrl(url) {
+  if (!url) return null;
+
+  let raw = String(url).trim();
+  if (!/^https?:\/\//i.test(raw)) {
+    raw = `https://${raw}`;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch (error) {
+    return null;
+  }
+
+  if (!/(^|\.)linkedin\.com$/i.test(parsed.hostname)) {
+    return null;
+  }
+
+  const match = parsed.pathname.match(/^\/in\/([^/]+)/i);
+  if (!match) {
+    return null;
+  }
+
+  let slug;
+  try {
+    slug = decodeURIComponent(match[1]).toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  return `https://www.linkedin.com/in/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Normalize a company domain (strip protocol, www. and paths)
+ */
+function normalizeDomain(domain) {
+  return String(domain)
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[/?#].*$/, '');
+}
+
+/**
+ * Validate and normalize a single contact field
+ * @returns {Object} { value, error } - value is null for empty input
+ */
+function validateField(field, rawValue) {
+  if (rawValue === undefined || rawValue === null || rawValue === '') {
+    return { value: null, error: null };
+  }
+
+  if (typeof rawValue !== 'string') {
+    return { value: null, error: `${field} must be a string` };
+  }
+
+  let value = rawValue.trim() || null;
+  if (!value) {
+    return { value: null, error: null };
+  }
+
+  if (field === 'linkedin_url') {
+    const normalized = normalizeLinkedInUrl(value);
+    return normalized
+      ? { value: normalized, error: null }
+      : { value: null, error: 'linkedin_url must be a LinkedIn profile URL (linkedin.com/in/...)' };
+  }
+
+  if (value.length > MAX_LENGTH) {
+    return { value: null, error: `${field} must be at most ${MAX_LENGTH} characters` };
+  }
+
+  if (field === 'email') {
+    value = value.toLowerCase();
+    if (!EMAIL_PATTERN.test(value)) {
+      return { value: null, error: 'email is not a valid email address' };
+    }
+  }
+
+  if (field === 'company_domain') {
+    value = normalizeDomain(value);
+    if (!DOMAIN_PATTERN.test(value)) {
+      return { value: null, error: 'company_domain is not a valid domain' };
+    }
+  }
+
+  return { value, error: null };
+}
+
+/**
+ * Validate and normalize a contact payload
+ * @param {Object} input - Raw contact fields (request body or CSV row)
+ * @returns {Object} { contact, errors } - contact is null when errors is non-empty
+ */
+function validateContact(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { contact: null, errors: ['Contact must be an object'] };
+  }
+
+  const errors = [];
+  const contact = {};
+
+  for (const field of CONTACT_FIELDS) {
+    const { value, error } = validateField(field, input[field]);
+    contact[field] = value;
+    if (error) errors.push(error);
+  }
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!contact[field] && !errors.some(error => error.startsWith(field))) {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  return {
+    contact: errors.length === 0 ? contact : null,
+    errors
+  };
+}
+
+/**
+ * Validate a partial contact update (PATCH). Only the fields present in the
+ * input are returned; required fields may be changed but not cleared.
+ * @param {Object} input - Request body
+ * @returns {Object} { updates, errors }
+ */
+function validateContactUpdate(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { updates: null, errors: ['Request body must be an object'] };
+  }
+
+  const errors = [];
+  const updates = {};
+
+  for (const field of Object.keys(input)) {
+    if (!CONTACT_FIELDS.includes(field)) {
+      errors.push(`${field} is not an updatable field`);
+      continue;
+    }
+
+    const { value, error } = validateField(field, input[field]);
+    if (error) {
+      errors.push(error);
+    } else if (value === null && REQUIRED_FIELDS.includes(field)) {
+      errors.push(`${field} cannot be empty`);
+    } else {
+      updates[field] = value;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(updates).length === 0) {
+    errors.push(`Provide at least one of: ${CONTACT_FIELDS.join(', ')}`);
+  }
+
+  return {
+    updates: errors.length === 0 ? updates : null,
+    errors
+  };
+}
+
+module.exports = {
+  CONTACT_FIELDS,
+  REQUIRED_FIELDS,
+  validateContact,
+  validateContactUpdate,
+  normalizeLinkedInUrl,
+  normalizeDomain
+};
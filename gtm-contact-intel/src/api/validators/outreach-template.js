@@ -0,0 +1,126 @@
+/**
+ * Outreach Template Validation
+ * Shared by creation, PATCH and preview. Subjects and bodies are parsed here,
+ * so a template with a malformed tag or an unknown variable is never saved.
+ */
+
+const outreachTemplates = require('../../processors/outreach-templates');
+
+const FIELDS = ['name', 'description', 'wedge_types', 'persona', 'subject', 'body', 'active'];
+
+// VARCHAR(100) name; subjects and bodies are TEXT but kept to email sizes
+const MAX_LENGTH = {
+  name: 100,
+  description: 1000,
+  subject: 300,
+  body: 10000
+};
+const MAX_WEDGE_TYPES = 20;
+
+const WEDGE_TYPE_PATTERN = /^[a-z][a-z_]{0,99}$/;
+
+function validateText(field, value, { required = false } = {}) {
+  if (value === null || value === undefined || value === '') {
+    return required ? { error: `${field} is required` } : { value: null };
+  }
+
+  if (typeof value !== 'string') {
+    return { error: `${field} must be a string` };
+  }
+
+  // Bodies keep their whitespace - line breaks are part of the email
+  const text = field === 'body' ? value : value.trim();
+  if (required && !text.trim()) {
+    return { error: `${field} is required` };
+  }
+  if (text.length > MAX_LENGTH[field]) {
+    return { error: `${field} must be at most ${MAX_LENGTH[field]} characters` };
+  }
+
+  return { value: text || null };
+}
+
+/**
+ * Validate an outreach template payload
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial: true for PATCH (nothing is required) }
+ * @returns {Object} { template, errors } - template holds only the fields provided
+ */
+function validateOutreachTemplate(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { template: null, errors: ['Request body must be an object'] };
+  }
+
+  const errors = [];
+  const template = {};
+
+  for (const field of Object.keys(input)) {
+    if (!FIELDS.includes(field)) {
+      errors.push(`${field} is not an outreach template field`);
+    }
+  }
+
+  for (const field of ['name', 'description', 'subject', 'body']) {
+    const required = !partial && (field === 'name' || field === 'body');
+    if (!required && input[field] === undefined) continue;
+
+    const { value, error } = validateText(field, input[field], { required });
+    if (error) {
+      errors.push(error);
+    } else if (value === null && (field === 'name' || field === 'body')) {
+      errors.push(`${field} is required`);
+    } else {
+      template[field] = value;
+    }
+  }
+
+  if (input.wedge_types !== undefined) {
+    const wedgeTypes = input.wedge_types === null ? [] : input.wedge_types;
+
+    if (!Array.isArray(wedgeTypes) || wedgeTypes.some(type => typeof type !== 'string')) {
+      errors.push('wedge_types must be an array of wedge types (empty for any wedge)');
+    } else if (wedgeTypes.length > MAX_WEDGE_TYPES) {
+      errors.push(`wedge_types can have at most ${MAX_WEDGE_TYPES} entries`);
+    } else {
+      const invalid = wedgeTypes.filter(type => !WEDGE_TYPE_PATTERN.test(type));
+      if (invalid.length > 0) {
+        errors.push(`wedge_types entries must be wedge types like "linkedin_pain_point": ${invalid.join(', ')}`);
+      } else {
+        template.wedge_types = [...new Set(wedgeTypes)];
+      }
+    }
+  }
+
+  if (input.persona !== undefined) {
+    if (input.persona === null || input.persona === '') {
+      template.persona = null;
+    } else if (!outreachTemplates.personas.includes(input.persona)) {
+      errors.push(`persona must be one of: ${outreachTemplates.personas.join(', ')} (or null for any persona)`);
+    } else {
+      template.persona = input.persona;
+    }
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    } else {
+      template.active = input.active;
+    }
+  }
+
+  errors.push(...outreachTemplates.validate(template));
+
+  if (partial && errors.length === 0 && Object.keys(template).length === 0) {
+    errors.push(`Provide at least one of: ${FIELDS.join(', ')}`);
+  }
+
+  return {
+    template: errors.length === 0 ? template : null,
+    errors
+  };
+}
+
+module.exports = {
+  validateOutreachTemplate
+};
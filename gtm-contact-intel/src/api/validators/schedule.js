@@ -0,0 +1,125 @@
+/**
+ * Research Schedule Validation
+ * Shared by schedule creation and PATCH. A schedule uses a named cadence from
+ * config.scheduler.cadences, or 'custom' with an explicit interval_days.
+ */
+
+const config = require('../../../config/config');
+
+const UPDATABLE_FIELDS = ['cadence', 'interval_days', 'enabled', 'next_run_at'];
+const TARGET_FIELDS = ['contact_id', 'batch_id'];
+
+const MAX_INTERVAL_DAYS = 365;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Resolve cadence and interval_days from whichever of the two was given
+ * @returns {Object} { cadence, interval_days, error }
+ */
+function resolveCadence(cadence, intervalDays) {
+  const cadences = config.scheduler.cadences;
+
+  if (cadence !== undefined && cadence !== 'custom' && !cadences[cadence]) {
+    return { error: `cadence must be one of: ${[...Object.keys(cadences), 'custom'].join(', ')}` };
+  }
+
+  if (intervalDays !== undefined &&
+      (!isPositiveInteger(intervalDays) || intervalDays > MAX_INTERVAL_DAYS)) {
+    return { error: `interval_days must be an integer between 1 and ${MAX_INTERVAL_DAYS}` };
+  }
+
+  if (cadence === 'custom' || (cadence === undefined && intervalDays !== undefined)) {
+    if (intervalDays === undefined) {
+      return { error: 'interval_days is required for a custom cadence' };
+    }
+    return { cadence: 'custom', interval_days: intervalDays };
+  }
+
+  if (intervalDays !== undefined && intervalDays !== cadences[cadence]) {
+    return { error: `interval_days conflicts with the ${cadence} cadence (${cadences[cadence]} days) - use cadence "custom"` };
+  }
+
+  return { cadence, interval_days: cadences[cadence] };
+}
+
+/**
+ * Validate a schedule payload
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial: true for PATCH (target can't change, nothing is required) }
+ * @returns {Object} { schedule, errors } - schedule holds only the fields provided (plus defaults on create)
+ */
+function validateSchedule(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { schedule: null, errors: ['Request body must be an object'] };
+  }
+
+  const errors = [];
+  const schedule = {};
+  const allowed = partial ? UPDATABLE_FIELDS : [...TARGET_FIELDS, ...UPDATABLE_FIELDS];
+
+  for (const field of Object.keys(input)) {
+    if (!allowed.includes(field)) {
+      errors.push(`${field} is not ${partial ? 'an updatable' : 'a schedule'} field`);
+    }
+  }
+
+  if (!partial) {
+    const targets = TARGET_FIELDS.filter(field => input[field] !== undefined && input[field] !== null);
+
+    if (targets.length !== 1) {
+      errors.push('Provide exactly one of contact_id or batch_id');
+    } else if (!isPositiveInteger(input[targets[0]])) {
+      errors.push(`${targets[0]} must be a positive integer`);
+    } else {
+      schedule[targets[0]] = input[targets[0]];
+    }
+  }
+
+  const defaultCadence = partial || input.interval_days !== undefined
+    ? undefined
+    : config.scheduler.defaultCadence;
+  const cadenceInput = input.cadence !== undefined ? input.cadence : defaultCadence;
+
+  if (cadenceInput !== undefined || input.interval_days !== undefined) {
+    const { cadence, interval_days, error } = resolveCadence(cadenceInput, input.interval_days);
+    if (error) {
+      errors.push(error);
+    } else {
+      schedule.cadence = cadence;
+      schedule.interval_days = interval_days;
+    }
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    } else {
+      schedule.enabled = input.enabled;
+    }
+  }
+
+  if (input.next_run_at !== undefined && input.next_run_at !== null) {
+    const nextRunAt = new Date(input.next_run_at);
+    if (typeof input.next_run_at !== 'string' || Number.isNaN(nextRunAt.getTime())) {
+      errors.push('next_run_at must be an ISO 8601 timestamp');
+    } else {
+      schedule.next_run_at = nextRunAt;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(schedule).length === 0) {
+    errors.push(`Provide at least one of: ${UPDATABLE_FIELDS.join(', ')}`);
+  }
+
+  return {
+    schedule: errors.length === 0 ? schedule : null,
+    errors
+  };
+}
+
+module.exports = {
+  validateSchedule
+};
@@ -0,0 +1,137 @@
+/**
+ * Scoring Profile Validation
+ * A saved model must be complete: request payloads are partial models merged
+ * onto the previous version (or the default profile), then checked here.
+ */
+
+const FIELDS = ['name', 'description', 'model'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+// Weight groups must sum to 1 so scores stay on the 0-1 scale
+const WEIGHT_GROUPS = {
+  composite: ['relevance', 'urgency', 'wedgePotential'],
+  influence: ['posting', 'engagement', 'network', 'contentRelevance']
+};
+
+const READINESS_BUCKETS = ['influence', 'posts', 'signalQuality', 'playbookStrength'];
+const MAX_READINESS_POINTS = 100;
+const WEIGHT_TOLERANCE = 0.001;
+
+function isNumberBetween(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a create-version payload
+ * @param {Object} input - Request body { name, description, model }
+ * @returns {Object} { profile, errors } - model is still partial at this point
+ */
+function validateScoringProfile(input) {
+  if (!isPlainObject(input)) {
+    return { profile: null, errors: ['Request body must be an object'] };
+  }
+
+  const errors = [];
+
+  for (const field of Object.keys(input)) {
+    if (!FIELDS.includes(field)) {
+      errors.push(`${field} is not a scoring profile field`);
+    }
+  }
+
+  if (typeof input.name !== 'string' || !NAME_PATTERN.test(input.name)) {
+    errors.push('name is required: lowercase letters, numbers, "-" and "_" (max 50 characters)');
+  }
+
+  if (input.description !== undefined && input.description !== null && typeof input.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (input.model !== undefined && !isPlainObject(input.model)) {
+    errors.push('model must be an object');
+  }
+
+  return {
+    profile: errors.length === 0
+      ? { name: input.name, description: input.description || null, model: input.model || {} }
+      : null,
+    errors
+  };
+}
+
+/**
+ * Check a complete model
+ * @param {Object} model - Merged scoring model
+ * @returns {Array<string>} Errors
+ */
+function validateModel(model) {
+  const errors = [];
+
+  for (const [group, keys] of Object.entries(WEIGHT_GROUPS)) {
+    const weights = model[group];
+
+    if (!isPlainObject(weights)) {
+      errors.push(`model.${group} must be an object`);
+      continue;
+    }
+
+    const unknown = Object.keys(weights).filter(key => !keys.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`model.${group} has unknown weights: ${unknown.join(', ')}`);
+    }
+
+    const invalid = keys.filter(key => !isNumberBetween(weights[key], 0, 1));
+    if (invalid.length > 0) {
+      errors.push(`model.${group}.${invalid[0]} must be a number between 0 and 1`);
+      continue;
+    }
+
+    const total = keys.reduce((sum, key) => sum + weights[key], 0);
+    if (Math.abs(total - 1) > WEIGHT_TOLERANCE) {
+      errors.push(`model.${group} weights must sum to 1 (got ${Math.round(total * 1000) / 1000})`);
+    }
+  }
+
+  if (!isNumberBetween(model.linkedinRelevanceBoost, 0, 1)) {
+    errors.push('model.linkedinRelevanceBoost must be a number between 0 and 1');
+  }
+
+  if (!isPlainObject(model.readiness)) {
+    errors.push('model.readiness must be an object');
+    return errors;
+  }
+
+  let maxPoints = 0;
+
+  for (const key of READINESS_BUCKETS) {
+    const buckets = model.readiness[key];
+
+    const valid = Array.isArray(buckets) && buckets.every(bucket =>
+      isPlainObject(bucket) &&
+      isNumberBetween(bucket.above, -Infinity, Infinity) &&
+      Number.isInteger(bucket.points) && bucket.points >= 0
+    );
+
+    if (!valid) {
+      errors.push(`model.readiness.${key} must be a list of { above: number, points: non-negative integer }`);
+      continue;
+    }
+
+    maxPoints += Math.max(0, ...buckets.map(bucket => bucket.points));
+  }
+
+  if (maxPoints > MAX_READINESS_POINTS) {
+    errors.push(`model.readiness can award at most ${MAX_READINESS_POINTS} points (got ${maxPoints})`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateScoringProfile,
+  validateModel
+};
@@ -0,0 +1,243 @@
+/**
+ * Seller Profile Validation
+ * The profile (PUT replaces it, PATCH updates it) and case studies (creation
+ * and PATCH). Value props and case studies are keyed by the pain labels in
+ * config.painTaxonomy, the same labels the pain classifier puts on contacts.
+ */
+
+const config = require('../../../config/config');
+
+const PROFILE_FIELDS = [
+  'company_name', 'product_name', 'product_description', 'customer_count',
+  'value_props', 'default_value_prop', 'default_team_member_id'
+];
+
+const CASE_STUDY_FIELDS = [
+  'customer_company', 'industry', 'pain_labels', 'metric', 'result',
+  'timeframe', 'summary', 'url', 'active'
+];
+
+// VARCHAR columns keep their sizes; TEXT columns are kept to what fits in an email
+const MAX_LENGTH = {
+  company_name: 255,
+  product_name: 255,
+  product_description: 2000,
+  default_value_prop: 1000,
+  value_prop: 1000,
+  customer_company: 255,
+  industry: 255,
+  metric: 255,
+  result: 500,
+  timeframe: 100,
+  summary: 5000,
+  url: 2000
+};
+
+function validateText(field, value, { required = false, maxLength = MAX_LENGTH[field] } = {}) {
+  if (value === null || value === undefined || value === '') {
+    return required ? { error: `${field} is required` } : { value: null };
+  }
+
+  if (typeof value !== 'string') {
+    return { error: `${field} must be a string` };
+  }
+
+  const trimmed = value.trim();
+  if (required && !trimmed) {
+    return { error: `${field} is required` };
+  }
+  if (trimmed.length > maxLength) {
+    return { error: `${field} must be at most ${maxLength} characters` };
+  }
+
+  return { value: trimmed || null };
+}
+
+/**
+ * Check the fields both validators share: unknown fields, then text fields
+ * @returns {Object} { values, errors }
+ */
+function validateFields(input, { fields, textFields, required, partial, noun }) {
+  const errors = [];
+  const values = {};
+
+  for (const field of Object.keys(input)) {
+    if (!fields.includes(field)) {
+      errors.push(`${field} is not a ${noun} field`);
+    }
+  }
+
+  for (const field of textFields) {
+    const isRequired = required.includes(field);
+    if ((partial || !isRequired) && input[field] === undefined) continue;
+
+    const { value, error } = validateText(field, input[field], { required: isRequired });
+    if (error) {
+      errors.push(error);
+    } else {
+      values[field] = value;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * { data_quality: "..." } - one value prop per pain label
+ */
+function validateValueProps(value) {
+  if (value === null) return { value: {}, errors: [] };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { errors: ['value_props must be an object of pain label to value prop'] };
+  }
+
+  const labels = Object.keys(config.painTaxonomy.labels);
+  const errors = [];
+  const valueProps = {};
+
+  Object.entries(value).forEach(([label, text]) => {
+    if (!labels.includes(label)) {
+      errors.push(`value_props: "${label}" is not a pain label (one of: ${labels.join(', ')})`);
+      return;
+    }
+
+    const { value: trimmed, error } = validateText(`value_props.${label}`, text, {
+      maxLength: MAX_LENGTH.value_prop
+    });
+    if (error) {
+      errors.push(error);
+    } else if (trimmed) {
+      valueProps[label] = trimmed;
+    }
+  });
+
+  return { value: valueProps, errors };
+}
+
+/**
+ * Validate a seller profile payload
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial: true for PATCH (nothing is required) }
+ * @returns {Object} { profile, errors } - profile holds only the fields provided
+ */
+function validateSellerProfile(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { profile: null, errors: ['Request body must be an object'] };
+  }
+
+  const { values: profile, errors } = validateFields(input, {
+    fields: PROFILE_FIELDS,
+    textFields: ['company_name', 'product_name', 'product_description', 'default_value_prop'],
+    required: ['company_name', 'product_name'],
+    partial,
+    noun: 'seller profile'
+  });
+
+  // PATCH can change the names but not clear them
+  for (const field of ['company_name', 'product_name']) {
+    if (profile[field] === null) {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  if (input.customer_count !== undefined) {
+    if (input.customer_count !== null && (!Number.isInteger(input.customer_count) || input.customer_count < 0)) {
+      errors.push('customer_count must be a non-negative integer');
+    } else {
+      profile.customer_count = input.customer_count;
+    }
+  }
+
+  if (input.value_props !== undefined) {
+    const { value, errors: valuePropErrors } = validateValueProps(input.value_props);
+    errors.push(...valuePropErrors);
+    if (valuePropErrors.length === 0) profile.value_props = value;
+  }
+
+  if (input.default_team_member_id !== undefined) {
+    const id = input.default_team_member_id;
+    if (id !== null && (!Number.isInteger(id) || id < 1)) {
+      errors.push('default_team_member_id must be a team member ID');
+    } else {
+      profile.default_team_member_id = id;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(profile).length === 0) {
+    errors.push(`Provide at least one of: ${PROFILE_FIELDS.join(', ')}`);
+  }
+
+  return {
+    profile: errors.length === 0 ? profile : null,
+    errors
+  };
+}
+
+/**
+ * Validate a case study payload
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial: true for PATCH (nothing is required) }
+ * @returns {Object} { caseStudy, errors } - caseStudy holds only the fields provided
+ */
+function validateCaseStudy(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { caseStudy: null, errors: ['Request body must be an object'] };
+  }
+
+  const required = ['customer_company', 'metric', 'result'];
+  const { values: caseStudy, errors } = validateFields(input, {
+    fields: CASE_STUDY_FIELDS,
+    textFields: ['customer_company', 'industry', 'metric', 'result', 'timeframe', 'summary', 'url'],
+    required,
+    partial,
+    noun: 'case study'
+  });
+
+  for (const field of required) {
+    if (caseStudy[field] === null) {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  if (caseStudy.url && !/^https?:\/\/\S+$/i.test(caseStudy.url)) {
+    errors.push('url must be an http(s) URL');
+  }
+
+  if (input.pain_labels !== undefined) {
+    const labels = Object.keys(config.painTaxonomy.labels);
+    const painLabels = input.pain_labels === null ? [] : input.pain_labels;
+
+    if (!Array.isArray(painLabels) || painLabels.some(label => typeof label !== 'string')) {
+      errors.push('pain_labels must be an array of pain labels');
+    } else {
+      const invalid = painLabels.filter(label => !labels.includes(label));
+      if (invalid.length > 0) {
+        errors.push(`pain_labels must be pain labels (${labels.join(', ')}): ${invalid.join(', ')}`);
+      } else {
+        caseStudy.pain_labels = [...new Set(painLabels)];
+      }
+    }
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    } else {
+      caseStudy.active = input.active;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(caseStudy).length === 0) {
+    errors.push(`Provide at least one of: ${CASE_STUDY_FIELDS.join(', ')}`);
+  }
+
+  return {
+    caseStudy: errors.length === 0 ? caseStudy : null,
+    errors
+  };
+}
+
+module.exports = {
+  validateSellerProfile,
+  validateCaseStudy
+};
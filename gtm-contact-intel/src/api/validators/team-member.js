@@ -0,0 +1,247 @@
+/**
+ * Team Member Validation
+ * Shared by creation and PATCH. Positions and education are stored in the
+ * shapes the LinkedIn parsers produce ('YYYY-MM' months, years as integers)
+ * so the relationship graph compares reps and contacts the same way.
+ */
+
+const { normalizeLinkedInUrl } = require('./contact');
+
+const FIELDS = [
+  'full_name', 'email', 'title', 'linkedin_url', 'phone', 'signature', 'positions', 'education', 'active'
+];
+
+// VARCHAR(255) columns on the team_members table
+const MAX_LENGTH = 255;
+const MAX_PHONE_LENGTH = 50;
+const MAX_SIGNATURE_LENGTH = 1000;
+const MAX_ENTRIES = 50;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,}$/;
+const MONTH_PATTERN = /^\d{4}-(?:0[1-9]|1[0-2])$/;
+
+function validateText(field, value, { required = false } = {}) {
+  if (value === null || value === undefined || value === '') {
+    return required ? { error: `${field} is required` } : { value: null };
+  }
+
+  if (typeof value !== 'string') {
+    return { error: `${field} must be a string` };
+  }
+
+  const trimmed = value.trim();
+  if (required && !trimmed) {
+    return { error: `${field} is required` };
+  }
+  if (trimmed.length > MAX_LENGTH) {
+    return { error: `${field} must be at most ${MAX_LENGTH} characters` };
+  }
+
+  return { value: trimmed || null };
+}
+
+/**
+ * Validate work history
+ * @returns {Object} { value, errors } - [{ company_name, title, start_month, end_month, is_current }]
+ */
+function validatePositions(value) {
+  if (!Array.isArray(value)) {
+    return { errors: ['positions must be an array'] };
+  }
+  if (value.length > MAX_ENTRIES) {
+    return { errors: [`positions can have at most ${MAX_ENTRIES} entries`] };
+  }
+
+  const errors = [];
+  const positions = value.map((position, i) => {
+    if (!position || typeof position !== 'object') {
+      errors.push(`positions[${i}] must be an object`);
+      return null;
+    }
+
+    const company = validateText(`positions[${i}].company_name`, position.company_name, { required: true });
+    const title = validateText(`positions[${i}].title`, position.title);
+    [company, title].forEach(({ error }) => error && errors.push(error));
+
+    for (const field of ['start_month', 'end_month']) {
+      if (position[field] && !MONTH_PATTERN.test(position[field])) {
+        errors.push(`positions[${i}].${field} must be a 'YYYY-MM' month`);
+      }
+    }
+    if (position.start_month && position.end_month && position.end_month < position.start_month) {
+      errors.push(`positions[${i}].end_month must not be before start_month`);
+    }
+
+    return {
+      company_name: company.value,
+      title: title.value,
+      start_month: position.start_month || null,
+      end_month: position.end_month || null,
+      is_current: position.is_current === undefined ? !position.end_month : Boolean(position.is_current)
+    };
+  });
+
+  return { value: positions, errors };
+}
+
+/**
+ * Validate schools
+ * @returns {Object} { value, errors } - [{ school, degree, start_year, end_year }]
+ */
+function validateEducation(value) {
+  if (!Array.isArray(value)) {
+    return { errors: ['education must be an array'] };
+  }
+  if (value.length > MAX_ENTRIES) {
+    return { errors: [`education can have at most ${MAX_ENTRIES} entries`] };
+  }
+
+  const errors = [];
+  const education = value.map((entry, i) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`education[${i}] must be an object`);
+      return null;
+    }
+
+    const school = validateText(`education[${i}].school`, entry.school, { required: true });
+    const degree = validateText(`education[${i}].degree`, entry.degree);
+    [school, degree].forEach(({ error }) => error && errors.push(error));
+
+    for (const field of ['start_year', 'end_year']) {
+      if (entry[field] !== undefined && entry[field] !== null &&
+          (!Number.isInteger(entry[field]) || entry[field] < 1900 || entry[field] > 2100)) {
+        errors.push(`education[${i}].${field} must be a year`);
+      }
+    }
+
+    return {
+      school: school.value,
+      degree: degree.value,
+      start_year: entry.start_year ?? null,
+      end_year: entry.end_year ?? null
+    };
+  });
+
+  return { value: education, errors };
+}
+
+/**
+ * Validate a team member payload
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial: true for PATCH (nothing is required) }
+ * @returns {Object} { member, errors } - member holds only the fields provided
+ */
+function validateTeamMember(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { member: null, errors: ['Request body must be an object'] };
+  }
+
+  const errors = [];
+  const member = {};
+
+  for (const field of Object.keys(input)) {
+    if (!FIELDS.includes(field)) {
+      errors.push(`${field} is not a team member field`);
+    }
+  }
+
+  if (!partial || input.full_name !== undefined) {
+    const { value, error } = validateText('full_name', input.full_name, { required: true });
+    if (error) {
+      errors.push(error);
+    } else {
+      member.full_name = value;
+    }
+  }
+
+  if (input.title !== undefined) {
+    const { value, error } = validateText('title', input.title);
+    if (error) {
+      errors.push(error);
+    } else {
+      member.title = value;
+    }
+  }
+
+  if (input.email !== undefined) {
+    const { value, error } = validateText('email', input.email);
+    if (error) {
+      errors.push(error);
+    } else if (value && !EMAIL_PATTERN.test(value)) {
+      errors.push('email must be a valid email address');
+    } else {
+      member.email = value ? value.toLowerCase() : null;
+    }
+  }
+
+  if (input.phone !== undefined) {
+    const { value, error } = validateText('phone', input.phone);
+    if (error) {
+      errors.push(error);
+    } else if (value && (value.length > MAX_PHONE_LENGTH || !PHONE_PATTERN.test(value))) {
+      errors.push('phone must be a phone number');
+    } else {
+      member.phone = value;
+    }
+  }
+
+  // The sign-off outreach ends with - line breaks are kept
+  if (input.signature !== undefined) {
+    if (input.signature === null || input.signature === '') {
+      member.signature = null;
+    } else if (typeof input.signature !== 'string') {
+      errors.push('signature must be a string');
+    } else if (input.signature.length > MAX_SIGNATURE_LENGTH) {
+      errors.push(`signature must be at most ${MAX_SIGNATURE_LENGTH} characters`);
+    } else {
+      member.signature = input.signature.replace(/^\s*\n|\s+$/g, '') || null;
+    }
+  }
+
+  if (input.linkedin_url !== undefined) {
+    if (input.linkedin_url === null || input.linkedin_url === '') {
+      member.linkedin_url = null;
+    } else {
+      const url = normalizeLinkedInUrl(input.linkedin_url);
+      if (!url) {
+        errors.push('linkedin_url must be a LinkedIn profile URL (linkedin.com/in/...)');
+      } else {
+        member.linkedin_url = url;
+      }
+    }
+  }
+
+  if (input.positions !== undefined) {
+    const { value, errors: positionErrors } = validatePositions(input.positions);
+    errors.push(...positionErrors);
+    if (positionErrors.length === 0) member.positions = value;
+  }
+
+  if (input.education !== undefined) {
+    const { value, errors: educationErrors } = validateEducation(input.education);
+    errors.push(...educationErrors);
+    if (educationErrors.length === 0) member.education = value;
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    } else {
+      member.active = input.active;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(member).length === 0) {
+    errors.push(`Provide at least one of: ${FIELDS.join(', ')}`);
+  }
+
+  return {
+    member: errors.length === 0 ? member : null,
+    errors
+  };
+}
+
+module.exports = {
+  validateTeamMember
+};
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./client');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Advisory lock key - only one runner may migrate a database at a time
+const MIGRATION_LOCK_ID = 72010001;
+
+/**
+ * Migration Runner
+ * Applies numbered SQL migrations from src/db/migrations and records them in
+ * schema_migrations. Each migration is a pair of files:
+ *   NNNN_description.up.sql    - applies the change
+ *   NNNN_description.down.sql  - reverts it
+ * Every migration runs in its own transaction.
+ *
+ * CLI: node src/db/migrate.js <up|down|status|baseline> [--to NNNN] [--steps N]
+ */
+class Migrator {
+  /**
+   * Read migration files from disk, ordered by version
+   * @returns {Array} [{ version, name, upPath, downPath, checksum }]
+   */
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) continue;
+
+      const [, version, name, direction] = match;
+      const migration = migrations.get(version) || { version, name };
+
+      if (migration.name !== name) {
+        throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+      }
+
+      migration[`${direction}Path`] = path.join(MIGRATIONS_DIR, file);
+      migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+      .map(migration => {
+        if (!migration.upPath || !migration.downPath) {
+          throw new Error(`Migration ${migration.version}_${migration.name} needs both .up.sql and .down.sql files`);
+        }
+
+        return {
+          ...migration,
+          checksum: this.checksum(fs.readFileSync(migration.upPath, 'utf8'))
+        };
+      })
+      .sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  checksum(sql) {
+    return crypto.createHash('sha256').update(sql).digest('hex');
+  }
+
+  /**
+   * Run fn with a dedicated client holding the migration lock
+   */
+  async withLock(fn) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+      await this.ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+      client.release();
+    }
+  }
+
+  async ensureMigrationsTable(client) {
+    await client.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version VARCHAR(20) PRIMARY KEY,
+         name VARCHAR(255) NOT NULL,
+         checksum VARCHAR(64) NOT NULL,
+         applied_at TIMESTAMP DEFAULT NOW()
+       )`
+    );
+  }
+
+  async getApplied(client) {
+    const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Applied and pending migrations
+   * @returns {Promise<Array>} [{ version, name, status, applied_at, modified }]
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+
+      const rows = migrations.map(migration => {
+        const record = applied.get(migration.version);
+        return {
+          version: migration.version,
+          name: migration.name,
+          status: record ? 'applied' : 'pending',
+          applied_at: record?.applied_at || null,
+          // The .up.sql file was edited after it was applied
+          modified: record ? record.checksum !== migration.checksum : false
+        };
+      });
+
+      // Applied in the database but no longer on disk
+      for (const record of applied.values()) {
+        if (!migrations.some(m => m.version === record.version)) {
+          rows.push({
+            version: record.version,
+            name: record.name,
+            status: 'missing',
+            applied_at: record.applied_at,
+            modified: false
+          });
+        }
+      }
+
+      return rows.sort((a, b) => a.version.localeCompare(b.version));
+    });
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} options - { to: last version to apply (default: all) }
+   * @returns {Promise<Array>} Applied migrations
+   */
+  async up({ to = null } = {}) {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      const pending = migrations.filter(m =>
+        !applied.has(m.version) && (!to || m.version <= to)
+      );
+
+      for (const migration of pending) {
+        console.log(`Applying ${migration.version}_${migration.name}`);
+
+        await this.runInTransaction(client, async () => {
+          await client.query(fs.readFileSync(migration.upPath, 'utf8'));
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, migration.checksum]
+          );
+        });
+      }
+
+      return pending;
+    });
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} options - { steps: number to revert (default 1), to: revert everything after this version }
+   * @returns {Promise<Array>} Reverted migrations
+   */
+  async down({ steps = 1, to = null } = {}) {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      const appliedVersions = [...applied.keys()].sort().reverse();
+
+      const targets = to
+        ? appliedVersions.filter(version => version > to)
+        : appliedVersions.slice(0, steps);
+
+      const reverted = [];
+      for (const version of targets) {
+        const migration = migrations.find(m => m.version === version);
+        if (!migration) {
+          throw new Error(`Cannot revert ${version}_${applied.get(version).name}: migration files not found`);
+        }
+
+        console.log(`Reverting ${migration.version}_${migration.name}`);
+
+        await this.runInTransaction(client, async () => {
+          await client.query(fs.readFileSync(migration.downPath, 'utf8'));
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+
+        reverted.push(migration);
+      }
+
+      return reverted;
+    });
+  }
+
+  /**
+   * Mark migrations as applied without running them - for databases created
+   * from the old schema.sql before the migration runner existed
+   * @param {string} to - Last version the database already matches
+   */
+  async baseline(to) {
+    const migrations = this.loadMigrations().filter(m => m.version <= to);
+
+    return this.withLock(async (client) => {
+      const applied = await this.getApplied(client);
+      const marked = migrations.filter(m => !applied.has(m.version));
+
+      for (const migration of marked) {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      }
+
+      return marked;
+    });
+  }
+
+  async runInTransaction(client, fn) {
+    await client.query('BEGIN');
+    try {
+      await fn();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+}
+
+const migrator = new Migrator();
+
+/**
+ * CLI entrypoint
+ */
+async function main(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i += 2) {
+    const flag = rest[i].replace(/^--/, '');
+    options[flag] = rest[i + 1];
+  }
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.up({ to: options.to });
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s)`
+        : 'Database is up to date');
+      break;
+    }
+
+    case 'down': {
+      const reverted = await migrator.down({
+        steps: options.steps ? parseInt(options.steps, 10) : 1,
+        to: options.to
+      });
+      console.log(`Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+
+    case 'status': {
+      const rows = await migrator.status();
+      rows.forEach(row => {
+        const appliedAt = row.applied_at ? new Date(row.applied_at).toISOString() : '';
+        const flag = row.modified ? '  (modified since applied)' : '';
+        console.log(`${row.status.padEnd(8)} ${row.version}_${row.name.padEnd(40)} ${appliedAt}${flag}`);
+      });
+      if (rows.length === 0) console.log('No migrations found');
+      break;
+    }
+
+    case 'baseline': {
+      if (!options.to) {
+        throw new Error('baseline requires --to <version>');
+      }
+      const marked = await migrator.baseline(options.to);
+      console.log(`Marked ${marked.length} migration(s) as applied`);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}" (expected up, down, status or baseline)`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => db.end())
+    .catch(async (error) => {
+      console.error('Migration failed:', error.message);
+      await db.end().catch(() => {});
+      process.exit(1);
+    });
+}
+
+module.exports = migrator;
@@ -0,0 +1,16 @@
+-- Migration 0001 rollback: drops the whole schema (ALL DATA IS LOST)
+
+DROP TABLE IF EXISTS gtm_playbooks;
+DROP TABLE IF EXISTS research_jobs;
+DROP TABLE IF EXISTS intelligence_signals;
+DROP TABLE IF EXISTS company_tech_stack;
+DROP TABLE IF EXISTS job_postings;
+DROP TABLE IF EXISTS speaking_engagements;
+DROP TABLE IF EXISTS github_activity;
+DROP TABLE IF EXISTS linkedin_profile_changes;
+DROP TABLE IF EXISTS linkedin_engagement;
+DROP TABLE IF EXISTS linkedin_posts;
+DROP TABLE IF EXISTS linkedin_activity;
+DROP TABLE IF EXISTS contacts;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -1,21 +1,8 @@
+-- Migration 0001: initial schema - the old schema.sql, without its DROP TABLE statements
 -- GTM Contact Intelligence Database Schema
 -- PostgreSQL 14+
 -- Focus: LinkedIn-first intelligence gathering
 
--- Drop tables if they exist (for clean reinstall)
-DROP TABLE IF EXISTS gtm_playbooks CASCADE;
-DROP TABLE IF EXISTS research_jobs CASCADE;
-DROP TABLE IF EXISTS intelligence_signals CASCADE;
-DROP TABLE IF EXISTS company_tech_stack CASCADE;
-DROP TABLE IF EXISTS job_postings CASCADE;
-DROP TABLE IF EXISTS speaking_engagements CASCADE;
-DROP TABLE IF EXISTS github_activity CASCADE;
-DROP TABLE IF EXISTS linkedin_profile_changes CASCADE;
-DROP TABLE IF EXISTS linkedin_engagement CASCADE;
-DROP TABLE IF EXISTS linkedin_posts CASCADE;
-DROP TABLE IF EXISTS linkedin_activity CASCADE;
-DROP TABLE IF EXISTS contacts CASCADE;
-
 -- Core contact tracking
 CREATE TABLE contacts (
     id SERIAL PRIMARY KEY,
@@ -0,0 +1,29 @@
+-- Migration 0002 rollback (batches, stage progress and queue state are lost)
+
+DROP INDEX IF EXISTS idx_research_batch;
+DROP INDEX IF EXISTS idx_research_heartbeat;
+DROP INDEX IF EXISTS idx_research_queue;
+
+DROP TABLE IF EXISTS research_batch_rows;
+DROP TABLE IF EXISTS research_job_stages;
+
+ALTER TABLE research_jobs
+    DROP CONSTRAINT research_jobs_contact_id_fkey,
+    ADD CONSTRAINT research_jobs_contact_id_fkey
+        FOREIGN KEY (contact_id) REFERENCES contacts(id);
+
+ALTER TABLE research_jobs
+    DROP COLUMN IF EXISTS started_at,
+    DROP COLUMN IF EXISTS heartbeat_at,
+    DROP COLUMN IF EXISTS locked_at,
+    DROP COLUMN IF EXISTS locked_by,
+    DROP COLUMN IF EXISTS run_after,
+    DROP COLUMN IF EXISTS max_attempts,
+    DROP COLUMN IF EXISTS attempts,
+    DROP COLUMN IF EXISTS batch_id;
+
+DROP TABLE IF EXISTS research_batches;
+
+DROP TRIGGER IF EXISTS ensure_contacts_company ON contacts;
+DROP FUNCTION IF EXISTS ensure_contact_company();
+DROP TABLE IF EXISTS companies;
@@ -0,0 +1,110 @@
+-- Migration 0002: durable research queue, stage progress, bulk batches and companies
+-- Everything added to schema.sql after the baseline, so databases created from
+-- it (baselined at 0001) catch up here.
+
+-- Accounts (one row per company domain; created automatically from contacts)
+CREATE TABLE companies (
+    id SERIAL PRIMARY KEY,
+    domain VARCHAR(255) UNIQUE NOT NULL,
+    name VARCHAR(255),
+    jobs_scraped_at TIMESTAMP, -- Last careers-page scrape; job postings are shared by every contact at the domain
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_companies_name ON companies(name);
+
+CREATE TRIGGER update_companies_updated_at BEFORE UPDATE ON companies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Every contact's company_domain has a companies row
+CREATE OR REPLACE FUNCTION ensure_contact_company()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.company_domain IS NOT NULL THEN
+        INSERT INTO companies (domain, name)
+        VALUES (NEW.company_domain, NEW.current_company)
+        ON CONFLICT (domain) DO UPDATE SET
+            name = COALESCE(companies.name, EXCLUDED.name);
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER ensure_contacts_company AFTER INSERT OR UPDATE OF company_domain, current_company ON contacts
+    FOR EACH ROW EXECUTE FUNCTION ensure_contact_company();
+
+-- Companies for the contacts already stored, named after their oldest contact's company
+INSERT INTO companies (domain, name)
+SELECT DISTINCT ON (company_domain) company_domain, current_company
+FROM contacts
+WHERE company_domain IS NOT NULL
+ORDER BY company_domain, (current_company IS NULL), id;
+
+COMMENT ON TABLE companies IS 'Account records - contacts, job postings and tech stack roll up by domain';
+
+-- Bulk research intake (POST /api/research/bulk) - one batch per uploaded list
+CREATE TABLE research_batches (
+    id SERIAL PRIMARY KEY,
+    source_format VARCHAR(20) NOT NULL, -- 'csv', 'json'
+    total_rows INTEGER DEFAULT 0,
+    queued_rows INTEGER DEFAULT 0,
+    duplicate_rows INTEGER DEFAULT 0,
+    invalid_rows INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Research job queue (claimed by workers with SELECT ... FOR UPDATE SKIP LOCKED)
+ALTER TABLE research_jobs
+    ADD COLUMN batch_id INTEGER REFERENCES research_batches(id) ON DELETE SET NULL,
+    ADD COLUMN attempts INTEGER DEFAULT 0,
+    ADD COLUMN max_attempts INTEGER DEFAULT 3,
+    ADD COLUMN run_after TIMESTAMP DEFAULT NOW(), -- Earliest time a worker may claim the job (retry backoff)
+    ADD COLUMN locked_by VARCHAR(255), -- Worker currently processing the job
+    ADD COLUMN locked_at TIMESTAMP,
+    ADD COLUMN heartbeat_at TIMESTAMP,
+    ADD COLUMN started_at TIMESTAMP;
+
+-- Deleting a contact deletes their research jobs
+ALTER TABLE research_jobs
+    DROP CONSTRAINT research_jobs_contact_id_fkey,
+    ADD CONSTRAINT research_jobs_contact_id_fkey
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE;
+
+-- Jobs the old in-process runner left mid-flight have no worker; queue them again
+UPDATE research_jobs SET status = 'pending' WHERE status = 'processing';
+
+-- Per-stage progress for research jobs. Completed stages double as resume
+-- checkpoints: a retried job skips every stage already marked 'completed'.
+CREATE TABLE research_job_stages (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER REFERENCES research_jobs(id) ON DELETE CASCADE,
+    stage VARCHAR(50) NOT NULL, -- 'linkedin', 'github', 'podcasts', 'jobs', 'playbook'
+    position INTEGER NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'running', 'completed', 'failed', 'skipped'
+    attempt INTEGER DEFAULT 0,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    error_message TEXT,
+    result JSONB,
+    UNIQUE(job_id, stage)
+);
+
+-- Every input row of a bulk batch, including rejected ones (per-row error report)
+CREATE TABLE research_batch_rows (
+    id SERIAL PRIMARY KEY,
+    batch_id INTEGER REFERENCES research_batches(id) ON DELETE CASCADE,
+    row_number INTEGER NOT NULL, -- 1-based position in the uploaded list
+    input JSONB NOT NULL,
+    status VARCHAR(50) NOT NULL, -- 'queued', 'duplicate', 'invalid'
+    errors JSONB, -- Validation or dedupe messages for rejected rows
+    contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+    job_id INTEGER REFERENCES research_jobs(id) ON DELETE SET NULL,
+    UNIQUE(batch_id, row_number)
+);
+
+CREATE INDEX idx_research_queue ON research_jobs(run_after, id) WHERE status = 'pending';
+CREATE INDEX idx_research_heartbeat ON research_jobs(heartbeat_at) WHERE status = 'processing';
+CREATE INDEX idx_research_stages_job ON research_job_stages(job_id, position);
+CREATE INDEX idx_research_batch ON research_jobs(batch_id) WHERE batch_id IS NOT NULL;
+CREATE INDEX idx_research_batch_rows_status ON research_batch_rows(batch_id, status);
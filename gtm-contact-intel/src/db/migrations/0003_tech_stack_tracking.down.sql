@@ -0,0 +1,16 @@
+-- Migration 0003 rollback
+
+COMMENT ON TABLE company_tech_stack IS NULL;
+
+DROP INDEX IF EXISTS idx_tech_current;
+CREATE INDEX idx_tech_current ON company_tech_stack(is_current) WHERE is_current = TRUE;
+
+ALTER TABLE company_tech_stack DROP CONSTRAINT IF EXISTS company_tech_stack_domain_tool_source_key;
+
+ALTER TABLE company_tech_stack ALTER COLUMN tool_name DROP NOT NULL;
+ALTER TABLE company_tech_stack ALTER COLUMN source DROP NOT NULL;
+
+ALTER TABLE company_tech_stack
+    DROP COLUMN IF EXISTS evidence_count,
+    DROP COLUMN IF EXISTS first_seen_at,
+    DROP COLUMN IF EXISTS last_seen_at;
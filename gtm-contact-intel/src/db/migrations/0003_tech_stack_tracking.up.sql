@@ -0,0 +1,29 @@
+-- Migration 0003: one company_tech_stack row per (domain, tool, source)
+-- Repeated detections from a source update the row instead of adding new ones
+
+DELETE FROM company_tech_stack WHERE tool_name IS NULL;
+UPDATE company_tech_stack SET source = 'unknown' WHERE source IS NULL;
+
+-- Keep the newest row if a tool was recorded more than once for the same source
+DELETE FROM company_tech_stack t
+USING company_tech_stack newer
+WHERE t.company_domain = newer.company_domain
+  AND t.tool_name = newer.tool_name
+  AND t.source = newer.source
+  AND t.id < newer.id;
+
+ALTER TABLE company_tech_stack
+    ADD COLUMN evidence_count INTEGER DEFAULT 1,
+    ADD COLUMN first_seen_at TIMESTAMP DEFAULT NOW(),
+    ADD COLUMN last_seen_at TIMESTAMP DEFAULT NOW();
+
+ALTER TABLE company_tech_stack ALTER COLUMN tool_name SET NOT NULL;
+ALTER TABLE company_tech_stack ALTER COLUMN source SET NOT NULL;
+
+ALTER TABLE company_tech_stack
+    ADD CONSTRAINT company_tech_stack_domain_tool_source_key UNIQUE (company_domain, tool_name, source);
+
+DROP INDEX IF EXISTS idx_tech_current;
+CREATE INDEX idx_tech_current ON company_tech_stack(company_domain, is_current) WHERE is_current = TRUE;
+
+COMMENT ON TABLE company_tech_stack IS 'Tool detections per company and source - confidence merged across sources at read time';
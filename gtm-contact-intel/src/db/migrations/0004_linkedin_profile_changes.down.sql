@@ -0,0 +1,14 @@
+-- Migration 0004 rollback
+
+COMMENT ON TABLE linkedin_profile_changes IS NULL;
+
+DROP INDEX IF EXISTS idx_linkedin_changes_contact;
+CREATE INDEX idx_linkedin_changes_contact ON linkedin_profile_changes(contact_id);
+
+ALTER TABLE linkedin_profile_changes
+    DROP COLUMN IF EXISTS source,
+    DROP COLUMN IF EXISTS details;
+
+ALTER TABLE linkedin_activity
+    DROP COLUMN IF EXISTS current_title,
+    DROP COLUMN IF EXISTS current_company;
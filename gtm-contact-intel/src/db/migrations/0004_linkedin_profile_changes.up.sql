@@ -0,0 +1,16 @@
+-- Migration 0004: keep the fields profile changes are detected from
+-- linkedin_activity only held the headline, so title and company are stored
+-- explicitly; each detected change records where the new profile came from
+
+ALTER TABLE linkedin_activity
+    ADD COLUMN current_title VARCHAR(255),
+    ADD COLUMN current_company VARCHAR(255);
+
+ALTER TABLE linkedin_profile_changes
+    ADD COLUMN source VARCHAR(50), -- 'scrape', 'manual_entry'
+    ADD COLUMN details JSONB;
+
+DROP INDEX IF EXISTS idx_linkedin_changes_contact;
+CREATE INDEX idx_linkedin_changes_contact ON linkedin_profile_changes(contact_id, detected_date DESC);
+
+COMMENT ON TABLE linkedin_profile_changes IS 'Job, title, company and location changes detected by diffing re-scraped LinkedIn profiles';
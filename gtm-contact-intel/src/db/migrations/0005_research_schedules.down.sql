@@ -0,0 +1,9 @@
+-- Migration 0005 rollback
+
+ALTER TABLE linkedin_posts DROP COLUMN IF EXISTS created_at;
+
+ALTER TABLE research_jobs
+    DROP COLUMN IF EXISTS schedule_id,
+    DROP COLUMN IF EXISTS sources;
+
+DROP TABLE IF EXISTS research_schedules;
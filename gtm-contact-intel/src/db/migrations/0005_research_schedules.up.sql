@@ -0,0 +1,36 @@
+-- Migration 0005: scheduled re-research
+-- A schedule refreshes one contact or every contact of a bulk list on a cadence;
+-- scheduled jobs only run the stages whose data has gone stale
+
+CREATE TABLE research_schedules (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE,
+    batch_id INTEGER REFERENCES research_batches(id) ON DELETE CASCADE,
+    cadence VARCHAR(20) NOT NULL, -- 'daily', 'weekly', 'biweekly', 'monthly', 'quarterly'
+    interval_days INTEGER NOT NULL,
+    enabled BOOLEAN DEFAULT TRUE,
+    next_run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_run_at TIMESTAMP,
+    last_run_summary JSONB, -- Jobs queued and contacts skipped as fresh on the last run
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK ((contact_id IS NULL) <> (batch_id IS NULL))
+);
+
+CREATE UNIQUE INDEX idx_schedules_contact ON research_schedules(contact_id) WHERE contact_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_schedules_batch ON research_schedules(batch_id) WHERE batch_id IS NOT NULL;
+CREATE INDEX idx_schedules_due ON research_schedules(next_run_at) WHERE enabled = TRUE;
+
+CREATE TRIGGER update_research_schedules_updated_at BEFORE UPDATE ON research_schedules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Stages a job should run (NULL = every stage) and the schedule that queued it
+ALTER TABLE research_jobs
+    ADD COLUMN sources TEXT[],
+    ADD COLUMN schedule_id INTEGER REFERENCES research_schedules(id) ON DELETE SET NULL;
+
+-- When a post was first seen, for "new since last run" reports
+ALTER TABLE linkedin_posts ADD COLUMN created_at TIMESTAMP DEFAULT NOW();
+UPDATE linkedin_posts SET created_at = scraped_at;
+
+COMMENT ON TABLE research_schedules IS 'Refresh cadences for contacts and bulk lists - run by the scheduler in the worker process';
@@ -0,0 +1,17 @@
+-- Migration 0006 rollback (superseded and archived signals become active again)
+
+DROP INDEX IF EXISTS idx_signals_expires;
+DROP INDEX IF EXISTS idx_signals_active;
+DROP INDEX IF EXISTS idx_signals_fingerprint;
+
+ALTER TABLE intelligence_signals
+    DROP COLUMN IF EXISTS archive_reason,
+    DROP COLUMN IF EXISTS archived_at,
+    DROP COLUMN IF EXISTS superseded_at,
+    DROP COLUMN IF EXISTS superseded_by,
+    DROP COLUMN IF EXISTS expires_at,
+    DROP COLUMN IF EXISTS last_seen_at,
+    DROP COLUMN IF EXISTS fingerprint,
+    DROP COLUMN IF EXISTS source_ref,
+    DROP COLUMN IF EXISTS signal_key,
+    DROP COLUMN IF EXISTS signal_source;
@@ -0,0 +1,54 @@
+-- Migration 0006: signal fingerprints and lifecycle
+-- A signal is identified by (contact, fingerprint) where the fingerprint hashes
+-- its type, its slot (signal_key) and its source reference (e.g. post URL).
+-- Re-detecting a signal refreshes the row; a new signal in the same slot
+-- supersedes the old one; signals expire and are eventually archived.
+
+ALTER TABLE intelligence_signals
+    ADD COLUMN signal_source VARCHAR(50), -- Producer: 'linkedin', 'profile_changes', 'github', 'podcasts', 'job_postings'
+    ADD COLUMN signal_key VARCHAR(100), -- Slot within the producer, e.g. 'latest_pain_point'
+    ADD COLUMN source_ref TEXT, -- What the signal is about, e.g. a post URL
+    ADD COLUMN fingerprint VARCHAR(64),
+    ADD COLUMN last_seen_at TIMESTAMP DEFAULT NOW(),
+    ADD COLUMN expires_at TIMESTAMP,
+    ADD COLUMN superseded_by INTEGER REFERENCES intelligence_signals(id) ON DELETE SET NULL,
+    ADD COLUMN superseded_at TIMESTAMP,
+    ADD COLUMN archived_at TIMESTAMP,
+    ADD COLUMN archive_reason VARCHAR(50); -- 'not_detected', 'expired', 'superseded'
+
+-- Existing signals have no slot. They get a fingerprint from their text and are
+-- archived the next time their producer runs (it no longer emits 'legacy' signals).
+-- Their expires_at stays NULL until the signal lifecycle's archive pass sets it
+-- from config.signalLifecycle.ttlDays.
+UPDATE intelligence_signals SET
+    signal_source = CASE
+        WHEN signal_type = 'linkedin_profile_change' THEN 'profile_changes'
+        WHEN signal_type LIKE 'linkedin%' THEN 'linkedin'
+        WHEN signal_type = 'github_activity' THEN 'github'
+        WHEN signal_type = 'speaking_engagement' THEN 'podcasts'
+        WHEN signal_type LIKE 'company%' THEN 'job_postings'
+        ELSE 'unknown'
+    END,
+    signal_key = 'legacy',
+    fingerprint = md5(signal_type || '|' || COALESCE(description, '')),
+    last_seen_at = detected_at;
+
+-- Collapse exact duplicates onto the newest copy
+UPDATE intelligence_signals s
+SET superseded_by = d.newest_id,
+    superseded_at = NOW()
+FROM (
+    SELECT id, FIRST_VALUE(id) OVER (
+        PARTITION BY contact_id, fingerprint ORDER BY detected_at DESC, id DESC
+    ) AS newest_id
+    FROM intelligence_signals
+) d
+WHERE s.id = d.id AND d.newest_id <> s.id;
+
+ALTER TABLE intelligence_signals ALTER COLUMN fingerprint SET NOT NULL;
+
+CREATE UNIQUE INDEX idx_signals_fingerprint ON intelligence_signals(contact_id, fingerprint)
+    WHERE superseded_by IS NULL AND archived_at IS NULL;
+CREATE INDEX idx_signals_active ON intelligence_signals(contact_id, signal_source)
+    WHERE superseded_by IS NULL AND archived_at IS NULL;
+CREATE INDEX idx_signals_expires ON intelligence_signals(expires_at) WHERE archived_at IS NULL;
@@ -0,0 +1,8 @@
+-- Migration 0007 rollback
+
+DROP INDEX IF EXISTS idx_signals_composite;
+
+ALTER TABLE intelligence_signals
+    DROP COLUMN IF EXISTS scored_at,
+    DROP COLUMN IF EXISTS composite_score,
+    DROP COLUMN IF EXISTS event_at;
@@ -0,0 +1,19 @@
+-- Migration 0007: materialised signal scores and event dates for time decay
+-- Scores are decayed at read time; composite_score is the decayed score as of
+-- scored_at, kept for ordering and analytics and refreshed by recalculateAllScores.
+
+ALTER TABLE intelligence_signals
+    ADD COLUMN event_at TIMESTAMP, -- When the underlying event happened (post date, episode date)
+    ADD COLUMN composite_score DECIMAL(4,3),
+    ADD COLUMN scored_at TIMESTAMP;
+
+UPDATE intelligence_signals
+SET event_at = (raw_data->>'postDate')::timestamp
+WHERE raw_data->>'postDate' ~ '^\d{4}-\d{2}-\d{2}';
+
+UPDATE intelligence_signals
+SET event_at = (raw_data->>'date')::timestamp
+WHERE signal_type = 'speaking_engagement' AND raw_data->>'date' ~ '^\d{4}-\d{2}-\d{2}';
+
+CREATE INDEX idx_signals_composite ON intelligence_signals(composite_score DESC)
+    WHERE superseded_by IS NULL AND archived_at IS NULL;
@@ -0,0 +1,6 @@
+-- Migration 0008 rollback
+
+ALTER TABLE linkedin_activity DROP COLUMN IF EXISTS influence_scoring_profile;
+ALTER TABLE intelligence_signals DROP COLUMN IF EXISTS scoring_profile;
+
+DROP TABLE IF EXISTS scoring_profiles;
@@ -0,0 +1,41 @@
+-- Migration 0008: versioned scoring profiles
+-- A profile version is immutable: changing a profile saves a new version, so
+-- any exported score can be reproduced from the name@version it records.
+
+CREATE TABLE scoring_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    description TEXT,
+    -- { composite, linkedinRelevanceBoost, influence, readiness } - see src/processors/scoring-profiles.js
+    model JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(name, version)
+);
+
+CREATE INDEX idx_scoring_profiles_name ON scoring_profiles(name, version DESC);
+
+-- The weights and point buckets that were hard-coded before profiles existed
+INSERT INTO scoring_profiles (name, version, description, model) VALUES (
+    'default',
+    1,
+    'Balanced scoring with LinkedIn priority',
+    '{
+        "composite": { "relevance": 0.4, "urgency": 0.3, "wedgePotential": 0.3 },
+        "linkedinRelevanceBoost": 0.3,
+        "influence": { "posting": 0.25, "engagement": 0.25, "network": 0.25, "contentRelevance": 0.25 },
+        "readiness": {
+            "influence": [{ "above": 0.7, "points": 20 }, { "above": 0.5, "points": 10 }],
+            "posts": [{ "above": 5, "points": 20 }, { "above": 0, "points": 10 }],
+            "signalQuality": [{ "above": 80, "points": 30 }, { "above": 70, "points": 20 }, { "above": 60, "points": 10 }],
+            "playbookStrength": [{ "above": 0.9, "points": 30 }, { "above": 0.8, "points": 20 }, { "above": 0.7, "points": 10 }]
+        }
+    }'::jsonb
+);
+
+-- Which profile version produced a stored score ('name@version')
+ALTER TABLE intelligence_signals ADD COLUMN scoring_profile VARCHAR(60);
+ALTER TABLE linkedin_activity ADD COLUMN influence_scoring_profile VARCHAR(60);
+
+UPDATE intelligence_signals SET scoring_profile = 'default@1' WHERE composite_score IS NOT NULL;
+UPDATE linkedin_activity SET influence_scoring_profile = 'default@1' WHERE influence_score IS NOT NULL;
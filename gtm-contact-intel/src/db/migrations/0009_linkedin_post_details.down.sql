@@ -0,0 +1,12 @@
+-- Migration 0009 rollback
+-- (placeholder posts deleted by the up migration are not restored)
+
+DROP INDEX IF EXISTS idx_linkedin_posts_urn;
+
+ALTER TABLE linkedin_posts
+    DROP COLUMN IF EXISTS reshared_author_url,
+    DROP COLUMN IF EXISTS reshared_author_name,
+    DROP COLUMN IF EXISTS post_date_source,
+    DROP COLUMN IF EXISTS activity_urn;
+
+COMMENT ON COLUMN linkedin_posts.post_type IS NULL;
@@ -0,0 +1,19 @@
+-- Migration 0009: details parsed from the recent-activity page
+-- Posts are keyed by their activity URN and canonical /feed/update/ URL; the
+-- publish date records whether it is exact (URN, <time>) or estimated from
+-- relative text ("2w"); reshares keep the original author.
+
+ALTER TABLE linkedin_posts
+    ADD COLUMN activity_urn VARCHAR(64),
+    ADD COLUMN post_date_source VARCHAR(20), -- 'urn', 'absolute', 'relative'
+    ADD COLUMN reshared_author_name VARCHAR(255),
+    ADD COLUMN reshared_author_url TEXT;
+
+-- The old placeholder parser stored invented URLs (/posts/activity-<n>, shared
+-- across contacts), dates and random engagement counts - none of it is real
+DELETE FROM linkedin_posts
+WHERE post_url ~ '^https://linkedin\.com/posts/activity-\d+$';
+
+CREATE INDEX idx_linkedin_posts_urn ON linkedin_posts(activity_urn);
+
+COMMENT ON COLUMN linkedin_posts.post_type IS 'post, article, share (reshare with commentary), poll, repost (reshare without commentary)';
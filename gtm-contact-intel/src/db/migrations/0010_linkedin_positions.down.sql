@@ -0,0 +1,6 @@
+-- Migration 0010 rollback
+
+ALTER TABLE linkedin_activity
+    DROP COLUMN IF EXISTS current_position_start_month;
+
+DROP TABLE IF EXISTS linkedin_positions;
@@ -0,0 +1,28 @@
+-- Migration 0010: structured work history from the profile's Experience section
+-- One row per position, replaced on every successful profile scrape. Months are
+-- stored as the first day of the month; year-only dates ("2015 - 2018") keep
+-- date_precision 'year'. The profile keeps the current position's start month
+-- so tenure can be counted at read time instead of going stale between scrapes.
+
+CREATE TABLE linkedin_positions (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    position_order INTEGER NOT NULL, -- 0 = first position listed on the profile
+    company_name VARCHAR(255),
+    company_linkedin_url TEXT,
+    title VARCHAR(255),
+    employment_type VARCHAR(50), -- 'Full-time', 'Contract', ...
+    location VARCHAR(255),
+    description TEXT,
+    start_month DATE,
+    end_month DATE, -- NULL while current
+    is_current BOOLEAN NOT NULL DEFAULT false,
+    date_precision VARCHAR(10) NOT NULL DEFAULT 'month', -- 'month', 'year'
+    scraped_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(contact_id, position_order)
+);
+
+ALTER TABLE linkedin_activity
+    ADD COLUMN current_position_start_month DATE;
+
+COMMENT ON TABLE linkedin_positions IS 'Positions parsed from the Experience section of LinkedIn profiles';
@@ -0,0 +1,4 @@
+-- Migration 0011 rollback
+
+DROP TABLE IF EXISTS competitor_mentions;
+DROP TABLE IF EXISTS competitors;
@@ -0,0 +1,38 @@
+-- Migration 0011: competitor catalogue and the mentions found against it
+-- Competitors are managed through /api/competitors. Mentions are found in
+-- LinkedIn posts and podcast appearances (per contact) and job postings (per
+-- company), each with the sentence it came from and the speaker's stance.
+
+CREATE TABLE competitors (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    products TEXT[] NOT NULL DEFAULT '{}',
+    displaces_category VARCHAR(100), -- Category our product replaces them in: 'Sales Engagement', 'Conversation Intelligence'
+    notes TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_competitors_name ON competitors (LOWER(name));
+
+CREATE TABLE competitor_mentions (
+    id SERIAL PRIMARY KEY,
+    competitor_id INTEGER NOT NULL REFERENCES competitors(id) ON DELETE CASCADE,
+    contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE, -- NULL for job postings
+    company_domain VARCHAR(255),
+    source VARCHAR(50) NOT NULL, -- 'linkedin_post', 'job_posting', 'podcast'
+    source_ref TEXT, -- Post, job or episode URL
+    matched_term VARCHAR(255),
+    stance VARCHAR(20) NOT NULL, -- 'complaining', 'evaluating', 'praising', 'neutral'
+    context TEXT,
+    mentioned_at TIMESTAMP,
+    detected_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_competitor_mentions_competitor ON competitor_mentions(competitor_id, mentioned_at DESC);
+CREATE INDEX idx_competitor_mentions_contact ON competitor_mentions(contact_id, source);
+CREATE INDEX idx_competitor_mentions_company ON competitor_mentions(company_domain, source);
+
+COMMENT ON TABLE competitor_mentions IS 'Competitor catalogue matches in posts, job postings and podcast appearances';
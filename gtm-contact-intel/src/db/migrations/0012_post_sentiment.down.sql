@@ -0,0 +1,5 @@
+-- Migration 0012 rollback
+
+ALTER TABLE linkedin_posts
+    DROP COLUMN IF EXISTS aspect_sentiment,
+    DROP COLUMN IF EXISTS sentiment_score;
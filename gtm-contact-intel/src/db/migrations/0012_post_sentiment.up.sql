@@ -0,0 +1,8 @@
+-- Migration 0012: sentiment score and aspect-level sentiment per post
+-- sentiment_score is the AFINN comparative score behind the sentiment label;
+-- aspect_sentiment holds the sentiment toward each tool and topic the post names:
+-- [{ "aspect": "Salesforce", "type": "tool", "label": "negative", "score": -0.75, "mentions": 1 }]
+
+ALTER TABLE linkedin_posts
+    ADD COLUMN sentiment_score DECIMAL(6,3),
+    ADD COLUMN aspect_sentiment JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,4 @@
+-- Migration 0013 rollback
+
+ALTER TABLE linkedin_posts
+    DROP COLUMN IF EXISTS theme_scores;
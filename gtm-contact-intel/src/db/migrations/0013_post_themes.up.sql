@@ -0,0 +1,12 @@
+-- Migration 0013: scored keyphrase themes per post
+-- theme_scores holds each post's themes ranked by TF-IDF against the stored posts:
+-- [{ "theme": "pipeline accuracy", "score": 3.148, "count": 2 }]
+-- key_themes keeps the theme strings, best first.
+
+ALTER TABLE linkedin_posts
+    ADD COLUMN theme_scores JSONB NOT NULL DEFAULT '[]';
+
+-- Themes from the old extractor came from one TF-IDF document shared by every
+-- post, so they describe whichever post was analyzed first. They are kept
+-- until POST /api/linkedin/themes/recalculate re-extracts them (themes entered
+-- by hand are left as they are).
@@ -0,0 +1,10 @@
+-- Migration 0014 rollback
+
+ALTER TABLE speaking_engagements
+    DROP COLUMN IF EXISTS pain_points;
+
+ALTER TABLE job_postings
+    DROP COLUMN IF EXISTS pain_points;
+
+ALTER TABLE linkedin_posts
+    DROP COLUMN IF EXISTS pain_points;
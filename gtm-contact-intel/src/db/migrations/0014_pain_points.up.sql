@@ -0,0 +1,17 @@
+-- Migration 0014: pain point labels from the configured taxonomy
+-- pain_points holds every pain a post, job description or podcast was
+-- classified with, most confident first:
+-- [{ "label": "forecast_accuracy", "name": "forecast accuracy", "confidence": 0.8,
+--    "evidence": { "text": "...", "start": 32, "end": 177, "matched": "forecast calls" } }]
+-- Job and podcast evidence also names the field its offsets point into
+-- ("field": "raw_job_data.raw_content"). linkedin_posts.mentions_pain_points
+-- stays the pain keyword flag, and is also set by any label.
+
+ALTER TABLE linkedin_posts
+    ADD COLUMN pain_points JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE job_postings
+    ADD COLUMN pain_points JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE speaking_engagements
+    ADD COLUMN pain_points JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,14 @@
+-- Migration 0015 rollback
+
+DROP INDEX IF EXISTS idx_linkedin_engagement_target;
+DROP INDEX IF EXISTS idx_linkedin_engagement_unique;
+
+ALTER TABLE linkedin_engagement
+    DROP COLUMN IF EXISTS source,
+    DROP COLUMN IF EXISTS content_preview,
+    DROP COLUMN IF EXISTS comment_text,
+    DROP COLUMN IF EXISTS activity_urn,
+    DROP COLUMN IF EXISTS post_url,
+    DROP COLUMN IF EXISTS target_type,
+    DROP COLUMN IF EXISTS target_headline,
+    DROP COLUMN IF EXISTS target_name;
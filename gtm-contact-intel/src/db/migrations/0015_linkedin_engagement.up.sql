@@ -0,0 +1,24 @@
+-- Migration 0015: who a contact engages with on LinkedIn
+-- One row per comment, reaction or reshare of someone else's post, from the
+-- recent-activity page or the Chrome extension. target_profile is the
+-- engaged-with author's profile or company URL; target_company comes from a
+-- company author or from a person's headline ("Director of Sales Ops at Globex").
+-- engagement_date is the engaged-with post's date - LinkedIn does not show
+-- when the comment or reaction itself happened.
+
+ALTER TABLE linkedin_engagement
+    ADD COLUMN target_name VARCHAR(255),
+    ADD COLUMN target_headline TEXT,
+    ADD COLUMN target_type VARCHAR(20), -- 'person', 'company'
+    ADD COLUMN post_url TEXT,
+    ADD COLUMN activity_urn VARCHAR(64),
+    ADD COLUMN comment_text TEXT,
+    ADD COLUMN content_preview TEXT,
+    ADD COLUMN source VARCHAR(50) NOT NULL DEFAULT 'linkedin'; -- 'linkedin', 'manual'
+
+-- Re-scraping the same activity updates the row instead of adding another.
+-- Manual entries without a post URL are always new rows.
+CREATE UNIQUE INDEX idx_linkedin_engagement_unique
+    ON linkedin_engagement(contact_id, engagement_type, post_url);
+
+CREATE INDEX idx_linkedin_engagement_target ON linkedin_engagement(target_profile);
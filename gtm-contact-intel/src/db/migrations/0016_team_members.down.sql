@@ -0,0 +1,3 @@
+-- Migration 0016 rollback
+
+DROP TABLE IF EXISTS team_members;
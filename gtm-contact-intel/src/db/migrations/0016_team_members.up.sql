@@ -0,0 +1,24 @@
+-- Migration 0016: our own reps, for warm introduction paths
+-- Team members are managed through /api/team-members. Their work history and
+-- education are entered by hand in the shapes the profile parser produces,
+-- so they are compared with researched contacts the same way:
+-- positions: [{ "company_name": "Globex", "title": "AE", "start_month": "2019-03", "end_month": "2021-06", "is_current": false }]
+-- education: [{ "school": "University of Texas at Austin", "degree": "BBA", "start_year": 2010, "end_year": 2014 }]
+
+CREATE TABLE team_members (
+    id SERIAL PRIMARY KEY,
+    full_name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    title VARCHAR(255),
+    linkedin_url TEXT,
+    positions JSONB NOT NULL DEFAULT '[]',
+    education JSONB NOT NULL DEFAULT '[]',
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_team_members_email ON team_members (LOWER(email));
+CREATE UNIQUE INDEX idx_team_members_linkedin ON team_members (linkedin_url);
+
+COMMENT ON TABLE team_members IS 'Our reps - candidate connectors for warm introductions';
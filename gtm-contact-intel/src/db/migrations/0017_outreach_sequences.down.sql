@@ -0,0 +1,3 @@
+-- Migration 0017 rollback
+
+DROP TABLE IF EXISTS outreach_sequences;
@@ -0,0 +1,21 @@
+-- Migration 0017: multi-step outreach sequences
+-- Generated alongside each playbook (see src/processors/sequence-generator.js).
+-- steps: [{ "step_number": 1, "day_offset": 0, "step_type": "connection_note", "channel": "linkedin_dm",
+--           "angle": { "source": "wedge", "type": "linkedin_pain_point", "description": "..." },
+--           "subject": null, "body": "...", "char_limit": 300, "char_count": 112 }]
+
+CREATE TABLE outreach_sequences (
+    id SERIAL PRIMARY KEY,
+    contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE,
+    playbook_id INTEGER REFERENCES gtm_playbooks(id) ON DELETE SET NULL,
+    primary_wedge VARCHAR(100),
+    channels JSONB,
+    step_count INTEGER NOT NULL,
+    total_days INTEGER NOT NULL,
+    steps JSONB NOT NULL DEFAULT '[]',
+    generated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_outreach_sequences_contact ON outreach_sequences (contact_id, generated_at DESC);
+
+COMMENT ON TABLE outreach_sequences IS 'Multi-touch outreach cadences - one angle per step across the recommended channels';
@@ -0,0 +1,3 @@
+-- Migration 0018 rollback
+
+DROP TABLE IF EXISTS outreach_templates;
@@ -0,0 +1,135 @@
+-- Migration 0018: user-editable outreach templates
+-- Managed through /api/outreach-templates and rendered with the template
+-- engine (src/processors/template-engine.js). wedge_types lists the wedge
+-- types a template is for (empty: any wedge); persona is a buying committee
+-- role - decision_maker, champion or influencer (NULL: any persona).
+
+CREATE TABLE outreach_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    wedge_types TEXT[] NOT NULL DEFAULT '{}',
+    persona VARCHAR(30),
+    subject TEXT,
+    body TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_outreach_templates_wedge_types ON outreach_templates USING GIN (wedge_types);
+
+COMMENT ON TABLE outreach_templates IS 'Outreach email templates, selected by wedge type and persona';
+
+-- The templates that were hard-coded in the playbook generator
+INSERT INTO outreach_templates (name, description, wedge_types, subject, body) VALUES
+(
+    'pain-point',
+    'Opens on the pain the contact posted about',
+    '{linkedin_pain_point}',
+    'Your post on {{wedge.pain | "this challenge"}}',
+    $$Hi {{contact.first_name}},
+
+Saw your recent post about {{wedge.pain | "this challenge"}} - the {{wedge.post_engagement | "0"}} responses show this is hitting a nerve for a lot of folks.
+
+We've worked with several {{contact.title | "leader"}}s at similar companies who were wrestling with {{wedge.pain_point | "the same issue"}}. One example: [similar company] cut their {{wedge.pain_metric | "[metric]"}} by 40% after making a few changes to how they approached this.
+
+Would you be open to a quick 15-minute call to share what worked for them? No pitch, just happy to share what we've learned.
+
+Best,
+[Your name]$$
+),
+(
+    'buying-signal',
+    'Answers a post asking for recommendations',
+    '{linkedin_buying_signal}',
+    'Re: your question on {{wedge.pain_point | "recommendations"}}',
+    $$Hi {{contact.first_name}},
+
+Saw your post asking about {{#if wedge.pain_point}}recommendations for fixing {{wedge.pain_point}}{{else}}[solution category] recommendations{{/if}}. Happy to share what's worked for similar companies - a few folks in your situation ended up choosing between [option A] and [option B] based on [key factor].
+
+Would a quick call to walk through the decision framework be helpful? I can share what we've learned from helping others evaluate options.
+
+Best,
+[Your name]$$
+),
+(
+    'job-change',
+    'Congratulates a contact on a new role',
+    '{linkedin_job_change_recent,linkedin_job_change_optimal}',
+    'Congrats on the new role',
+    $$Hi {{contact.first_name}},
+
+Congrats on the {{contact.title | "new"}} role at {{contact.company | "your new company"}}! {{#if linkedin.tenure_months}}Saw you joined about {{linkedin.tenure_months}} months ago.{{else}}Saw you joined recently.{{/if}}
+
+Curious what you're prioritizing as you get settled - we've worked with several folks who came into similar roles and found [specific challenge] was the first thing they wanted to tackle.
+
+Would love to hear what's top of mind for you. Open to a quick chat?
+
+Best,
+[Your name]$$
+),
+(
+    'thought-leadership',
+    'Picks up on a high-engagement post',
+    '{linkedin_thought_leadership}',
+    'Your post on {{linkedin.latest_post.topic | "the market"}}',
+    $$Hi {{contact.first_name}},
+
+Really appreciated your recent post on {{linkedin.latest_post.topic | "your recent insights"}} - especially your point about [specific insight]. That's exactly what we're seeing across the market right now.
+
+Would love to hear more about your experience with this. We've compiled some data from [X] companies on how they're approaching it that might be interesting to compare notes on.
+
+Open to a quick call?
+
+Best,
+[Your name]$$
+),
+(
+    'technical',
+    'Offers a technical deep-dive to a hands-on buyer',
+    '{technical_buyer}',
+    'Technical deep-dive for {{contact.company | "your team"}}',
+    $$Hi {{contact.first_name}},
+
+Noticed your work in {{wedge.language | github.top_language | "software development"}} - impressive background.
+
+Curious how you typically evaluate technical solutions. We've built [product] specifically for technical buyers like you who care about [API quality/architecture/documentation].
+
+Happy to do a technical deep-dive if you're interested. Can share our API docs and architecture diagrams upfront.
+
+Best,
+[Your name]$$
+),
+(
+    'competitive',
+    'Offers a way off a competitor the contact complained about, is evaluating or uses',
+    '{competitor_displacement}',
+    'Beyond {{wedge.competitor}}',
+    $$Hi {{contact.first_name}},
+
+{{#if wedge.stance == "complaining"}}Saw your note about {{wedge.competitor}} - you're not the first {{contact.title | "leader"}} to hit that wall.{{else}}{{#if wedge.stance == "evaluating"}}Noticed you're weighing options around {{wedge.competitor}}.{{else}}Looks like {{wedge.competitor}} is part of how your team runs {{wedge.category | "your current setup"}}.{{/if}}{{/if}}
+
+We've helped several teams move off {{wedge.competitor}} for {{wedge.category | "your current setup"}} - one example: [similar company] had [key metric] back on track within [timeframe] of switching.
+
+Would a quick side-by-side on where {{wedge.competitor}} falls short be useful? Happy to share what they learned during the switch.
+
+Best,
+[Your name]$$
+),
+(
+    'general',
+    'Any wedge without a more specific template',
+    '{}',
+    'Idea for {{contact.company | contact.first_name}}',
+    $$Hi {{contact.first_name}},
+
+I've been researching {{contact.company | "your company"}} and your work in {{contact.title | "your role"}}.
+
+We've helped several companies in similar situations with [relevant challenge]. Would love to share what's worked and see if it might be relevant for you.
+
+Open to a quick 15-minute call?
+
+Best,
+[Your name]$$
+);
@@ -0,0 +1,93 @@
+-- Migration 0019 rollback
+
+-- Put back the 0018 bodies of the built-in templates nobody has edited since
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+Saw your recent post about {{wedge.pain | "this challenge"}} - the {{wedge.post_engagement | "0"}} responses show this is hitting a nerve for a lot of folks.
+
+We've worked with several {{contact.title | "leader"}}s at similar companies who were wrestling with {{wedge.pain_point | "the same issue"}}. One example: [similar company] cut their {{wedge.pain_metric | "[metric]"}} by 40% after making a few changes to how they approached this.
+
+Would you be open to a quick 15-minute call to share what worked for them? No pitch, just happy to share what we've learned.
+
+Best,
+[Your name]$$
+WHERE name = 'pain-point' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+Saw your post asking about {{#if wedge.pain_point}}recommendations for fixing {{wedge.pain_point}}{{else}}[solution category] recommendations{{/if}}. Happy to share what's worked for similar companies - a few folks in your situation ended up choosing between [option A] and [option B] based on [key factor].
+
+Would a quick call to walk through the decision framework be helpful? I can share what we've learned from helping others evaluate options.
+
+Best,
+[Your name]$$
+WHERE name = 'buying-signal' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+Congrats on the {{contact.title | "new"}} role at {{contact.company | "your new company"}}! {{#if linkedin.tenure_months}}Saw you joined about {{linkedin.tenure_months}} months ago.{{else}}Saw you joined recently.{{/if}}
+
+Curious what you're prioritizing as you get settled - we've worked with several folks who came into similar roles and found [specific challenge] was the first thing they wanted to tackle.
+
+Would love to hear what's top of mind for you. Open to a quick chat?
+
+Best,
+[Your name]$$
+WHERE name = 'job-change' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+Really appreciated your recent post on {{linkedin.latest_post.topic | "your recent insights"}} - especially your point about [specific insight]. That's exactly what we're seeing across the market right now.
+
+Would love to hear more about your experience with this. We've compiled some data from [X] companies on how they're approaching it that might be interesting to compare notes on.
+
+Open to a quick call?
+
+Best,
+[Your name]$$
+WHERE name = 'thought-leadership' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+Noticed your work in {{wedge.language | github.top_language | "software development"}} - impressive background.
+
+Curious how you typically evaluate technical solutions. We've built [product] specifically for technical buyers like you who care about [API quality/architecture/documentation].
+
+Happy to do a technical deep-dive if you're interested. Can share our API docs and architecture diagrams upfront.
+
+Best,
+[Your name]$$
+WHERE name = 'technical' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+{{#if wedge.stance == "complaining"}}Saw your note about {{wedge.competitor}} - you're not the first {{contact.title | "leader"}} to hit that wall.{{else}}{{#if wedge.stance == "evaluating"}}Noticed you're weighing options around {{wedge.competitor}}.{{else}}Looks like {{wedge.competitor}} is part of how your team runs {{wedge.category | "your current setup"}}.{{/if}}{{/if}}
+
+We've helped several teams move off {{wedge.competitor}} for {{wedge.category | "your current setup"}} - one example: [similar company] had [key metric] back on track within [timeframe] of switching.
+
+Would a quick side-by-side on where {{wedge.competitor}} falls short be useful? Happy to share what they learned during the switch.
+
+Best,
+[Your name]$$
+WHERE name = 'competitive' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+I've been researching {{contact.company | "your company"}} and your work in {{contact.title | "your role"}}.
+
+We've helped several companies in similar situations with [relevant challenge]. Would love to share what's worked and see if it might be relevant for you.
+
+Open to a quick 15-minute call?
+
+Best,
+[Your name]$$
+WHERE name = 'general' AND updated_at = created_at;
+
+DROP TABLE IF EXISTS case_studies;
+DROP TABLE IF EXISTS seller_profile;
+
+ALTER TABLE team_members
+    DROP COLUMN IF EXISTS signature,
+    DROP COLUMN IF EXISTS phone;
+
+ALTER TABLE contacts DROP COLUMN IF EXISTS industry;
@@ -0,0 +1,134 @@
+-- Migration 0019: seller profile - what outreach says about us
+-- Managed through /api/seller-profile. The profile is a single row: our
+-- company, the product, and a value prop per pain in the taxonomy
+-- (config.painTaxonomy), keyed by label:
+-- value_props: { "data_quality": "Acme dedupes and enriches records as they land in the CRM." }
+-- Case studies are matched to contacts on the pains detected for them and
+-- their industry. result reads after the customer's name and timeframe after
+-- the result: "Globex" "cut duplicate records by 40%" "in 90 days".
+
+ALTER TABLE contacts ADD COLUMN industry VARCHAR(255);
+
+-- Rep sign-offs for outreach
+ALTER TABLE team_members
+    ADD COLUMN phone VARCHAR(50),
+    ADD COLUMN signature TEXT;
+
+CREATE TABLE seller_profile (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    company_name VARCHAR(255) NOT NULL,
+    product_name VARCHAR(255) NOT NULL,
+    product_description TEXT,
+    customer_count INTEGER,
+    value_props JSONB NOT NULL DEFAULT '{}',
+    default_value_prop TEXT,
+    default_team_member_id INTEGER REFERENCES team_members(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE seller_profile IS 'Our company and product, as outreach describes them (a single row)';
+
+CREATE TABLE case_studies (
+    id SERIAL PRIMARY KEY,
+    customer_company VARCHAR(255) NOT NULL,
+    industry VARCHAR(255),
+    pain_labels TEXT[] NOT NULL DEFAULT '{}',
+    metric VARCHAR(255) NOT NULL,
+    result VARCHAR(500) NOT NULL,
+    timeframe VARCHAR(100),
+    summary TEXT,
+    url TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_case_studies_pain_labels ON case_studies USING GIN (pain_labels);
+
+COMMENT ON TABLE case_studies IS 'Customer results outreach cites, matched by pain label and industry';
+
+-- Fill the built-in templates' bracket placeholders from the seller profile.
+-- Templates edited since 0018 are left alone, and updated_at is kept so the
+-- rollback can tell these rows apart from later edits.
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+Saw your recent post about {{wedge.pain | "this challenge"}} - the {{wedge.post_engagement | "0"}} responses show this is hitting a nerve for a lot of folks.
+
+We've worked with several {{contact.title | "leader"}}s at similar companies who were wrestling with {{wedge.pain_point | "the same issue"}}.{{#if case_study}} One example: {{case_study.customer}} {{case_study.result}}{{#if case_study.timeframe}} {{case_study.timeframe}}{{/if}}.{{/if}}{{#if seller.value_prop}} {{seller.value_prop}}{{/if}}
+
+Would you be open to a quick 15-minute call to share what worked for them? No pitch, just happy to share what we've learned.
+
+Best,
+{{rep.signature | seller.team}}$$
+WHERE name = 'pain-point' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+Saw your post asking for {{#if wedge.pain_point}}recommendations on fixing {{wedge.pain_point}}{{else}}recommendations{{/if}}. Happy to share what's worked for similar companies{{#if case_study}} - {{case_study.customer}} {{case_study.result}}{{#if case_study.timeframe}} {{case_study.timeframe}}{{/if}}{{/if}}.{{#if seller.value_prop}} {{seller.value_prop}}{{/if}}
+
+Would a quick call to walk through the decision framework be helpful? I can share what we've learned from helping others evaluate options.
+
+Best,
+{{rep.signature | seller.team}}$$
+WHERE name = 'buying-signal' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+Congrats on the {{contact.title | "new"}} role at {{contact.company | "your new company"}}! {{#if linkedin.tenure_months}}Saw you joined about {{linkedin.tenure_months}} months ago.{{else}}Saw you joined recently.{{/if}}
+
+Curious what you're prioritizing as you get settled - we've worked with several folks who came into similar roles{{#if case_study}}, like the team at {{case_study.customer}}, who {{case_study.result}}{{#if case_study.timeframe}} {{case_study.timeframe}}{{/if}}{{/if}}.{{#if seller.value_prop}} {{seller.value_prop}}{{/if}}
+
+Would love to hear what's top of mind for you. Open to a quick chat?
+
+Best,
+{{rep.signature | seller.team}}$$
+WHERE name = 'job-change' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+Really appreciated your recent post on {{linkedin.latest_post.topic | "your recent insights"}} - that's exactly what we're seeing across the market right now.
+
+Would love to hear more about your experience with this. We've compiled some data on how {{#if seller.customer_count}}the {{seller.customer_count}} companies we work with{{else}}teams like yours{{/if}} are approaching it that might be interesting to compare notes on.
+
+Open to a quick call?
+
+Best,
+{{rep.signature | seller.team}}$$
+WHERE name = 'thought-leadership' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+Noticed your work in {{wedge.language | github.top_language | "software development"}} - impressive background.
+
+Curious how you typically evaluate technical solutions. We've built {{seller.product | "our platform"}} specifically for technical buyers like you who care about API quality, architecture and documentation.{{#if seller.product_description}} {{seller.product_description}}{{/if}}
+
+Happy to do a technical deep-dive if you're interested. Can share our API docs and architecture diagrams upfront.
+
+Best,
+{{rep.signature | seller.team}}$$
+WHERE name = 'technical' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+{{#if wedge.stance == "complaining"}}Saw your note about {{wedge.competitor}} - you're not the first {{contact.title | "leader"}} to hit that wall.{{else}}{{#if wedge.stance == "evaluating"}}Noticed you're weighing options around {{wedge.competitor}}.{{else}}Looks like {{wedge.competitor}} is part of how your team runs {{wedge.category | "your current setup"}}.{{/if}}{{/if}}
+
+We've helped several teams move off {{wedge.competitor}} for {{wedge.category | "your current setup"}}{{#if case_study}} - one example: {{case_study.customer}} {{case_study.result}}{{#if case_study.timeframe}} {{case_study.timeframe}}{{/if}} after switching to {{seller.product | "us"}}{{/if}}.
+
+Would a quick side-by-side on where {{wedge.competitor}} falls short be useful? Happy to share what they learned during the switch.
+
+Best,
+{{rep.signature | seller.team}}$$
+WHERE name = 'competitive' AND updated_at = created_at;
+
+UPDATE outreach_templates SET body = $$Hi {{contact.first_name}},
+
+I've been researching {{contact.company | "your company"}} and your work in {{contact.title | "your role"}}.
+
+{{#if seller.value_prop}}{{seller.value_prop}} {{/if}}{{#if case_study}}{{case_study.customer}}, for example, {{case_study.result}}{{#if case_study.timeframe}} {{case_study.timeframe}}{{/if}}. {{/if}}Would love to share what's worked for companies in similar situations and see if it might be relevant for you.
+
+Open to a quick 15-minute call?
+
+Best,
+{{rep.signature | seller.team}}$$
+WHERE name = 'general' AND updated_at = created_at;
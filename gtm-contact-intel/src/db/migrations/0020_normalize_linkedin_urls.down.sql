@@ -0,0 +1,9 @@
+-- Migration 0020 rollback
+-- Contacts created since with the original URL keep theirs; those rows stay normalized
+UPDATE contacts c SET linkedin_url = b.original_url
+FROM linkedin_url_backup b
+WHERE c.id = b.contact_id
+  AND NOT EXISTS (SELECT 1 FROM contacts o WHERE o.linkedin_url = b.original_url);
+
+DROP TABLE IF EXISTS linkedin_url_backup;
+DROP TABLE IF EXISTS linkedin_url_collisions;
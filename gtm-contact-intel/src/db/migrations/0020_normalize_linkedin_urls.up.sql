@@ -0,0 +1,92 @@
+-- Migration 0020: normalize stored LinkedIn URLs the way contact intake does
+-- (https://www.linkedin.com/in/<lowercased slug>), so a URL saved with a
+-- tracking query or different casing maps to the same contact as a new intake.
+-- URLs that are not profile URLs, or whose slug does not decode, are left alone.
+--
+-- Contacts whose URLs normalize to the same profile keep their URLs and are
+-- listed in linkedin_url_collisions for a manual merge. Original URLs are kept
+-- in linkedin_url_backup so the rollback can restore them.
+
+-- Same steps as normalizeLinkedInUrl() in src/api/validators/contact.js:
+-- decode the slug, lowercase it, encode it again
+CREATE FUNCTION pg_temp.normalize_linkedin_url(url TEXT) RETURNS TEXT AS $$
+DECLARE
+    slug TEXT;
+    bytes BYTEA := '';
+    encoded TEXT := '';
+    ch TEXT;
+    i INTEGER := 1;
+BEGIN
+    slug := substring(url from '(?i)^\s*(?:https?://)?(?:[^/?#]*\.)?linkedin\.com(?::\d+)?/in/([^/?#]+)');
+    IF slug IS NULL THEN
+        RETURN url;
+    END IF;
+
+    WHILE i <= length(slug) LOOP
+        ch := substr(slug, i, 1);
+        IF ch = '%' THEN
+            IF substr(slug, i + 1, 2) !~ '^[0-9A-Fa-f]{2}$' THEN
+                RETURN url;
+            END IF;
+            bytes := bytes || decode(substr(slug, i + 1, 2), 'hex');
+            i := i + 3;
+        ELSE
+            bytes := bytes || convert_to(ch, 'UTF8');
+            i := i + 1;
+        END IF;
+    END LOOP;
+
+    FOREACH ch IN ARRAY regexp_split_to_array(lower(convert_from(bytes, 'UTF8')), '') LOOP
+        IF ch ~ '^[A-Za-z0-9_.!~*''()-]$' THEN
+            encoded := encoded || ch;
+        ELSE
+            encoded := encoded || upper(regexp_replace(encode(convert_to(ch, 'UTF8'), 'hex'), '(..)', '%\1', 'g'));
+        END IF;
+    END LOOP;
+
+    RETURN 'https://www.linkedin.com/in/' || encoded;
+EXCEPTION
+    WHEN character_not_in_repertoire OR untranslatable_character THEN
+        RETURN url; -- Decodes to invalid UTF-8
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TEMP TABLE normalized_contacts ON COMMIT DROP AS
+SELECT id, linkedin_url, normalized_url,
+       COUNT(*) OVER (PARTITION BY normalized_url) AS profile_contacts
+FROM (
+    SELECT id, linkedin_url, pg_temp.normalize_linkedin_url(linkedin_url) AS normalized_url
+    FROM contacts
+    WHERE linkedin_url IS NOT NULL
+) n;
+
+CREATE TABLE linkedin_url_collisions (
+    contact_id INTEGER PRIMARY KEY REFERENCES contacts(id) ON DELETE CASCADE,
+    linkedin_url TEXT NOT NULL,
+    normalized_url TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_linkedin_url_collisions_normalized ON linkedin_url_collisions(normalized_url);
+
+INSERT INTO linkedin_url_collisions (contact_id, linkedin_url, normalized_url)
+SELECT id, linkedin_url, normalized_url
+FROM normalized_contacts
+WHERE profile_contacts > 1;
+
+CREATE TABLE linkedin_url_backup (
+    contact_id INTEGER PRIMARY KEY REFERENCES contacts(id) ON DELETE CASCADE,
+    original_url TEXT NOT NULL
+);
+
+INSERT INTO linkedin_url_backup (contact_id, original_url)
+SELECT id, linkedin_url
+FROM normalized_contacts
+WHERE profile_contacts = 1 AND linkedin_url IS DISTINCT FROM normalized_url;
+
+UPDATE contacts c SET linkedin_url = n.normalized_url
+FROM linkedin_url_backup b
+JOIN normalized_contacts n ON n.id = b.contact_id
+WHERE c.id = b.contact_id;
+
+DROP FUNCTION pg_temp.normalize_linkedin_url(TEXT);
@@ -1,4 +1,78 @@
 const db = require('./client');
+const config = require('../../config/config');
+
+// Advisory lock held while batch and schedule jobs take their run_after slots,
+// so concurrent enqueues don't both start from the same MAX(run_after)
+const LIST_QUEUE_LOCK_ID = 72010002;
+
+// Sort keys accepted by contactQueries.listContacts
+const CONTACT_SORT_COLUMNS = {
+  name: 'c.full_name',
+  company: 'c.current_company',
+  title: 'c.current_title',
+  created_at: 'c.created_at',
+  updated_at: 'c.updated_at',
+  last_researched_at: 'r.last_researched_at'
+};
+
+// Escape LIKE wildcards in user-supplied search terms
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+// linkedin_positions columns with months as 'YYYY-MM'
+const POSITION_COLUMNS = `id, contact_id, position_order, company_name, company_linkedin_url, title,
+  employment_type, location, description, to_char(start_month, 'YYYY-MM') AS start_month,
+  to_char(end_month, 'YYYY-MM') AS end_month, is_current, date_precision, scraped_at`;
+
+/**
+ * Insert or overwrite a contact's LinkedIn profile
+ * @param {Object} executor - db or a transaction client
+ */
+async function upsertProfile(executor, contactId, profileData) {
+  const {
+    linkedin_url, profile_headline, current_title, current_company, location,
+    connections_count, followers_count, current_position_tenure_months, previous_companies,
+    skills, certifications, education, profile_summary, influence_score,
+    influence_scoring_profile, raw_profile_data, current_position_start_month
+  } = profileData;
+
+  const result = await executor.query(
+    `INSERT INTO linkedin_activity
+     (contact_id, linkedin_url, profile_headline, current_title, current_company, location,
+      connections_count, followers_count, current_position_tenure_months, previous_companies,
+      skills, certifications, education, profile_summary, influence_score,
+      influence_scoring_profile, raw_profile_data, current_position_start_month)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+             to_date($18, 'YYYY-MM'))
+     ON CONFLICT (contact_id) DO UPDATE SET
+       linkedin_url = EXCLUDED.linkedin_url,
+       profile_headline = EXCLUDED.profile_headline,
+       current_title = EXCLUDED.current_title,
+       current_company = EXCLUDED.current_company,
+       location = EXCLUDED.location,
+       connections_count = EXCLUDED.connections_count,
+       followers_count = EXCLUDED.followers_count,
+       current_position_tenure_months = EXCLUDED.current_position_tenure_months,
+       previous_companies = EXCLUDED.previous_companies,
+       skills = EXCLUDED.skills,
+       certifications = EXCLUDED.certifications,
+       education = EXCLUDED.education,
+       profile_summary = EXCLUDED.profile_summary,
+       influence_score = EXCLUDED.influence_score,
+       influence_scoring_profile = EXCLUDED.influence_scoring_profile,
+       raw_profile_data = EXCLUDED.raw_profile_data,
+       current_position_start_month = EXCLUDED.current_position_start_month,
+       profile_scraped_at = NOW()
+     RETURNING *`,
+    [contactId, linkedin_url, profile_headline, current_title, current_company, location,
+     connections_count, followers_count, current_position_tenure_months, previous_companies,
+     skills, certifications, education, profile_summary, influence_score,
+     influence_scoring_profile || null, raw_profile_data, current_position_start_month || null]
+  );
+
+  return result.rows[0];
+}
 
 /**
  * Contact Queries
@@ -6,20 +80,23 @@ const db = require('./client');
 const contactQueries = {
   // Create or update contact
   async upsertContact(contactData) {
-    const { full_name, linkedin_url, email, current_company, current_title, company_domain } = contactData;
+    const {
+      full_name, linkedin_url, email, current_company, current_title, company_domain, industry = null
+    } = contactData;
 
     const result = await db.query(
-      `INSERT INTO contacts (full_name, linkedin_url, email, current_company, current_title, company_domain)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO contacts (full_name, linkedin_url, email, current_company, current_title, company_domain, industry)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        ON CONFLICT (linkedin_url) DO UPDATE SET
          full_name = EXCLUDED.full_name,
          email = EXCLUDED.email,
          current_company = EXCLUDED.current_company,
          current_title = EXCLUDED.current_title,
          company_domain = EXCLUDED.company_domain,
+         industry = EXCLUDED.industry,
          updated_at = NOW()
        RETURNING *`,
-      [full_name, linkedin_url, email, current_company, current_title, company_domain]
+      [full_name, linkedin_url, email, current_company, current_title, company_domain, industry]
     );
 
     return result.rows[0];
@@ -39,6 +116,109 @@ const contactQueries = {
       [linkedinUrl]
     );
     return result.rows[0];
+  },
+
+  /**
+   * List contacts with filters, free-text search, sorting and pagination
+   * @param {Object} filters - { q, company_domain, title, has_email, researched,
+   *   researched_before, researched_after, sort, order, limit, offset }
+   * @returns {Promise<Object>} { contacts, total }
+   */
+  async listContacts(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const addParam = value => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (filters.q) {
+      const pattern = addParam(`%${escapeLike(filters.q)}%`);
+      conditions.push(`(c.full_name ILIKE ${pattern} OR c.current_company ILIKE ${pattern} OR c.current_title ILIKE ${pattern})`);
+    }
+    if (filters.company_domain) {
+      conditions.push(`c.company_domain = ${addParam(filters.company_domain)}`);
+    }
+    if (filters.title) {
+      conditions.push(`c.current_title ILIKE ${addParam(`%${escapeLike(filters.title)}%`)}`);
+    }
+    if (filters.has_email !== undefined) {
+      conditions.push(filters.has_email ? 'c.email IS NOT NULL' : 'c.email IS NULL');
+    }
+    if (filters.researched !== undefined) {
+      conditions.push(filters.researched ? 'r.last_researched_at IS NOT NULL' : 'r.last_researched_at IS NULL');
+    }
+    if (filters.researched_before) {
+      conditions.push(`r.last_researched_at < ${addParam(filters.researched_before)}`);
+    }
+    if (filters.researched_after) {
+      conditions.push(`r.last_researched_at > ${addParam(filters.researched_after)}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const sortColumn = CONTACT_SORT_COLUMNS[filters.sort] || CONTACT_SORT_COLUMNS.created_at;
+    const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+    const from = `
+      FROM contacts c
+      LEFT JOIN LATERAL (
+        SELECT MAX(completed_at) AS last_researched_at
+        FROM research_jobs
+        WHERE contact_id = c.id AND status = 'completed'
+      ) r ON TRUE
+      ${where}`;
+
+    const countResult = await db.query(`SELECT COUNT(*)::int AS total ${from}`, params);
+
+    const result = await db.query(
+      `SELECT c.*, r.last_researched_at
+       ${from}
+       ORDER BY ${sortColumn} ${direction} NULLS LAST, c.id ${direction}
+       LIMIT ${addParam(filters.limit)} OFFSET ${addParam(filters.offset)}`,
+      params
+    );
+
+    return {
+      contacts: result.rows,
+      total: countResult.rows[0].total
+    };
+  },
+
+  /**
+   * Update the given contact fields
+   * @param {number} contactId - Contact ID
+   * @param {Object} updates - Validated subset of contact fields
+   */
+  async updateContact(contactId, updates) {
+    const fields = Object.keys(updates);
+    const assignments = fields.map((field, i) => `${field} = $${i + 2}`);
+
+    const result = await db.query(
+      `UPDATE contacts
+       SET ${assignments.join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [contactId, ...fields.map(field => updates[field])]
+    );
+    return result.rows[0];
+  },
+
+  // Research data, signals, playbooks and jobs are removed by ON DELETE CASCADE
+  async deleteContact(contactId) {
+    const result = await db.query(
+      'DELETE FROM contacts WHERE id = $1 RETURNING *',
+      [contactId]
+    );
+    return result.rows[0];
+  },
+
+  async getLastResearchedAt(contactId) {
+    const result = await db.query(
+      `SELECT MAX(completed_at) AS last_researched_at
+       FROM research_jobs
+       WHERE contact_id = $1 AND status = 'completed'`,
+      [contactId]
+    );
+    return result.rows[0].last_researched_at;
   }
 };
 
@@ -48,40 +228,58 @@ const contactQueries = {
 const linkedinQueries = {
   // Save LinkedIn profile data
   async saveProfile(contactId, profileData) {
-    const {
-      linkedin_url, profile_headline, location, connections_count, followers_count,
-      current_position_tenure_months, previous_companies, skills, certifications,
-      education, profile_summary, influence_score, raw_profile_data
-    } = profileData;
+    return upsertProfile(db, contactId, profileData);
+  },
+
+  /**
+   * Save a profile and the changes detected against the stored one in one
+   * transaction. The stored row is locked so concurrent saves (worker and
+   * manual entry) diff against each other instead of the same old profile.
+   * @param {number} contactId - Contact ID
+   * @param {Object} profileData - New profile
+   * @param {Function} detectChanges - (previous, profileData) => [{ change_type, old_value, new_value, confidence_score, details }]
+   * @param {string} source - Where the new profile came from ('scrape', 'manual_entry')
+   * @returns {Promise<Object>} { profile, changes }
+   */
+  async saveProfileWithChanges(contactId, profileData, detectChanges, source) {
+    return db.transaction(async (client) => {
+      const previousResult = await client.query(
+        'SELECT * FROM linkedin_activity WHERE contact_id = $1 FOR UPDATE',
+        [contactId]
+      );
+      const previous = previousResult.rows[0] || null;
+
+      const detected = previous ? detectChanges(previous, profileData) : [];
+      const profile = await upsertProfile(client, contactId, profileData);
+
+      const changes = [];
+      for (const change of detected) {
+        const result = await client.query(
+          `INSERT INTO linkedin_profile_changes
+           (contact_id, change_type, old_value, new_value, confidence_score, source, details)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [contactId, change.change_type, change.old_value, change.new_value,
+           change.confidence_score, source, change.details || null]
+        );
+        changes.push(result.rows[0]);
+      }
+
+      return { profile, changes };
+    });
+  },
 
+  // Detected profile changes, newest first
+  async getProfileChanges(contactId, { changeType = null, limit = 50 } = {}) {
     const result = await db.query(
-      `INSERT INTO linkedin_activity
-       (contact_id, linkedin_url, profile_headline, location, connections_count,
-        followers_count, current_position_tenure_months, previous_companies, skills,
-        certifications, education, profile_summary, influence_score, raw_profile_data)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-       ON CONFLICT (contact_id) DO UPDATE SET
-         linkedin_url = EXCLUDED.linkedin_url,
-         profile_headline = EXCLUDED.profile_headline,
-         location = EXCLUDED.location,
-         connections_count = EXCLUDED.connections_count,
-         followers_count = EXCLUDED.followers_count,
-         current_position_tenure_months = EXCLUDED.current_position_tenure_months,
-         previous_companies = EXCLUDED.previous_companies,
-         skills = EXCLUDED.skills,
-         certifications = EXCLUDED.certifications,
-         education = EXCLUDED.education,
-         profile_summary = EXCLUDED.profile_summary,
-         influence_score = EXCLUDED.influence_score,
-         raw_profile_data = EXCLUDED.raw_profile_data,
-         profile_scraped_at = NOW()
-       RETURNING *`,
-      [contactId, linkedin_url, profile_headline, location, connections_count, followers_count,
-       current_position_tenure_months, previous_companies, skills, certifications,
-       education, profile_summary, influence_score, raw_profile_data]
+      `SELECT * FROM linkedin_profile_changes
+       WHERE contact_id = $1
+         AND ($2::varchar IS NULL OR change_type = $2)
+       ORDER BY detected_date DESC, id DESC
+       LIMIT $3`,
+      [contactId, changeType, limit]
     );
-
-    return result.rows[0];
+    return result.rows;
   },
 
   // Save LinkedIn posts
@@ -91,7 +289,9 @@ const linkedinQueries = {
         post_url, post_date, post_content, post_type, engagement_count,
         likes_count, comments_count, shares_count, topics_detected,
         sentiment, key_themes, mentions_competitors, mentions_pain_points,
-        mentions_buying_signals, raw_post_data
+        mentions_buying_signals, raw_post_data, activity_urn = null,
+        post_date_source = null, reshared_author_name = null, reshared_author_url = null,
+        sentiment_score = null, aspect_sentiment = [], theme_scores = [], pain_points = []
       } = post;
 
       return db.query(
@@ -99,26 +299,50 @@ const linkedinQueries = {
          (contact_id, post_url, post_date, post_content, post_type, engagement_count,
           likes_count, comments_count, shares_count, topics_detected, sentiment,
           key_themes, mentions_competitors, mentions_pain_points, mentions_buying_signals,
-          raw_post_data)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          raw_post_data, activity_urn, post_date_source, reshared_author_name, reshared_author_url,
+          sentiment_score, aspect_sentiment, theme_scores, pain_points)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
          ON CONFLICT (post_url) DO UPDATE SET
            post_content = EXCLUDED.post_content,
+           post_type = EXCLUDED.post_type,
            engagement_count = EXCLUDED.engagement_count,
            likes_count = EXCLUDED.likes_count,
            comments_count = EXCLUDED.comments_count,
            shares_count = EXCLUDED.shares_count,
            topics_detected = EXCLUDED.topics_detected,
            sentiment = EXCLUDED.sentiment,
+           sentiment_score = EXCLUDED.sentiment_score,
+           aspect_sentiment = EXCLUDED.aspect_sentiment,
            key_themes = EXCLUDED.key_themes,
+           theme_scores = EXCLUDED.theme_scores,
            mentions_competitors = EXCLUDED.mentions_competitors,
            mentions_pain_points = EXCLUDED.mentions_pain_points,
+           pain_points = EXCLUDED.pain_points,
            mentions_buying_signals = EXCLUDED.mentions_buying_signals,
+           activity_urn = COALESCE(EXCLUDED.activity_urn, linkedin_posts.activity_urn),
+           reshared_author_name = EXCLUDED.reshared_author_name,
+           reshared_author_url = EXCLUDED.reshared_author_url,
+           -- An exact date is never replaced by a later estimate
+           post_date = CASE
+             WHEN linkedin_posts.post_date_source IN ('urn', 'absolute')
+               AND COALESCE(EXCLUDED.post_date_source, '') NOT IN ('urn', 'absolute')
+             THEN linkedin_posts.post_date
+             ELSE COALESCE(EXCLUDED.post_date, linkedin_posts.post_date)
+           END,
+           post_date_source = CASE
+             WHEN linkedin_posts.post_date_source IN ('urn', 'absolute')
+               AND COALESCE(EXCLUDED.post_date_source, '') NOT IN ('urn', 'absolute')
+             THEN linkedin_posts.post_date_source
+             ELSE COALESCE(EXCLUDED.post_date_source, linkedin_posts.post_date_source)
+           END,
            scraped_at = NOW()
          RETURNING *`,
         [contactId, post_url, post_date, post_content, post_type, engagement_count,
          likes_count, comments_count, shares_count, topics_detected, sentiment,
          key_themes, mentions_competitors, mentions_pain_points, mentions_buying_signals,
-         raw_post_data]
+         raw_post_data, activity_urn, post_date_source, reshared_author_name, reshared_author_url,
+         sentiment_score, JSON.stringify(aspect_sentiment || []), JSON.stringify(theme_scores || []),
+         JSON.stringify(pain_points || [])]
       );
     });
 
@@ -138,13 +362,195 @@ const linkedinQueries = {
     return result.rows;
   },
 
-  // Get LinkedIn profile
+  /**
+   * Content of the most recently scraped posts - the corpus themes are ranked against
+   * @param {number} limit - Posts to read
+   * @returns {Promise<Array<string>>}
+   */
+  async getThemeCorpus(limit) {
+    const result = await db.query(
+      `SELECT post_content FROM linkedin_posts
+       WHERE post_content IS NOT NULL AND post_content <> ''
+       ORDER BY scraped_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows.map(r => r.post_content);
+  },
+
+  /**
+   * Posts in id order, for re-extracting themes in batches
+   */
+  async getPostsBatch({ contactId = null, afterId = 0, limit = 200 }) {
+    // manual_themes: the themes were entered by hand (manual entry "themes" or "key_themes")
+    const result = await db.query(
+      `SELECT id, contact_id, post_content,
+         CASE WHEN jsonb_typeof(COALESCE(raw_post_data->'themes', raw_post_data->'key_themes')) = 'array'
+           THEN jsonb_array_length(COALESCE(raw_post_data->'themes', raw_post_data->'key_themes')) > 0
+           ELSE FALSE
+         END AS manual_themes
+       FROM linkedin_posts
+       WHERE id > $1 AND ($2::int IS NULL OR contact_id = $2)
+       ORDER BY id
+       LIMIT $3`,
+      [afterId, contactId, limit]
+    );
+    return result.rows;
+  },
+
+  /**
+   * @param {Array} posts - [{ id, themes: [{ theme, score, count }] }]
+   * @returns {Promise<number>} Posts updated
+   */
+  async savePostThemes(posts) {
+    if (posts.length === 0) return 0;
+
+    const result = await db.query(
+      `UPDATE linkedin_posts p
+       SET theme_scores = v.themes,
+           key_themes = ARRAY(
+             SELECT t.value->>'theme'
+             FROM jsonb_array_elements(v.themes) WITH ORDINALITY AS t(value, position)
+             ORDER BY t.position
+           )
+       FROM jsonb_to_recordset($1::jsonb) AS v(id int, themes jsonb)
+       WHERE p.id = v.id`,
+      [JSON.stringify(posts)]
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * A contact's themes across their posts: how many posts each theme ranked
+   * in and its TF-IDF score summed over them, most recurring first
+   * @param {number} contactId - Contact ID
+   * @param {Object} options - { limit }
+   */
+  async getContactThemes(contactId, { limit = 20 } = {}) {
+    const result = await db.query(
+      `SELECT t.value->>'theme' AS theme,
+         COUNT(*)::int AS posts,
+         ROUND(SUM((t.value->>'score')::numeric), 3)::float AS total_score,
+         ROUND(AVG((t.value->>'score')::numeric), 3)::float AS average_score,
+         MAX(p.post_date) AS last_posted_at
+       FROM linkedin_posts p, jsonb_array_elements(p.theme_scores) AS t(value)
+       WHERE p.contact_id = $1
+       GROUP BY t.value->>'theme'
+       ORDER BY posts DESC, total_score DESC
+       LIMIT $2`,
+      [contactId, limit]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Save comments, reactions and reshares of other people's posts. An
+   * engagement seen again (same post, same type) is updated in place.
+   * @param {number} contactId - Contact ID
+   * @param {Array<Object>} engagements - From linkedinAnalyzer.buildEngagement()
+   */
+  async saveEngagements(contactId, engagements) {
+    const insertPromises = engagements.map(e => db.query(
+      `INSERT INTO linkedin_engagement
+       (contact_id, engagement_type, target_profile, target_name, target_headline, target_company,
+        target_type, content_topic, engagement_date, post_url, activity_urn, comment_text,
+        content_preview, source)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       ON CONFLICT (contact_id, engagement_type, post_url) DO UPDATE SET
+         target_profile = COALESCE(EXCLUDED.target_profile, linkedin_engagement.target_profile),
+         target_name = COALESCE(EXCLUDED.target_name, linkedin_engagement.target_name),
+         target_headline = COALESCE(EXCLUDED.target_headline, linkedin_engagement.target_headline),
+         target_company = COALESCE(EXCLUDED.target_company, linkedin_engagement.target_company),
+         target_type = EXCLUDED.target_type,
+         content_topic = EXCLUDED.content_topic,
+         engagement_date = COALESCE(EXCLUDED.engagement_date, linkedin_engagement.engagement_date),
+         activity_urn = COALESCE(EXCLUDED.activity_urn, linkedin_engagement.activity_urn),
+         comment_text = COALESCE(EXCLUDED.comment_text, linkedin_engagement.comment_text),
+         content_preview = COALESCE(EXCLUDED.content_preview, linkedin_engagement.content_preview),
+         scraped_at = NOW()
+       RETURNING *`,
+      [contactId, e.engagement_type, e.target_profile, e.target_name, e.target_headline, e.target_company,
+       e.target_type, e.content_topic, e.engagement_date, e.post_url, e.activity_urn, e.comment_text,
+       e.content_preview, e.source || 'linkedin']
+    ));
+
+    const results = await Promise.all(insertPromises);
+    return results.map(r => r.rows[0]);
+  },
+
+  /**
+   * A contact's engagements, newest first
+   * @param {number} contactId - Contact ID
+   * @param {Object} options - { since: only engagements on or after this date }
+   */
+  async getEngagements(contactId, { since = null } = {}) {
+    const result = await db.query(
+      `SELECT * FROM linkedin_engagement
+       WHERE contact_id = $1 AND ($2::timestamp IS NULL OR engagement_date >= $2)
+       ORDER BY engagement_date DESC NULLS LAST, id DESC`,
+      [contactId, since]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Replace a contact's work history with a freshly parsed one
+   * @param {number} contactId - Contact ID
+   * @param {Array<Object>} positions - Parsed positions ('YYYY-MM' months)
+   */
+  async savePositions(contactId, positions) {
+    return db.transaction(async (client) => {
+      await client.query('DELETE FROM linkedin_positions WHERE contact_id = $1', [contactId]);
+
+      const saved = [];
+      for (const position of positions) {
+        const result = await client.query(
+          `INSERT INTO linkedin_positions
+           (contact_id, position_order, company_name, company_linkedin_url, title, employment_type,
+            location, description, start_month, end_month, is_current, date_precision)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, to_date($9, 'YYYY-MM'), to_date($10, 'YYYY-MM'), $11, $12)
+           RETURNING ${POSITION_COLUMNS}`,
+          [contactId, position.position_order, position.company_name, position.company_linkedin_url,
+           position.title, position.employment_type, position.location, position.description,
+           position.start_month, position.end_month, position.is_current, position.date_precision]
+        );
+        saved.push(result.rows[0]);
+      }
+
+      return saved;
+    });
+  },
+
+  // Work history in profile order
+  async getPositions(contactId) {
+    const result = await db.query(
+      `SELECT ${POSITION_COLUMNS} FROM linkedin_positions
+       WHERE contact_id = $1
+       ORDER BY position_order`,
+      [contactId]
+    );
+    return result.rows;
+  },
+
+  // Get LinkedIn profile. Tenure is counted from the current position's start
+  // month when it is known, so it keeps up between scrapes.
   async getProfile(contactId) {
     const result = await db.query(
-      'SELECT * FROM linkedin_activity WHERE contact_id = $1',
+      `SELECT *,
+         (EXTRACT(YEAR FROM age(date_trunc('month', NOW()), current_position_start_month)) * 12
+          + EXTRACT(MONTH FROM age(date_trunc('month', NOW()), current_position_start_month)))::int + 1
+           AS live_tenure_months
+       FROM linkedin_activity WHERE contact_id = $1`,
       [contactId]
     );
-    return result.rows[0];
+
+    if (!result.rows[0]) return result.rows[0];
+
+    const { live_tenure_months, ...profile } = result.rows[0];
+    if (live_tenure_months !== null) {
+      profile.current_position_tenure_months = live_tenure_months;
+    }
+    return profile;
   }
 };
 
@@ -200,35 +606,138 @@ const githubQueries = {
 
 /**
  * Intelligence Signal Queries
+ * A signal is active until it expires, is superseded by a newer signal in the
+ * same slot (signal_type + signal_key) or is archived. Readers only see
+ * active signals unless they ask for inactive ones explicitly.
  */
+const ACTIVE_SIGNAL = `superseded_by IS NULL AND archived_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())`;
+
 const signalQueries = {
-  async createSignal(contactId, signalData) {
+  /**
+   * Insert a signal, or refresh the active one with the same fingerprint.
+   * A newly inserted signal supersedes the other active signals in its slot.
+   * @param {number} contactId - Database contact ID
+   * @param {Object} signalData - Signal with signal_source, signal_key, source_ref, fingerprint, expires_at
+   * @returns {Promise<Object>} { signal, inserted, superseded }
+   */
+  async upsertSignal(contactId, signalData) {
     const {
       signal_type, signal_category, description, relevance_score,
-      urgency_score, wedge_potential, raw_data
+      urgency_score, wedge_potential, raw_data, signal_source,
+      signal_key, source_ref, fingerprint, expires_at, event_at, composite_score,
+      scoring_profile
     } = signalData;
 
+    return db.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO intelligence_signals
+         (contact_id, signal_type, signal_category, description,
+          relevance_score, urgency_score, wedge_potential, raw_data,
+          signal_source, signal_key, source_ref, fingerprint, expires_at,
+          event_at, composite_score, scoring_profile, scored_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
+         ON CONFLICT (contact_id, fingerprint) WHERE superseded_by IS NULL AND archived_at IS NULL
+         DO UPDATE SET
+           signal_category = EXCLUDED.signal_category,
+           description = EXCLUDED.description,
+           relevance_score = EXCLUDED.relevance_score,
+           urgency_score = EXCLUDED.urgency_score,
+           wedge_potential = EXCLUDED.wedge_potential,
+           raw_data = EXCLUDED.raw_data,
+           expires_at = EXCLUDED.expires_at,
+           event_at = EXCLUDED.event_at,
+           composite_score = EXCLUDED.composite_score,
+           scoring_profile = EXCLUDED.scoring_profile,
+           scored_at = NOW(),
+           last_seen_at = NOW()
+         RETURNING *, (xmax = 0) AS inserted`,
+        [contactId, signal_type, signal_category, description,
+         relevance_score, urgency_score, wedge_potential, raw_data,
+         signal_source, signal_key, source_ref, fingerprint, expires_at,
+         event_at, composite_score, scoring_profile]
+      );
+
+      const { inserted, ...signal } = result.rows[0];
+      let superseded = 0;
+
+      if (inserted) {
+        const supersededResult = await client.query(
+          `UPDATE intelligence_signals
+           SET superseded_by = $1, superseded_at = NOW()
+           WHERE contact_id = $2 AND signal_type = $3 AND signal_key = $4
+             AND id <> $1 AND superseded_by IS NULL AND archived_at IS NULL`,
+          [signal.id, contactId, signal_type, signal_key]
+        );
+        superseded = supersededResult.rowCount;
+      }
+
+      return { signal, inserted, superseded };
+    });
+  },
+
+  /**
+   * Archive a source's signals that were not detected again on its latest run
+   * @param {number} contactId - Database contact ID
+   * @param {string} source - signal_source
+   * @param {Array<number>} keepIds - Signals seen on this run
+   * @returns {Promise<number>} Signals archived
+   */
+  async archiveMissing(contactId, source, keepIds, reason = 'not_detected') {
     const result = await db.query(
-      `INSERT INTO intelligence_signals
-       (contact_id, signal_type, signal_category, description,
-        relevance_score, urgency_score, wedge_potential, raw_data)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING *`,
-      [contactId, signal_type, signal_category, description,
-       relevance_score, urgency_score, wedge_potential, raw_data]
+      `UPDATE intelligence_signals
+       SET archived_at = NOW(), archive_reason = $4
+       WHERE contact_id = $1 AND signal_source = $2
+         AND NOT (id = ANY($3::int[]))
+         AND superseded_by IS NULL AND archived_at IS NULL`,
+      [contactId, source, keepIds, reason]
     );
+    return result.rowCount;
+  },
 
-    return result.rows[0];
+  /**
+   * Give signals stored without an expiry (those from before migration 0006)
+   * one from their type's TTL, counted from the event or detection date
+   * @param {Object} ttlDays - TTL in days by signal_type
+   * @param {number} defaultTtlDays - TTL for types not in ttlDays
+   * @returns {Promise<number>} Signals updated
+   */
+  async setMissingExpiry(ttlDays, defaultTtlDays) {
+    const result = await db.query(
+      `UPDATE intelligence_signals
+       SET expires_at = COALESCE(event_at, detected_at)
+         + (COALESCE(($1::jsonb->>signal_type)::numeric, $2) * INTERVAL '1 day')
+       WHERE expires_at IS NULL AND archived_at IS NULL`,
+      [JSON.stringify(ttlDays), defaultTtlDays]
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * Archive signals that expired or were superseded more than afterDays ago
+   * @returns {Promise<number>} Signals archived
+   */
+  async archiveStale(afterDays) {
+    const result = await db.query(
+      `UPDATE intelligence_signals
+       SET archived_at = NOW(),
+           archive_reason = CASE WHEN superseded_by IS NOT NULL THEN 'superseded' ELSE 'expired' END
+       WHERE archived_at IS NULL
+         AND (expires_at < NOW() - ($1 * INTERVAL '1 day')
+           OR superseded_at < NOW() - ($1 * INTERVAL '1 day'))`,
+      [afterDays]
+    );
+    return result.rowCount;
   },
 
   async getSignalsByContact(contactId, limit = null) {
     const query_text = limit
       ? `SELECT * FROM intelligence_signals
-         WHERE contact_id = $1
+         WHERE contact_id = $1 AND ${ACTIVE_SIGNAL}
          ORDER BY relevance_score DESC, urgency_score DESC, wedge_potential DESC
          LIMIT $2`
       : `SELECT * FROM intelligence_signals
-         WHERE contact_id = $1
+         WHERE contact_id = $1 AND ${ACTIVE_SIGNAL}
          ORDER BY relevance_score DESC, urgency_score DESC, wedge_potential DESC`;
 
     const params = limit ? [contactId, limit] : [contactId];
@@ -236,8 +745,306 @@ const signalQueries = {
     return result.rows;
   },
 
+  /**
+   * Expired, superseded and archived signals, newest first
+   */
+  async getInactiveSignals(contactId, limit = 100) {
+    const result = await db.query(
+      `SELECT *,
+         CASE
+           WHEN archived_at IS NOT NULL THEN 'archived'
+           WHEN superseded_by IS NOT NULL THEN 'superseded'
+           ELSE 'expired'
+         END AS status
+       FROM intelligence_signals
+       WHERE contact_id = $1 AND NOT (${ACTIVE_SIGNAL})
+       ORDER BY detected_at DESC
+       LIMIT $2`,
+      [contactId, limit]
+    );
+    return result.rows;
+  },
+
   async getTopSignals(contactId, count = 5) {
     return this.getSignalsByContact(contactId, count);
+  },
+
+  /**
+   * Active signals in id order, for rescoring in batches
+   */
+  async getActiveSignalsBatch({ contactId = null, afterId = 0, limit = 500 }) {
+    const result = await db.query(
+      `SELECT * FROM intelligence_signals
+       WHERE id > $1 AND ($2::int IS NULL OR contact_id = $2)
+         AND ${ACTIVE_SIGNAL}
+       ORDER BY id
+       LIMIT $3`,
+      [afterId, contactId, limit]
+    );
+    return result.rows;
+  },
+
+  /**
+   * @param {Array} scores - [{ id, composite_score }]
+   * @param {string} scoringProfile - 'name@version' the scores were computed with
+   * @returns {Promise<number>} Signals updated
+   */
+  async saveCompositeScores(scores, scoredAt, scoringProfile) {
+    if (scores.length === 0) return 0;
+
+    const result = await db.query(
+      `UPDATE intelligence_signals s
+       SET composite_score = v.composite_score, scored_at = $3, scoring_profile = $4
+       FROM UNNEST($1::int[], $2::numeric[]) AS v(id, composite_score)
+       WHERE s.id = v.id`,
+      [scores.map(s => s.id), scores.map(s => s.composite_score), scoredAt, scoringProfile]
+    );
+    return result.rowCount;
+  }
+};
+
+/**
+ * Analytics Queries
+ * Cross-contact aggregates for /api/analytics
+ */
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+const analyticsQueries = {
+  /**
+   * Signals detected per period, by type and category (includes signals
+   * since superseded or archived - they were detected when they were)
+   * @param {Object} options - { since, interval: 'day' | 'week' | 'month' }
+   */
+  async getSignalTimeline({ since, interval = 'week' }) {
+    const result = await db.query(
+      `SELECT date_trunc($2, detected_at) AS period, signal_type, signal_category,
+         COUNT(*)::int AS count
+       FROM intelligence_signals
+       WHERE detected_at >= $1
+       GROUP BY period, signal_type, signal_category
+       ORDER BY period, count DESC`,
+      [since, interval]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Active signal counts by type and category
+   */
+  async getActiveSignalCounts() {
+    const result = await db.query(
+      `SELECT signal_type, signal_category, COUNT(*)::int AS count,
+         COUNT(DISTINCT contact_id)::int AS contacts
+       FROM intelligence_signals
+       WHERE ${ACTIVE_SIGNAL}
+       GROUP BY signal_type, signal_category
+       ORDER BY count DESC`
+    );
+    return result.rows;
+  },
+
+  /**
+   * Histogram of stored composite scores of active signals (0.1 wide buckets)
+   */
+  async getScoreDistribution() {
+    const [buckets, stats] = await Promise.all([
+      db.query(
+        `SELECT LEAST(width_bucket(composite_score, 0, 1, 10), 10) AS bucket,
+           COUNT(*)::int AS count
+         FROM intelligence_signals
+         WHERE ${ACTIVE_SIGNAL} AND composite_score IS NOT NULL
+         GROUP BY bucket
+         ORDER BY bucket`
+      ),
+      db.query(
+        `SELECT COUNT(*)::int AS scored,
+           AVG(composite_score)::float AS mean,
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY composite_score)::float AS median,
+           percentile_cont(0.9) WITHIN GROUP (ORDER BY composite_score)::float AS p90,
+           COUNT(*) FILTER (WHERE composite_score > 0.8)::int AS high_priority,
+           COUNT(*) FILTER (WHERE composite_score >= 0.6 AND composite_score <= 0.8)::int AS medium_priority,
+           COUNT(*) FILTER (WHERE composite_score < 0.6)::int AS low_priority,
+           MIN(scored_at) AS oldest_scored_at,
+           array_remove(array_agg(DISTINCT scoring_profile), NULL) AS scoring_profiles
+         FROM intelligence_signals
+         WHERE ${ACTIVE_SIGNAL} AND composite_score IS NOT NULL`
+      )
+    ]);
+
+    return { buckets: buckets.rows, stats: stats.rows[0] };
+  },
+
+  /**
+   * Wedge types across each contact's latest playbook - how often each is
+   * the primary wedge and how often it is found at all
+   */
+  async getWedgeTypes() {
+    const result = await db.query(
+      `WITH latest AS (
+         SELECT DISTINCT ON (contact_id) contact_id, full_strategy_json
+         FROM gtm_playbooks
+         ORDER BY contact_id, generated_at DESC
+       ),
+       found AS (
+         SELECT wedge->>'type' AS wedge_type, COUNT(DISTINCT contact_id)::int AS contacts,
+           AVG((wedge->>'score')::float) AS avg_score
+         FROM latest, jsonb_array_elements(COALESCE(full_strategy_json->'allWedges', '[]'::jsonb)) AS wedge
+         GROUP BY wedge_type
+       ),
+       primary_wedges AS (
+         SELECT full_strategy_json->'primaryWedge'->>'type' AS wedge_type, COUNT(*)::int AS count
+         FROM latest
+         WHERE full_strategy_json->'primaryWedge'->>'type' IS NOT NULL
+         GROUP BY wedge_type
+       )
+       SELECT COALESCE(f.wedge_type, p.wedge_type) AS wedge_type,
+         COALESCE(p.count, 0) AS primary_count,
+         COALESCE(f.contacts, 0) AS found_count,
+         f.avg_score,
+         (SELECT COUNT(*)::int FROM latest) AS playbooks
+       FROM found f
+       FULL OUTER JOIN primary_wedges p ON p.wedge_type = f.wedge_type
+       ORDER BY primary_count DESC, found_count DESC`
+    );
+    return result.rows;
+  },
+
+  /**
+   * Most common pain point labels across posts, job descriptions and
+   * podcasts, ranked by how many companies and contacts raised them
+   * @param {Object} options - { since, limit }
+   */
+  async getTopPainPoints({ since, limit = 20 }) {
+    const result = await db.query(
+      `WITH mentions AS (
+         SELECT pp.value->>'label' AS label, p.contact_id, c.company_domain,
+           'linkedin_post' AS source, (pp.value->>'confidence')::numeric AS confidence,
+           p.post_date AS mentioned_at
+         FROM linkedin_posts p
+         JOIN contacts c ON c.id = p.contact_id
+         CROSS JOIN LATERAL jsonb_array_elements(p.pain_points) AS pp(value)
+         WHERE p.post_date >= $1
+         UNION ALL
+         SELECT pp.value->>'label', NULL, j.company_domain,
+           'job_posting', (pp.value->>'confidence')::numeric,
+           COALESCE(j.posted_date, j.scraped_at)
+         FROM job_postings j
+         CROSS JOIN LATERAL jsonb_array_elements(j.pain_points) AS pp(value)
+         WHERE COALESCE(j.posted_date, j.scraped_at) >= $1
+         UNION ALL
+         SELECT pp.value->>'label', s.contact_id, c.company_domain,
+           'podcast', (pp.value->>'confidence')::numeric, s.date
+         FROM speaking_engagements s
+         JOIN contacts c ON c.id = s.contact_id
+         CROSS JOIN LATERAL jsonb_array_elements(s.pain_points) AS pp(value)
+         WHERE s.date >= $1
+       )
+       SELECT label,
+         COUNT(DISTINCT company_domain)::int AS companies,
+         COUNT(DISTINCT contact_id)::int AS contacts,
+         COUNT(*) FILTER (WHERE source = 'linkedin_post')::int AS posts,
+         COUNT(*) FILTER (WHERE source = 'job_posting')::int AS job_postings,
+         COUNT(*) FILTER (WHERE source = 'podcast')::int AS podcasts,
+         ROUND(AVG(confidence), 2)::float AS average_confidence,
+         MAX(mentioned_at) AS last_mentioned_at
+       FROM mentions
+       GROUP BY label
+       ORDER BY companies DESC, contacts DESC, COUNT(*) DESC
+       LIMIT $2`,
+      [since, limit]
+    );
+    return result.rows;
+  },
+
+  /**
+   * How many researched contacts (at least one completed job) each source
+   * found data for
+   */
+  async getSourceCoverage() {
+    const result = await db.query(
+      `WITH researched AS (
+         SELECT c.id, c.company_domain
+         FROM contacts c
+         WHERE EXISTS (
+           SELECT 1 FROM research_jobs rj
+           WHERE rj.contact_id = c.id AND rj.status = 'completed'
+         )
+       )
+       SELECT
+         (SELECT COUNT(*)::int FROM contacts) AS contacts,
+         COUNT(*)::int AS researched,
+         COUNT(*) FILTER (WHERE EXISTS (
+           SELECT 1 FROM linkedin_activity la WHERE la.contact_id = r.id
+         ))::int AS linkedin,
+         COUNT(*) FILTER (WHERE EXISTS (
+           SELECT 1 FROM github_activity ga WHERE ga.contact_id = r.id
+         ))::int AS github,
+         COUNT(*) FILTER (WHERE EXISTS (
+           SELECT 1 FROM speaking_engagements se WHERE se.contact_id = r.id
+         ))::int AS podcasts,
+         COUNT(*) FILTER (WHERE EXISTS (
+           SELECT 1 FROM job_postings jp WHERE jp.company_domain = r.company_domain
+         ))::int AS jobs
+       FROM researched r`
+    );
+    return result.rows[0];
+  }
+};
+
+/**
+ * Scoring Profile Queries
+ * Versions are immutable; a name's current profile is its highest version
+ */
+const scoringProfileQueries = {
+  /**
+   * @param {string} name - Profile name
+   * @param {number|null} version - Specific version, or the latest when null
+   */
+  async getProfile(name, version = null) {
+    const result = await db.query(
+      `SELECT * FROM scoring_profiles
+       WHERE name = $1 AND ($2::int IS NULL OR version = $2)
+       ORDER BY version DESC
+       LIMIT 1`,
+      [name, version]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Latest version of every profile, with how many versions each has
+   */
+  async listProfiles() {
+    const result = await db.query(
+      `SELECT DISTINCT ON (name) *,
+         COUNT(*) OVER (PARTITION BY name)::int AS version_count
+       FROM scoring_profiles
+       ORDER BY name, version DESC`
+    );
+    return result.rows;
+  },
+
+  async getVersions(name) {
+    const result = await db.query(
+      `SELECT * FROM scoring_profiles WHERE name = $1 ORDER BY version DESC`,
+      [name]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Save the next version of a profile (version 1 for a new name).
+   * Concurrent saves of the same name fail on UNIQUE(name, version).
+   */
+  async createVersion(name, description, model) {
+    const result = await db.query(
+      `INSERT INTO scoring_profiles (name, version, description, model)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3
+       FROM scoring_profiles WHERE name = $1
+       RETURNING *`,
+      [name, description, model]
+    );
+    return result.rows[0];
   }
 };
 
@@ -280,76 +1087,1066 @@ const playbookQueries = {
 };
 
 /**
- * Research Job Queries
+ * Outreach Sequence Queries
+ * One row per generated playbook - the cadence's steps are stored as JSON
  */
-const researchJobQueries = {
-  async createJob(contactId) {
+const sequenceQueries = {
+  async saveSequence(contactId, playbookId, sequence) {
     const result = await db.query(
-      `INSERT INTO research_jobs (contact_id, status)
-       VALUES ($1, 'pending')
+      `INSERT INTO outreach_sequences
+       (contact_id, playbook_id, primary_wedge, channels, step_count, total_days, steps)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [contactId]
+      [contactId, playbookId, sequence.primary_wedge, JSON.stringify(sequence.channels),
+       sequence.step_count, sequence.total_days, JSON.stringify(sequence.steps)]
     );
     return result.rows[0];
   },
 
-  async updateJobStatus(jobId, status, error = null, results = null) {
+  async getLatestSequence(contactId) {
     const result = await db.query(
-      `UPDATE research_jobs
-       SET status = $2::varchar,
-           error_message = $3,
-           results_summary = $4::jsonb,
-           completed_at = CASE WHEN $2::varchar IN ('completed', 'failed') THEN NOW() ELSE completed_at END
-       WHERE id = $1
-       RETURNING *`,
-      [jobId, status, error, results ? JSON.stringify(results) : null]
+      `SELECT * FROM outreach_sequences
+       WHERE contact_id = $1
+       ORDER BY generated_at DESC, id DESC
+       LIMIT 1`,
+      [contactId]
     );
     return result.rows[0];
+  }
+};
+
+/**
+ * Outreach Template Queries
+ */
+const outreachTemplateQueries = {
+  async listTemplates({ includeInactive = false } = {}) {
+    const result = await db.query(
+      `SELECT * FROM outreach_templates
+       WHERE $1 OR active
+       ORDER BY name`,
+      [includeInactive]
+    );
+    return result.rows;
   },
 
-  async getJob(jobId) {
+  // Templates playbooks are written with, oldest first (ties go to the oldest)
+  async getActiveTemplates() {
     const result = await db.query(
-      'SELECT * FROM research_jobs WHERE id = $1',
-      [jobId]
+      'SELECT * FROM outreach_templates WHERE active ORDER BY id'
+    );
+    return result.rows;
+  },
+
+  async getTemplate(templateId) {
+    const result = await db.query(
+      'SELECT * FROM outreach_templates WHERE id = $1',
+      [templateId]
     );
     return result.rows[0];
-  }
-};
+  },
 
-/**
- * Company Queries
- */
-const companyQueries = {
-  async saveJobPosting(jobData) {
+  async createTemplate(template) {
     const {
-      company_domain, job_title, job_url, posted_date, department,
-      seniority_level, initiative_signals, tech_stack_mentions,
-      urgency_indicators, requirements_summary, raw_job_data
-    } = jobData;
+      name, description = null, wedge_types = [], persona = null,
+      subject = null, body, active = true
+    } = template;
 
     const result = await db.query(
-      `INSERT INTO job_postings
-       (company_domain, job_title, job_url, posted_date, department, seniority_level,
-        initiative_signals, tech_stack_mentions, urgency_indicators, requirements_summary,
-        raw_job_data)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `INSERT INTO outreach_templates (name, description, wedge_types, persona, subject, body, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [company_domain, job_title, job_url, posted_date, department, seniority_level,
-       initiative_signals, tech_stack_mentions, urgency_indicators, requirements_summary,
-       raw_job_data]
+      [name, description, wedge_types, persona, subject, body, active]
     );
+    return result.rows[0];
+  },
+
+  async updateTemplate(templateId, updates) {
+    const fields = Object.keys(updates);
+    const assignments = fields.map((field, i) => `${field} = $${i + 2}`);
 
+    const result = await db.query(
+      `UPDATE outreach_templates
+       SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [templateId, ...fields.map(field => updates[field])]
+    );
     return result.rows[0];
   },
 
-  async getJobPostingsByCompany(companyDomain) {
+  async deleteTemplate(templateId) {
     const result = await db.query(
-      `SELECT * FROM job_postings
-       WHERE company_domain = $1
-       ORDER BY posted_date DESC`,
-      [companyDomain]
+      'DELETE FROM outreach_templates WHERE id = $1 RETURNING *',
+      [templateId]
     );
-    return result.rows;
+    return result.rows[0];
+  }
+};
+
+/**
+ * Seller Profile Queries
+ * Our product, value props and case studies, as outreach cites them
+ */
+const sellerProfileQueries = {
+  async getProfile() {
+    const result = await db.query('SELECT * FROM seller_profile WHERE id = 1');
+    return result.rows[0];
+  },
+
+  // The profile is a single row - the first save creates it
+  async saveProfile(profile) {
+    const {
+      company_name, product_name, product_description = null, customer_count = null,
+      value_props = {}, default_value_prop = null, default_team_member_id = null
+    } = profile;
+
+    const result = await db.query(
+      `INSERT INTO seller_profile
+       (id, company_name, product_name, product_description, customer_count,
+        value_props, default_value_prop, default_team_member_id)
+       VALUES (1, $1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (id) DO UPDATE SET
+         company_name = EXCLUDED.company_name,
+         product_name = EXCLUDED.product_name,
+         product_description = EXCLUDED.product_description,
+         customer_count = EXCLUDED.customer_count,
+         value_props = EXCLUDED.value_props,
+         default_value_prop = EXCLUDED.default_value_prop,
+         default_team_member_id = EXCLUDED.default_team_member_id,
+         updated_at = NOW()
+       RETURNING *`,
+      [company_name, product_name, product_description, customer_count,
+       JSON.stringify(value_props), default_value_prop, default_team_member_id]
+    );
+    return result.rows[0];
+  },
+
+  async updateProfile(updates) {
+    const fields = Object.keys(updates);
+    const assignments = fields.map((field, i) => `${field} = $${i + 1}`);
+    const values = fields.map(field => (
+      field === 'value_props' ? JSON.stringify(updates[field]) : updates[field]
+    ));
+
+    const result = await db.query(
+      `UPDATE seller_profile
+       SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = 1
+       RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  },
+
+  async listCaseStudies({ includeInactive = false } = {}) {
+    const result = await db.query(
+      `SELECT * FROM case_studies
+       WHERE $1 OR active
+       ORDER BY customer_company, id`,
+      [includeInactive]
+    );
+    return result.rows;
+  },
+
+  // Case studies playbooks cite, oldest first (ties go to the oldest)
+  async getActiveCaseStudies() {
+    const result = await db.query(
+      'SELECT * FROM case_studies WHERE active ORDER BY id'
+    );
+    return result.rows;
+  },
+
+  async getCaseStudy(caseStudyId) {
+    const result = await db.query(
+      'SELECT * FROM case_studies WHERE id = $1',
+      [caseStudyId]
+    );
+    return result.rows[0];
+  },
+
+  async createCaseStudy(caseStudy) {
+    const {
+      customer_company, industry = null, pain_labels = [], metric, result: outcome,
+      timeframe = null, summary = null, url = null, active = true
+    } = caseStudy;
+
+    const result = await db.query(
+      `INSERT INTO case_studies
+       (customer_company, industry, pain_labels, metric, result, timeframe, summary, url, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [customer_company, industry, pain_labels, metric, outcome, timeframe, summary, url, active]
+    );
+    return result.rows[0];
+  },
+
+  async updateCaseStudy(caseStudyId, updates) {
+    const fields = Object.keys(updates);
+    const assignments = fields.map((field, i) => `${field} = $${i + 2}`);
+
+    const result = await db.query(
+      `UPDATE case_studies
+       SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [caseStudyId, ...fields.map(field => updates[field])]
+    );
+    return result.rows[0];
+  },
+
+  async deleteCaseStudy(caseStudyId) {
+    const result = await db.query(
+      'DELETE FROM case_studies WHERE id = $1 RETURNING *',
+      [caseStudyId]
+    );
+    return result.rows[0];
+  }
+};
+
+/**
+ * Research Job Queries
+ */
+const researchJobQueries = {
+  // sources: source stages to run (null runs every source)
+  async createJob(contactId, sources = null, maxAttempts = config.queue.maxAttempts) {
+    const result = await db.query(
+      `INSERT INTO research_jobs (contact_id, sources, status, max_attempts)
+       VALUES ($1, $2, 'pending', $3)
+       RETURNING *`,
+      [contactId, sources, maxAttempts]
+    );
+    return result.rows[0];
+  },
+
+  // Claim the next runnable job for a worker. SKIP LOCKED lets several
+  // workers poll the queue without blocking on or double-claiming a row.
+  async claimNextJob(workerId) {
+    const result = await db.query(
+      `UPDATE research_jobs
+       SET status = 'processing',
+           locked_by = $1,
+           locked_at = NOW(),
+           heartbeat_at = NOW(),
+           attempts = attempts + 1,
+           started_at = COALESCE(started_at, NOW())
+       WHERE id = (
+         SELECT id FROM research_jobs
+         WHERE status = 'pending' AND run_after <= NOW()
+         ORDER BY run_after, id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [workerId]
+    );
+    return result.rows[0];
+  },
+
+  // Returns false if the job is no longer owned by this worker (e.g. reaped)
+  async heartbeat(jobId, workerId) {
+    const result = await db.query(
+      `UPDATE research_jobs
+       SET heartbeat_at = NOW()
+       WHERE id = $1 AND locked_by = $2 AND status = 'processing'
+       RETURNING id`,
+      [jobId, workerId]
+    );
+    return result.rowCount > 0;
+  },
+
+  // Create the stage rows for a job (no-op for stages that already exist)
+  async initStages(jobId, stageNames) {
+    const result = await db.query(
+      `INSERT INTO research_job_stages (job_id, stage, position)
+       SELECT $1, stage, position::int - 1
+       FROM unnest($2::text[]) WITH ORDINALITY AS s(stage, position)
+       ON CONFLICT (job_id, stage) DO NOTHING
+       RETURNING *`,
+      [jobId, stageNames]
+    );
+    return result.rows;
+  },
+
+  async getJobStages(jobId) {
+    const result = await db.query(
+      `SELECT * FROM research_job_stages
+       WHERE job_id = $1
+       ORDER BY position`,
+      [jobId]
+    );
+    return result.rows;
+  },
+
+  async startStage(jobId, stage, attempt) {
+    const result = await db.query(
+      `UPDATE research_job_stages
+       SET status = 'running',
+           attempt = $3,
+           started_at = NOW(),
+           finished_at = NULL,
+           error_message = NULL
+       WHERE job_id = $1 AND stage = $2
+       RETURNING *`,
+      [jobId, stage, attempt]
+    );
+    await db.query('UPDATE research_jobs SET heartbeat_at = NOW() WHERE id = $1', [jobId]);
+    return result.rows[0];
+  },
+
+  // status: 'completed', 'failed' or 'skipped'
+  async finishStage(jobId, stage, status, stageResult = null, error = null) {
+    const result = await db.query(
+      `UPDATE research_job_stages
+       SET status = $3,
+           finished_at = NOW(),
+           result = $4::jsonb,
+           error_message = $5
+       WHERE job_id = $1 AND stage = $2
+       RETURNING *`,
+      [jobId, stage, status, stageResult ? JSON.stringify(stageResult) : null, error]
+    );
+    await db.query('UPDATE research_jobs SET heartbeat_at = NOW() WHERE id = $1', [jobId]);
+    return result.rows[0];
+  },
+
+  // Returns nothing when the worker no longer holds the job's lease
+  async scheduleRetry(jobId, workerId, error, delayMs) {
+    const result = await db.query(
+      `UPDATE research_jobs
+       SET status = 'pending',
+           error_message = $3,
+           run_after = NOW() + ($4 * INTERVAL '1 millisecond'),
+           locked_by = NULL,
+           locked_at = NULL,
+           heartbeat_at = NULL
+       WHERE id = $1 AND locked_by = $2 AND status = 'processing'
+       RETURNING *`,
+      [jobId, workerId, error, delayMs]
+    );
+    return result.rows[0];
+  },
+
+  // Hand a job back to the queue without using up an attempt (worker shutdown)
+  async releaseJob(jobId, workerId) {
+    const result = await db.query(
+      `UPDATE research_jobs
+       SET status = 'pending',
+           attempts = GREATEST(attempts - 1, 0),
+           run_after = NOW(),
+           locked_by = NULL,
+           locked_at = NULL,
+           heartbeat_at = NULL
+       WHERE id = $1 AND locked_by = $2 AND status = 'processing'
+       RETURNING *`,
+      [jobId, workerId]
+    );
+    return result.rows[0];
+  },
+
+  // Requeue (or fail, once attempts are used up) jobs whose worker stopped heartbeating
+  async reapAbandonedJobs(staleAfterMs) {
+    const result = await db.query(
+      `UPDATE research_jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END,
+           error_message = 'Worker ' || COALESCE(locked_by, 'unknown') || ' stopped responding',
+           completed_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE completed_at END,
+           run_after = NOW(),
+           locked_by = NULL,
+           locked_at = NULL,
+           heartbeat_at = NULL
+       WHERE status = 'processing'
+         AND heartbeat_at < NOW() - ($1 * INTERVAL '1 millisecond')
+       RETURNING *`,
+      [staleAfterMs]
+    );
+    return result.rows;
+  },
+
+  // Returns nothing when the worker no longer holds the job's lease
+  async updateJobStatus(jobId, workerId, status, error = null, results = null) {
+    const result = await db.query(
+      `UPDATE research_jobs
+       SET status = $3::varchar,
+           error_message = $4,
+           results_summary = $5::jsonb,
+           completed_at = CASE WHEN $3::varchar IN ('completed', 'failed') THEN NOW() ELSE completed_at END
+       WHERE id = $1 AND locked_by = $2 AND status = 'processing'
+       RETURNING *`,
+      [jobId, workerId, status, error, results ? JSON.stringify(results) : null]
+    );
+    return result.rows[0];
+  },
+
+  async getJob(jobId) {
+    const result = await db.query(
+      'SELECT * FROM research_jobs WHERE id = $1',
+      [jobId]
+    );
+    return result.rows[0];
+  },
+
+  // Most recent completed job for the contact before this one
+  async getPreviousCompletedJob(contactId, jobId) {
+    const result = await db.query(
+      `SELECT * FROM research_jobs
+       WHERE contact_id = $1 AND id <> $2 AND status = 'completed'
+       ORDER BY completed_at DESC
+       LIMIT 1`,
+      [contactId, jobId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * What research has added for a contact since a point in time
+   * @returns {Promise<Object>} { new_posts, profile_changes, signals_by_category, new_tools }
+   */
+  async getChangesSince(contactId, companyDomain, since) {
+    const [posts, changes, signals, tools] = await Promise.all([
+      db.query(
+        `SELECT COUNT(*)::int AS count FROM linkedin_posts
+         WHERE contact_id = $1 AND created_at > $2`,
+        [contactId, since]
+      ),
+      db.query(
+        `SELECT change_type, old_value, new_value, confidence_score, detected_date
+         FROM linkedin_profile_changes
+         WHERE contact_id = $1 AND detected_date > $2
+         ORDER BY detected_date`,
+        [contactId, since]
+      ),
+      db.query(
+        `SELECT signal_category, COUNT(*)::int AS count FROM intelligence_signals
+         WHERE contact_id = $1 AND detected_at > $2
+         GROUP BY signal_category`,
+        [contactId, since]
+      ),
+      db.query(
+        `SELECT DISTINCT tool_name FROM company_tech_stack
+         WHERE company_domain = $1 AND first_seen_at > $2
+         ORDER BY tool_name`,
+        [companyDomain, since]
+      )
+    ]);
+
+    return {
+      new_posts: posts.rows[0].count,
+      profile_changes: changes.rows,
+      signals_by_category: signals.rows.reduce((counts, row) => {
+        counts[row.signal_category] = row.count;
+        return counts;
+      }, {}),
+      new_tools: tools.rows.map(row => row.tool_name)
+    };
+  }
+};
+
+/**
+ * Research Schedule Queries (scheduled re-research)
+ */
+const researchScheduleQueries = {
+  // One schedule per contact or list - saving again replaces the cadence
+  async upsertSchedule({ contact_id = null, batch_id = null, cadence, interval_days, enabled = true, next_run_at = null }) {
+    const target = contact_id ? 'contact_id' : 'batch_id';
+
+    const result = await db.query(
+      `INSERT INTO research_schedules (contact_id, batch_id, cadence, interval_days, enabled, next_run_at)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6::timestamp, NOW()))
+       ON CONFLICT (${target}) WHERE ${target} IS NOT NULL DO UPDATE SET
+         cadence = EXCLUDED.cadence,
+         interval_days = EXCLUDED.interval_days,
+         enabled = EXCLUDED.enabled,
+         next_run_at = CASE
+           WHEN $6::timestamp IS NOT NULL THEN EXCLUDED.next_run_at
+           ELSE COALESCE(research_schedules.last_run_at + EXCLUDED.interval_days * INTERVAL '1 day', NOW())
+         END
+       RETURNING *`,
+      [contact_id, batch_id, cadence, interval_days, enabled, next_run_at]
+    );
+    return result.rows[0];
+  },
+
+  async getSchedule(scheduleId) {
+    const result = await db.query(
+      'SELECT * FROM research_schedules WHERE id = $1',
+      [scheduleId]
+    );
+    return result.rows[0];
+  },
+
+  async listSchedules({ contactId = null, batchId = null, enabled = null } = {}) {
+    const result = await db.query(
+      `SELECT * FROM research_schedules
+       WHERE ($1::int IS NULL OR contact_id = $1)
+         AND ($2::int IS NULL OR batch_id = $2)
+         AND ($3::boolean IS NULL OR enabled = $3)
+       ORDER BY next_run_at`,
+      [contactId, batchId, enabled]
+    );
+    return result.rows;
+  },
+
+  async updateSchedule(scheduleId, updates) {
+    const fields = Object.keys(updates);
+    const assignments = fields.map((field, i) => `${field} = $${i + 2}`);
+
+    const result = await db.query(
+      `UPDATE research_schedules
+       SET ${assignments.join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [scheduleId, ...fields.map(field => updates[field])]
+    );
+    return result.rows[0];
+  },
+
+  async deleteSchedule(scheduleId) {
+    const result = await db.query(
+      'DELETE FROM research_schedules WHERE id = $1 RETURNING *',
+      [scheduleId]
+    );
+    return result.rows[0];
+  },
+
+  // Claim due schedules and move them to their next run. SKIP LOCKED keeps two
+  // workers from running the same schedule.
+  async claimDueSchedules(limit) {
+    const result = await db.query(
+      `UPDATE research_schedules
+       SET last_run_at = NOW(),
+           next_run_at = NOW() + interval_days * INTERVAL '1 day'
+       WHERE id IN (
+         SELECT id FROM research_schedules
+         WHERE enabled = TRUE AND next_run_at <= NOW()
+         ORDER BY next_run_at
+         FOR UPDATE SKIP LOCKED
+         LIMIT $1
+       )
+       RETURNING *`,
+      [limit]
+    );
+    return result.rows;
+  },
+
+  async recordRunSummary(scheduleId, summary) {
+    await db.query(
+      'UPDATE research_schedules SET last_run_summary = $2::jsonb WHERE id = $1',
+      [scheduleId, JSON.stringify(summary)]
+    );
+  },
+
+  // Contacts covered by a schedule (a single contact, or every contact of a list)
+  async getScheduleContactIds(schedule) {
+    if (schedule.contact_id) {
+      return [schedule.contact_id];
+    }
+
+    const result = await db.query(
+      `SELECT DISTINCT contact_id FROM research_batch_rows
+       WHERE batch_id = $1 AND contact_id IS NOT NULL`,
+      [schedule.batch_id]
+    );
+    return result.rows.map(row => row.contact_id);
+  },
+
+  /**
+   * When each source was last refreshed for each contact. A source counts as
+   * refreshed when its data was scraped or its stage last completed (a search
+   * that found nothing still leaves a completed stage behind).
+   */
+  async getSourceFreshness(contactIds) {
+    const result = await db.query(
+      `SELECT c.id AS contact_id,
+              c.company_domain,
+              GREATEST(la.profile_scraped_at, st.linkedin) AS linkedin,
+              GREATEST(ga.scraped_at, st.github) AS github,
+              GREATEST(se.scraped_at, st.podcasts) AS podcasts,
+              GREATEST(co.jobs_scraped_at, st.jobs) AS jobs,
+              EXISTS (
+                SELECT 1 FROM research_jobs j
+                WHERE j.contact_id = c.id AND j.status IN ('pending', 'processing')
+              ) AS has_active_job
+       FROM contacts c
+       LEFT JOIN linkedin_activity la ON la.contact_id = c.id
+       LEFT JOIN github_activity ga ON ga.contact_id = c.id
+       LEFT JOIN companies co ON co.domain = c.company_domain
+       LEFT JOIN LATERAL (
+         SELECT MAX(scraped_at) AS scraped_at FROM speaking_engagements WHERE contact_id = c.id
+       ) se ON TRUE
+       LEFT JOIN LATERAL (
+         SELECT MAX(s.finished_at) FILTER (WHERE s.stage = 'linkedin') AS linkedin,
+                MAX(s.finished_at) FILTER (WHERE s.stage = 'github') AS github,
+                MAX(s.finished_at) FILTER (WHERE s.stage = 'podcasts') AS podcasts,
+                MAX(s.finished_at) FILTER (WHERE s.stage = 'jobs') AS jobs
+         FROM research_job_stages s
+         JOIN research_jobs j ON j.id = s.job_id
+         WHERE j.contact_id = c.id AND s.status = 'completed'
+       ) st ON TRUE
+       WHERE c.id = ANY($1::int[])`,
+      [contactIds]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Queue refresh jobs for a schedule. Like batch jobs they are spaced out
+   * behind other pending list work so they drain at the LinkedIn rate limit.
+   * @param {number} scheduleId - Schedule ID
+   * @param {Array} jobs - [{ contact_id, sources }]
+   * @param {number} jobSpacingMs - Delay between consecutive jobs
+   */
+  async enqueueScheduledJobs(scheduleId, jobs, jobSpacingMs) {
+    if (jobs.length === 0) return [];
+
+    return db.transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [LIST_QUEUE_LOCK_ID]);
+
+      const result = await client.query(
+        `INSERT INTO research_jobs (contact_id, schedule_id, sources, status, max_attempts, run_after)
+         SELECT j.contact_id, $3::int, string_to_array(j.sources, ','), 'pending', $4::int,
+                start_at.ts + ((j.position - 1) * $5::int * INTERVAL '1 millisecond')
+         FROM unnest($1::int[], $2::text[]) WITH ORDINALITY AS j(contact_id, sources, position),
+              (SELECT GREATEST(NOW(), MAX(run_after) + ($5::int * INTERVAL '1 millisecond')) AS ts
+               FROM research_jobs
+               WHERE status = 'pending' AND (batch_id IS NOT NULL OR schedule_id IS NOT NULL)) AS start_at
+         RETURNING *`,
+        [
+          jobs.map(job => job.contact_id),
+          jobs.map(job => job.sources.join(',')),
+          scheduleId,
+          config.queue.maxAttempts,
+          jobSpacingMs
+        ]
+      );
+      return result.rows;
+    });
+  },
+
+  // Recent jobs queued by a schedule
+  async getScheduleJobs(scheduleId, limit = 20) {
+    const result = await db.query(
+      `SELECT id, contact_id, status, sources, requested_at, completed_at, error_message, results_summary
+       FROM research_jobs
+       WHERE schedule_id = $1
+       ORDER BY requested_at DESC
+       LIMIT $2`,
+      [scheduleId, limit]
+    );
+    return result.rows;
+  }
+};
+
+/**
+ * Research Batch Queries (bulk intake)
+ */
+const researchBatchQueries = {
+  /**
+   * Create a batch, its contacts and its child research jobs in one transaction.
+   * Batch jobs are queued behind any earlier batch and spaced jobSpacingMs
+   * apart so a large list drains at the LinkedIn rate limit, while single
+   * POST /api/research jobs (run_after = NOW()) still jump ahead of them.
+   * @param {string} sourceFormat - 'csv' or 'json'
+   * @param {Array} rows - [{ row_number, input, status, errors, contact }]
+   * @param {number} jobSpacingMs - Delay between consecutive batch jobs
+   */
+  async createBatch(sourceFormat, rows, jobSpacingMs) {
+    return db.transaction(async (client) => {
+      // Rows that passed validation; in-batch duplicates share the first row's contact
+      const accepted = rows.filter(row => row.contact);
+      const unique = accepted.filter(row => row.status === 'queued');
+
+      const contactResult = await client.query(
+        `INSERT INTO contacts (full_name, linkedin_url, email, current_company, current_title, company_domain, industry)
+         SELECT * FROM unnest($1::varchar[], $2::text[], $3::varchar[], $4::varchar[], $5::varchar[], $6::varchar[], $7::varchar[])
+         ON CONFLICT (linkedin_url) DO UPDATE SET
+           full_name = EXCLUDED.full_name,
+           email = EXCLUDED.email,
+           current_company = EXCLUDED.current_company,
+           current_title = EXCLUDED.current_title,
+           company_domain = EXCLUDED.company_domain,
+           industry = EXCLUDED.industry,
+           updated_at = NOW()
+         RETURNING id, linkedin_url`,
+        [
+          unique.map(row => row.contact.full_name),
+          unique.map(row => row.contact.linkedin_url),
+          unique.map(row => row.contact.email),
+          unique.map(row => row.contact.current_company),
+          unique.map(row => row.contact.current_title),
+          unique.map(row => row.contact.company_domain),
+          unique.map(row => row.contact.industry)
+        ]
+      );
+      const contactIds = new Map(contactResult.rows.map(c => [c.linkedin_url, c.id]));
+
+      // Don't queue a second job for contacts whose research is already underway
+      const activeResult = await client.query(
+        `SELECT DISTINCT ON (contact_id) id, contact_id
+         FROM research_jobs
+         WHERE contact_id = ANY($1::int[]) AND status IN ('pending', 'processing')
+         ORDER BY contact_id, id DESC`,
+        [[...contactIds.values()]]
+      );
+      const activeJobs = new Map(activeResult.rows.map(j => [j.contact_id, j.id]));
+
+      for (const row of accepted) {
+        row.contact_id = contactIds.get(row.contact.linkedin_url);
+
+        if (row.status === 'queued' && activeJobs.has(row.contact_id)) {
+          row.status = 'duplicate';
+          row.job_id = activeJobs.get(row.contact_id);
+          row.errors = [`Research already in progress for this contact (job ${row.job_id})`];
+        }
+      }
+
+      const toQueue = rows.filter(row => row.status === 'queued');
+      const countOf = status => rows.filter(row => row.status === status).length;
+
+      const batchResult = await client.query(
+        `INSERT INTO research_batches (source_format, total_rows, queued_rows, duplicate_rows, invalid_rows)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [sourceFormat, rows.length, toQueue.length, countOf('duplicate'), countOf('invalid')]
+      );
+      const batch = batchResult.rows[0];
+
+      await client.query('SELECT pg_advisory_xact_lock($1)', [LIST_QUEUE_LOCK_ID]);
+      const jobResult = await client.query(
+        `INSERT INTO research_jobs (contact_id, batch_id, status, max_attempts, run_after)
+         SELECT j.contact_id, $2::int, 'pending', $3::int,
+                start_at.ts + ((j.position - 1) * $4::int * INTERVAL '1 millisecond')
+         FROM unnest($1::int[]) WITH ORDINALITY AS j(contact_id, position),
+              (SELECT GREATEST(NOW(), MAX(run_after) + ($4::int * INTERVAL '1 millisecond')) AS ts
+               FROM research_jobs
+               WHERE status = 'pending' AND (batch_id IS NOT NULL OR schedule_id IS NOT NULL)) AS start_at
+         RETURNING id, contact_id`,
+        [toQueue.map(row => row.contact_id), batch.id, config.queue.maxAttempts, jobSpacingMs]
+      );
+      const jobIds = new Map(jobResult.rows.map(j => [j.contact_id, j.id]));
+      toQueue.forEach(row => {
+        row.job_id = jobIds.get(row.contact_id);
+      });
+
+      await client.query(
+        `INSERT INTO research_batch_rows (batch_id, row_number, input, status, errors, contact_id, job_id)
+         SELECT $1::int, * FROM unnest($2::int[], $3::jsonb[], $4::varchar[], $5::jsonb[], $6::int[], $7::int[])`,
+        [
+          batch.id,
+          rows.map(row => row.row_number),
+          rows.map(row => JSON.stringify(row.input)),
+          rows.map(row => row.status),
+          rows.map(row => (row.errors && row.errors.length > 0 ? JSON.stringify(row.errors) : null)),
+          rows.map(row => row.contact_id || null),
+          rows.map(row => row.job_id || null)
+        ]
+      );
+
+      return batch;
+    });
+  },
+
+  async getBatch(batchId) {
+    const result = await db.query(
+      'SELECT * FROM research_batches WHERE id = $1',
+      [batchId]
+    );
+    return result.rows[0];
+  },
+
+  // Job counts by status for the batch's child jobs
+  async getBatchJobCounts(batchId) {
+    const result = await db.query(
+      `SELECT status, COUNT(*)::int AS count
+       FROM research_jobs
+       WHERE batch_id = $1
+       GROUP BY status`,
+      [batchId]
+    );
+    return result.rows.reduce((counts, row) => {
+      counts[row.status] = row.count;
+      return counts;
+    }, {});
+  },
+
+  // Rows that were rejected at intake, plus rows whose research job failed
+  async getBatchErrors(batchId) {
+    const result = await db.query(
+      `SELECT r.row_number, r.input, r.status, r.errors, r.contact_id, r.job_id,
+              j.status AS job_status, j.error_message AS job_error
+       FROM research_batch_rows r
+       LEFT JOIN research_jobs j ON j.id = r.job_id
+       WHERE r.batch_id = $1
+         AND (r.status <> 'queued' OR j.status = 'failed')
+       ORDER BY r.row_number`,
+      [batchId]
+    );
+    return result.rows;
+  }
+};
+
+/**
+ * Company Queries
+ */
+const companyQueries = {
+  async saveJobPosting(jobData) {
+    const {
+      company_domain, job_title, job_url, posted_date, department,
+      seniority_level, initiative_signals, tech_stack_mentions,
+      urgency_indicators, requirements_summary, raw_job_data
+    } = jobData;
+
+    const result = await db.query(
+      `INSERT INTO job_postings
+       (company_domain, job_title, job_url, posted_date, department, seniority_level,
+        initiative_signals, tech_stack_mentions, urgency_indicators, requirements_summary,
+        raw_job_data)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [company_domain, job_title, job_url, posted_date, department, seniority_level,
+       initiative_signals, tech_stack_mentions, urgency_indicators, requirements_summary,
+       raw_job_data]
+    );
+
+    return result.rows[0];
+  },
+
+  async getJobPostingsByCompany(companyDomain) {
+    const result = await db.query(
+      `SELECT * FROM job_postings
+       WHERE company_domain = $1
+       ORDER BY posted_date DESC`,
+      [companyDomain]
+    );
+    return result.rows;
+  },
+
+  // Swap a company's job postings for a fresh scrape (avoids duplicates across scrapes)
+  async replaceJobPostings(companyDomain, jobs) {
+    return db.transaction(async (client) => {
+      await client.query('DELETE FROM job_postings WHERE company_domain = $1', [companyDomain]);
+
+      const saved = [];
+      for (const job of jobs) {
+        const result = await client.query(
+          `INSERT INTO job_postings
+           (company_domain, job_title, job_url, posted_date, department, seniority_level,
+            initiative_signals, tech_stack_mentions, urgency_indicators, requirements_summary,
+            raw_job_data, pain_points)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+           RETURNING *`,
+          [companyDomain, job.job_title, job.job_url, job.posted_date, job.department,
+           job.seniority_level, job.initiative_signals, job.tech_stack_mentions,
+           job.urgency_indicators, job.requirements_summary, job.raw_job_data,
+           JSON.stringify(job.pain_points || [])]
+        );
+        saved.push(result.rows[0]);
+      }
+
+      return saved;
+    });
+  },
+
+  async getCompany(domain) {
+    const result = await db.query(
+      'SELECT * FROM companies WHERE domain = $1',
+      [domain]
+    );
+    return result.rows[0];
+  },
+
+  async upsertCompany(domain, name = null) {
+    const result = await db.query(
+      `INSERT INTO companies (domain, name)
+       VALUES ($1, $2)
+       ON CONFLICT (domain) DO UPDATE SET
+         name = COALESCE(companies.name, EXCLUDED.name)
+       RETURNING *`,
+      [domain, name]
+    );
+    return result.rows[0];
+  },
+
+  async markJobsScraped(domain) {
+    const result = await db.query(
+      `UPDATE companies SET jobs_scraped_at = NOW()
+       WHERE domain = $1
+       RETURNING *`,
+      [domain]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * List companies with contact and research counts
+   * @param {Object} options - { q, limit, offset }
+   */
+  async listCompanies({ q = null, limit = 25, offset = 0 } = {}) {
+    const pattern = q ? `%${escapeLike(q)}%` : null;
+
+    const result = await db.query(
+      `SELECT co.*,
+              COUNT(c.id)::int AS contact_count,
+              COUNT(c.id) FILTER (WHERE r.last_researched_at IS NOT NULL)::int AS researched_contact_count,
+              MAX(r.last_researched_at) AS last_researched_at,
+              COUNT(*) OVER()::int AS total_count
+       FROM companies co
+       LEFT JOIN contacts c ON c.company_domain = co.domain
+       LEFT JOIN LATERAL (
+         SELECT MAX(completed_at) AS last_researched_at
+         FROM research_jobs
+         WHERE contact_id = c.id AND status = 'completed'
+       ) r ON TRUE
+       WHERE $1::text IS NULL OR co.domain ILIKE $1 OR co.name ILIKE $1
+       GROUP BY co.id
+       ORDER BY last_researched_at DESC NULLS LAST, co.domain
+       LIMIT $2 OFFSET $3`,
+      [pattern, limit, offset]
+    );
+
+    return {
+      companies: result.rows.map(({ total_count, ...company }) => company),
+      total: result.rows[0]?.total_count || 0
+    };
+  },
+
+  async getContactsByCompany(domain) {
+    const result = await db.query(
+      `SELECT c.*, r.last_researched_at, la.influence_score
+       FROM contacts c
+       LEFT JOIN LATERAL (
+         SELECT MAX(completed_at) AS last_researched_at
+         FROM research_jobs
+         WHERE contact_id = c.id AND status = 'completed'
+       ) r ON TRUE
+       LEFT JOIN LATERAL (
+         SELECT influence_score
+         FROM linkedin_activity
+         WHERE contact_id = c.id
+         ORDER BY profile_scraped_at DESC
+         LIMIT 1
+       ) la ON TRUE
+       WHERE c.company_domain = $1
+       ORDER BY c.full_name`,
+      [domain]
+    );
+    return result.rows;
+  },
+
+  async getSignalsByCompany(domain) {
+    const result = await db.query(
+      `SELECT s.*, c.full_name AS contact_name
+       FROM intelligence_signals s
+       JOIN contacts c ON c.id = s.contact_id
+       WHERE c.company_domain = $1
+         AND s.superseded_by IS NULL AND s.archived_at IS NULL
+         AND (s.expires_at IS NULL OR s.expires_at > NOW())
+       ORDER BY s.relevance_score DESC, s.urgency_score DESC, s.wedge_potential DESC`,
+      [domain]
+    );
+    return result.rows;
+  }
+};
+
+/**
+ * Tech Stack Queries
+ * One company_tech_stack row per (domain, tool, source)
+ */
+const techStackQueries = {
+  /**
+   * Record detections of a tool from one source.
+   * accumulate = true merges with earlier detections: each evidence key
+   * (metadata.evidence_keys) not seen before adds evidence_confidence with
+   * noisy-OR, and keys seen before add nothing. Only the newest
+   * config.techStack.maxEvidenceKeys distinct keys are kept. false replaces
+   * them (sources re-scraped as a whole, e.g. job postings).
+   */
+  async recordDetection(domain, detection, accumulate = true) {
+    const {
+      tool_name, category, source, confidence_score, evidence_confidence = confidence_score,
+      evidence_count = 1, metadata = null
+    } = detection;
+
+    const result = await db.query(
+      `INSERT INTO company_tech_stack
+       (company_domain, category, tool_name, confidence_score, detected_date, source,
+        is_current, metadata, evidence_count, first_seen_at, last_seen_at)
+       VALUES ($1, $2, $3, $4, CURRENT_DATE, $5, TRUE, $6, $7, NOW(), NOW())
+       ON CONFLICT (company_domain, tool_name, source) DO UPDATE SET
+         category = EXCLUDED.category,
+         confidence_score = CASE
+           WHEN $8 AND company_tech_stack.is_current
+             THEN ROUND(1 - (1 - company_tech_stack.confidence_score) * POWER(1 - $9::numeric, (
+               SELECT COUNT(*) FROM jsonb_array_elements_text(COALESCE(EXCLUDED.metadata->'evidence_keys', '[]')) AS k(key)
+               WHERE NOT COALESCE(company_tech_stack.metadata->'evidence_keys', '[]') ? k.key
+             )), 2)
+           ELSE EXCLUDED.confidence_score
+         END,
+         evidence_count = CASE
+           WHEN $8 AND company_tech_stack.is_current
+             THEN company_tech_stack.evidence_count + (
+               SELECT COUNT(*) FROM jsonb_array_elements_text(COALESCE(EXCLUDED.metadata->'evidence_keys', '[]')) AS k(key)
+               WHERE NOT COALESCE(company_tech_stack.metadata->'evidence_keys', '[]') ? k.key
+             )
+           ELSE EXCLUDED.evidence_count
+         END,
+         metadata = CASE
+           WHEN $8 AND company_tech_stack.is_current
+             THEN EXCLUDED.metadata || jsonb_build_object('evidence_keys', (
+               SELECT COALESCE(jsonb_agg(kept.key ORDER BY kept.newer, kept.pos), '[]')
+               FROM (
+                 SELECT * FROM (
+                   SELECT DISTINCT ON (keys.key) keys.key, keys.newer, keys.pos
+                   FROM (
+                     SELECT key, 0 AS newer, pos
+                     FROM jsonb_array_elements_text(COALESCE(EXCLUDED.metadata->'evidence_keys', '[]')) WITH ORDINALITY AS n(key, pos)
+                     UNION ALL
+                     SELECT key, 1, pos
+                     FROM jsonb_array_elements_text(COALESCE(company_tech_stack.metadata->'evidence_keys', '[]')) WITH ORDINALITY AS o(key, pos)
+                   ) keys
+                   ORDER BY keys.key, keys.newer, keys.pos
+                 ) distinct_keys
+                 ORDER BY newer, pos
+                 LIMIT $10
+               ) kept
+             ))
+           ELSE EXCLUDED.metadata
+         END,
+         detected_date = CURRENT_DATE,
+         is_current = TRUE,
+         last_seen_at = NOW()
+       RETURNING *`,
+      [
+        domain, category, tool_name, confidence_score, source, metadata, evidence_count,
+        accumulate, evidence_confidence, config.techStack.maxEvidenceKeys
+      ]
+    );
+    return result.rows[0];
+  },
+
+  // Tools from a source that were not seen in its latest snapshot are no longer current
+  async retireMissingTools(domain, source, currentTools) {
+    const result = await db.query(
+      `UPDATE company_tech_stack
+       SET is_current = FALSE
+       WHERE company_domain = $1 AND source = $2 AND is_current = TRUE
+         AND NOT (tool_name = ANY($3::text[]))
+       RETURNING *`,
+      [domain, source, currentTools]
+    );
+    return result.rows;
+  },
+
+  // Current detections seen within the staleness window
+  async getCurrentDetections(domain, staleAfterDays) {
+    const result = await db.query(
+      `SELECT * FROM company_tech_stack
+       WHERE company_domain = $1
+         AND is_current = TRUE
+         AND last_seen_at >= NOW() - ($2 * INTERVAL '1 day')
+       ORDER BY tool_name, source`,
+      [domain, staleAfterDays]
+    );
+    return result.rows;
   }
 };
 
@@ -360,17 +2157,17 @@ const speakingQueries = {
   async saveEngagement(contactId, engagementData) {
     const {
       type, title, url, platform, date, topics, key_quotes,
-      audience_size, relevance_score
+      audience_size, relevance_score, pain_points = []
     } = engagementData;
 
     const result = await db.query(
       `INSERT INTO speaking_engagements
        (contact_id, type, title, url, platform, date, topics, key_quotes,
-        audience_size, relevance_score)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        audience_size, relevance_score, pain_points)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
        RETURNING *`,
       [contactId, type, title, url, platform, date, topics, key_quotes,
-       audience_size, relevance_score]
+       audience_size, relevance_score, JSON.stringify(pain_points || [])]
     );
 
     return result.rows[0];
@@ -387,13 +2184,281 @@ const speakingQueries = {
   }
 };
 
+/**
+ * Competitor Queries
+ * The competitor catalogue and the mentions matched against it
+ */
+const competitorQueries = {
+  async listCompetitors({ includeInactive = false } = {}) {
+    const result = await db.query(
+      `SELECT c.*, COUNT(m.id)::int AS mention_count, MAX(m.mentioned_at) AS last_mentioned_at
+       FROM competitors c
+       LEFT JOIN competitor_mentions m ON m.competitor_id = c.id
+       WHERE $1 OR c.active
+       GROUP BY c.id
+       ORDER BY c.name`,
+      [includeInactive]
+    );
+    return result.rows;
+  },
+
+  // Catalogue entries mentions are matched against
+  async getActiveCompetitors() {
+    const result = await db.query(
+      'SELECT * FROM competitors WHERE active ORDER BY id'
+    );
+    return result.rows;
+  },
+
+  async getCompetitor(competitorId) {
+    const result = await db.query(
+      'SELECT * FROM competitors WHERE id = $1',
+      [competitorId]
+    );
+    return result.rows[0];
+  },
+
+  async createCompetitor(competitor) {
+    const { name, aliases = [], products = [], displaces_category = null, notes = null, active = true } = competitor;
+
+    const result = await db.query(
+      `INSERT INTO competitors (name, aliases, products, displaces_category, notes, active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name, aliases, products, displaces_category, notes, active]
+    );
+    return result.rows[0];
+  },
+
+  async updateCompetitor(competitorId, updates) {
+    const fields = Object.keys(updates);
+    const assignments = fields.map((field, i) => `${field} = $${i + 2}`);
+
+    const result = await db.query(
+      `UPDATE competitors
+       SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [competitorId, ...fields.map(field => updates[field])]
+    );
+    return result.rows[0];
+  },
+
+  // Mentions are removed by ON DELETE CASCADE
+  async deleteCompetitor(competitorId) {
+    const result = await db.query(
+      'DELETE FROM competitors WHERE id = $1 RETURNING *',
+      [competitorId]
+    );
+    return result.rows[0];
+  },
+
+  /**
+   * Replace the mentions found in a set of documents from one source
+   * @param {Object} scope - { source, contactId, companyDomain, sourceRefs } -
+   *   mentions from the source for the contact (or, without a contact, the
+   *   company) are replaced; sourceRefs limits that to the documents re-analyzed
+   * @param {Array<Object>} mentions - { competitor_id, source_ref, matched_term, stance, context, mentioned_at }
+   * @returns {Promise<Array>} Saved mentions
+   */
+  async replaceMentions({ source, contactId = null, companyDomain = null, sourceRefs = null }, mentions) {
+    return db.transaction(async (client) => {
+      await client.query(
+        `DELETE FROM competitor_mentions
+         WHERE source = $1
+           AND ($2::int IS NULL OR contact_id = $2)
+           AND ($2::int IS NOT NULL OR company_domain = $3)
+           AND ($4::text[] IS NULL OR source_ref = ANY($4::text[]))`,
+        [source, contactId, companyDomain, sourceRefs]
+      );
+
+      const saved = [];
+      for (const mention of mentions) {
+        const result = await client.query(
+          `INSERT INTO competitor_mentions
+           (competitor_id, contact_id, company_domain, source, source_ref, matched_term,
+            stance, context, mentioned_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [mention.competitor_id, contactId, companyDomain, source, mention.source_ref,
+           mention.matched_term, mention.stance, mention.context, mention.mentioned_at || null]
+        );
+        saved.push(result.rows[0]);
+      }
+
+      return saved;
+    });
+  },
+
+  /**
+   * Recent mentions of one competitor, with the contact or company they came from
+   * @param {Object} filters - { stance, limit }
+   */
+  async getMentionsByCompetitor(competitorId, { stance = null, limit = 50 } = {}) {
+    const result = await db.query(
+      `SELECT m.*, c.full_name AS contact_name, c.current_company AS contact_company
+       FROM competitor_mentions m
+       LEFT JOIN contacts c ON c.id = m.contact_id
+       WHERE m.competitor_id = $1
+         AND ($2::varchar IS NULL OR m.stance = $2)
+       ORDER BY m.mentioned_at DESC NULLS LAST, m.id DESC
+       LIMIT $3`,
+      [competitorId, stance, limit]
+    );
+    return result.rows;
+  },
+
+  // A contact's own mentions plus those in their company's job postings
+  async getMentionsForContact(contactId, companyDomain = null) {
+    const result = await db.query(
+      `SELECT m.*, comp.name AS competitor_name, comp.displaces_category
+       FROM competitor_mentions m
+       JOIN competitors comp ON comp.id = m.competitor_id
+       WHERE m.contact_id = $1
+          OR (m.contact_id IS NULL AND m.company_domain = $2)
+       ORDER BY m.mentioned_at DESC NULLS LAST, m.id DESC`,
+      [contactId, companyDomain]
+    );
+    return result.rows;
+  }
+};
+
+/**
+ * Team Member Queries
+ * Our reps, as candidate connectors for warm introductions and as the
+ * senders outreach is signed by
+ */
+const teamMemberQueries = {
+  async listTeamMembers({ includeInactive = false } = {}) {
+    const result = await db.query(
+      `SELECT * FROM team_members
+       WHERE $1 OR active
+       ORDER BY full_name`,
+      [includeInactive]
+    );
+    return result.rows;
+  },
+
+  async getTeamMember(teamMemberId) {
+    const result = await db.query(
+      'SELECT * FROM team_members WHERE id = $1',
+      [teamMemberId]
+    );
+    return result.rows[0];
+  },
+
+  async createTeamMember(member) {
+    const {
+      full_name, email = null, title = null, linkedin_url = null, phone = null, signature = null,
+      positions = [], education = [], active = true
+    } = member;
+
+    const result = await db.query(
+      `INSERT INTO team_members (full_name, email, title, linkedin_url, phone, signature, positions, education, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [full_name, email, title, linkedin_url, phone, signature,
+       JSON.stringify(positions), JSON.stringify(education), active]
+    );
+    return result.rows[0];
+  },
+
+  async updateTeamMember(teamMemberId, updates) {
+    const fields = Object.keys(updates);
+    const assignments = fields.map((field, i) => `${field} = $${i + 2}`);
+    const values = fields.map(field => (
+      field === 'positions' || field === 'education' ? JSON.stringify(updates[field]) : updates[field]
+    ));
+
+    const result = await db.query(
+      `UPDATE team_members
+       SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [teamMemberId, ...values]
+    );
+    return result.rows[0];
+  },
+
+  async deleteTeamMember(teamMemberId) {
+    const result = await db.query(
+      'DELETE FROM team_members WHERE id = $1 RETURNING *',
+      [teamMemberId]
+    );
+    return result.rows[0];
+  }
+};
+
+/**
+ * Relationship Queries
+ * What the relationship graph compares people on: work history, schools and
+ * LinkedIn engagement
+ */
+const relationshipQueries = {
+  /**
+   * Every researched contact with their positions ('YYYY-MM' months),
+   * previous companies and education
+   */
+  async getContactBackgrounds() {
+    const result = await db.query(
+      `SELECT c.id, c.full_name, c.linkedin_url, c.current_company, c.current_title, c.company_domain,
+         la.previous_companies, la.education,
+         COALESCE(p.positions, '[]'::json) AS positions
+       FROM contacts c
+       LEFT JOIN linkedin_activity la ON la.contact_id = c.id
+       LEFT JOIN LATERAL (
+         SELECT json_agg(json_build_object(
+           'company_name', company_name,
+           'title', title,
+           'start_month', to_char(start_month, 'YYYY-MM'),
+           'end_month', to_char(end_month, 'YYYY-MM'),
+           'is_current', is_current
+         ) ORDER BY position_order) AS positions
+         FROM linkedin_positions
+         WHERE contact_id = c.id
+       ) p ON true
+       ORDER BY c.id`
+    );
+    return result.rows;
+  },
+
+  /**
+   * Who each contact engages with: one row per contact and engaged-with profile
+   */
+  async getEngagementLinks() {
+    const result = await db.query(
+      `SELECT contact_id, target_profile, MAX(target_name) AS target_name,
+         COUNT(*)::int AS engagements,
+         array_agg(DISTINCT engagement_type) AS engagement_types,
+         MAX(engagement_date) AS last_engaged_at
+       FROM linkedin_engagement
+       WHERE target_profile IS NOT NULL
+       GROUP BY contact_id, target_profile`
+    );
+    return result.rows;
+  }
+};
+
 module.exports = {
+  CONTACT_SORT_COLUMNS,
   contactQueries,
   linkedinQueries,
   githubQueries,
   signalQueries,
+  scoringProfileQueries,
+  analyticsQueries,
+  ANALYTICS_INTERVALS,
   playbookQueries,
+  sequenceQueries,
+  outreachTemplateQueries,
+  sellerProfileQueries,
   researchJobQueries,
+  researchBatchQueries,
+  researchScheduleQueries,
   companyQueries,
-  speakingQueries
+  techStackQueries,
+  speakingQueries,
+  competitorQueries,
+  teamMemberQueries,
+  relationshipQueries
 };
@@ -0,0 +1,110 @@
+const EventEmitter = require('events');
+const db = require('../db/client');
+
+const CHANNEL = 'research_job_events';
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Research Job Event Bus
+ * Workers and the API run in separate processes, so job and stage transitions
+ * travel over Postgres LISTEN/NOTIFY. The API process keeps one LISTEN
+ * connection open and fans notifications out to in-process subscribers
+ * (e.g. Server-Sent Events streams).
+ */
+class JobEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.listenClient = null;
+    this.connecting = null;
+  }
+
+  /**
+   * Publish a job event to every listening process
+   * @param {Object} event - Must include job_id and type ('job' or 'stage')
+   */
+  async publish(event) {
+    const payload = JSON.stringify({ ...event, emitted_at: new Date().toISOString() });
+
+    try {
+      await db.query('SELECT pg_notify($1, $2)', [CHANNEL, payload]);
+    } catch (error) {
+      // Progress events are best-effort - never fail a job over them
+      console.error('Failed to publish job event:', error.message);
+    }
+  }
+
+  /**
+   * Subscribe to events for a single job
+   * @param {number} jobId - Research job ID
+   * @param {Function} listener - Called with each event
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(jobId, listener) {
+    await this.ensureListening();
+
+    const eventName = `job:${jobId}`;
+    this.on(eventName, listener);
+
+    return () => this.off(eventName, listener);
+  }
+
+  /**
+   * Open the shared LISTEN connection if it isn't already
+   */
+  async ensureListening() {
+    if (this.listenClient) return;
+
+    if (!this.connecting) {
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    await this.connecting;
+  }
+
+  async connect() {
+    const client = await db.pool.connect();
+
+    client.on('notification', message => this.handleNotification(message));
+    client.on('error', error => {
+      console.error('Job event listener error:', error.message);
+      this.resetListener(client, error);
+    });
+
+    await client.query(`LISTEN ${CHANNEL}`);
+    this.listenClient = client;
+  }
+
+  handleNotification(message) {
+    if (message.channel !== CHANNEL) return;
+
+    try {
+      const event = JSON.parse(message.payload);
+      this.emit(`job:${event.job_id}`, event);
+    } catch (error) {
+      console.error('Invalid job event payload:', error.message);
+    }
+  }
+
+  /**
+   * Drop a broken LISTEN connection and reconnect while anyone is subscribed
+   */
+  resetListener(client, error) {
+    if (this.listenClient !== client) return;
+
+    this.listenClient = null;
+    client.release(error);
+
+    if (this.eventNames().length > 0) {
+      setTimeout(() => {
+        this.ensureListening().catch(err =>
+          console.error('Job event listener reconnect failed:', err.message)
+        );
+      }, RECONNECT_DELAY_MS);
+    }
+  }
+}
+
+module.exports = new JobEventBus();
@@ -3,23 +3,31 @@ const {
   linkedinQueries,
   githubQueries,
   speakingQueries,
-  playbookQueries
+  playbookQueries,
+  sequenceQueries
 } = require('../db/queries');
+const config = require('../../config/config');
 const signalScorer = require('../processors/signal-scorer');
+const scoringProfiles = require('../processors/scoring-profiles');
+const painClassifier = require('../processors/pain-classifier');
 
 /**
  * Clay Formatter
  * Formats contact intelligence for Clay table enrichment
- * LinkedIn signals prioritized in output
+ * LinkedIn signals prioritized in output. Signal and readiness scores use
+ * the requested scoring profile, which each row records.
  */
 class ClayFormatter {
   /**
    * Format a single contact for Clay
    * @param {number} contactId - Database contact ID
+   * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
    * @returns {Promise<Object>} Clay-formatted data
    */
-  async formatContact(contactId) {
+  async formatContact(contactId, profile = null) {
     try {
+      const scoringProfile = profile || await signalScorer.getDefaultProfile();
+
       // Gather all data
       const [
         contact,
@@ -28,15 +36,17 @@ class ClayFormatter {
         githubActivity,
         speakingEngagements,
         topSignals,
-        playbook
+        playbook,
+        sequence
       ] = await Promise.all([
         contactQueries.getContactById(contactId),
         linkedinQueries.getProfile(contactId),
         linkedinQueries.getRecentPosts(contactId, 5),
         githubQueries.getActivity(contactId),
         speakingQueries.getEngagements(contactId),
-        signalScorer.getTopSignals(contactId, 5),
-        playbookQueries.getLatestPlaybook(contactId)
+        signalScorer.getTopSignals(contactId, 5, scoringProfile),
+        playbookQueries.getLatestPlaybook(contactId),
+        sequenceQueries.getLatestSequence(contactId)
       ]);
 
       if (!contact) {
@@ -51,6 +61,7 @@ class ClayFormatter {
         company: contact.current_company,
         title: contact.current_title,
         company_domain: contact.company_domain,
+        industry: contact.industry || null,
 
         // LinkedIn fields (PRIORITY)
         linkedin_url: contact.linkedin_url,
@@ -59,6 +70,7 @@ class ClayFormatter {
         linkedin_connections: linkedinProfile?.connections_count || null,
         linkedin_followers: linkedinProfile?.followers_count || null,
         linkedin_influence_score: linkedinProfile?.influence_score || null,
+        linkedin_influence_scoring_profile: linkedinProfile?.influence_scoring_profile || null,
 
         // LinkedIn activity
         linkedin_recent_posts: linkedinPosts?.length || 0,
@@ -67,6 +79,8 @@ class ClayFormatter {
         linkedin_last_post_topic: linkedinPosts?.[0]?.topics_detected?.[0] || null,
         linkedin_last_post_engagement: linkedinPosts?.[0]?.engagement_count || null,
         linkedin_mentions_pain_points: linkedinPosts?.some(p => p.mentions_pain_points) || false,
+        linkedin_pain_points: painClassifier.summarize((linkedinPosts || []).map(p => p.pain_points))
+          .map(p => p.name).join(', ') || null,
         linkedin_mentions_buying_signals: linkedinPosts?.some(p => p.mentions_buying_signals) || false,
 
         // LinkedIn profile signals
@@ -127,6 +141,9 @@ class ClayFormatter {
           ? playbook.sample_outreach.substring(0, 200) + '...'
           : null,
 
+        // Outreach sequence - one set of columns per step
+        ...this.formatSequence(sequence),
+
         // Metadata
         research_completed_at: contact.updated_at,
         total_signals_count: topSignals?.length || 0,
@@ -137,8 +154,13 @@ class ClayFormatter {
           linkedinProfile,
           linkedinPosts,
           topSignals,
-          playbook
-        )
+          playbook,
+          scoringProfile
+        ),
+
+        // Profile behind every score in this row (see /api/scoring-profiles)
+        scoring_profile: scoringProfile.name,
+        scoring_profile_version: scoringProfile.version
       };
 
       return clayData;
@@ -152,11 +174,13 @@ class ClayFormatter {
   /**
    * Format multiple contacts for Clay
    * @param {Array<number>} contactIds - Array of contact IDs
+   * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
    * @returns {Promise<Array>} Array of Clay-formatted contacts
    */
-  async formatMultipleContacts(contactIds) {
+  async formatMultipleContacts(contactIds, profile = null) {
+    const scoringProfile = profile || await signalScorer.getDefaultProfile();
     const results = await Promise.allSettled(
-      contactIds.map(id => this.formatContact(id))
+      contactIds.map(id => this.formatContact(id, scoringProfile))
     );
 
     return results
@@ -178,6 +202,30 @@ class ClayFormatter {
 
   // ===== HELPER METHODS =====
 
+  /**
+   * Flatten a stored sequence into sequence_step_N_* columns. Every row gets
+   * the same columns (up to config.outreachSequences.maxSteps), null when a
+   * contact's cadence is shorter.
+   */
+  formatSequence(sequence) {
+    const steps = sequence?.steps || [];
+    const fields = {
+      sequence_step_count: sequence?.step_count || 0,
+      sequence_total_days: sequence?.total_days ?? null
+    };
+
+    for (let n = 1; n <= config.outreachSequences.maxSteps; n++) {
+      const step = steps[n - 1];
+      fields[`sequence_step_${n}_day`] = step ? step.day_offset : null;
+      fields[`sequence_step_${n}_channel`] = step?.channel || null;
+      fields[`sequence_step_${n}_type`] = step?.step_type || null;
+      fields[`sequence_step_${n}_subject`] = step?.subject || null;
+      fields[`sequence_step_${n}_body`] = step?.body || null;
+    }
+
+    return fields;
+  }
+
   getTenurePhase(months) {
     if (!months) return null;
     if (months < 3) return 'onboarding';
@@ -187,12 +235,11 @@ class ClayFormatter {
     return 'entrenched';
   }
 
+  /**
+   * Composite score (already computed with the export's scoring profile) as 0-100
+   */
   calculateDisplayScore(signal) {
-    const relevance = parseFloat(signal.relevance_score);
-    const urgency = parseFloat(signal.urgency_score);
-    const wedge = parseFloat(signal.wedge_potential);
-
-    return Math.round((relevance * 0.4 + urgency * 0.3 + wedge * 0.3) * 100);
+    return Math.round(signal.composite_score * 100);
   }
 
   getTopChannel(channels) {
@@ -233,34 +280,32 @@ class ClayFormatter {
     return recentJobChange || recentPainPoint || highScoringSignals;
   }
 
-  calculateContactReadiness(linkedinProfile, linkedinPosts, signals, playbook) {
+  /**
+   * Readiness points from the profile's buckets (default profile: LinkedIn
+   * activity 40, signal quality 30, playbook strength 30)
+   */
+  calculateContactReadiness(linkedinProfile, linkedinPosts, signals, playbook, profile) {
+    const buckets = profile.model.readiness;
     let score = 0;
 
-    // LinkedIn activity (40 points)
+    // LinkedIn activity
     if (linkedinProfile) {
-      if (linkedinProfile.influence_score > 0.7) score += 20;
-      else if (linkedinProfile.influence_score > 0.5) score += 10;
-
-      if (linkedinPosts && linkedinPosts.length > 5) score += 20;
-      else if (linkedinPosts && linkedinPosts.length > 0) score += 10;
+      score += scoringProfiles.bucketPoints(buckets.influence, parseFloat(linkedinProfile.influence_score) || 0);
+      score += scoringProfiles.bucketPoints(buckets.posts, linkedinPosts?.length || 0);
     }
 
-    // Signal quality (30 points)
+    // Signal quality
     if (signals && signals.length > 0) {
       const avgScore = signals.reduce((sum, s) =>
         sum + this.calculateDisplayScore(s), 0
       ) / signals.length;
 
-      if (avgScore > 80) score += 30;
-      else if (avgScore > 70) score += 20;
-      else if (avgScore > 60) score += 10;
+      score += scoringProfiles.bucketPoints(buckets.signalQuality, avgScore);
     }
 
-    // Playbook strength (30 points)
+    // Playbook strength
     if (playbook) {
-      if (playbook.wedge_score > 0.9) score += 30;
-      else if (playbook.wedge_score > 0.8) score += 20;
-      else if (playbook.wedge_score > 0.7) score += 10;
+      score += scoringProfiles.bucketPoints(buckets.playbookStrength, parseFloat(playbook.wedge_score) || 0);
     }
 
     return score;
@@ -7,11 +7,13 @@ const axios = require('axios');
 const queries = require('../db/queries');
 const linkedinQueries = require('../db/linkedin-queries');
 const { getPlaybookForContact } = require('../processors/playbook-generator');
+const signalScorer = require('../processors/signal-scorer');
 
 /**
  * Format contact data for Clay webhook
+ * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
  */
-async function formatForClay(contactId) {
+async function formatForClay(contactId, profile = null) {
   // Get all contact data
   const contact = await queries.contactQueries.getContactById(contactId);
   if (!contact) {
@@ -20,13 +22,12 @@ async function formatForClay(contactId) {
 
   const linkedinProfile = await linkedinQueries.getProfile(contactId);
   const linkedinPosts = await linkedinQueries.getRecentPosts(contactId, 10);
-  const signals = await queries.signalQueries.getSignalsByContact(contactId);
+  const scoringProfile = profile || await signalScorer.getDefaultProfile();
+  const signals = await signalScorer.scoreAndPrioritizeSignals(contactId, scoringProfile);
   const playbook = await getPlaybookForContact(contactId);
 
   // Get top signal
-  const topSignal = signals.length > 0
-    ? signals.sort((a, b) => (b.composite_score || 0) - (a.composite_score || 0))[0]
-    : null;
+  const topSignal = signals[0] || null;
 
   // Get recent post with pain points
   const painPointPost = linkedinPosts.find(p => p.mentions_pain_points);
@@ -88,16 +89,18 @@ async function formatForClay(contactId) {
 
     // Metadata
     intelligence_updated_at: new Date().toISOString(),
-    signal_count: signals.length
+    signal_count: signals.length,
+    scoring_profile: scoringProfile.name,
+    scoring_profile_version: scoringProfile.version
   };
 }
 
 /**
  * Send contact data to Clay webhook
  */
-async function sendToClay(contactId, webhookUrl) {
+async function sendToClay(contactId, webhookUrl, profile = null) {
   try {
-    const clayData = await formatForClay(contactId);
+    const clayData = await formatForClay(contactId, profile);
 
     const response = await axios.post(webhookUrl, clayData, {
       headers: {
@@ -121,12 +124,12 @@ async function sendToClay(contactId, webhookUrl) {
 /**
  * Batch send multiple contacts to Clay
  */
-async function sendBatchToClay(contactIds, webhookUrl) {
+async function sendBatchToClay(contactIds, webhookUrl, profile = null) {
   const results = [];
 
   for (const contactId of contactIds) {
     try {
-      const result = await sendToClay(contactId, webhookUrl);
+      const result = await sendToClay(contactId, webhookUrl, profile);
       results.push({
         contactId,
         success: true,
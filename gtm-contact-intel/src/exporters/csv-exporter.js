@@ -1,10 +1,12 @@
 const { Parser } = require('json2csv');
 const clayFormatter = require('./clay-formatter');
+const { contactQueries, sequenceQueries } = require('../db/queries');
 
 /**
  * CSV Exporter
  * Exports contact intelligence to CSV format
- * LinkedIn signals prioritized in column order
+ * LinkedIn signals prioritized in column order. Every export method takes an
+ * optional scoring profile, recorded in the Scoring Profile columns.
  */
 class CSVExporter {
   constructor() {
@@ -19,10 +21,12 @@ class CSVExporter {
       // LinkedIn (PRIORITY COLUMNS)
       { label: 'LinkedIn URL', value: 'linkedin_url' },
       { label: 'LinkedIn Influence Score', value: 'linkedin_influence_score' },
+      { label: 'LinkedIn Influence Scoring Profile', value: 'linkedin_influence_scoring_profile' },
       { label: 'LinkedIn Recent Posts', value: 'linkedin_recent_posts' },
       { label: 'LinkedIn Last Post Date', value: 'linkedin_last_post_date' },
       { label: 'LinkedIn Last Post Topic', value: 'linkedin_last_post_topic' },
       { label: 'LinkedIn Has Pain Points', value: 'linkedin_mentions_pain_points' },
+      { label: 'LinkedIn Pain Points', value: 'linkedin_pain_points' },
       { label: 'LinkedIn Has Buying Signals', value: 'linkedin_mentions_buying_signals' },
       { label: 'LinkedIn Tenure (months)', value: 'linkedin_tenure_months' },
       { label: 'LinkedIn Tenure Phase', value: 'linkedin_tenure_phase' },
@@ -56,18 +60,21 @@ class CSVExporter {
       // Metadata
       { label: 'Contact Readiness Score', value: 'contact_readiness_score' },
       { label: 'Is High Priority', value: 'is_high_priority' },
-      { label: 'Research Completed', value: 'research_completed_at' }
+      { label: 'Research Completed', value: 'research_completed_at' },
+      { label: 'Scoring Profile', value: 'scoring_profile' },
+      { label: 'Scoring Profile Version', value: 'scoring_profile_version' }
     ];
   }
 
   /**
    * Export a single contact to CSV
    * @param {number} contactId - Database contact ID
+   * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
    * @returns {Promise<string>} CSV string
    */
-  async exportContact(contactId) {
+  async exportContact(contactId, profile = null) {
     try {
-      const clayData = await clayFormatter.formatContact(contactId);
+      const clayData = await clayFormatter.formatContact(contactId, profile);
       const parser = new Parser({ fields: this.columns });
       const csv = parser.parse([clayData]);
 
@@ -82,11 +89,12 @@ class CSVExporter {
   /**
    * Export multiple contacts to CSV
    * @param {Array<number>} contactIds - Array of contact IDs
+   * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
    * @returns {Promise<string>} CSV string
    */
-  async exportMultipleContacts(contactIds) {
+  async exportMultipleContacts(contactIds, profile = null) {
     try {
-      const clayDataArray = await clayFormatter.formatMultipleContacts(contactIds);
+      const clayDataArray = await clayFormatter.formatMultipleContacts(contactIds, profile);
 
       if (clayDataArray.length === 0) {
         return '';
@@ -107,11 +115,12 @@ class CSVExporter {
    * Export contacts with custom columns
    * @param {Array<number>} contactIds - Array of contact IDs
    * @param {Array<Object>} customColumns - Custom column definitions
+   * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
    * @returns {Promise<string>} CSV string
    */
-  async exportWithCustomColumns(contactIds, customColumns) {
+  async exportWithCustomColumns(contactIds, customColumns, profile = null) {
     try {
-      const clayDataArray = await clayFormatter.formatMultipleContacts(contactIds);
+      const clayDataArray = await clayFormatter.formatMultipleContacts(contactIds, profile);
 
       if (clayDataArray.length === 0) {
         return '';
@@ -131,11 +140,12 @@ class CSVExporter {
   /**
    * Export high-priority contacts only
    * @param {Array<number>} contactIds - Array of contact IDs
+   * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
    * @returns {Promise<string>} CSV string
    */
-  async exportHighPriorityContacts(contactIds) {
+  async exportHighPriorityContacts(contactIds, profile = null) {
     try {
-      const clayDataArray = await clayFormatter.formatMultipleContacts(contactIds);
+      const clayDataArray = await clayFormatter.formatMultipleContacts(contactIds, profile);
 
       // Filter to high priority only
       const highPriorityContacts = clayDataArray.filter(c => c.is_high_priority);
@@ -166,7 +176,7 @@ class CSVExporter {
   /**
    * Export with LinkedIn-only columns (minimal export)
    */
-  async exportLinkedInOnly(contactIds) {
+  async exportLinkedInOnly(contactIds, profile = null) {
     const linkedinColumns = this.columns.filter(col =>
       col.value.includes('linkedin') ||
       col.value === 'contact_name' ||
@@ -175,13 +185,13 @@ class CSVExporter {
       col.value === 'title'
     );
 
-    return this.exportWithCustomColumns(contactIds, linkedinColumns);
+    return this.exportWithCustomColumns(contactIds, linkedinColumns, profile);
   }
 
   /**
    * Export playbook summary (for outreach planning)
    */
-  async exportPlaybookSummary(contactIds) {
+  async exportPlaybookSummary(contactIds, profile = null) {
     const playbookColumns = [
       { label: 'Name', value: 'contact_name' },
       { label: 'Company', value: 'company' },
@@ -195,10 +205,78 @@ class CSVExporter {
       { label: 'Recommended Channel', value: 'recommended_channel' },
       { label: 'Sample Outreach', value: 'sample_outreach_preview' },
       { label: 'Readiness Score', value: 'contact_readiness_score' },
-      { label: 'High Priority', value: 'is_high_priority' }
+      { label: 'High Priority', value: 'is_high_priority' },
+      { label: 'Scoring Profile', value: 'scoring_profile' },
+      { label: 'Scoring Profile Version', value: 'scoring_profile_version' }
     ];
 
-    return this.exportWithCustomColumns(contactIds, playbookColumns);
+    return this.exportWithCustomColumns(contactIds, playbookColumns, profile);
+  }
+
+  /**
+   * Export outreach sequences - one row per step, ready to load into a
+   * sequencing tool. Contacts without a sequence are skipped.
+   * @param {Array<number>} contactIds - Array of contact IDs
+   * @returns {Promise<string>} CSV string
+   */
+  async exportSequences(contactIds) {
+    try {
+      const results = await Promise.all(contactIds.map(async id => {
+        const [contact, sequence] = await Promise.all([
+          contactQueries.getContactById(id),
+          sequenceQueries.getLatestSequence(id)
+        ]);
+
+        if (!contact || !sequence) return [];
+
+        return sequence.steps.map(step => ({
+          contact_name: contact.full_name,
+          contact_email: contact.email,
+          company: contact.current_company,
+          title: contact.current_title,
+          linkedin_url: contact.linkedin_url,
+          step_number: step.step_number,
+          day_offset: step.day_offset,
+          channel: step.channel,
+          step_type: step.step_type,
+          angle: step.angle?.description || null,
+          subject: step.subject,
+          body: step.body,
+          char_limit: step.char_limit,
+          generated_at: sequence.generated_at
+        }));
+      }));
+
+      const rows = results.flat();
+      if (rows.length === 0) {
+        return '';
+      }
+
+      const parser = new Parser({
+        fields: [
+          { label: 'Name', value: 'contact_name' },
+          { label: 'Email', value: 'contact_email' },
+          { label: 'Company', value: 'company' },
+          { label: 'Title', value: 'title' },
+          { label: 'LinkedIn URL', value: 'linkedin_url' },
+          { label: 'Step', value: 'step_number' },
+          { label: 'Day', value: 'day_offset' },
+          { label: 'Channel', value: 'channel' },
+          { label: 'Step Type', value: 'step_type' },
+          { label: 'Angle', value: 'angle' },
+          { label: 'Subject', value: 'subject' },
+          { label: 'Body', value: 'body' },
+          { label: 'Character Limit', value: 'char_limit' },
+          { label: 'Generated', value: 'generated_at' }
+        ]
+      });
+
+      return parser.parse(rows);
+
+    } catch (error) {
+      console.error('Sequence CSV export failed:', error.message);
+      throw error;
+    }
   }
 }
 
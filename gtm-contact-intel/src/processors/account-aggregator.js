@@ -0,0 +1,214 @@
+const { companyQueries } = require('../db/queries');
+const jobParser = require('../scrapers/job-parser');
+const signalScorer = require('./signal-scorer');
+const techStackTracker = require('./tech-stack-tracker');
+const config = require('../../config/config');
+
+// Buying committee role for each seniority level (see JobParser.detectSeniority)
+const COMMITTEE_ROLES = {
+  'C-Level': 'decision_maker',
+  'VP': 'decision_maker',
+  'Director': 'champion',
+  'Manager': 'champion',
+  'Senior IC': 'influencer',
+  'IC': 'influencer',
+  'Junior IC': 'influencer'
+};
+
+const SENIORITY_RANK = ['C-Level', 'VP', 'Director', 'Manager', 'Senior IC', 'IC', 'Junior IC'];
+
+// Signals generated from company data (job postings) are copied onto every
+// contact at the company - they are deduplicated at the account level
+const COMPANY_SIGNAL_TYPES = ['company_hiring', 'company_initiatives', 'company_tech_stack'];
+
+/**
+ * Account Aggregator
+ * Rolls contacts, job postings, tech stack and signals at a company domain
+ * up into a single account dossier with a buying-committee view
+ */
+class AccountAggregator {
+  /**
+   * Build the account dossier for a company
+   * @param {string} domain - Company domain
+   * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
+   * @returns {Promise<Object|null>} Dossier, or null if nothing is known about the domain
+   */
+  async buildDossier(domain, profile = null) {
+    const [company, contacts] = await Promise.all([
+      companyQueries.getCompany(domain),
+      companyQueries.getContactsByCompany(domain)
+    ]);
+
+    if (!company && contacts.length === 0) {
+      return null;
+    }
+
+    const [jobPostings, techStack, signals, scoringProfile] = await Promise.all([
+      companyQueries.getJobPostingsByCompany(domain),
+      techStackTracker.getTechStack(domain),
+      companyQueries.getSignalsByCompany(domain),
+      profile || signalScorer.getDefaultProfile()
+    ]);
+
+    const now = Date.now();
+    const scoredSignals = signals
+      .map(signal => signalScorer.scoreSignal(signal, scoringProfile, now))
+      .sort((a, b) => b.composite_score - a.composite_score);
+
+    const accountSignals = this.dedupeCompanySignals(scoredSignals);
+
+    return {
+      company: company || { domain, name: contacts.find(c => c.current_company)?.current_company || null },
+      summary: {
+        contacts: contacts.length,
+        researched_contacts: contacts.filter(c => c.last_researched_at).length,
+        gtm_job_postings: jobPostings.length,
+        tools_detected: techStack.tools.length,
+        signals: accountSignals.length,
+        account_score: this.calculateAccountScore(accountSignals),
+        scoring_profile: scoringProfile.ref,
+        jobs_scraped_at: company?.jobs_scraped_at || null
+      },
+      buying_committee: this.buildBuyingCommittee(contacts, scoredSignals),
+      top_signals: accountSignals.slice(0, config.intelligence.topSignalsCount * 2),
+      job_postings: jobPostings,
+      hiring_summary: this.summarizeHiring(jobPostings),
+      tech_stack: techStack.by_category
+    };
+  }
+
+  /**
+   * Collapse company-level signals duplicated across contacts into one entry
+   * (signals must already be sorted by score)
+   */
+  dedupeCompanySignals(signals) {
+    const seen = new Map();
+    const result = [];
+
+    signals.forEach(signal => {
+      const entry = {
+        id: signal.id,
+        signal_type: signal.signal_type,
+        signal_category: signal.signal_category,
+        description: signal.description,
+        composite_score: Math.round(signal.composite_score * 100) / 100,
+        detected_at: signal.detected_at,
+        contacts: [{ contact_id: signal.contact_id, full_name: signal.contact_name }]
+      };
+
+      if (!COMPANY_SIGNAL_TYPES.includes(signal.signal_type)) {
+        result.push(entry);
+        return;
+      }
+
+      const key = `${signal.signal_type}:${signal.description}`;
+      if (seen.has(key)) {
+        const existing = seen.get(key);
+        if (!existing.contacts.some(c => c.contact_id === signal.contact_id)) {
+          existing.contacts.push(entry.contacts[0]);
+        }
+        return;
+      }
+
+      seen.set(key, entry);
+      result.push(entry);
+    });
+
+    return result;
+  }
+
+  /**
+   * Group contacts into decision makers, champions and influencers by seniority
+   */
+  buildBuyingCommittee(contacts, scoredSignals) {
+    const committee = {
+      decision_makers: [],
+      champions: [],
+      influencers: []
+    };
+
+    contacts.forEach(contact => {
+      const title = contact.current_title || '';
+      const seniority = title ? jobParser.detectSeniority(title) : 'IC';
+      const role = this.committeeRole(title);
+      const contactSignals = scoredSignals.filter(s => s.contact_id === contact.id);
+
+      const member = {
+        contact_id: contact.id,
+        full_name: contact.full_name,
+        current_title: contact.current_title,
+        seniority,
+        department: title ? jobParser.detectDepartment(title, '') : 'Other',
+        linkedin_url: contact.linkedin_url,
+        influence_score: contact.influence_score !== null && contact.influence_score !== undefined
+          ? parseFloat(contact.influence_score)
+          : null,
+        last_researched_at: contact.last_researched_at,
+        signal_count: contactSignals.length,
+        top_signal: contactSignals[0]?.description || null
+      };
+
+      committee[`${role}s`].push(member);
+    });
+
+    Object.values(committee).forEach(members => {
+      members.sort((a, b) =>
+        SENIORITY_RANK.indexOf(a.seniority) - SENIORITY_RANK.indexOf(b.seniority) ||
+        (b.influence_score || 0) - (a.influence_score || 0)
+      );
+    });
+
+    const gaps = [];
+    if (committee.decision_makers.length === 0) {
+      gaps.push('No VP or C-level contact - identify the economic buyer');
+    }
+    if (committee.champions.length === 0) {
+      gaps.push('No director or manager contact - identify a champion');
+    }
+    if (contacts.length > 0 && contacts.every(c => !c.last_researched_at)) {
+      gaps.push('No contacts researched yet');
+    }
+
+    return { ...committee, gaps };
+  }
+
+  /**
+   * Buying committee role for a job title - also the persona outreach
+   * templates are selected by
+   * @returns {string} 'decision_maker', 'champion' or 'influencer'
+   */
+  committeeRole(title) {
+    const seniority = title ? jobParser.detectSeniority(title) : 'IC';
+    return COMMITTEE_ROLES[seniority] || 'influencer';
+  }
+
+  summarizeHiring(jobPostings) {
+    const byDepartment = {};
+    const bySeniority = {};
+
+    jobPostings.forEach(job => {
+      byDepartment[job.department] = (byDepartment[job.department] || 0) + 1;
+      bySeniority[job.seniority_level] = (bySeniority[job.seniority_level] || 0) + 1;
+    });
+
+    return {
+      total: jobPostings.length,
+      by_department: byDepartment,
+      by_seniority: bySeniority,
+      initiatives: [...new Set(jobPostings.flatMap(job => job.initiative_signals || []))]
+    };
+  }
+
+  /**
+   * Account score: mean composite score of the strongest account signals
+   */
+  calculateAccountScore(accountSignals) {
+    const top = accountSignals.slice(0, config.intelligence.topSignalsCount);
+    if (top.length === 0) return 0;
+
+    const mean = top.reduce((sum, s) => sum + s.composite_score, 0) / top.length;
+    return Math.round(mean * 100) / 100;
+  }
+}
+
+module.exports = new AccountAggregator();
@@ -0,0 +1,125 @@
+const { parse } = require('csv-parse/sync');
+const config = require('../../config/config');
+const { CONTACT_FIELDS, validateContact } = require('../api/validators/contact');
+
+// Common spreadsheet headers mapped onto contact fields
+const HEADER_ALIASES = {
+  name: 'full_name',
+  fullname: 'full_name',
+  linkedin: 'linkedin_url',
+  linkedin_profile: 'linkedin_url',
+  linkedinurl: 'linkedin_url',
+  company: 'current_company',
+  company_name: 'current_company',
+  title: 'current_title',
+  job_title: 'current_title',
+  domain: 'company_domain',
+  website: 'company_domain',
+  sector: 'industry',
+  email_address: 'email'
+};
+
+/**
+ * Bulk Intake
+ * Turns an uploaded contact list (CSV text or JSON array) into batch rows:
+ * each row is validated, normalized and deduped on linkedin_url before
+ * anything is written.
+ */
+class BulkIntake {
+  /**
+   * Parse a request body into raw records
+   * @param {string|Array|Object} body - CSV text, JSON array or { contacts: [...] }
+   * @returns {Object} { format, records }
+   * @throws {Error} If the body is not a usable list
+   */
+  parseBody(body) {
+    if (typeof body === 'string') {
+      return { format: 'csv', records: this.parseCsv(body) };
+    }
+
+    const records = Array.isArray(body) ? body : body?.contacts;
+    if (!Array.isArray(records)) {
+      throw new Error('Expected a JSON array of contacts, { "contacts": [...] } or a text/csv body');
+    }
+
+    return { format: 'json', records };
+  }
+
+  /**
+   * Parse CSV text with a header row into records keyed by contact field
+   */
+  parseCsv(text) {
+    try {
+      return parse(text, {
+        bom: true,
+        columns: headers => headers.map(header => this.normalizeHeader(header)),
+        skip_empty_lines: true,
+        relax_column_count: true,
+        trim: true
+      });
+    } catch (error) {
+      throw new Error(`Invalid CSV: ${error.message}`);
+    }
+  }
+
+  normalizeHeader(header) {
+    const key = String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return HEADER_ALIASES[key] || key;
+  }
+
+  /**
+   * Validate and dedupe records into batch rows
+   * @param {Array} records - Raw records from parseBody
+   * @returns {Array} [{ row_number, input, status, errors, contact }]
+   */
+  prepareRows(records) {
+    const firstRowByUrl = new Map();
+
+    return records.map((record, index) => {
+      const row_number = index + 1;
+      const input = this.pickContactFields(record);
+      const { contact, errors } = validateContact(record);
+
+      if (!contact) {
+        return { row_number, input, status: 'invalid', errors, contact: null };
+      }
+
+      if (firstRowByUrl.has(contact.linkedin_url)) {
+        return {
+          row_number,
+          input,
+          status: 'duplicate',
+          errors: [`Duplicate linkedin_url (same as row ${firstRowByUrl.get(contact.linkedin_url)})`],
+          contact
+        };
+      }
+
+      firstRowByUrl.set(contact.linkedin_url, row_number);
+      return { row_number, input, status: 'queued', errors: [], contact };
+    });
+  }
+
+  pickContactFields(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { value: record };
+    }
+
+    return CONTACT_FIELDS.reduce((input, field) => {
+      if (record[field] !== undefined) input[field] = record[field];
+      return input;
+    }, {});
+  }
+
+  /**
+   * Spacing between batch jobs so the queue drains no faster than the
+   * LinkedIn limiter in the Firecrawl client allows
+   */
+  getJobSpacingMs() {
+    const { maxRequestsPerMin, delayMs } = config.rateLimits.linkedin;
+    const perRequestMs = Math.max(60000 / maxRequestsPerMin, delayMs);
+
+    return Math.ceil(perRequestMs * config.bulkResearch.linkedinRequestsPerContact);
+  }
+}
+
+module.exports = new BulkIntake();
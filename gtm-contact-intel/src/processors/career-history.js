@@ -0,0 +1,235 @@
+// Seniority ladder, highest first - a title takes the first level it matches
+const SENIORITY_LEVELS = [
+  { level: 10, name: 'executive', pattern: /\b(?:chief|ceo|cro|cfo|cto|coo|cmo|cio|founder|co-founder|president)\b/i, exclude: /\bvice president\b/i },
+  { level: 9, name: 'senior_vp', pattern: /\b(?:svp|evp|senior vice president|executive vice president|general manager|gm)\b/i },
+  { level: 8, name: 'vp', pattern: /\b(?:vp|vice president)\b/i },
+  { level: 7, name: 'senior_director', pattern: /\b(?:senior director|sr\.? director|group director)\b/i },
+  { level: 6, name: 'director', pattern: /\b(?:director|head of)\b/i },
+  { level: 5, name: 'senior_manager', pattern: /\b(?:senior manager|sr\.? manager)\b/i },
+  { level: 4, name: 'manager', pattern: /\bmanager\b/i },
+  { level: 3, name: 'senior', pattern: /\b(?:senior|sr\.?|lead|principal|staff)\b/i },
+  { level: 1, name: 'junior', pattern: /\b(?:junior|jr\.?|associate|assistant|coordinator)\b/i },
+  { level: 0, name: 'intern', pattern: /\b(?:intern|internship|trainee|student)\b/i }
+];
+const DEFAULT_LEVEL = { level: 2, name: 'individual_contributor' };
+
+// Roles held alongside the main job - they are not steps in the career path
+const SIDE_ROLE = /\b(?:advisor|adviser|board member|board of directors|investor|mentor|volunteer|ambassador)\b/i;
+
+/**
+ * Career History
+ * Month-accurate tenure and career features from structured LinkedIn
+ * positions (linkedin_positions rows or parser output).
+ *
+ * Durations are counted the way LinkedIn displays them: both the start and
+ * the end month count, so Jan - Mar is 3 months and a role that started this
+ * month is 1 month old.
+ */
+class CareerHistory {
+  /**
+   * Career features for a contact
+   * @param {Array<Object>} positions - { company_name, title, start_month, end_month, is_current }
+   * @param {Object} options - { now: reference time for current positions }
+   * @returns {Object} Tenure, company and promotion features
+   */
+  analyze(positions, { now = new Date() } = {}) {
+    const dated = positions.filter(p => p.start_month);
+    const career = dated
+      .filter(p => !this.isSideRole(p))
+      .sort((a, b) => this.monthIndex(a.start_month) - this.monthIndex(b.start_month));
+
+    const current = this.currentPosition(positions);
+    const stints = this.companyStints(career, now);
+    const completedPositions = career.filter(p => !p.is_current);
+    const completedStints = stints.filter(s => !s.is_current);
+    const promotions = this.detectPromotions(career, now);
+    const promotedRoles = promotions.map(p => p.months_before);
+
+    return {
+      positions_count: positions.length,
+      companies_count: new Set(career.map(p => this.companyKey(p.company_name))).size,
+      current_title: current?.title || null,
+      current_company: current?.company_name || null,
+      current_seniority: current ? this.seniority(current.title).name : null,
+      current_position_tenure_months: current ? this.durationMonths(current, now) : null,
+      current_company_tenure_months: current
+        ? stints.find(s => s.is_current && s.company_key === this.companyKey(current.company_name))?.months || null
+        : null,
+      total_experience_months: this.totalMonths(career, now),
+      average_position_tenure_months: this.average(completedPositions.map(p => this.durationMonths(p, now))),
+      average_company_tenure_months: this.average(completedStints.map(s => s.months)),
+      promotions_count: promotions.length,
+      internal_promotions_count: promotions.filter(p => p.internal).length,
+      // Average months in a role before moving up
+      promotion_velocity_months: this.average(promotedRoles),
+      promotions,
+      // Moves to a new company that started within the last 36 months
+      company_changes_last_3_years: stints.slice(1).filter(s => s.start > this.nowIndex(now) - 36).length
+    };
+  }
+
+  /**
+   * The position tenure is counted from: the first current position listed
+   * that is not a side role
+   */
+  currentPosition(positions) {
+    const current = positions.filter(p => p.is_current && p.start_month);
+    return current.find(p => !this.isSideRole(p)) || current[0] || null;
+  }
+
+  /**
+   * Months in the current position, or null when no current position is dated
+   */
+  currentTenureMonths(positions, now = new Date()) {
+    const current = this.currentPosition(positions);
+    return current ? this.durationMonths(current, now) : null;
+  }
+
+  /**
+   * Companies worked at before the current one, most recent first
+   */
+  previousCompanies(positions, limit = 5) {
+    const current = this.currentPosition(positions);
+    const currentKey = current ? this.companyKey(current.company_name) : null;
+    const companies = [];
+    const seen = new Set(currentKey ? [currentKey] : []);
+
+    positions
+      .filter(p => p.company_name && !p.is_current && !this.isSideRole(p))
+      .sort((a, b) => this.monthIndex(b.end_month || b.start_month || '0000-01') - this.monthIndex(a.end_month || a.start_month || '0000-01'))
+      .forEach(p => {
+        const key = this.companyKey(p.company_name);
+        if (!seen.has(key)) {
+          seen.add(key);
+          companies.push(p.company_name);
+        }
+      });
+
+    return companies.slice(0, limit);
+  }
+
+  /**
+   * Consecutive positions where the title moves up the seniority ladder
+   * @param {Array<Object>} career - Positions sorted by start month
+   */
+  detectPromotions(career, now = new Date()) {
+    const promotions = [];
+
+    for (let i = 1; i < career.length; i++) {
+      const from = career[i - 1];
+      const to = career[i];
+      const fromLevel = this.seniority(from.title);
+      const toLevel = this.seniority(to.title);
+
+      if (toLevel.level > fromLevel.level) {
+        promotions.push({
+          from_title: from.title,
+          to_title: to.title,
+          from_seniority: fromLevel.name,
+          to_seniority: toLevel.name,
+          company: to.company_name,
+          internal: this.companyKey(from.company_name) === this.companyKey(to.company_name),
+          month: to.start_month,
+          months_before: this.durationMonths(from, now)
+        });
+      }
+    }
+
+    return promotions;
+  }
+
+  /**
+   * Consecutive positions at the same company merged into one stint
+   */
+  companyStints(career, now = new Date()) {
+    const stints = [];
+
+    career.forEach(position => {
+      const key = this.companyKey(position.company_name);
+      const last = stints[stints.length - 1];
+      const end = this.endIndex(position, now);
+
+      if (last && last.company_key === key) {
+        last.end = Math.max(last.end, end);
+        last.is_current = last.is_current || Boolean(position.is_current);
+      } else {
+        stints.push({
+          company_key: key,
+          company_name: position.company_name,
+          start_month: position.start_month,
+          start: this.monthIndex(position.start_month),
+          end,
+          is_current: Boolean(position.is_current)
+        });
+      }
+    });
+
+    return stints.map(stint => ({ ...stint, months: stint.end - stint.start + 1 }));
+  }
+
+  /**
+   * Months covered by at least one position (overlaps count once)
+   */
+  totalMonths(career, now = new Date()) {
+    const ranges = career
+      .map(p => [this.monthIndex(p.start_month), this.endIndex(p, now)])
+      .sort((a, b) => a[0] - b[0]);
+
+    let total = 0;
+    let coveredUntil = -Infinity;
+
+    ranges.forEach(([start, end]) => {
+      const from = Math.max(start, coveredUntil + 1);
+      if (end >= from) total += end - from + 1;
+      coveredUntil = Math.max(coveredUntil, end);
+    });
+
+    return ranges.length > 0 ? total : null;
+  }
+
+  /**
+   * Months in a position, both ends included
+   */
+  durationMonths(position, now = new Date()) {
+    if (!position.start_month) return null;
+    return Math.max(1, this.endIndex(position, now) - this.monthIndex(position.start_month) + 1);
+  }
+
+  seniority(title) {
+    const match = SENIORITY_LEVELS.find(s =>
+      s.pattern.test(title || '') && !(s.exclude && s.exclude.test(title || ''))
+    );
+    return match || DEFAULT_LEVEL;
+  }
+
+  isSideRole(position) {
+    return SIDE_ROLE.test(position.title || '');
+  }
+
+  endIndex(position, now) {
+    if (position.is_current) return this.nowIndex(now);
+    return this.monthIndex(position.end_month || position.start_month);
+  }
+
+  // 'YYYY-MM' -> months since year 0
+  monthIndex(month) {
+    const [year, monthNumber] = String(month).split('-').map(Number);
+    return year * 12 + (monthNumber - 1);
+  }
+
+  nowIndex(now) {
+    return now.getUTCFullYear() * 12 + now.getUTCMonth();
+  }
+
+  companyKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  average(values) {
+    const known = values.filter(v => v !== null && v !== undefined);
+    if (known.length === 0) return null;
+    return Math.round((known.reduce((sum, v) => sum + v, 0) / known.length) * 10) / 10;
+  }
+}
+
+module.exports = new CareerHistory();
@@ -0,0 +1,252 @@
+const { competitorQueries } = require('../db/queries');
+const sentimentAnalyzer = require('./sentiment-analyzer');
+
+// Catalogue edits made through the API reach running workers within this window
+const CATALOGUE_TTL_MS = 60 * 1000;
+
+// Stance of the sentence a competitor is named in, checked in this order.
+// Negated praise ("not a fan of") is a complaint, so complaints come first.
+const STANCE_CUES = [
+  {
+    stance: 'complaining',
+    pattern: /\b(?:frustrat\w*|hate[sd]?|clunky|overpriced|expensive|nightmare|broken|buggy|terrible|awful|painful|headaches?|struggl\w*|disappoint\w*|switch(?:ing|ed)?(?: away)? from|mov(?:e|ing|ed) (?:off|away from)|migrat\w* (?:off|away from|from)|replac\w*|ditch\w*|rip(?:ping)? out|churn\w*|cancel\w*|outgr[eo]wn?|fed up|not (?:happy|impressed|a fan)|(?:doesn'?t|does not|don'?t|didn'?t) (?:work|love|like|scale))\b/i
+  },
+  {
+    stance: 'evaluating',
+    pattern: /\b(?:evaluat\w*|looking (?:at|for|into)|compar\w*|vs\.?|versus|alternatives?|considering|shortlist\w*|demos?|pilot\w*|trials?|anyone (?:using|use|tried)|recommendations|thoughts on|rfp)\b/i
+  },
+  {
+    stance: 'praising',
+    pattern: /\b(?:love[sd]?|loving|great|amazing|awesome|game[- ]changer|recommend|best|fan of|impressed|thanks to|shout ?out|kudos|works (?:great|well)|excellent|fantastic|helped us)\b/i
+  }
+];
+
+// Stances ranked by how good a displacement opening they are
+const STANCE_PRIORITY = ['complaining', 'evaluating', 'neutral', 'praising'];
+
+const STANCE_SCORES = {
+  complaining: { relevance_score: 0.90, urgency_score: 0.85, wedge_potential: 0.95 },
+  evaluating: { relevance_score: 0.88, urgency_score: 0.90, wedge_potential: 0.90 },
+  neutral: { relevance_score: 0.70, urgency_score: 0.50, wedge_potential: 0.65 },
+  praising: { relevance_score: 0.60, urgency_score: 0.40, wedge_potential: 0.35 }
+};
+
+const SOURCE_LABELS = {
+  linkedin_post: 'LinkedIn post',
+  job_posting: 'job posting',
+  podcast: 'podcast appearance'
+};
+
+const MAX_CONTEXT_LENGTH = 300;
+
+const COMMON_WORD_TERM = /^[A-Z][a-z]+$/;
+
+/**
+ * Competitor Detector
+ * Matches text against the competitor catalogue (names, aliases and product
+ * names) and classifies each mention by the stance of the sentence it is in:
+ * complaining, evaluating, praising or neutral.
+ *
+ * A document yields at most one mention per competitor - the sentence with
+ * the strongest displacement stance.
+ */
+class CompetitorDetector {
+  constructor() {
+    this.catalogue = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Active competitors with their term matchers
+   * @returns {Promise<Array>} [{ competitor, matchers }]
+   */
+  async getCatalogue() {
+    if (!this.catalogue || Date.now() - this.loadedAt > CATALOGUE_TTL_MS) {
+      const competitors = await competitorQueries.getActiveCompetitors();
+      this.catalogue = competitors.map(competitor => ({
+        competitor,
+        matchers: this.buildMatchers(competitor)
+      }));
+      this.loadedAt = Date.now();
+    }
+
+    return this.catalogue;
+  }
+
+  // Called after catalogue writes so this process sees them immediately
+  invalidate() {
+    this.catalogue = null;
+  }
+
+  /**
+   * Word-boundary matchers for every term, longest first so a product name
+   * ("Salesforce Sales Cloud") is reported over the company name.
+   *
+   * A single capitalized word ("Outreach", "Gong") is also an ordinary word,
+   * so it only matches capitalized; every other term ignores case.
+   */
+  buildMatchers(competitor) {
+    const terms = [competitor.name, ...(competitor.aliases || []), ...(competitor.products || [])]
+      .map(term => String(term).trim())
+      .filter(Boolean);
+
+    return [...new Set(terms)]
+      .sort((a, b) => b.length - a.length)
+      .map(term => ({
+        term,
+        pattern: new RegExp(
+          `(^|[^A-Za-z0-9])${this.escapeRegExp(term)}(?![A-Za-z0-9])`,
+          COMMON_WORD_TERM.test(term) ? '' : 'i'
+        )
+      }));
+  }
+
+  /**
+   * Find competitor mentions in a document
+   * @param {string} text - Post content, job description, episode description...
+   * @param {Array} catalogue - From getCatalogue()
+   * @param {Object} document - { source_ref, mentioned_at } copied onto each mention
+   * @returns {Array<Object>} [{ competitor_id, competitor_name, displaces_category,
+   *   matched_term, stance, context, source_ref, mentioned_at }]
+   */
+  detect(text, catalogue, document = {}) {
+    if (!text || catalogue.length === 0) return [];
+
+    const sentences = this.splitSentences(text);
+    const mentions = [];
+
+    catalogue.forEach(({ competitor, matchers }) => {
+      let best = null;
+
+      sentences.forEach(sentence => {
+        const matcher = matchers.find(({ pattern }) => pattern.test(sentence));
+        if (!matcher) return;
+
+        const stance = this.classifyStance(sentence);
+        if (!best || STANCE_PRIORITY.indexOf(stance) < STANCE_PRIORITY.indexOf(best.stance)) {
+          best = { matched_term: matcher.term, stance, context: sentence.substring(0, MAX_CONTEXT_LENGTH) };
+        }
+      });
+
+      if (best) {
+        mentions.push({
+          competitor_id: competitor.id,
+          competitor_name: competitor.name,
+          displaces_category: competitor.displaces_category,
+          ...best,
+          source_ref: document.source_ref || null,
+          mentioned_at: document.mentioned_at || null
+        });
+      }
+    });
+
+    return mentions;
+  }
+
+  /**
+   * Stance from the cue phrases, or from the sentence's sentiment when no
+   * cue matches ("Gong has been fantastic", "Outreach keeps failing us")
+   */
+  classifyStance(sentence) {
+    const cue = STANCE_CUES.find(({ pattern }) => pattern.test(sentence));
+    if (cue) return cue.stance;
+
+    const sentiment = sentimentAnalyzer.classify(sentence);
+    if (sentiment === 'negative') return 'complaining';
+    if (sentiment === 'positive') return 'praising';
+    return 'neutral';
+  }
+
+  splitSentences(text) {
+    return String(text)
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Replace the stored mentions for the documents just analyzed
+   * @param {Object} scope - See competitorQueries.replaceMentions
+   * @param {Array<Object>} mentions - From detect()
+   */
+  async recordMentions(scope, mentions) {
+    const saved = await competitorQueries.replaceMentions(scope, mentions);
+
+    if (saved.length > 0) {
+      console.log(`Recorded ${saved.length} competitor mention(s) from ${scope.source}`);
+    }
+
+    return saved;
+  }
+
+  /**
+   * One competitive signal per competitor, from its strongest mention
+   * @param {Array<Object>} mentions - From detect()
+   * @param {string} source - 'linkedin_post', 'job_posting' or 'podcast'
+   * @returns {Array<Object>} Signals for the signal lifecycle
+   */
+  buildSignals(mentions, source) {
+    const byCompetitor = new Map();
+
+    mentions.forEach(mention => {
+      const group = byCompetitor.get(mention.competitor_id) || [];
+      group.push(mention);
+      byCompetitor.set(mention.competitor_id, group);
+    });
+
+    return [...byCompetitor.values()].map(group => {
+      const best = group.reduce((a, b) =>
+        STANCE_PRIORITY.indexOf(b.stance) < STANCE_PRIORITY.indexOf(a.stance) ? b : a
+      );
+      const stances = {};
+      group.forEach(m => { stances[m.stance] = (stances[m.stance] || 0) + 1; });
+
+      return {
+        signal_type: 'competitor_mention',
+        signal_key: `competitor:${best.competitor_id}`,
+        source_ref: best.source_ref,
+        observed_at: best.mentioned_at,
+        signal_category: 'competitive',
+        description: this.describe(best, group.length, source),
+        ...STANCE_SCORES[best.stance],
+        raw_data: {
+          competitorId: best.competitor_id,
+          competitor: best.competitor_name,
+          displacesCategory: best.displaces_category,
+          stance: best.stance,
+          matchedTerm: best.matched_term,
+          context: best.context,
+          source,
+          mentionCount: group.length,
+          stances
+        }
+      };
+    });
+  }
+
+  describe(mention, count, source) {
+    const label = SOURCE_LABELS[source] || source;
+    const name = mention.competitor_name;
+    const category = mention.displaces_category ? ` (${mention.displaces_category})` : '';
+
+    switch (mention.stance) {
+      case 'complaining':
+        return `Complained about ${name}${category} in a ${label}: "${mention.context}". Displacement opening.`;
+      case 'evaluating':
+        return `Evaluating options around ${name}${category} in a ${label}: "${mention.context}"`;
+      case 'praising':
+        return `Praised ${name}${category} in a ${label} - likely an entrenched incumbent.`;
+      default:
+        return count > 1
+          ? `${name}${category} named in ${count} ${label}s - current tool or under consideration.`
+          : `${name}${category} named in a ${label}: "${mention.context}"`;
+    }
+  }
+
+  escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new CompetitorDetector();
+module.exports.STANCES = STANCE_PRIORITY;
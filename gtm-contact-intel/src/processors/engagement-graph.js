@@ -0,0 +1,145 @@
+const { linkedinQueries } = require('../db/queries');
+const competitorDetector = require('./competitor-detector');
+const techStackTracker = require('./tech-stack-tracker');
+
+// A comment takes more effort than a reshare, and a reshare more than a reaction
+const ENGAGEMENT_WEIGHTS = { commented: 3, shared: 2, mentioned: 2, liked: 1 };
+
+/**
+ * Engagement Graph
+ * Who a contact interacts with on LinkedIn, from the comments, reactions and
+ * reshares stored in linkedin_engagement.
+ *
+ * People, companies and topics are ranked by engagement strength - each
+ * engagement weighted by its type (comment 3, reshare or mention 2,
+ * reaction 1). People the contact comments on are warm-intro paths;
+ * companies that are in the competitor catalogue or are known GTM tools are
+ * the vendors the contact follows.
+ */
+class EngagementGraph {
+  /**
+   * @param {number} contactId - Contact ID
+   * @param {Object} options - { limit: entries per list, since: only engagements on or after this date }
+   * @returns {Promise<Object>} { summary, people, companies, vendors, topics }
+   */
+  async build(contactId, { limit = 10, since = null } = {}) {
+    const engagements = await linkedinQueries.getEngagements(contactId, { since });
+    const catalogue = await competitorDetector.getCatalogue();
+
+    const people = this.rank(
+      engagements.filter(e => e.target_type !== 'company'),
+      e => e.target_profile || e.target_name?.toLowerCase(),
+      group => {
+        const latest = group[0];
+        const lastComment = group.find(e => e.comment_text);
+        return {
+          name: latest.target_name,
+          profile_url: latest.target_profile,
+          headline: group.find(e => e.target_headline)?.target_headline || null,
+          company: group.find(e => e.target_company)?.target_company || null,
+          last_comment: lastComment ? { text: lastComment.comment_text, post_url: lastComment.post_url } : null
+        };
+      }
+    );
+
+    const companies = this.rank(
+      engagements.filter(e => e.target_company),
+      e => e.target_company.toLowerCase(),
+      group => {
+        const direct = group.filter(e => e.target_type === 'company');
+        return {
+          company: (direct[0] || group[0]).target_company,
+          company_url: direct[0]?.target_profile || null,
+          people: new Set(group.filter(e => e.target_type !== 'company').map(e => e.target_profile || e.target_name)).size,
+          direct_engagements: direct.length,
+          vendor: this.matchVendor(group[0].target_company, catalogue)
+        };
+      }
+    );
+
+    const topics = this.rank(
+      engagements.flatMap(e => (e.content_topic || []).map(topic => ({ ...e, topic }))),
+      e => e.topic.toLowerCase(),
+      group => ({ topic: group[0].topic })
+    );
+
+    return {
+      summary: this.summarize(engagements, people, companies),
+      people: people.slice(0, limit),
+      companies: companies.slice(0, limit),
+      vendors: companies.filter(c => c.vendor).slice(0, limit),
+      topics: topics.slice(0, limit)
+    };
+  }
+
+  /**
+   * Group engagements by key and rank the groups by strength, then recency.
+   * Engagements come newest first, so group[0] is the latest.
+   */
+  rank(engagements, keyOf, describe) {
+    const groups = new Map();
+
+    engagements.forEach(engagement => {
+      const key = keyOf(engagement);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(engagement);
+    });
+
+    return [...groups.values()]
+      .map(group => ({
+        ...describe(group),
+        ...this.countTypes(group),
+        interactions: group.length,
+        strength: group.reduce((sum, e) => sum + (ENGAGEMENT_WEIGHTS[e.engagement_type] || 1), 0),
+        last_engaged_at: group[0].engagement_date
+      }))
+      .sort((a, b) => b.strength - a.strength ||
+        new Date(b.last_engaged_at || 0) - new Date(a.last_engaged_at || 0));
+  }
+
+  countTypes(engagements) {
+    const counts = { comments: 0, reactions: 0, shares: 0, mentions: 0 };
+    const keys = { commented: 'comments', liked: 'reactions', shared: 'shares', mentioned: 'mentions' };
+
+    engagements.forEach(e => {
+      if (keys[e.engagement_type]) counts[keys[e.engagement_type]]++;
+    });
+
+    return counts;
+  }
+
+  /**
+   * A company that is a catalogued competitor or a known GTM tool
+   * @returns {Object|null} { type: 'competitor'|'tool', name, category, competitor_id? }
+   */
+  matchVendor(company, catalogue) {
+    const competitor = catalogue.find(({ matchers }) => matchers.some(({ pattern }) => pattern.test(company)));
+    if (competitor) {
+      return {
+        type: 'competitor',
+        name: competitor.competitor.name,
+        category: competitor.competitor.displaces_category || null,
+        competitor_id: competitor.competitor.id
+      };
+    }
+
+    const [tool] = techStackTracker.detectTools(company);
+    return tool ? { type: 'tool', name: tool, category: techStackTracker.categorize(tool) } : null;
+  }
+
+  summarize(engagements, people, companies) {
+    const dates = engagements.map(e => e.engagement_date).filter(Boolean).map(d => new Date(d));
+
+    return {
+      total_engagements: engagements.length,
+      ...this.countTypes(engagements),
+      people: people.length,
+      companies: companies.length,
+      first_engaged_at: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+      last_engaged_at: dates.length > 0 ? new Date(Math.max(...dates)) : null
+    };
+  }
+}
+
+module.exports = new EngagementGraph();
@@ -0,0 +1,281 @@
+const { outreachTemplateQueries } = require('../db/queries');
+const templateEngine = require('./template-engine');
+const accountAggregator = require('./account-aggregator');
+const painClassifier = require('./pain-classifier');
+
+// Template edits made through the API reach running workers within this window
+const TEMPLATES_TTL_MS = 60 * 1000;
+
+// Buying committee roles (see AccountAggregator.committeeRole)
+const PERSONAS = ['decision_maker', 'champion', 'influencer'];
+
+// Every variable a template can use, with what it holds
+const VARIABLES = {
+  'contact.first_name': 'First name',
+  'contact.full_name': 'Full name',
+  'contact.title': 'Current title',
+  'contact.company': 'Current company',
+  'contact.company_domain': 'Company domain',
+  'contact.industry': 'Industry',
+  'contact.persona': 'Buying committee role: decision_maker, champion or influencer',
+
+  'wedge.type': 'Wedge type, e.g. linkedin_pain_point',
+  'wedge.description': 'Wedge description',
+  'wedge.timing': 'Why now',
+  'wedge.pain': 'Pain named in the trigger post (classified pain, else its top theme)',
+  'wedge.pain_point': 'Classified pain name only - empty when the post was not classified',
+  'wedge.pain_metric': 'Metric a fix for the pain moves',
+  'wedge.pain_evidence': 'Sentence the pain was found in',
+  'wedge.post_url': 'Trigger post URL',
+  'wedge.post_engagement': 'Reactions and comments on the trigger post',
+  'wedge.days_since': 'Days since the trigger post',
+  'wedge.competitor': 'Competitor named (competitor_displacement)',
+  'wedge.stance': 'complaining, evaluating or neutral (competitor_displacement)',
+  'wedge.category': 'Category the competitor covers',
+  'wedge.language': 'Top GitHub language (technical_buyer)',
+
+  'linkedin.headline': 'Profile headline',
+  'linkedin.location': 'Profile location',
+  'linkedin.tenure_months': 'Months in current role',
+  'linkedin.previous_company': 'Most recent previous employer',
+  'linkedin.posts_count': 'Recent posts',
+  'linkedin.latest_post': 'Latest post (for {{#if}})',
+  'linkedin.latest_post.topic': 'Latest post\'s top theme or topic',
+  'linkedin.latest_post.url': 'Latest post URL',
+  'linkedin.latest_post.engagement': 'Engagement on the latest post',
+
+  'github.username': 'GitHub username',
+  'github.top_language': 'Most used language',
+
+  'signals.count': 'Top signals found',
+  'signals.top': 'Best signal\'s description',
+  'signals.top_type': 'Best signal\'s type',
+
+  'seller.company': 'Our company name',
+  'seller.product': 'Our product name',
+  'seller.product_description': 'What the product does',
+  'seller.customer_count': 'Number of customers',
+  'seller.value_prop': 'Value prop for the contact\'s pain (the wedge\'s first), else the default value prop',
+
+  'case_study': 'Best-matching case study (for {{#if}})',
+  'case_study.customer': 'Customer company',
+  'case_study.industry': 'Customer\'s industry',
+  'case_study.metric': 'Metric that moved',
+  'case_study.result': 'What changed, read after the customer: "cut duplicate records by 40%"',
+  'case_study.timeframe': 'How fast, read after the result: "in 90 days"',
+  'case_study.summary': 'Longer summary',
+  'case_study.url': 'Link to the case study',
+
+  'rep.name': 'Sending rep\'s full name',
+  'rep.first_name': 'Sending rep\'s first name',
+  'rep.title': 'Sending rep\'s title',
+  'rep.email': 'Sending rep\'s email',
+  'rep.phone': 'Sending rep\'s phone',
+  'rep.signature': 'Sending rep\'s sign-off (their saved signature, else their name)'
+};
+
+// Used when the library has no template for a wedge and persona
+const FALLBACK_TEMPLATE = {
+  id: null,
+  name: 'built-in general',
+  subject: null,
+  body: `Hi {{contact.first_name}},
+
+I've been researching {{contact.company | "your company"}} and your work in {{contact.title | "your role"}}.
+
+{{#if seller.value_prop}}{{seller.value_prop}} {{/if}}{{#if case_study}}{{case_study.customer}}, for example, {{case_study.result}}{{#if case_study.timeframe}} {{case_study.timeframe}}{{/if}}. {{/if}}Would love to share what's worked for companies in similar situations and see if it might be relevant for you.
+
+Open to a quick 15-minute call?
+
+Best,
+{{rep.signature | seller.team}}`
+};
+
+/**
+ * Outreach Templates
+ * The user-editable outreach template library (outreach_templates, managed
+ * through /api/outreach-templates).
+ *
+ * A template is picked for a wedge type and the contact's persona: a
+ * template listing the wedge type beats one for any wedge, and a template
+ * for the persona beats one for any persona. Ties go to the oldest template.
+ * Templates are rendered with the template engine against the context
+ * buildContext() assembles from the playbook's data and the seller profile.
+ */
+class OutreachTemplates {
+  constructor() {
+    this.templates = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Active templates
+   * @returns {Promise<Array>}
+   */
+  async getTemplates() {
+    if (!this.templates || Date.now() - this.loadedAt > TEMPLATES_TTL_MS) {
+      this.templates = await outreachTemplateQueries.getActiveTemplates();
+      this.loadedAt = Date.now();
+    }
+
+    return this.templates;
+  }
+
+  invalidate() {
+    this.templates = null;
+  }
+
+  get personas() {
+    return PERSONAS;
+  }
+
+  get variables() {
+    return VARIABLES;
+  }
+
+  /**
+   * Best template for a wedge type and persona
+   * @param {Array} templates - From getTemplates()
+   * @returns {Object} A template row, or the built-in general template
+   */
+  select(templates, wedgeType, persona) {
+    let best = null;
+    let bestRank = -1;
+
+    templates.forEach(template => {
+      const wedgeTypes = template.wedge_types || [];
+      if (wedgeTypes.length > 0 && !wedgeTypes.includes(wedgeType)) return;
+      if (template.persona && template.persona !== persona) return;
+
+      const rank = (wedgeTypes.length > 0 ? 2 : 0) + (template.persona ? 1 : 0);
+      if (rank > bestRank || (rank === bestRank && template.id < best.id)) {
+        best = template;
+        bestRank = rank;
+      }
+    });
+
+    return best || FALLBACK_TEMPLATE;
+  }
+
+  /**
+   * Render a template
+   * @returns {Object} { template_id, template_name, subject, body, missing }
+   */
+  render(template, context) {
+    const body = templateEngine.render(template.body, context);
+    const subject = template.subject ? templateEngine.render(template.subject, context) : null;
+
+    return {
+      template_id: template.id,
+      template_name: template.name,
+      subject: subject ? subject.text.trim() : null,
+      body: body.text,
+      missing: [...new Set([...(subject?.missing || []), ...body.missing])]
+    };
+  }
+
+  /**
+   * Check a template's subject and body
+   * @returns {Array<string>} Errors
+   */
+  validate({ subject, body }) {
+    return [
+      ...(subject ? templateEngine.validate(subject, Object.keys(VARIABLES)).map(e => `subject: ${e}`) : []),
+      ...(body ? templateEngine.validate(body, Object.keys(VARIABLES)).map(e => `body: ${e}`) : [])
+    ];
+  }
+
+  /**
+   * The values templates are rendered against
+   * @param {Object} data - { contact, wedge, linkedinProfile, linkedinPosts, githubActivity, signals, seller }
+   *   seller: { profile, caseStudy, valueProp, rep } picked for the contact (see SellerProfile)
+   */
+  buildContext({
+    contact, wedge = null, linkedinProfile = null, linkedinPosts = [], githubActivity = null, signals = [],
+    seller = null
+  }) {
+    const details = wedge?.details || {};
+    const profile = seller?.profile || null;
+    const caseStudy = seller?.caseStudy || null;
+    const rep = seller?.rep || null;
+    const painPoint = details.painPoint || null;
+    const triggerPost = details.postUrl ? linkedinPosts.find(p => p.post_url === details.postUrl) : null;
+    const latestPost = linkedinPosts[0] || null;
+
+    return {
+      contact: {
+        first_name: contact.full_name.split(' ')[0],
+        full_name: contact.full_name,
+        title: contact.current_title,
+        company: contact.current_company,
+        company_domain: contact.company_domain,
+        industry: contact.industry || null,
+        persona: accountAggregator.committeeRole(contact.current_title)
+      },
+      wedge: {
+        type: wedge?.type || null,
+        description: wedge?.description || null,
+        timing: wedge?.timingRationale || null,
+        pain: painPoint?.name || triggerPost?.key_themes?.[0] || null,
+        pain_point: painPoint?.name || null,
+        pain_metric: (painPoint && painClassifier.describe(painPoint.label)?.metric) || null,
+        pain_evidence: painPoint?.evidence?.text || null,
+        post_url: details.postUrl || null,
+        post_engagement: details.engagement ?? triggerPost?.engagement_count ?? null,
+        days_since: details.daysSince ?? null,
+        competitor: details.competitor || null,
+        stance: details.stance || null,
+        category: details.displacesCategory || null,
+        language: details.githubLanguages?.[0]?.language || null
+      },
+      linkedin: {
+        headline: linkedinProfile?.profile_headline || null,
+        location: linkedinProfile?.location || null,
+        tenure_months: linkedinProfile?.current_position_tenure_months || null,
+        previous_company: linkedinProfile?.previous_companies?.[0] || null,
+        posts_count: linkedinPosts.length,
+        latest_post: latestPost && {
+          topic: latestPost.key_themes?.[0] || latestPost.topics_detected?.[0] || null,
+          url: latestPost.post_url,
+          engagement: latestPost.engagement_count
+        }
+      },
+      github: {
+        username: githubActivity?.github_username || null,
+        top_language: githubActivity?.primary_languages?.[0]?.language || null
+      },
+      signals: {
+        count: signals.length,
+        top: signals[0]?.description || null,
+        top_type: signals[0]?.signal_type || null
+      },
+      seller: {
+        company: profile?.company_name || null,
+        team: profile ? `The ${profile.company_name} team` : null,
+        product: profile?.product_name || null,
+        product_description: profile?.product_description || null,
+        customer_count: profile?.customer_count ?? null,
+        value_prop: seller?.valueProp || null
+      },
+      case_study: caseStudy && {
+        customer: caseStudy.customer_company,
+        industry: caseStudy.industry,
+        metric: caseStudy.metric,
+        result: caseStudy.result,
+        timeframe: caseStudy.timeframe,
+        summary: caseStudy.summary,
+        url: caseStudy.url
+      },
+      rep: {
+        name: rep?.full_name || null,
+        first_name: rep?.full_name.split(' ')[0] || null,
+        title: rep?.title || null,
+        email: rep?.email || null,
+        phone: rep?.phone || null,
+        signature: rep?.signature || rep?.full_name || null
+      }
+    };
+  }
+}
+
+module.exports = new OutreachTemplates();
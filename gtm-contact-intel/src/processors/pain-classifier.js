@@ -0,0 +1,254 @@
+const config = require('../../config/config');
+const sentimentAnalyzer = require('./sentiment-analyzer');
+const techStackTracker = require('./tech-stack-tracker');
+
+// Confidence of a single phrase match, and what the sentence around it adds
+const BASE_CONFIDENCE = 0.55;
+const CUE_BOOST = 0.25;
+const NEGATIVE_BOOST = 0.15;
+// A second phrase or sentence for the same pain corroborates the first
+const CORROBORATION_BOOST = 0.1;
+const MAX_CORROBORATION = 0.2;
+// "Our forecast accuracy hit 95%" is a win, not a pain
+const POSITIVE_PENALTY = 0.15;
+const MAX_CONFIDENCE = 0.98;
+
+const MAX_EVIDENCE_LENGTH = 300;
+
+const SIGNAL_SCORES = {
+  job_posting: { relevance_score: 0.88, urgency_score: 0.75, wedge_potential: 0.85 },
+  podcast: { relevance_score: 0.85, urgency_score: 0.65, wedge_potential: 0.85 }
+};
+
+const SOURCE_LABELS = {
+  linkedin_post: 'LinkedIn post',
+  job_posting: 'job posting',
+  podcast: 'podcast appearance'
+};
+
+/**
+ * Pain Classifier
+ * Labels text with the pains in the configured taxonomy (config.painTaxonomy):
+ * data quality, pipeline visibility, tool sprawl and so on.
+ *
+ * A label needs one of its phrases in the text. Its confidence starts at
+ * 0.55 and rises when the sentence reads as a problem - a pain cue
+ * ("struggling with", "fix", "still") or negative sentiment - and when other
+ * phrases or sentences back it up; a positive sentence without a cue lowers
+ * it. The evidence is the sentence that scored highest, with its character
+ * offsets in the text. Documents with several fields (a job's title and
+ * description) are classified field by field, so the offsets point into the
+ * field the evidence names.
+ */
+class PainClassifier {
+  constructor() {
+    this.labels = Object.entries(config.painTaxonomy.labels).map(([label, definition]) => ({
+      label,
+      name: definition.name,
+      metric: definition.metric,
+      pattern: this.buildPattern(definition.phrases)
+    }));
+
+    this.cuePattern = this.buildPattern([...config.gtmTopics.painPoints, ...config.painTaxonomy.cues]);
+  }
+
+  // Whole-phrase, case-insensitive alternation, longest phrase first
+  buildPattern(phrases) {
+    const alternatives = [...phrases]
+      .sort((a, b) => b.length - a.length)
+      .map(phrase => techStackTracker.escapeRegExp(phrase));
+
+    return new RegExp(`(?<![a-z0-9])(?:${alternatives.join('|')})(?![a-z0-9])`, 'gi');
+  }
+
+  /**
+   * Pains a text describes, most confident first
+   * @param {string} text - Post content, job description or podcast text
+   * @returns {Array<Object>} [{ label, name, confidence, evidence: { text, start, end, matched } }]
+   */
+  classify(text) {
+    const sentences = this.splitSentences(text);
+    const results = [];
+
+    this.labels.forEach(({ label, name, pattern }) => {
+      const hits = [];
+
+      sentences.forEach(sentence => {
+        const matches = [...sentence.text.matchAll(pattern)];
+        if (matches.length === 0) return;
+
+        hits.push({
+          sentence,
+          phrases: matches.map(m => m[0].toLowerCase()),
+          confidence: this.sentenceConfidence(sentence.text)
+        });
+      });
+
+      if (hits.length === 0) return;
+
+      const best = hits.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+      const corroboration = new Set(hits.flatMap(h => h.phrases)).size - 1 + (hits.length - 1);
+      const confidence = Math.min(
+        MAX_CONFIDENCE,
+        best.confidence + Math.min(MAX_CORROBORATION, corroboration * CORROBORATION_BOOST)
+      );
+
+      if (confidence < config.painTaxonomy.minConfidence) return;
+
+      results.push({
+        label,
+        name,
+        confidence: Math.round(confidence * 100) / 100,
+        evidence: {
+          text: best.sentence.text.substring(0, MAX_EVIDENCE_LENGTH),
+          start: best.sentence.start,
+          end: best.sentence.end,
+          matched: best.phrases[0]
+        }
+      });
+    });
+
+    return results.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Pains across a document's fields, classified one field at a time
+   * @param {Array<Object>} fields - [{ field, text, offsets }] - offsets: false for
+   *   fields that are not stored, where offsets would point at nothing
+   * @returns {Array<Object>} As classify(), with evidence.field - per label, the
+   *   most confident field (the first listed on a tie)
+   */
+  classifyFields(fields) {
+    const byLabel = new Map();
+
+    fields.forEach(({ field, text, offsets = true }) => {
+      if (!text) return;
+
+      this.classify(text).forEach(pain => {
+        const current = byLabel.get(pain.label);
+        if (current && current.confidence >= pain.confidence) return;
+
+        const { start, end, ...evidence } = pain.evidence;
+        byLabel.set(pain.label, {
+          ...pain,
+          evidence: offsets ? { ...evidence, field, start, end } : { ...evidence, field }
+        });
+      });
+    });
+
+    return [...byLabel.values()].sort((a, b) => b.confidence - a.confidence);
+  }
+
+  sentenceConfidence(sentence) {
+    this.cuePattern.lastIndex = 0;
+    const hasCue = this.cuePattern.test(sentence);
+    const sentiment = sentimentAnalyzer.classify(sentence);
+
+    let confidence = BASE_CONFIDENCE;
+    if (hasCue) confidence += CUE_BOOST;
+    if (sentiment === 'negative') confidence += NEGATIVE_BOOST;
+    if (sentiment === 'positive' && !hasCue) confidence -= POSITIVE_PENALTY;
+
+    return confidence;
+  }
+
+  /**
+   * Sentences with their character offsets in the original text. List
+   * bullets are not part of a sentence.
+   */
+  splitSentences(text) {
+    const sentences = [];
+    const pattern = /[^.!?\n]+[.!?]*/g;
+    let match;
+
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+      const leading = match[0].match(/^[\s\-*•]*/)[0].length;
+      const trimmed = match[0].slice(leading).trimEnd();
+      if (!trimmed) continue;
+
+      const start = match.index + leading;
+      sentences.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Taxonomy entry for a label
+   * @returns {Object|null} { label, name, metric }
+   */
+  describe(label) {
+    const entry = this.labels.find(l => l.label === label);
+    return entry ? { label: entry.label, name: entry.name, metric: entry.metric } : null;
+  }
+
+  /**
+   * The labels found across several documents, each with the number of
+   * documents it was found in and its most confident evidence
+   * @param {Array<Array<Object>>} classifications - classify() results, one per document
+   */
+  summarize(classifications) {
+    const byLabel = new Map();
+
+    classifications.forEach(painPoints => {
+      (painPoints || []).forEach(pain => {
+        const summary = byLabel.get(pain.label);
+        if (!summary) {
+          byLabel.set(pain.label, { ...pain, documents: 1 });
+        } else {
+          summary.documents++;
+          if (pain.confidence > summary.confidence) {
+            Object.assign(summary, { confidence: pain.confidence, evidence: pain.evidence });
+          }
+        }
+      });
+    });
+
+    return [...byLabel.values()].sort((a, b) => b.confidence - a.confidence || b.documents - a.documents);
+  }
+
+  /**
+   * One pain_point signal per label found in a source's documents
+   * @param {Array<Object>} items - Job postings or engagements with pain_points and a source_ref
+   * @param {string} source - 'job_posting' or 'podcast'
+   */
+  buildSignals(items, source) {
+    const byLabel = new Map();
+
+    items.forEach(item => {
+      (item.pain_points || []).forEach(pain => {
+        const group = byLabel.get(pain.label) || [];
+        group.push({ ...pain, source_ref: item.source_ref, observed_at: item.observed_at });
+        byLabel.set(pain.label, group);
+      });
+    });
+
+    return [...byLabel.values()].map(group => {
+      const best = group.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+      const scores = SIGNAL_SCORES[source];
+
+      return {
+        signal_type: 'pain_point',
+        signal_key: `pain:${best.label}`,
+        source_ref: best.source_ref || null,
+        observed_at: best.observed_at || null,
+        signal_category: 'buying_signal',
+        description: `${best.name.charAt(0).toUpperCase()}${best.name.slice(1)} raised in ${group.length} ${SOURCE_LABELS[source]}${group.length === 1 ? '' : 's'}: "${best.evidence.text}"`,
+        relevance_score: scores.relevance_score,
+        urgency_score: scores.urgency_score,
+        // An uncertain label is a weaker opener
+        wedge_potential: Math.round(scores.wedge_potential * best.confidence * 100) / 100,
+        raw_data: {
+          painPoint: best.label,
+          name: best.name,
+          confidence: best.confidence,
+          evidence: best.evidence,
+          source,
+          documentCount: group.length
+        }
+      };
+    });
+  }
+}
+
+module.exports = new PainClassifier();
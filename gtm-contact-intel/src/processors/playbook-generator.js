@@ -3,10 +3,16 @@ const {
   linkedinQueries,
   githubQueries,
   speakingQueries,
-  playbookQueries
+  playbookQueries,
+  sequenceQueries,
+  competitorQueries
 } = require('../db/queries');
 const signalScorer = require('./signal-scorer');
 const wedgeDetector = require('./wedge-detector');
+const techStackTracker = require('./tech-stack-tracker');
+const sequenceGenerator = require('./sequence-generator');
+const outreachTemplates = require('./outreach-templates');
+const sellerProfile = require('./seller-profile');
 
 /**
  * Playbook Generator
@@ -14,29 +20,18 @@ const wedgeDetector = require('./wedge-detector');
  * LinkedIn-first approach: Uses LinkedIn posts as primary wedges
  */
 class PlaybookGenerator {
-  constructor() {
-    // Outreach templates
-    this.templates = {
-      painPoint: this.generatePainPointOutreach,
-      buyingSignal: this.generateBuyingSignalOutreach,
-      jobChange: this.generateJobChangeOutreach,
-      thoughtLeadership: this.generateThoughtLeadershipOutreach,
-      technical: this.generateTechnicalOutreach,
-      general: this.generateGeneralOutreach
-    };
-  }
-
   /**
    * Generate complete GTM playbook for a contact
    * @param {number} contactId - Database contact ID
+   * @param {Object} options - { teamMemberId: rep to sign outreach as (default: the seller profile's rep) }
    * @returns {Promise<Object>} Complete GTM playbook
    */
-  async generatePlaybook(contactId) {
+  async generatePlaybook(contactId, { teamMemberId = null } = {}) {
     console.log(`Generating GTM playbook for contact ${contactId}`);
 
     try {
       // Gather all intelligence
-      const [contact, linkedinProfile, linkedinPosts, githubActivity, speakingEngagements, topSignals, wedges] =
+      const [contact, linkedinProfile, linkedinPosts, githubActivity, speakingEngagements, topSignals, wedges, seller] =
         await Promise.all([
           contactQueries.getContactById(contactId),
           linkedinQueries.getProfile(contactId),
@@ -44,13 +39,19 @@ class PlaybookGenerator {
           githubQueries.getActivity(contactId),
           speakingQueries.getEngagements(contactId),
           signalScorer.getTopSignals(contactId, 5),
-          wedgeDetector.detectWedges(contactId)
+          wedgeDetector.detectWedges(contactId),
+          sellerProfile.load({ teamMemberId })
         ]);
 
       if (!contact) {
         throw new Error('Contact not found');
       }
 
+      const [techStack, competitorMentions] = await Promise.all([
+        contact.company_domain ? techStackTracker.getTechStack(contact.company_domain) : null,
+        competitorQueries.getMentionsForContact(contactId, contact.company_domain)
+      ]);
+
       // Determine primary wedge (highest scoring)
       const primaryWedge = wedges.primaryWedge;
 
@@ -62,6 +63,17 @@ class PlaybookGenerator {
         };
       }
 
+      const recommendedChannels = this.recommendChannels(linkedinProfile, linkedinPosts, githubActivity);
+      const intelligence = {
+        linkedinProfile,
+        linkedinPosts,
+        githubActivity,
+        signals: topSignals,
+        painLabels: this.detectedPains(wedges.wedges),
+        seller
+      };
+      const primarySeller = this.selectSellerContext(contact, primaryWedge, intelligence);
+
       // Build playbook
       const playbook = {
         // Primary wedge
@@ -86,13 +98,13 @@ class PlaybookGenerator {
         timing_rationale: this.buildTimingRationale(primaryWedge, linkedinProfile, topSignals),
 
         // Recommended channels
-        recommended_channels: this.recommendChannels(linkedinProfile, linkedinPosts, githubActivity),
+        recommended_channels: recommendedChannels,
 
         // Sample outreach
-        sample_outreach: this.generateOutreach(contact, primaryWedge, linkedinProfile, linkedinPosts),
+        sample_outreach: await this.generateOutreach(contact, primaryWedge, intelligence),
 
         // Competitive context
-        competitive_context: this.buildCompetitiveContext(topSignals),
+        competitive_context: this.buildCompetitiveContext(techStack, competitorMentions),
 
         // Conversation starters
         conversation_starters: primaryWedge.conversationStarters || [],
@@ -108,12 +120,27 @@ class PlaybookGenerator {
             recentPosts: linkedinPosts.slice(0, 3)
           },
           githubActivity,
-          speakingEngagements: speakingEngagements.slice(0, 3)
+          speakingEngagements: speakingEngagements.slice(0, 3),
+          caseStudy: primarySeller.caseStudy,
+          repId: seller.rep?.id || null
         }
       };
 
-      // Save playbook to database
-      await playbookQueries.savePlaybook(contactId, playbook);
+      // Multi-touch cadence across the recommended channels, one angle per step
+      playbook.outreach_sequence = await sequenceGenerator.generate({
+        contact,
+        wedges: wedges.wedges,
+        signals: topSignals,
+        channels: recommendedChannels,
+        rep: seller.rep,
+        profile: seller.profile,
+        caseStudy: primarySeller.caseStudy,
+        writeEmail: wedge => this.renderOutreach(contact, wedge, intelligence)
+      });
+
+      // Save playbook and its sequence to database
+      const saved = await playbookQueries.savePlaybook(contactId, playbook);
+      await sequenceQueries.saveSequence(contactId, saved.id, playbook.outreach_sequence);
 
       console.log(`Generated playbook for contact ${contactId} with primary wedge: ${primaryWedge.type}`);
 
@@ -290,126 +317,135 @@ class PlaybookGenerator {
   }
 
   /**
-   * Generate outreach message
+   * Generate outreach message from the template library
+   * @returns {Promise<string>} Email body
    */
-  generateOutreach(contact, primaryWedge, linkedinProfile, linkedinPosts) {
-    // Select template based on wedge type
-    let templateFn = this.templates.general;
-
-    if (primaryWedge.type === 'linkedin_pain_point') {
-      templateFn = this.templates.painPoint;
-    } else if (primaryWedge.type === 'linkedin_buying_signal') {
-      templateFn = this.templates.buyingSignal;
-    } else if (primaryWedge.type.includes('job_change')) {
-      templateFn = this.templates.jobChange;
-    } else if (primaryWedge.type === 'linkedin_thought_leadership') {
-      templateFn = this.templates.thoughtLeadership;
-    } else if (primaryWedge.type === 'technical_buyer') {
-      templateFn = this.templates.technical;
-    }
-
-    return templateFn.call(this, contact, primaryWedge, linkedinProfile, linkedinPosts);
+  async generateOutreach(contact, primaryWedge, intelligence) {
+    const rendered = await this.renderOutreach(contact, primaryWedge, intelligence);
+    return rendered.body;
   }
 
   /**
-   * Build competitive context
+   * Render the template selected for a wedge and the contact's persona
+   * @param {Object} intelligence - { linkedinProfile, linkedinPosts, githubActivity, signals, painLabels, seller }
+   * @returns {Promise<Object>} { template_id, template_name, subject, body, missing }
    */
-  buildCompetitiveContext(signals) {
-    const techStackSignals = signals.filter(s => s.signal_type === 'company_tech_stack');
-
-    if (techStackSignals.length === 0) {
-      return 'No current tech stack information available';
-    }
-
-    const techStack = techStackSignals[0].raw_data?.techStack || [];
-    return `Current stack includes: ${techStack.join(', ')}. Potential displacement opportunities.`;
-  }
-
-  // ===== OUTREACH TEMPLATES =====
-
-  generatePainPointOutreach(contact, wedge, profile, posts) {
-    const post = posts.find(p => p.post_url === wedge.details.postUrl);
-    const theme = post?.key_themes?.[0] || 'this challenge';
-    const engagement = post?.engagement_count || 0;
-
-    return `Hi ${contact.full_name.split(' ')[0]},
-
-Saw your recent post about ${theme} - the ${engagement} responses show this is hitting a nerve for a lot of folks.
-
-We've worked with several ${contact.current_title}s at similar companies who were wrestling with the same issue. One example: [similar company] cut their [metric] by 40% after making a few changes to how they approached this.
-
-Would you be open to a quick 15-minute call to share what worked for them? No pitch, just happy to share what we've learned.
+  async renderOutreach(contact, wedge, intelligence) {
+    const { linkedinProfile, linkedinPosts, githubActivity, signals } = intelligence;
+    const context = outreachTemplates.buildContext({
+      contact, wedge, linkedinProfile, linkedinPosts, githubActivity, signals,
+      seller: this.selectSellerContext(contact, wedge, intelligence)
+    });
+    const templates = await outreachTemplates.getTemplates();
+    const template = outreachTemplates.select(templates, wedge.type, context.contact.persona);
 
-Best,
-[Your name]`;
+    return outreachTemplates.render(template, context);
   }
 
-  generateBuyingSignalOutreach(contact, wedge) {
-    return `Hi ${contact.full_name.split(' ')[0]},
-
-Saw your post asking about [solution category] recommendations. Happy to share what's worked for similar companies - a few folks in your situation ended up choosing between [option A] and [option B] based on [key factor].
-
-Would a quick call to walk through the decision framework be helpful? I can share what we've learned from helping others evaluate options.
-
-Best,
-[Your name]`;
+  /**
+   * Pick the case study and value prop for a wedge: its own pain comes
+   * first, then the pains detected on the contact's other wedges
+   * @param {Object} intelligence - { painLabels, seller: SellerProfile.load() }
+   * @returns {Object} { profile, caseStudy, valueProp, rep }
+   */
+  selectSellerContext(contact, wedge, { painLabels = [], seller }) {
+    const wedgePain = wedge?.details?.painPoint?.label;
+    const pains = wedgePain ? [wedgePain, ...painLabels.filter(l => l !== wedgePain)] : painLabels;
+
+    return {
+      profile: seller.profile,
+      caseStudy: sellerProfile.matchCaseStudy(seller.caseStudies, { industry: contact.industry, painLabels: pains }),
+      valueProp: sellerProfile.valueProp(seller.profile, pains),
+      rep: seller.rep
+    };
   }
 
-  generateJobChangeOutreach(contact, wedge, profile) {
-    const months = profile?.current_position_tenure_months || 'recently';
-
-    return `Hi ${contact.full_name.split(' ')[0]},
-
-Congrats on the ${contact.current_title} role at ${contact.current_company}! Saw you joined about ${months} months ago.
-
-Curious what you're prioritizing as you get settled - we've worked with several folks who came into similar roles and found [specific challenge] was the first thing they wanted to tackle.
-
-Would love to hear what's top of mind for you. Open to a quick chat?
-
-Best,
-[Your name]`;
+  /**
+   * Pain labels classified on the contact's wedges, best wedge first
+   */
+  detectedPains(wedges) {
+    return [...new Set(wedges.map(w => w.details?.painPoint?.label).filter(Boolean))];
   }
 
-  generateThoughtLeadershipOutreach(contact, wedge, profile, posts) {
-    const topPost = posts[0];
-    const topic = topPost?.key_themes?.[0] || topPost?.topics_detected?.[0] || 'your recent insights';
-
-    return `Hi ${contact.full_name.split(' ')[0]},
-
-Really appreciated your recent post on ${topic} - especially your point about [specific insight]. That's exactly what we're seeing across the market right now.
-
-Would love to hear more about your experience with this. We've compiled some data from [X] companies on how they're approaching it that might be interesting to compare notes on.
-
-Open to a quick call?
-
-Best,
-[Your name]`;
+  /**
+   * Render a template against a real contact, without generating a playbook
+   * @param {number} contactId - Contact ID
+   * @param {Object} template - { name, subject, body, wedge_types }
+   * @param {Object} options - { wedgeType: render for this wedge instead of the
+   *   best detected wedge the template is for, teamMemberId: sign as this rep }
+   * @returns {Promise<Object|null>} { contact_id, wedge_type, persona, case_study_id, subject, body, missing },
+   *   null for an unknown contact
+   */
+  async previewTemplate(contactId, template, { wedgeType = null, teamMemberId = null } = {}) {
+    const [contact, linkedinProfile, linkedinPosts, githubActivity, signals, wedges, seller] = await Promise.all([
+      contactQueries.getContactById(contactId),
+      linkedinQueries.getProfile(contactId),
+      linkedinQueries.getRecentPosts(contactId, 10),
+      githubQueries.getActivity(contactId),
+      signalScorer.getTopSignals(contactId, 5),
+      wedgeDetector.detectWedges(contactId),
+      sellerProfile.load({ teamMemberId })
+    ]);
+
+    if (!contact) return null;
+
+    const wedgeTypes = template.wedge_types || [];
+    const wedge = wedgeType
+      ? wedges.wedges.find(w => w.type === wedgeType) || { type: wedgeType }
+      : wedges.wedges.find(w => wedgeTypes.includes(w.type)) || wedges.primaryWedge;
+
+    const sellerContext = this.selectSellerContext(contact, wedge, {
+      painLabels: this.detectedPains(wedges.wedges),
+      seller
+    });
+    const context = outreachTemplates.buildContext({
+      contact, wedge, linkedinProfile, linkedinPosts, githubActivity, signals, seller: sellerContext
+    });
+    const rendered = outreachTemplates.render(template, context);
+
+    return {
+      contact_id: contact.id,
+      wedge_type: wedge?.type || null,
+      // The wedge was requested but not detected for this contact
+      wedge_detected: Boolean(wedge?.details),
+      persona: context.contact.persona,
+      case_study_id: sellerContext.caseStudy?.id || null,
+      subject: rendered.subject,
+      body: rendered.body,
+      missing: rendered.missing
+    };
   }
 
-  generateTechnicalOutreach(contact, wedge, profile) {
-    return `Hi ${contact.full_name.split(' ')[0]},
-
-Noticed your work in ${wedge.details.githubLanguages?.[0]?.language || 'software development'} - impressive background.
-
-Curious how you typically evaluate technical solutions. We've built [product] specifically for technical buyers like you who care about [API quality/architecture/documentation].
-
-Happy to do a technical deep-dive if you're interested. Can share our API docs and architecture diagrams upfront.
+  /**
+   * Build competitive context from the company's tracked tech stack and the
+   * competitors the contact or their company has mentioned
+   */
+  buildCompetitiveContext(techStack, competitorMentions = []) {
+    const parts = [];
 
-Best,
-[Your name]`;
-  }
+    if (techStack && techStack.tools.length > 0) {
+      const tools = techStack.tools
+        .slice(0, 8)
+        .map(tool => `${tool.tool_name} (${tool.category}, ${Math.round(tool.confidence * 100)}%)`);
 
-  generateGeneralOutreach(contact, wedge) {
-    return `Hi ${contact.full_name.split(' ')[0]},
+      parts.push(`Current stack includes: ${tools.join(', ')}. Potential displacement opportunities.`);
+    }
 
-I've been researching ${contact.current_company} and your work in ${contact.current_title || 'your role'}.
+    // Mentions come newest first - keep the latest stance per competitor
+    const latest = new Map();
+    competitorMentions.forEach(m => {
+      if (!latest.has(m.competitor_id)) latest.set(m.competitor_id, m);
+    });
 
-We've helped several companies in similar situations with [relevant challenge]. Would love to share what's worked and see if it might be relevant for you.
+    if (latest.size > 0) {
+      const competitors = [...latest.values()]
+        .slice(0, 5)
+        .map(m => `${m.competitor_name} (${m.stance}, ${m.source.replace('_', ' ')})`);
 
-Open to a quick 15-minute call?
+      parts.push(`Competitors mentioned: ${competitors.join(', ')}.`);
+    }
 
-Best,
-[Your name]`;
+    return parts.length > 0 ? parts.join(' ') : 'No current tech stack information available';
   }
 
   // ===== HELPER METHODS =====
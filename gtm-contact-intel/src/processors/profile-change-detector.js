@@ -0,0 +1,244 @@
+const { linkedinQueries } = require('../db/queries');
+const signalLifecycle = require('./signal-lifecycle');
+
+// Base confidence per change type. A new company and a new title together is
+// almost always a real move; either one alone may be a rename or a reworded title.
+const CHANGE_CONFIDENCE = {
+  job_change: 0.9,
+  title_update: 0.8,
+  company_update: 0.75,
+  location_change: 0.7
+};
+
+// Confidence penalty when the old and new values overlap ("VP Sales" -> "VP Sales, EMEA")
+const PARTIAL_CHANGE_PENALTY = 0.2;
+
+// Signal scores per change type
+const CHANGE_SIGNALS = {
+  job_change: { relevance_score: 0.95, urgency_score: 0.95, wedge_potential: 0.9 },
+  title_update: { relevance_score: 0.85, urgency_score: 0.85, wedge_potential: 0.85 },
+  company_update: { relevance_score: 0.85, urgency_score: 0.8, wedge_potential: 0.8 },
+  location_change: { relevance_score: 0.6, urgency_score: 0.6, wedge_potential: 0.5 }
+};
+
+const COMPANY_SUFFIXES = /\b(inc|llc|ltd|limited|corp|corporation|co|gmbh|plc|sa|ag)\b\.?/g;
+
+/**
+ * Profile Change Detector
+ * Diffs a freshly scraped or manually entered LinkedIn profile against the
+ * stored one, records job, title, company and location changes in
+ * linkedin_profile_changes and turns them into timing_trigger signals
+ */
+class ProfileChangeDetector {
+  /**
+   * Save a profile, recording and signalling any changes from the stored one
+   * @param {number} contactId - Database contact ID
+   * @param {Object} profile - Profile in linkedin_activity shape
+   * @param {string} source - 'scrape' or 'manual_entry'
+   * @returns {Promise<Object>} { profile, changes, signals }
+   */
+  async saveProfile(contactId, profile, source) {
+    const position = this.resolvePosition(profile);
+    const profileData = {
+      ...profile,
+      current_title: position.title,
+      current_company: position.company
+    };
+
+    const { profile: saved, changes } = await linkedinQueries.saveProfileWithChanges(
+      contactId,
+      profileData,
+      (previous, current) => this.detectChanges(previous, current),
+      source
+    );
+
+    const signals = await this.createChangeSignals(contactId, changes, source);
+
+    if (changes.length > 0) {
+      console.log(`Detected ${changes.length} LinkedIn profile change(s) for contact ${contactId}`);
+    }
+
+    return { profile: saved, changes, signals };
+  }
+
+  /**
+   * Compare two profiles
+   * @param {Object} previous - Stored linkedin_activity row
+   * @param {Object} current - New profile (with current_title / current_company)
+   * @returns {Array} [{ change_type, old_value, new_value, confidence_score, details }]
+   */
+  detectChanges(previous, current) {
+    const changes = [];
+
+    // Rows saved before titles were stored explicitly only have the headline
+    const oldPosition = previous.current_title || previous.current_company
+      ? { title: previous.current_title, company: previous.current_company }
+      : this.parseHeadline(previous.profile_headline);
+    const newPosition = { title: current.current_title, company: current.current_company };
+
+    const titleChanged = this.hasChanged(oldPosition.title, newPosition.title);
+    const companyChanged = this.hasChanged(oldPosition.company, newPosition.company, true);
+
+    if (titleChanged && companyChanged) {
+      changes.push(this.buildChange(
+        'job_change',
+        this.formatPosition(oldPosition),
+        this.formatPosition(newPosition),
+        [[oldPosition.company, newPosition.company, true]],
+        {
+          old_title: oldPosition.title,
+          new_title: newPosition.title,
+          old_company: oldPosition.company,
+          new_company: newPosition.company
+        }
+      ));
+    } else if (companyChanged) {
+      changes.push(this.buildChange(
+        'company_update', oldPosition.company, newPosition.company,
+        [[oldPosition.company, newPosition.company, true]],
+        { title: newPosition.title }
+      ));
+    } else if (titleChanged) {
+      changes.push(this.buildChange(
+        'title_update', oldPosition.title, newPosition.title,
+        [[oldPosition.title, newPosition.title]],
+        { company: newPosition.company }
+      ));
+    }
+
+    if (this.hasChanged(previous.location, current.location)) {
+      changes.push(this.buildChange(
+        'location_change', previous.location, current.location,
+        [[previous.location, current.location]]
+      ));
+    }
+
+    return changes;
+  }
+
+  buildChange(changeType, oldValue, newValue, comparedValues, details = null) {
+    const partial = changeType === 'location_change'
+      ? this.sameCity(oldValue, newValue)
+      : comparedValues.some(([a, b, isCompany]) => this.overlaps(a, b, isCompany));
+    const confidence = CHANGE_CONFIDENCE[changeType] - (partial ? PARTIAL_CHANGE_PENALTY : 0);
+
+    return {
+      change_type: changeType,
+      old_value: oldValue,
+      new_value: newValue,
+      confidence_score: Math.round(confidence * 100) / 100,
+      details
+    };
+  }
+
+  /**
+   * A field only counts as changed when both sides are known - a value that
+   * failed to parse on one scrape is not a change
+   */
+  hasChanged(oldValue, newValue, isCompany = false) {
+    if (!oldValue || !newValue) return false;
+    return this.normalize(oldValue, isCompany) !== this.normalize(newValue, isCompany);
+  }
+
+  /**
+   * One value contains the other - a reworded title or company name
+   */
+  overlaps(oldValue, newValue, isCompany = false) {
+    const a = this.normalize(oldValue, isCompany);
+    const b = this.normalize(newValue, isCompany);
+    if (!a || !b) return false;
+    return a.includes(b) || b.includes(a);
+  }
+
+  /**
+   * Same city written differently ("Austin, Texas" / "Austin, TX")
+   */
+  sameCity(oldLocation, newLocation) {
+    const city = value => this.normalize(String(value).split(',')[0]);
+    return city(oldLocation) === city(newLocation);
+  }
+
+  normalize(value, isCompany = false) {
+    let normalized = String(value).toLowerCase();
+    if (isCompany) normalized = normalized.replace(COMPANY_SUFFIXES, '');
+    return normalized.replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  /**
+   * Title and company from explicit fields, falling back to the headline
+   */
+  resolvePosition(profile) {
+    const parsed = this.parseHeadline(profile.profile_headline);
+    return {
+      title: profile.current_title || parsed.title,
+      company: profile.current_company || parsed.company
+    };
+  }
+
+  /**
+   * Parse "VP of Sales at TechCorp | Building GTM teams" into title and company
+   */
+  parseHeadline(headline) {
+    if (!headline) return { title: null, company: null };
+
+    const firstPart = headline.split(/\s[|•·]\s/)[0].trim();
+    const match = firstPart.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+
+    if (!match) return { title: null, company: null };
+
+    return {
+      title: match[1].trim().substring(0, 255),
+      company: match[2].trim().substring(0, 255)
+    };
+  }
+
+  formatPosition({ title, company }) {
+    return [title, company].filter(Boolean).join(' at ');
+  }
+
+  /**
+   * Create a timing_trigger signal for each detected change
+   */
+  async createChangeSignals(contactId, changes, source) {
+    // One slot per change type: a newer job change supersedes the previous one
+    const signals = changes.map(change => ({
+      signal_type: 'linkedin_profile_change',
+      signal_key: change.change_type,
+      source_ref: change.new_value,
+      signal_category: 'timing_trigger',
+      description: this.describeChange(change),
+      ...CHANGE_SIGNALS[change.change_type],
+      raw_data: {
+        changeId: change.id,
+        changeType: change.change_type,
+        oldValue: change.old_value,
+        newValue: change.new_value,
+        confidence: parseFloat(change.confidence_score),
+        source
+      }
+    }));
+
+    if (signals.length > 0) {
+      await signalLifecycle.recordSignals(contactId, 'profile_changes', signals);
+    }
+
+    return signals;
+  }
+
+  describeChange(change) {
+    switch (change.change_type) {
+      case 'job_change':
+        return `Changed jobs: now ${change.new_value} (previously ${change.old_value}) - new leaders review their tech stack early`;
+      case 'title_update':
+        return `Title changed from "${change.old_value}" to "${change.new_value}" - new scope often brings new priorities`;
+      case 'company_update':
+        return `Company changed from ${change.old_value} to ${change.new_value}`;
+      case 'location_change':
+        return `Location changed from ${change.old_value} to ${change.new_value}`;
+      default:
+        return `LinkedIn profile changed: ${change.old_value} -> ${change.new_value}`;
+    }
+  }
+}
+
+module.exports = new ProfileChangeDetector();
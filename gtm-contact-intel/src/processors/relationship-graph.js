@@ -0,0 +1,386 @@
+const config = require('../../config/config');
+const { teamMemberQueries, relationshipQueries } = require('../db/queries');
+const careerHistory = require('./career-history');
+const linkedinPostParser = require('../scrapers/linkedin-post-parser');
+
+// Legal suffixes that don't tell employers apart: "Globex Inc." is "Globex"
+const COMPANY_SUFFIXES = /\b(?:inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|ag|bv)\b/g;
+
+// Lines of a scraped Education section that name a school
+const SCHOOL_WORDS = /\b(?:university|college|school|institute|academy|polytechnic)\b/i;
+const YEAR_RANGE = /\b((?:19|20)\d{2})\s*[-–]\s*((?:19|20)\d{2}|present)\b/i;
+
+const MAX_SHARED_PEOPLE = 5;
+
+/**
+ * Relationship Graph
+ * Warm introduction paths to a contact through the other researched
+ * contacts and our own team members.
+ *
+ * Two people are tied when they worked at the same employer (colleagues when
+ * their stints overlap), went to the same school (classmates when their years
+ * overlap), engaged with each other's LinkedIn posts, or engage with the same
+ * people. Each tie adds its weight from config.introPaths to the connector's
+ * strength, capped at 1; the strongest connectors are the best intro paths.
+ *
+ * Employers come from parsed positions, with previous_companies and the
+ * current company as undated fallbacks. Schools come from structured
+ * education entries or the scraped Education section text.
+ */
+class RelationshipGraph {
+  /**
+   * Rank the people who could introduce us to a contact
+   * @param {number} contactId - Contact ID
+   * @param {Object} options - { limit, type: 'contact' | 'team_member' to list one kind only }
+   * @returns {Promise<Object|null>} { contact, candidates_considered, paths }, null if the contact doesn't exist
+   */
+  async findIntroPaths(contactId, { limit = 20, type = null } = {}) {
+    const [contacts, teamMembers, links] = await Promise.all([
+      relationshipQueries.getContactBackgrounds(),
+      teamMemberQueries.listTeamMembers(),
+      relationshipQueries.getEngagementLinks()
+    ]);
+
+    const targetRow = contacts.find(c => c.id === Number(contactId));
+    if (!targetRow) return null;
+
+    const target = this.fromContact(targetRow);
+    const engagement = this.indexEngagement(links);
+
+    const candidates = [
+      ...contacts.filter(c => c.id !== target.id).map(c => this.fromContact(c)),
+      ...teamMembers.map(m => this.fromTeamMember(m))
+    ].filter(candidate => !type || candidate.type === type);
+
+    const paths = candidates
+      .map(candidate => this.connect(target, candidate, engagement))
+      .filter(path => path.strength >= config.introPaths.minStrength)
+      .sort((a, b) => b.strength - a.strength || b.ties.length - a.ties.length);
+
+    return {
+      contact: {
+        id: target.id,
+        full_name: target.full_name,
+        current_title: target.title,
+        current_company: target.company
+      },
+      candidates_considered: candidates.length,
+      paths: paths.slice(0, limit)
+    };
+  }
+
+  // ===== PEOPLE =====
+
+  fromContact(row) {
+    const positions = row.positions || [];
+    const undated = [...(row.previous_companies || []), row.current_company];
+
+    return this.person({
+      type: 'contact',
+      id: row.id,
+      full_name: row.full_name,
+      title: row.current_title,
+      company: row.current_company,
+      linkedin_url: row.linkedin_url
+    }, positions, undated, row.education);
+  }
+
+  fromTeamMember(row) {
+    const positions = row.positions || [];
+    const current = careerHistory.currentPosition(positions);
+
+    return this.person({
+      type: 'team_member',
+      id: row.id,
+      full_name: row.full_name,
+      title: row.title || current?.title || null,
+      company: current?.company_name || null,
+      linkedin_url: row.linkedin_url
+    }, positions, [], row.education);
+  }
+
+  /**
+   * A person with their employment stints (month indexes), every employer
+   * they are known to have had, and their schools
+   */
+  person(details, positions, undatedEmployers, education) {
+    const stints = this.stints(positions);
+    const employers = new Map();
+
+    [...stints.map(s => s.company_name), ...positions.map(p => p.company_name), ...undatedEmployers]
+      .filter(Boolean)
+      .forEach(name => {
+        const key = this.employerKey(name);
+        if (key && !employers.has(key)) employers.set(key, name);
+      });
+
+    return {
+      ...details,
+      profile_key: this.profileKey(details.linkedin_url),
+      stints,
+      employers,
+      schools: this.schools(education)
+    };
+  }
+
+  stints(positions, now = new Date()) {
+    const career = positions
+      .filter(p => p.start_month && !careerHistory.isSideRole(p))
+      .sort((a, b) => careerHistory.monthIndex(a.start_month) - careerHistory.monthIndex(b.start_month));
+
+    return careerHistory.companyStints(career, now).map(stint => ({
+      key: this.employerKey(stint.company_name),
+      company_name: stint.company_name,
+      start: stint.start,
+      end: stint.end,
+      is_current: stint.is_current
+    }));
+  }
+
+  /**
+   * Schools from education entries - structured ({ school, start_year,
+   * end_year }) or the raw Education section text the profile scraper stores
+   * @returns {Array<Object>} [{ key, school, start_year, end_year }]
+   */
+  schools(education) {
+    const entries = Array.isArray(education) ? education : education ? [education] : [];
+    const schools = [];
+
+    entries.forEach(entry => {
+      const name = entry?.school || entry?.institution || entry?.name;
+
+      if (name) {
+        const years = String(entry.dates || '').match(YEAR_RANGE);
+        schools.push(this.school(
+          name,
+          entry.start_year || (years && years[1]),
+          entry.end_year || (years && years[2])
+        ));
+      } else if (entry?.raw) {
+        const lines = String(entry.raw).split('\n').map(line => linkedinPostParser.stripMarkdown(line));
+
+        lines.forEach((line, i) => {
+          if (!SCHOOL_WORDS.test(line) || line.length > 120) return;
+
+          const years = lines.slice(i + 1, i + 4).join(' ').match(YEAR_RANGE);
+          schools.push(this.school(line, years && years[1], years && years[2]));
+        });
+      }
+    });
+
+    const seen = new Set();
+    return schools.filter(school => school.key && !seen.has(school.key) && seen.add(school.key));
+  }
+
+  school(name, startYear, endYear) {
+    const end = /present/i.test(String(endYear)) ? new Date().getUTCFullYear() : parseInt(endYear) || null;
+
+    return {
+      key: String(name).toLowerCase().replace(/^the\s+/, '').replace(/[^a-z0-9]+/g, ' ').trim(),
+      school: String(name).trim(),
+      start_year: parseInt(startYear) || null,
+      end_year: end
+    };
+  }
+
+  employerKey(name) {
+    return careerHistory.companyKey(name).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+  }
+
+  profileKey(url) {
+    return linkedinPostParser.normalizeProfileUrl(url)?.toLowerCase() || null;
+  }
+
+  /**
+   * Engagement links by contact, keyed by the engaged-with profile
+   * @returns {Map<number, Map<string, Object>>}
+   */
+  indexEngagement(links) {
+    const byContact = new Map();
+
+    links.forEach(link => {
+      const key = this.profileKey(link.target_profile);
+      if (!key) return;
+
+      if (!byContact.has(link.contact_id)) byContact.set(link.contact_id, new Map());
+      byContact.get(link.contact_id).set(key, link);
+    });
+
+    return byContact;
+  }
+
+  // ===== TIES =====
+
+  /**
+   * Everything a candidate connector shares with the contact
+   * @returns {Object} { type, id, full_name, ..., strength, ties, intro_angle }
+   */
+  connect(target, candidate, engagement) {
+    const weights = config.introPaths.weights;
+    const ties = [
+      ...this.employerTies(target, candidate, weights),
+      ...this.schoolTies(target, candidate, weights),
+      ...this.engagementTies(target, candidate, engagement, weights)
+    ].sort((a, b) => b.weight - a.weight);
+
+    const strength = Math.min(1, ties.reduce((sum, tie) => sum + tie.weight, 0));
+
+    return {
+      type: candidate.type,
+      id: candidate.id,
+      full_name: candidate.full_name,
+      title: candidate.title,
+      company: candidate.company,
+      linkedin_url: candidate.linkedin_url,
+      strength: Math.round(strength * 100) / 100,
+      intro_angle: ties.length > 0 ? ties[0].description : null,
+      ties: ties.map(({ weight, ...tie }) => ({ ...tie, weight: Math.round(weight * 100) / 100 }))
+    };
+  }
+
+  employerTies(a, b, weights) {
+    const ties = [];
+
+    a.employers.forEach((name, key) => {
+      if (!b.employers.has(key)) return;
+
+      const overlap = this.bestOverlap(
+        a.stints.filter(s => s.key === key),
+        b.stints.filter(s => s.key === key)
+      );
+
+      if (overlap) {
+        const years = Math.floor(overlap.months / 12);
+        ties.push({
+          type: 'colleagues',
+          company: name,
+          overlap_months: overlap.months,
+          from: this.monthLabel(overlap.start),
+          to: overlap.is_current ? null : this.monthLabel(overlap.end),
+          weight: weights.colleagues + Math.min(weights.colleaguesMaxBonus, years * weights.colleaguesPerYear),
+          description: overlap.is_current
+            ? `Both work at ${name} (together for ${overlap.months} months)`
+            : `Worked together at ${name} (${this.monthLabel(overlap.start)} to ${this.monthLabel(overlap.end)}, ${overlap.months} months)`
+        });
+      } else {
+        ties.push({
+          type: 'same_employer',
+          company: name,
+          weight: weights.sameEmployer,
+          description: `Both worked at ${name}`
+        });
+      }
+    });
+
+    return ties;
+  }
+
+  // The longest stretch two people's stints at one employer overlap
+  bestOverlap(stintsA, stintsB) {
+    let best = null;
+
+    stintsA.forEach(a => {
+      stintsB.forEach(b => {
+        const start = Math.max(a.start, b.start);
+        const end = Math.min(a.end, b.end);
+        const months = end - start + 1;
+
+        if (months > 0 && (!best || months > best.months)) {
+          best = { start, end, months, is_current: a.is_current && b.is_current };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  schoolTies(a, b, weights) {
+    const ties = [];
+
+    a.schools.forEach(schoolA => {
+      const schoolB = b.schools.find(s => s.key === schoolA.key);
+      if (!schoolB) return;
+
+      const overlaps = schoolA.start_year && schoolB.start_year &&
+        Math.max(schoolA.start_year, schoolB.start_year) <=
+        Math.min(schoolA.end_year || schoolA.start_year, schoolB.end_year || schoolB.start_year);
+
+      ties.push(overlaps
+        ? {
+          type: 'classmates',
+          school: schoolA.school,
+          years: [Math.max(schoolA.start_year, schoolB.start_year), Math.min(schoolA.end_year || schoolA.start_year, schoolB.end_year || schoolB.start_year)],
+          weight: weights.classmates,
+          description: `At ${schoolA.school} at the same time`
+        }
+        : {
+          type: 'same_school',
+          school: schoolA.school,
+          weight: weights.sameSchool,
+          description: `Both went to ${schoolA.school}`
+        });
+    });
+
+    return ties;
+  }
+
+  /**
+   * Direct engagement in either direction, and the people both engage with.
+   * Only researched contacts have engagement data; a team member is only
+   * linked when the contact engaged with their posts.
+   */
+  engagementTies(target, candidate, engagement, weights) {
+    const ties = [];
+    const targetLinks = engagement.get(target.id) || new Map();
+    const candidateLinks = candidate.type === 'contact' ? engagement.get(candidate.id) || new Map() : new Map();
+
+    const directions = [
+      { link: candidate.profile_key && targetLinks.get(candidate.profile_key), direction: 'contact_to_connector' },
+      { link: target.profile_key && candidateLinks.get(target.profile_key), direction: 'connector_to_contact' }
+    ].filter(d => d.link);
+
+    if (directions.length > 0) {
+      const interactions = directions.reduce((sum, d) => sum + d.link.engagements, 0);
+
+      ties.push({
+        type: 'engagement',
+        directions: directions.map(d => ({
+          direction: d.direction,
+          engagements: d.link.engagements,
+          engagement_types: d.link.engagement_types,
+          last_engaged_at: d.link.last_engaged_at
+        })),
+        weight: weights.engagement +
+          Math.min(weights.engagementMaxBonus, (interactions - 1) * weights.engagementPerInteraction),
+        description: directions.length === 2
+          ? `${target.full_name} and ${candidate.full_name} engage with each other's LinkedIn posts`
+          : directions[0].direction === 'contact_to_connector'
+            ? `${target.full_name} engages with ${candidate.full_name}'s LinkedIn posts`
+            : `${candidate.full_name} engages with ${target.full_name}'s LinkedIn posts`
+      });
+    }
+
+    const shared = [...targetLinks.entries()]
+      .filter(([key]) => candidateLinks.has(key) && key !== target.profile_key && key !== candidate.profile_key)
+      .map(([, link]) => link.target_name || link.target_profile);
+
+    if (shared.length > 0) {
+      ties.push({
+        type: 'shared_network',
+        people: shared.slice(0, MAX_SHARED_PEOPLE),
+        count: shared.length,
+        weight: Math.min(weights.sharedNetworkMax, shared.length * weights.sharedNetwork),
+        description: `Both engage with ${shared.slice(0, 3).join(', ')}${shared.length > 3 ? ` and ${shared.length - 3} more` : ''}`
+      });
+    }
+
+    return ties;
+  }
+
+  // Month index -> 'YYYY-MM'
+  monthLabel(index) {
+    return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+  }
+}
+
+module.exports = new RelationshipGraph();
@@ -0,0 +1,118 @@
+const { scoringProfileQueries } = require('../db/queries');
+const config = require('../../config/config');
+
+// "enterprise" (latest version) or "enterprise@3"
+const PROFILE_REF_PATTERN = /^([a-z0-9][a-z0-9_-]{0,49})(?:@(\d+))?$/;
+
+// Versions saved through the API reach running workers within this window
+const LATEST_TTL_MS = 60 * 1000;
+
+/**
+ * Scoring Profiles
+ * Named, versioned scoring models stored in scoring_profiles. A model holds
+ * the composite weights, LinkedIn relevance boost, influence weights and
+ * contact readiness point buckets:
+ *
+ *   {
+ *     composite: { relevance, urgency, wedgePotential },
+ *     linkedinRelevanceBoost,
+ *     influence: { posting, engagement, network, contentRelevance },
+ *     readiness: { influence, posts, signalQuality, playbookStrength }  // [{ above, points }]
+ *   }
+ *
+ * Resolved profiles carry a ref ('enterprise@3') that exports record so
+ * scores can be reproduced. Versions never change once saved, so they are
+ * cached for the life of the process. Which version is the latest (the
+ * default profile is resolved this way) is cached for a minute.
+ */
+class ScoringProfiles {
+  constructor() {
+    this.cache = new Map();
+    this.latest = new Map();
+  }
+
+  /**
+   * Resolve a profile reference
+   * @param {string|null} ref - 'name' (latest version) or 'name@version'; the configured default when empty
+   * @returns {Promise<Object|null>} { name, version, ref, description, model }, or null if unknown or malformed
+   */
+  async resolve(ref = null) {
+    const parsed = this.parseRef(ref || config.scoring.defaultProfile);
+    if (!parsed) return null;
+
+    if (parsed.version && this.cache.has(`${parsed.name}@${parsed.version}`)) {
+      return this.cache.get(`${parsed.name}@${parsed.version}`);
+    }
+
+    const latest = this.latest.get(parsed.name);
+    if (!parsed.version && latest && Date.now() - latest.loadedAt <= LATEST_TTL_MS) {
+      return latest.profile;
+    }
+
+    const row = await scoringProfileQueries.getProfile(parsed.name, parsed.version);
+    if (!row) return null;
+
+    const profile = this.toProfile(row);
+    this.cache.set(profile.ref, profile);
+    if (!parsed.version) {
+      this.latest.set(parsed.name, { profile, loadedAt: Date.now() });
+    }
+    return profile;
+  }
+
+  /**
+   * Forget which version of a profile is the latest (a new one was saved)
+   */
+  invalidate(name) {
+    this.latest.delete(name);
+  }
+
+  parseRef(ref) {
+    const match = String(ref).trim().toLowerCase().match(PROFILE_REF_PATTERN);
+    if (!match) return null;
+
+    return {
+      name: match[1],
+      version: match[2] ? parseInt(match[2], 10) : null
+    };
+  }
+
+  toProfile(row) {
+    return {
+      name: row.name,
+      version: row.version,
+      ref: `${row.name}@${row.version}`,
+      description: row.description,
+      model: row.model
+    };
+  }
+
+  /**
+   * Overlay a partial model on a base model (objects merge, bucket lists are replaced)
+   */
+  mergeModel(base, overrides = {}) {
+    const merged = { ...base };
+
+    for (const [key, value] of Object.entries(overrides)) {
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      merged[key] = isObject && base[key] && typeof base[key] === 'object'
+        ? this.mergeModel(base[key], value)
+        : value;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Points for the first bucket the value is above (buckets sorted high to low)
+   */
+  bucketPoints(buckets, value) {
+    const bucket = [...buckets]
+      .sort((a, b) => b.above - a.above)
+      .find(b => value > b.above);
+
+    return bucket ? bucket.points : 0;
+  }
+}
+
+module.exports = new ScoringProfiles();
@@ -0,0 +1,125 @@
+const { sellerProfileQueries, teamMemberQueries } = require('../db/queries');
+
+// Profile and case study edits made through the API reach running workers within this window
+const PROFILE_TTL_MS = 60 * 1000;
+
+/**
+ * Seller Profile
+ * What outreach says about us: the product, a value prop per pain label,
+ * case studies and the rep who signs (managed through /api/seller-profile
+ * and /api/team-members).
+ *
+ * A case study is matched on the contact's detected pains and their
+ * industry: covering one of the pains beats sharing the industry, and both
+ * beat either. Between equals, the one covering the pain closest to the
+ * wedge being written for wins, then the oldest. With nothing in common, no
+ * case study is cited and the templates leave the sentence out.
+ */
+class SellerProfile {
+  constructor() {
+    this.cached = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * The profile and active case studies
+   * @returns {Promise<Object>} { profile, caseStudies } - profile is null until one is saved
+   */
+  async getProfile() {
+    if (!this.cached || Date.now() - this.loadedAt > PROFILE_TTL_MS) {
+      const [profile, caseStudies] = await Promise.all([
+        sellerProfileQueries.getProfile(),
+        sellerProfileQueries.getActiveCaseStudies()
+      ]);
+      this.cached = { profile: profile || null, caseStudies };
+      this.loadedAt = Date.now();
+    }
+
+    return this.cached;
+  }
+
+  invalidate() {
+    this.cached = null;
+  }
+
+  /**
+   * Everything outreach needs from the seller side
+   * @param {Object} options - { teamMemberId: sign as this rep instead of the profile's
+   *   default rep (check it with validateRep() first) }
+   * @returns {Promise<Object>} { profile, caseStudies, rep } - rep is null when the
+   *   rep is unknown or inactive
+   */
+  async load({ teamMemberId = null } = {}) {
+    const { profile, caseStudies } = await this.getProfile();
+    const repId = teamMemberId || profile?.default_team_member_id;
+    const rep = repId ? await teamMemberQueries.getTeamMember(repId) : null;
+
+    return { profile, caseStudies, rep: rep?.active ? rep : null };
+  }
+
+  /**
+   * Whether a requested rep can sign outreach
+   * @returns {Promise<string|null>} Error for team_member_id, or null when they can
+   */
+  async validateRep(teamMemberId) {
+    const member = await teamMemberQueries.getTeamMember(teamMemberId);
+
+    if (!member) return 'team_member_id is not a team member';
+    if (!member.active) return 'team_member_id is not an active team member';
+    return null;
+  }
+
+  /**
+   * Best case study for a contact
+   * @param {Array} caseStudies - From getProfile()
+   * @param {Object} contact - { industry, painLabels: detected pain labels, most relevant first }
+   * @returns {Object|null} A case study row, or null when none shares a pain or the industry
+   */
+  matchCaseStudy(caseStudies, { industry = null, painLabels = [] } = {}) {
+    let best = null;
+
+    caseStudies
+      .map(caseStudy => {
+        const painIndex = painLabels.findIndex(label => (caseStudy.pain_labels || []).includes(label));
+        return {
+          caseStudy,
+          painIndex: painIndex === -1 ? Infinity : painIndex,
+          rank: (painIndex === -1 ? 0 : 2) + (this.sameIndustry(caseStudy.industry, industry) ? 1 : 0)
+        };
+      })
+      .filter(candidate => candidate.rank > 0)
+      .forEach(candidate => {
+        if (!best ||
+            candidate.rank > best.rank ||
+            (candidate.rank === best.rank && candidate.painIndex < best.painIndex) ||
+            (candidate.rank === best.rank && candidate.painIndex === best.painIndex &&
+              candidate.caseStudy.id < best.caseStudy.id)) {
+          best = candidate;
+        }
+      });
+
+    return best ? best.caseStudy : null;
+  }
+
+  // "SaaS" matches "saas", "B2B SaaS" matches "SaaS"
+  sameIndustry(a, b) {
+    if (!a || !b) return false;
+
+    const left = a.trim().toLowerCase();
+    const right = b.trim().toLowerCase();
+    return left === right || left.includes(right) || right.includes(left);
+  }
+
+  /**
+   * Value prop for the first detected pain that has one, else the default
+   * @returns {string|null}
+   */
+  valueProp(profile, painLabels = []) {
+    if (!profile) return null;
+
+    const label = painLabels.find(l => profile.value_props?.[l]);
+    return label ? profile.value_props[label] : profile.default_value_prop || null;
+  }
+}
+
+module.exports = new SellerProfile();
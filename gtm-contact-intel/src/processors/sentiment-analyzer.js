@@ -0,0 +1,199 @@
+const natural = require('natural');
+const config = require('../../config/config');
+const techStackTracker = require('./tech-stack-tracker');
+
+// Comparative scores (AFINN points per word) beyond which text is not neutral
+const POSITIVE_THRESHOLD = 0.05;
+const NEGATIVE_THRESHOLD = -0.05;
+
+// GTM words AFINN has no score for. Existing AFINN scores are never overridden.
+const DOMAIN_LEXICON = {
+  clunky: -2,
+  buggy: -2,
+  overpriced: -2,
+  nightmare: -3,
+  tedious: -2,
+  outdated: -2,
+  bloated: -2,
+  laggy: -2,
+  unusable: -3,
+  seamless: 2,
+  intuitive: 2,
+  painless: 2,
+  'game-changer': 3
+};
+
+// AFINN words that are GTM vocabulary rather than opinion: "Outreach" the tool,
+// "demand gen", "tools like Clay", "crushed quota"
+const DOMAIN_NEUTRAL = ['outreach', 'demand', 'engage', 'like', 'aggressive', 'crush', 'crushed'];
+
+// Contrast words end a clause: "Salesforce is a nightmare but Clay is great"
+const CLAUSE_BREAK = /\s*(?:[,;:]\s*)?\b(?:but|however|although|though|whereas|yet)\b\s*|\s*;\s*/i;
+const SENTENCE_BREAK = /(?<=[.!?])\s+|\n+/;
+
+/**
+ * Sentiment Analyzer
+ * Post-level and aspect-level sentiment with natural's AFINN analyzer.
+ *
+ * Text is scored clause by clause, so a negation ("not great", "don't love")
+ * only flips the words after it in the same clause. Scores are comparative -
+ * AFINN points per word - and map to positive, neutral or negative labels.
+ *
+ * Aspects are the tools (gtmTopics.tools) and GTM topics (gtmTopics.gtmKeywords)
+ * a post names; each gets the sentiment of the clauses it appears in.
+ */
+class SentimentAnalyzer {
+  constructor() {
+    this.analyzer = new natural.SentimentAnalyzer('English', null, 'afinn');
+
+    Object.entries(DOMAIN_LEXICON).forEach(([word, score]) => {
+      if (this.analyzer.vocabulary[word] === undefined) {
+        this.analyzer.vocabulary[word] = score;
+      }
+    });
+    DOMAIN_NEUTRAL.forEach(word => { delete this.analyzer.vocabulary[word]; });
+
+    this.topicMatchers = config.gtmTopics.gtmKeywords.map(topic => ({
+      topic,
+      pattern: new RegExp(`(^|[^a-z0-9])${techStackTracker.escapeRegExp(topic)}(?![a-z0-9])`, 'i')
+    }));
+  }
+
+  /**
+   * Sentiment of a piece of text and toward each tool and topic it names
+   * @param {string} text - Post content
+   * @returns {Object} { label, score, aspects: [{ aspect, type, label, score, mentions }] }
+   */
+  analyze(text) {
+    const clauses = this.splitClauses(text);
+    const scored = clauses.map(clause => ({ clause, ...this.scoreClause(clause) }));
+    const overall = this.combine(scored);
+
+    return {
+      label: this.label(overall),
+      score: overall,
+      aspects: this.analyzeAspects(scored)
+    };
+  }
+
+  /**
+   * Sentiment label only - for callers that just need positive/neutral/negative
+   */
+  classify(text) {
+    return this.analyze(text).label;
+  }
+
+  analyzeAspects(scored) {
+    const aspects = [];
+    const text = scored.map(s => s.clause).join('\n');
+
+    const tools = techStackTracker.detectTools(text).map(aspect => ({ aspect, type: 'tool' }));
+    const topics = this.topicMatchers
+      .filter(({ pattern }) => pattern.test(text))
+      .map(({ topic }) => ({ aspect: topic, type: 'topic' }));
+
+    [...tools, ...topics].forEach(({ aspect, type }) => {
+      const matcher = type === 'tool'
+        ? techStackTracker.matchers.find(m => m.tool === aspect).pattern
+        : this.topicMatchers.find(m => m.topic === aspect).pattern;
+      const clauses = scored.filter(s => matcher.test(s.clause));
+      const score = this.combine(clauses);
+
+      aspects.push({
+        aspect,
+        type,
+        label: this.label(score),
+        score,
+        mentions: clauses.length
+      });
+    });
+
+    return aspects;
+  }
+
+  /**
+   * AFINN total and word count of one clause, with contractions expanded so
+   * "doesn't" negates like "not"
+   */
+  scoreClause(clause) {
+    const tokens = clause
+      .toLowerCase()
+      .replace(/n['’]t\b/g, ' not')
+      .match(/[a-z][a-z'-]*[a-z]|[a-z]/g) || [];
+
+    if (tokens.length === 0) return { total: 0, words: 0 };
+
+    return {
+      total: this.analyzer.getSentiment(tokens) * tokens.length,
+      words: tokens.length
+    };
+  }
+
+  // Comparative score over several clauses
+  combine(scored) {
+    const words = scored.reduce((sum, s) => sum + s.words, 0);
+    if (words === 0) return 0;
+
+    const total = scored.reduce((sum, s) => sum + s.total, 0);
+    return Math.round((total / words) * 1000) / 1000;
+  }
+
+  label(score) {
+    if (score > POSITIVE_THRESHOLD) return 'positive';
+    if (score < NEGATIVE_THRESHOLD) return 'negative';
+    return 'neutral';
+  }
+
+  splitClauses(text) {
+    return String(text || '')
+      .split(SENTENCE_BREAK)
+      .flatMap(sentence => sentence.split(CLAUSE_BREAK))
+      .map(clause => clause.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Count of posts per sentiment label
+   * @param {Array<Object>} posts - Posts with a `sentiment` label
+   */
+  distribution(posts) {
+    const sentiments = { positive: 0, neutral: 0, negative: 0 };
+
+    posts.forEach(post => {
+      if (sentiments[post.sentiment] !== undefined) {
+        sentiments[post.sentiment]++;
+      }
+    });
+
+    return sentiments;
+  }
+
+  /**
+   * Aspect sentiment across posts: how often the contact was positive,
+   * neutral or negative about each tool and topic, most mentioned first
+   * @param {Array<Object>} posts - Posts with `aspect_sentiment`
+   */
+  summarizeAspects(posts) {
+    const byAspect = new Map();
+
+    posts.forEach(post => {
+      (post.aspect_sentiment || []).forEach(({ aspect, type, label, score }) => {
+        const summary = byAspect.get(aspect) ||
+          { aspect, type, posts: 0, positive: 0, neutral: 0, negative: 0, scoreTotal: 0 };
+        summary.posts++;
+        summary[label]++;
+        summary.scoreTotal += Number(score) || 0;
+        byAspect.set(aspect, summary);
+      });
+    });
+
+    return [...byAspect.values()]
+      .map(({ scoreTotal, ...summary }) => {
+        const average = Math.round((scoreTotal / summary.posts) * 1000) / 1000;
+        return { ...summary, average_score: average, label: this.label(average) };
+      })
+      .sort((a, b) => b.posts - a.posts || a.average_score - b.average_score);
+  }
+}
+
+module.exports = new SentimentAnalyzer();
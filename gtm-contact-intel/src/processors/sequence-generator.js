@@ -0,0 +1,286 @@
+const config = require('../../config/config');
+
+// The full cadence. Email steps always run; LinkedIn and phone steps run when
+// recommendChannels scores their channel at least minChannelScore, and the
+// weakest of them are dropped first when the cadence is over maxSteps.
+const CADENCE = [
+  { type: 'connection_note', channel: 'linkedin_dm', limit: 'linkedin_connection', day: 0, optional: true },
+  { type: 'email', channel: 'email', limit: 'email', day: 1 },
+  { type: 'linkedin_message', channel: 'linkedin_dm', limit: 'linkedin_dm', day: 4, optional: true },
+  { type: 'follow_up', channel: 'email', limit: 'email', day: 5 },
+  { type: 'call', channel: 'phone', limit: 'phone', day: 8, optional: true },
+  { type: 'bump', channel: 'email', limit: 'email', day: 11 },
+  { type: 'breakup', channel: 'email', limit: 'email', day: 17 }
+];
+
+/**
+ * Sequence Generator
+ * Turns a playbook into a multi-touch outreach cadence: LinkedIn connection
+ * note, intro email, LinkedIn message, follow-up, call, bump and breakup.
+ *
+ * Each step opens on its own angle - the wedges in score order, then top
+ * signals the wedges don't already cover - so no two touches repeat the same
+ * reason for reaching out. Bodies are cut to the channel's character limit
+ * (config.outreachSequences.charLimits). Steps are signed by the seller
+ * profile's rep and cite its best-matching case study when there is one.
+ */
+class SequenceGenerator {
+  /**
+   * Generate a sequence
+   * @param {Object} context - { contact, wedges, signals, channels, rep, profile, caseStudy, writeEmail }
+   *   wedges: detectWedges() list, best first
+   *   signals: top signals, best first
+   *   channels: recommendChannels() scores
+   *   rep: team member the steps are signed by
+   *   profile: seller profile, whose team signs when there is no rep
+   *   caseStudy: case study matched to the contact (see SellerProfile)
+   *   writeEmail: async wedge => { subject, body } from the wedge's outreach template
+   * @returns {Promise<Object>} { primary_wedge, channels, step_count, total_days, steps }
+   */
+  async generate({
+    contact, wedges = [], signals = [], channels = {}, rep = null, profile = null, caseStudy = null,
+    writeEmail = null
+  }) {
+    const cadence = this.selectSteps(contact, channels);
+    const angles = this.buildAngles(contact, wedges, signals);
+    const firstName = contact.full_name.split(' ')[0];
+    const sender = this.sender(rep, profile);
+    const startDay = cadence[0].day;
+
+    let subject = null;
+    const steps = [];
+    for (const [i, step] of cadence.entries()) {
+      // Breakup closes the loop on the opening angle; out of fresh angles,
+      // the remaining steps fall back to a company-level one
+      const angle = step.type === 'breakup'
+        ? angles[0]
+        : angles[i] || this.generalAngle(contact);
+      const message = step.type === 'email' && angle.wedge && writeEmail
+        ? await writeEmail(angle.wedge)
+        : this.writeStep(step.type, { contact, firstName, angle, subject, sender, caseStudy });
+      const charLimit = config.outreachSequences.charLimits[step.limit];
+      const body = this.fitToLimit(message.body, charLimit);
+
+      if (step.type === 'email') {
+        subject = message.subject || this.subjectFor(angle, contact);
+      }
+
+      steps.push({
+        step_number: i + 1,
+        day_offset: step.day - startDay,
+        step_type: step.type,
+        channel: step.channel,
+        angle: {
+          source: angle.source,
+          type: angle.type,
+          description: angle.description
+        },
+        subject: step.type === 'email' ? subject : message.subject || null,
+        body,
+        char_limit: charLimit,
+        char_count: body.length
+      });
+    }
+
+    return {
+      primary_wedge: wedges[0]?.type || null,
+      channels,
+      step_count: steps.length,
+      total_days: steps[steps.length - 1].day_offset,
+      steps
+    };
+  }
+
+  /**
+   * Cadence steps for this contact. LinkedIn steps also need a profile URL
+   * to send to.
+   */
+  selectSteps(contact, channels) {
+    const { minChannelScore, maxSteps } = config.outreachSequences;
+    const score = step => channels[step.channel] ?? 0;
+
+    const steps = CADENCE.filter(step => {
+      if (!step.optional) return true;
+      if (step.channel === 'linkedin_dm' && !contact.linkedin_url) return false;
+      return score(step) >= minChannelScore;
+    });
+
+    // Drop the optional step on the weakest channel, latest first
+    while (steps.length > maxSteps) {
+      const optional = steps.filter(step => step.optional);
+      if (optional.length === 0) break;
+
+      const weakest = optional.reduce((a, b) => (score(b) <= score(a) ? b : a));
+      steps.splice(steps.indexOf(weakest), 1);
+    }
+
+    return steps;
+  }
+
+  /**
+   * Distinct reasons to reach out: one per wedge type, then signals
+   * @returns {Array<Object>} [{ source: 'wedge'|'signal', type, description, hook, wedge? }]
+   */
+  buildAngles(contact, wedges, signals) {
+    const angles = [];
+    const seenTypes = new Set();
+    const seenDescriptions = new Set();
+
+    wedges.forEach(wedge => {
+      if (seenTypes.has(wedge.type)) return;
+      seenTypes.add(wedge.type);
+      seenDescriptions.add(wedge.description);
+
+      angles.push({
+        source: 'wedge',
+        type: wedge.type,
+        description: wedge.description,
+        hook: wedge.conversationStarters?.[0] || wedge.description,
+        wedge
+      });
+    });
+
+    signals.forEach(signal => {
+      if (!signal.description || seenDescriptions.has(signal.description)) return;
+      seenDescriptions.add(signal.description);
+
+      angles.push({
+        source: 'signal',
+        type: signal.signal_type,
+        description: signal.description,
+        // Scoring notes like "(expansion signal)" aren't for the prospect
+        hook: `One thing that stood out: ${this.lowerFirst(signal.description.replace(/\s*\([^)]*\)$/, ''))}`
+      });
+    });
+
+    return angles.length > 0 ? angles : [this.generalAngle(contact)];
+  }
+
+  generalAngle(contact) {
+    return {
+      source: 'general',
+      type: 'general',
+      description: `Research on ${contact.current_company || 'the company'}`,
+      hook: `I've been researching ${contact.current_company || 'your team'}`
+    };
+  }
+
+  /**
+   * How steps are signed: by the rep, else by the seller's team. The phone is
+   * only given when the rep has one.
+   * @returns {Object} { name, signature, signOff, phone } - name and signature are null
+   *   without a rep or seller profile
+   */
+  sender(rep, profile = null) {
+    const team = profile ? `${profile.company_name} team` : null;
+    const name = rep?.full_name || (team && `the ${team}`);
+    const signature = rep?.signature || rep?.full_name || (team && `The ${team}`);
+
+    return {
+      name,
+      signature,
+      signOff: signature ? `Best,\n${signature}` : 'Best,',
+      phone: rep?.phone || null
+    };
+  }
+
+  /**
+   * "Globex cut duplicate records by 40% in 90 days" - null without a case study
+   */
+  proofPoint(caseStudy) {
+    if (!caseStudy) return null;
+
+    return [caseStudy.customer_company, this.trimSentence(caseStudy.result), caseStudy.timeframe]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * Message for one step
+   * @returns {Object} { subject, body } - subject only for email steps
+   */
+  writeStep(type, { contact, firstName, angle, subject, sender = this.sender(null), caseStudy = null }) {
+    const hook = this.trimSentence(angle.hook);
+    const proof = this.proofPoint(caseStudy);
+
+    switch (type) {
+      case 'connection_note':
+        return {
+          body: `Hi ${firstName} - ${this.lowerFirst(hook)}. Would be great to connect.`
+        };
+
+      case 'email':
+        return {
+          subject: this.subjectFor(angle, contact),
+          body: `Hi ${firstName},\n\n${hook}.\n\nWe've helped teams like yours at similar companies with this${proof ? ` - ${proof}` : ''}. Would you be open to a quick 15-minute call to compare notes?\n\n${sender.signOff}`
+        };
+
+      case 'linkedin_message':
+        return {
+          body: `Thanks for connecting, ${firstName}. ${hook} - is that something your team is working on this quarter? Happy to share what's worked for others if useful.`
+        };
+
+      case 'follow_up':
+        return {
+          subject: subject ? `Re: ${subject}` : this.subjectFor(angle, contact),
+          body: `Hi ${firstName},\n\nFollowing up on my note. ${hook}, which made me think this could be timely.\n\n${proof ? `For context, ${proof}. ` : ''}Worth 15 minutes to see if what's worked for similar teams applies at ${contact.current_company || 'your company'}?\n\n${sender.signOff}`
+        };
+
+      case 'call':
+        return {
+          body: `Opener: Hi ${firstName}, ${sender.name ? `it's ${sender.name} - ` : ''}I've sent a couple of notes. ${hook}.\nQuestion: How is your team handling that today?\nVoicemail: ${hook}. I'll follow up by email${sender.phone ? ` - ${sender.phone}` : ''}.`
+        };
+
+      case 'bump':
+        return {
+          subject: subject ? `Re: ${subject}` : this.subjectFor(angle, contact),
+          body: `Hi ${firstName} - bumping this up. ${hook}. Is this worth a quick chat?${sender.signature ? `\n\n${sender.signature}` : ''}`
+        };
+
+      case 'breakup':
+        return {
+          subject: 'Closing the loop',
+          body: `Hi ${firstName},\n\nI haven't heard back, so I'll assume the timing isn't right. Quick recap of why I reached out: ${this.lowerFirst(hook)}.\n\nIf that changes, just reply here and I'll send over what's worked for similar teams.\n\n${sender.signOff}`
+        };
+
+      default:
+        throw new Error(`Unknown sequence step: ${type}`);
+    }
+  }
+
+  subjectFor(angle, contact) {
+    const painPoint = angle.wedge?.details?.painPoint;
+    if (painPoint) {
+      return `${painPoint.name.charAt(0).toUpperCase()}${painPoint.name.slice(1)} at ${contact.current_company || 'your team'}`;
+    }
+    if (angle.wedge?.details?.competitor) return `Beyond ${angle.wedge.details.competitor}`;
+    return `Idea for ${contact.current_company || contact.full_name.split(' ')[0]}`;
+  }
+
+  /**
+   * Cut text to a limit at a word boundary
+   */
+  fitToLimit(text, limit) {
+    if (!limit || text.length <= limit) return text;
+
+    const cut = text.substring(0, limit - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > limit / 2 ? cut.substring(0, lastSpace) : cut).trimEnd()}…`;
+  }
+
+  // Hooks and descriptions are used mid-sentence
+  trimSentence(text) {
+    return String(text).trim().replace(/[.!?]+$/, '');
+  }
+
+  // Leaves "I" and names like "LinkedIn" or "GTM" alone
+  lowerFirst(text) {
+    const trimmed = this.trimSentence(text);
+    const firstWord = trimmed.split(/\s/)[0];
+    if (/^I\b/.test(firstWord) || /[A-Z]/.test(firstWord.slice(1))) return trimmed;
+
+    return trimmed.charAt(0).toLowerCase() + trimmed.slice(1);
+  }
+}
+
+module.exports = new SequenceGenerator();
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { signalQueries } = require('../db/queries');
+const signalScorer = require('./signal-scorer');
+const config = require('../../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Signal Lifecycle
+ * Every producer (LinkedIn analyzer, job parser, ...) records its signals
+ * through here instead of inserting them directly, so re-running research
+ * refreshes signals rather than duplicating them.
+ *
+ * Each signal names its slot (signal_key, e.g. 'latest_pain_point') and,
+ * when it is about one thing, a source_ref (e.g. the post URL). The same
+ * slot and ref on a later run refreshes the existing row; a different ref in
+ * the same slot supersedes it. Signals expire after a per-type TTL, and
+ * producers that report a full snapshot archive the signals they no longer see.
+ */
+class SignalLifecycle {
+  /**
+   * Record one producer run's signals
+   * @param {number} contactId - Database contact ID
+   * @param {string} source - Producer ('linkedin', 'profile_changes', 'github', 'podcasts', 'job_postings')
+   * @param {Array} signals - Signals with signal_key, optional source_ref and observed_at (when the underlying event happened)
+   * @param {Object} options - { snapshot: true when the signals are everything the source currently shows }
+   * @returns {Promise<Object>} { inserted, refreshed, superseded, archived, signals }
+   */
+  async recordSignals(contactId, source, signals, { snapshot = false } = {}) {
+    const result = { inserted: 0, refreshed: 0, superseded: 0, archived: 0, signals: [] };
+    const profile = signals.length > 0 ? await signalScorer.getDefaultProfile() : null;
+
+    for (const signal of signals) {
+      const { signal: saved, inserted, superseded } = await signalQueries.upsertSignal(
+        contactId,
+        this.prepare(source, signal, profile)
+      );
+
+      result[inserted ? 'inserted' : 'refreshed']++;
+      result.superseded += superseded;
+      result.signals.push(saved);
+    }
+
+    if (snapshot) {
+      result.archived = await signalQueries.archiveMissing(
+        contactId,
+        source,
+        result.signals.map(signal => signal.id)
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Add source, fingerprint, expiry and the current score to a producer's signal
+   * @param {Object} profile - Scoring profile the stored composite_score is computed with
+   */
+  prepare(source, signal, profile) {
+    if (!signal.signal_key) {
+      throw new Error(`Signal from ${source} is missing signal_key`);
+    }
+
+    const { observed_at, ...fields } = signal;
+    const sourceRef = signal.source_ref || null;
+    const eventAt = this.toDate(observed_at);
+    const scored = signalScorer.scoreSignal({ ...fields, event_at: eventAt, last_seen_at: new Date() }, profile);
+
+    return {
+      ...fields,
+      signal_source: source,
+      source_ref: sourceRef,
+      fingerprint: this.fingerprint(signal.signal_type, signal.signal_key, sourceRef),
+      expires_at: signal.expires_at || this.expiresAt(signal.signal_type, eventAt),
+      event_at: eventAt,
+      composite_score: scored.composite_score,
+      scoring_profile: profile.ref
+    };
+  }
+
+  fingerprint(signalType, signalKey, sourceRef) {
+    return crypto
+      .createHash('sha256')
+      .update(`${signalType}|${signalKey}|${sourceRef || ''}`)
+      .digest('hex');
+  }
+
+  /**
+   * TTL for the signal type, counted from when the underlying event happened
+   * (a post date) or from now
+   */
+  expiresAt(signalType, eventAt = null) {
+    const { ttlDays, defaultTtlDays } = config.signalLifecycle;
+    const from = eventAt || new Date();
+
+    return new Date(from.getTime() + (ttlDays[signalType] || defaultTtlDays) * DAY_MS);
+  }
+
+  toDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Archive signals that expired or were superseded over archiveAfterDays ago.
+   * Signals stored without an expiry get one from the TTLs above first.
+   * @returns {Promise<number>} Signals archived
+   */
+  async archiveStale() {
+    const { ttlDays, defaultTtlDays, archiveAfterDays } = config.signalLifecycle;
+
+    await signalQueries.setMissingExpiry(ttlDays, defaultTtlDays);
+    return signalQueries.archiveStale(archiveAfterDays);
+  }
+}
+
+module.exports = new SignalLifecycle();
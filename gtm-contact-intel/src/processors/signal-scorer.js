@@ -1,57 +1,48 @@
-const { signalQueries } = require('../db/queries');
+const { signalQueries, analyticsQueries } = require('../db/queries');
+const scoringProfiles = require('./scoring-profiles');
 const config = require('../../config/config');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Signal Scorer
- * Scores and prioritizes intelligence signals with LinkedIn priority weighting
+ * Scores and prioritizes intelligence signals with LinkedIn priority weighting.
+ * Weights and the LinkedIn boost come from a scoring profile (see
+ * scoring-profiles.js). Urgency and wedge potential decay with the signal's
+ * age (see config.signalDecay), so scores are computed at read time rather
+ * than taken from the values stored when the signal was created.
  */
 class SignalScorer {
   constructor() {
-    this.linkedinBoost = config.intelligence.linkedinRelevanceBoost;
     this.minRelevance = config.intelligence.minSignalRelevanceScore;
   }
 
   /**
    * Score all signals for a contact and return prioritized list
    * @param {number} contactId - Database contact ID
+   * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
    * @returns {Promise<Array>} Prioritized signals
    */
-  async scoreAndPrioritizeSignals(contactId) {
+  async scoreAndPrioritizeSignals(contactId, profile = null) {
     console.log(`Scoring signals for contact ${contactId}`);
 
     try {
       // Get all signals for contact
-      const signals = await signalQueries.getSignalsByContact(contactId);
+      const [signals, scoringProfile] = await Promise.all([
+        signalQueries.getSignalsByContact(contactId),
+        profile || this.getDefaultProfile()
+      ]);
 
       if (signals.length === 0) {
         return [];
       }
 
-      // Apply LinkedIn priority boost
-      const boostedSignals = signals.map(signal => {
-        const boosted = { ...signal };
-
-        // LinkedIn signals get relevance boost
-        if (this.isLinkedInSignal(signal.signal_type)) {
-          boosted.relevance_score = Math.min(
-            parseFloat(signal.relevance_score) + this.linkedinBoost,
-            1.0
-          );
-          boosted.linkedin_boosted = true;
-        }
-
-        // Calculate composite score
-        boosted.composite_score = this.calculateCompositeScore(
-          parseFloat(boosted.relevance_score),
-          parseFloat(signal.urgency_score),
-          parseFloat(signal.wedge_potential)
-        );
-
-        return boosted;
-      });
+      // Apply LinkedIn priority boost and time decay
+      const now = Date.now();
+      const scoredSignals = signals.map(signal => this.scoreSignal(signal, scoringProfile, now));
 
       // Filter by minimum relevance
-      const filteredSignals = boostedSignals.filter(s =>
+      const filteredSignals = scoredSignals.filter(s =>
         parseFloat(s.relevance_score) >= this.minRelevance
       );
 
@@ -74,13 +65,90 @@ class SignalScorer {
    * Get top N signals for a contact
    * @param {number} contactId - Database contact ID
    * @param {number} count - Number of signals to return
+   * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
    * @returns {Promise<Array>} Top signals
    */
-  async getTopSignals(contactId, count = 5) {
-    const prioritized = await this.scoreAndPrioritizeSignals(contactId);
+  async getTopSignals(contactId, count = 5, profile = null) {
+    const prioritized = await this.scoreAndPrioritizeSignals(contactId, profile);
     return prioritized.slice(0, count);
   }
 
+  async getDefaultProfile() {
+    const profile = await scoringProfiles.resolve();
+    if (!profile) {
+      throw new Error(`Default scoring profile "${config.scoring.defaultProfile}" not found`);
+    }
+    return profile;
+  }
+
+  /**
+   * Score one signal as of now: LinkedIn relevance boost, then urgency and
+   * wedge potential decayed by age
+   * @param {Object} signal - intelligence_signals row
+   * @param {Object} profile - Resolved scoring profile
+   * @param {number} now - Timestamp to score at (ms)
+   * @returns {Object} Signal with adjusted scores, composite_score, decay details and the profile ref
+   */
+  scoreSignal(signal, profile, now = Date.now()) {
+    const scored = { ...signal };
+
+    // LinkedIn signals get relevance boost
+    if (this.isLinkedInSignal(signal.signal_type)) {
+      scored.relevance_score = Math.min(
+        parseFloat(signal.relevance_score) + profile.model.linkedinRelevanceBoost,
+        1.0
+      );
+      scored.linkedin_boosted = true;
+    }
+
+    const decay = this.calculateDecay(signal, now);
+    scored.urgency_score = this.round(parseFloat(signal.urgency_score) * decay.factor);
+    scored.wedge_potential = this.round(parseFloat(signal.wedge_potential) * decay.factor);
+    scored.decay = decay;
+
+    scored.composite_score = this.round(this.calculateCompositeScore(
+      parseFloat(scored.relevance_score),
+      scored.urgency_score,
+      scored.wedge_potential,
+      profile.model.composite
+    ));
+    scored.scoring_profile = profile.ref;
+
+    return scored;
+  }
+
+  /**
+   * Decay factor for a signal's age: floor + (1 - floor) * 0.5^(age / halfLife).
+   * Age runs from the source event (e.g. the post date) when known, otherwise
+   * from when research last confirmed the signal.
+   * @returns {Object} { factor, age_days, half_life_days, decayed_from }
+   */
+  calculateDecay(signal, now = Date.now()) {
+    const { halfLifeDays, floor } = this.getDecayCurve(signal.signal_category);
+    const decayedFrom = signal.event_at || signal.last_seen_at || signal.detected_at;
+    const from = decayedFrom ? new Date(decayedFrom).getTime() : NaN;
+    const ageDays = Number.isNaN(from) ? 0 : Math.max(0, (now - from) / DAY_MS);
+
+    const factor = halfLifeDays > 0
+      ? floor + (1 - floor) * Math.pow(0.5, ageDays / halfLifeDays)
+      : 1;
+
+    return {
+      factor: this.round(factor),
+      age_days: Math.floor(ageDays),
+      half_life_days: halfLifeDays,
+      decayed_from: decayedFrom || null
+    };
+  }
+
+  getDecayCurve(category) {
+    return config.signalDecay.categories[category] || config.signalDecay.default;
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
   /**
    * Check if signal type is LinkedIn-related
    */
@@ -95,13 +163,14 @@ class SignalScorer {
 
   /**
    * Calculate composite score from individual dimensions
-   * Weighted formula: relevance (40%) + urgency (30%) + wedge potential (30%)
+   * Weighted formula from the profile, e.g. relevance (40%) + urgency (30%) + wedge potential (30%)
+   * @param {Object} weights - Scoring profile composite weights { relevance, urgency, wedgePotential }
    */
-  calculateCompositeScore(relevance, urgency, wedgePotential) {
+  calculateCompositeScore(relevance, urgency, wedgePotential, weights) {
     return (
-      relevance * 0.4 +
-      urgency * 0.3 +
-      wedgePotential * 0.3
+      relevance * weights.relevance +
+      urgency * weights.urgency +
+      wedgePotential * weights.wedgePotential
     );
   }
 
@@ -109,8 +178,11 @@ class SignalScorer {
    * Analyze signal distribution for a contact
    * Useful for understanding intelligence coverage
    */
-  async analyzeSignalDistribution(contactId) {
-    const signals = await signalQueries.getSignalsByContact(contactId);
+  async analyzeSignalDistribution(contactId, profile = null) {
+    const [signals, scoringProfile] = await Promise.all([
+      signalQueries.getSignalsByContact(contactId),
+      profile || this.getDefaultProfile()
+    ]);
 
     const distribution = {
       total: signals.length,
@@ -137,11 +209,7 @@ class SignalScorer {
       }
 
       // Count by priority
-      const compositeScore = this.calculateCompositeScore(
-        parseFloat(signal.relevance_score),
-        parseFloat(signal.urgency_score),
-        parseFloat(signal.wedge_potential)
-      );
+      const compositeScore = this.scoreSignal(signal, scoringProfile).composite_score;
 
       if (compositeScore > 0.8) distribution.highPriority++;
       else if (compositeScore >= 0.6) distribution.mediumPriority++;
@@ -153,25 +221,116 @@ class SignalScorer {
 
   /**
    * Get signal statistics across all contacts
-   * Useful for system-level analytics
+   * Counts come from active signals, the timeline from every detection, and
+   * the score distribution from the stored composite_score (refreshed by
+   * recalculateAllScores), so no signal is re-scored here.
+   * @param {Object} options - { since: Date, interval: 'day' | 'week' | 'month' }
+   * @returns {Promise<Object>} { active, timeline, scores }
    */
-  async getGlobalSignalStats() {
-    // This would require a database query to aggregate across all contacts
-    // Implementation depends on specific analytics needs
+  async getGlobalSignalStats({ since, interval = 'week' }) {
+    const [counts, timelineRows, distribution] = await Promise.all([
+      analyticsQueries.getActiveSignalCounts(),
+      analyticsQueries.getSignalTimeline({ since, interval }),
+      analyticsQueries.getScoreDistribution()
+    ]);
+
+    const active = {
+      total: 0,
+      byType: {},
+      byCategory: {},
+      linkedinCount: 0
+    };
+
+    counts.forEach(row => {
+      active.total += row.count;
+      active.byType[row.signal_type] = (active.byType[row.signal_type] || 0) + row.count;
+      active.byCategory[row.signal_category] = (active.byCategory[row.signal_category] || 0) + row.count;
+
+      if (this.isLinkedInSignal(row.signal_type)) {
+        active.linkedinCount += row.count;
+      }
+    });
+
+    const periods = new Map();
+
+    timelineRows.forEach(row => {
+      const key = new Date(row.period).toISOString();
+
+      if (!periods.has(key)) {
+        periods.set(key, { period: key, total: 0, byType: {}, byCategory: {} });
+      }
+
+      const period = periods.get(key);
+      period.total += row.count;
+      period.byType[row.signal_type] = (period.byType[row.signal_type] || 0) + row.count;
+      period.byCategory[row.signal_category] = (period.byCategory[row.signal_category] || 0) + row.count;
+    });
+
+    const bucketCounts = new Map(distribution.buckets.map(row => [row.bucket, row.count]));
+    const { stats } = distribution;
+
     return {
-      message: 'Global stats not yet implemented'
+      since: since.toISOString(),
+      interval,
+      active,
+      timeline: Array.from(periods.values()),
+      scores: {
+        scored: stats.scored,
+        mean: stats.mean === null ? null : this.round(stats.mean),
+        median: stats.median === null ? null : this.round(stats.median),
+        p90: stats.p90 === null ? null : this.round(stats.p90),
+        highPriority: stats.high_priority,
+        mediumPriority: stats.medium_priority,
+        lowPriority: stats.low_priority,
+        // Ten 0.1-wide buckets, empty ones included so the histogram is complete
+        histogram: Array.from({ length: 10 }, (_, i) => ({
+          min: i / 10,
+          max: (i + 1) / 10,
+          count: bucketCounts.get(i + 1) || 0
+        })),
+        scoring_profiles: stats.scoring_profiles,
+        oldest_scored_at: stats.oldest_scored_at
+      }
     };
   }
 
   /**
-   * Recalculate scores for all signals (admin function)
-   * Useful if scoring algorithm changes
+   * Re-materialise the stored composite_score of active signals (admin function).
+   * Reads always decay on the fly; the stored score is what ordering and
+   * analytics use, so refresh it when the scoring model or decay curves change.
+   * @param {number|null} contactId - One contact, or every contact when null
+   * @param {Object} profile - Resolved scoring profile (the default profile when omitted)
+   * @returns {Promise<Object>} { success, updated, scored_at, scoring_profile }
    */
-  async recalculateAllScores(contactId) {
-    // This would update scores in the database
-    // For now, scores are stored at creation time
-    console.log('Score recalculation not implemented - scores are set at signal creation');
-    return { success: false, message: 'Not implemented' };
+  async recalculateAllScores(contactId = null, profile = null) {
+    const scoringProfile = profile || await this.getDefaultProfile();
+    const batchSize = config.signalDecay.recalculateBatchSize;
+    const now = Date.now();
+    let afterId = 0;
+    let updated = 0;
+    let signals;
+
+    do {
+      signals = await signalQueries.getActiveSignalsBatch({ contactId, afterId, limit: batchSize });
+      if (signals.length === 0) break;
+
+      const scores = signals.map(signal => ({
+        id: signal.id,
+        composite_score: this.scoreSignal(signal, scoringProfile, now).composite_score
+      }));
+
+      updated += await signalQueries.saveCompositeScores(scores, new Date(now), scoringProfile.ref);
+      afterId = signals[signals.length - 1].id;
+    } while (signals.length === batchSize);
+
+    console.log(`Recalculated ${updated} signal scores${contactId ? ` for contact ${contactId}` : ''} with ${scoringProfile.ref}`);
+
+    return {
+      success: true,
+      updated,
+      scored_at: new Date(now).toISOString(),
+      scoring_profile: scoringProfile.ref
+    };
   }
 }
 
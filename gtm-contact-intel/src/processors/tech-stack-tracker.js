@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { techStackQueries } = require('../db/queries');
+const config = require('../../config/config');
+
+/**
+ * Tech Stack Tracker
+ * Records tool detections per company from job postings, LinkedIn posts and
+ * GitHub repos, and merges them into one confidence per tool.
+ *
+ * Each (company, tool, source) is stored once. Distinct pieces of evidence
+ * within a source (posts, repos) and detections across sources are combined
+ * with noisy-OR, so two independent weak hints beat a single one but never
+ * reach certainty. Seeing the same post or repo again adds nothing.
+ */
+class TechStackTracker {
+  constructor() {
+    this.tools = config.gtmTopics.tools;
+    this.categories = config.techStack.categories;
+    this.sourceConfidence = config.techStack.sourceConfidence;
+
+    // Word-boundary matchers, e.g. "Clay" must not match "clayton"
+    this.matchers = this.tools.map(tool => ({
+      tool,
+      pattern: new RegExp(`(^|[^a-z0-9])${this.escapeRegExp(tool.toLowerCase())}(?![a-z0-9])`, 'i')
+    }));
+  }
+
+  /**
+   * Find known tools mentioned in a piece of text
+   * @param {string} text - Job description, post content, repo description...
+   * @returns {Array<string>} Tool names
+   */
+  detectTools(text) {
+    if (!text) return [];
+    return this.matchers
+      .filter(({ pattern }) => pattern.test(text))
+      .map(({ tool }) => tool);
+  }
+
+  hashText(text) {
+    return crypto.createHash('sha256').update(text || '').digest('hex');
+  }
+
+  categorize(tool) {
+    return this.categories[tool] || 'Other';
+  }
+
+  /**
+   * Record tool detections for a company
+   * @param {string} domain - Company domain
+   * @param {string} source - 'job_posting', 'linkedin_post' or 'github'
+   * @param {Array} documents - [{ text, key, evidence }] - key identifies the document
+   *   (post URL, repo name; defaults to a hash of the text), evidence is stored with the detection
+   * @param {Object} options - { snapshot: true if documents are the source's
+   *   complete current view (tools missing from it are retired) }
+   * @returns {Promise<Array>} Recorded detections
+   */
+  async recordDetections(domain, source, documents, options = {}) {
+    if (!domain) return [];
+
+    const baseConfidence = this.sourceConfidence[source] || 0.3;
+    const byTool = new Map();
+
+    documents.forEach(({ text, key, evidence }) => {
+      const evidenceKey = key || this.hashText(text);
+
+      this.detectTools(text).forEach(tool => {
+        const entry = byTool.get(tool) || { keys: new Set(), evidence: [] };
+        if (entry.keys.has(evidenceKey)) return;
+
+        entry.keys.add(evidenceKey);
+        if (evidence && entry.evidence.length < 5) entry.evidence.push(evidence);
+        byTool.set(tool, entry);
+      });
+    });
+
+    const recorded = [];
+    for (const [tool, { keys, evidence }] of byTool) {
+      recorded.push(await techStackQueries.recordDetection(domain, {
+        tool_name: tool,
+        category: this.categorize(tool),
+        source,
+        confidence_score: this.round(this.noisyOr(Array(keys.size).fill(baseConfidence))),
+        evidence_confidence: baseConfidence,
+        evidence_count: keys.size,
+        metadata: {
+          evidence,
+          evidence_keys: [...keys].slice(0, config.techStack.maxEvidenceKeys),
+          documents_analyzed: documents.length
+        }
+      }, !options.snapshot));
+    }
+
+    if (options.snapshot) {
+      await techStackQueries.retireMissingTools(domain, source, [...byTool.keys()]);
+    }
+
+    if (recorded.length > 0) {
+      console.log(`Recorded ${recorded.length} tool detection(s) for ${domain} from ${source}`);
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Current tech stack for a company with confidence merged across sources
+   * @param {string} domain - Company domain
+   * @returns {Promise<Object>} { domain, tools, by_category }
+   */
+  async getTechStack(domain) {
+    const detections = await techStackQueries.getCurrentDetections(domain, config.techStack.staleAfterDays);
+    const byTool = new Map();
+
+    detections.forEach(detection => {
+      const tool = byTool.get(detection.tool_name) || {
+        tool_name: detection.tool_name,
+        category: detection.category || this.categorize(detection.tool_name),
+        sources: [],
+        evidence_count: 0,
+        first_seen_at: detection.first_seen_at,
+        last_seen_at: detection.last_seen_at
+      };
+
+      tool.sources.push({
+        source: detection.source,
+        confidence: parseFloat(detection.confidence_score),
+        evidence_count: detection.evidence_count,
+        last_seen_at: detection.last_seen_at,
+        evidence: detection.metadata?.evidence || []
+      });
+      tool.evidence_count += detection.evidence_count || 0;
+      if (detection.first_seen_at < tool.first_seen_at) tool.first_seen_at = detection.first_seen_at;
+      if (detection.last_seen_at > tool.last_seen_at) tool.last_seen_at = detection.last_seen_at;
+
+      byTool.set(detection.tool_name, tool);
+    });
+
+    const tools = [...byTool.values()]
+      .map(tool => ({
+        ...tool,
+        confidence: this.round(this.noisyOr(tool.sources.map(s => s.confidence)))
+      }))
+      .sort((a, b) => b.confidence - a.confidence || a.tool_name.localeCompare(b.tool_name));
+
+    return {
+      domain,
+      tools,
+      by_category: this.groupByCategory(tools)
+    };
+  }
+
+  /**
+   * Tool names and confidence grouped by category
+   */
+  groupByCategory(tools) {
+    const byCategory = {};
+    tools.forEach(tool => {
+      byCategory[tool.category] = byCategory[tool.category] || [];
+      byCategory[tool.category].push({ tool_name: tool.tool_name, confidence: tool.confidence });
+    });
+    return byCategory;
+  }
+
+  /**
+   * Combine independent confidences: 1 - Π(1 - c)
+   */
+  noisyOr(confidences) {
+    return 1 - confidences.reduce((product, c) => product * (1 - c), 1);
+  }
+
+  round(value) {
+    return Math.min(Math.round(value * 100) / 100, 0.99);
+  }
+
+  escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new TechStackTracker();
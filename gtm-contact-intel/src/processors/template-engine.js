@@ -0,0 +1,298 @@
+// {{ ... }} tags. Everything outside them is literal text and passes through
+// untouched.
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+const PATH_PATTERN = /^[a-z_][a-z0-9_]*(?:\.[a-z_][a-z0-9_]*)*$/;
+const STRING_PATTERN = /^"((?:[^"\\]|\\.)*)"$/;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?$/;
+const CONDITION_PATTERN = /^(\S+)\s*(==|!=)\s*(.+)$/;
+
+const MAX_DEPTH = 10;
+
+/**
+ * Template Engine
+ * A deliberately small templating language for user-edited outreach
+ * templates. Templates are parsed, never evaluated - the only thing a tag can
+ * do is read a value from the context object:
+ *
+ *   {{ contact.first_name }}                     value
+ *   {{ wedge.pain | linkedin.latest_post.topic | "this" }}   first non-empty value, or the literal
+ *   {{#if wedge.pain_point}} ... {{else}} ... {{/if}}
+ *   {{#if wedge.stance == "complaining"}} ... {{/if}}    also !=
+ *   {{#unless github.username}} ... {{/unless}}
+ *
+ * Paths only follow the context's own properties, so a template cannot reach
+ * prototypes or anything outside the data it is given. Empty strings, null,
+ * undefined and empty arrays count as missing; a value with no fallback
+ * renders as an empty string and is reported in render()'s missing list.
+ */
+class TemplateEngine {
+  /**
+   * Parse a template
+   * @param {string} source - Template text
+   * @returns {Array<Object>} Node tree
+   * @throws {Error} On a malformed tag, with its line number
+   */
+  parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+      const current = stack[stack.length - 1];
+      const line = source.substring(0, match.index).split('\n').length;
+      const tag = match[1];
+
+      if (match.index > lastIndex) {
+        this.target(current).push({ type: 'text', value: source.substring(lastIndex, match.index) });
+      }
+      lastIndex = TAG_PATTERN.lastIndex;
+
+      const block = tag.match(/^#(if|unless)\s+([\s\S]+)$/);
+      if (block) {
+        if (stack.length > MAX_DEPTH) {
+          throw new Error(`Line ${line}: conditionals can be nested at most ${MAX_DEPTH} deep`);
+        }
+
+        const node = {
+          type: block[1],
+          condition: this.parseCondition(block[2], line),
+          children: [],
+          otherwise: null,
+          line
+        };
+        this.target(current).push(node);
+        stack.push(node);
+        continue;
+      }
+
+      if (tag === 'else') {
+        if (current === root || current.otherwise) {
+          throw new Error(`Line ${line}: {{else}} without an open {{#if}} or {{#unless}}`);
+        }
+        current.otherwise = [];
+        current.inElse = true;
+        continue;
+      }
+
+      const close = tag.match(/^\/(if|unless)$/);
+      if (close) {
+        if (current === root || current.type !== close[1]) {
+          throw new Error(`Line ${line}: {{/${close[1]}}} without a matching {{#${close[1]}}}`);
+        }
+        delete current.inElse;
+        stack.pop();
+        continue;
+      }
+
+      this.target(current).push({ type: 'value', alternatives: this.parseValue(tag, line), line });
+    }
+
+    if (lastIndex < source.length) {
+      this.target(stack[stack.length - 1]).push({ type: 'text', value: source.substring(lastIndex) });
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw new Error(`Line ${open.line}: {{#${open.type}}} is never closed`);
+    }
+
+    return root.children;
+  }
+
+  // Nodes after {{else}} go to the block's otherwise branch
+  target(node) {
+    return node.inElse ? node.otherwise : node.children;
+  }
+
+  /**
+   * "a.b | c | \"literal\"" -> [{ path }, { path }, { literal }]
+   */
+  parseValue(expression, line) {
+    const alternatives = this.splitAlternatives(expression).map(part => this.parseOperand(part, line));
+
+    if (alternatives.slice(0, -1).some(alt => 'literal' in alt)) {
+      throw new Error(`Line ${line}: a literal fallback must come last in "${expression}"`);
+    }
+
+    return alternatives;
+  }
+
+  parseCondition(expression, line) {
+    const comparison = expression.match(CONDITION_PATTERN);
+    if (!comparison) {
+      return { path: this.parseOperand(expression, line, { literal: false }).path };
+    }
+
+    return {
+      path: this.parseOperand(comparison[1], line, { literal: false }).path,
+      operator: comparison[2],
+      value: this.parseOperand(comparison[3], line, { path: false }).literal
+    };
+  }
+
+  parseOperand(text, line, { path = true, literal = true } = {}) {
+    const trimmed = text.trim();
+
+    const string = trimmed.match(STRING_PATTERN);
+    if (string && literal) {
+      return { literal: string[1].replace(/\\(.)/g, '$1') };
+    }
+    if (NUMBER_PATTERN.test(trimmed) && literal) {
+      return { literal: trimmed };
+    }
+    if (PATH_PATTERN.test(trimmed) && path) {
+      return { path: trimmed };
+    }
+
+    throw new Error(`Line ${line}: "${trimmed}" is not a ${path && literal ? 'variable or quoted text' : path ? 'variable' : 'quoted text or number'}`);
+  }
+
+  // Split on | outside quotes
+  splitAlternatives(expression) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < expression.length; i++) {
+      const char = expression[i];
+      if (char === '\\' && quoted) {
+        current += char + (expression[++i] || '');
+        continue;
+      }
+      if (char === '"') quoted = !quoted;
+      if (char === '|' && !quoted) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts;
+  }
+
+  /**
+   * Every variable a template reads
+   * @returns {Array<string>} Paths, in order of first use
+   */
+  variables(nodes) {
+    const paths = new Set();
+
+    const walk = list => list.forEach(node => {
+      if (node.type === 'value') {
+        node.alternatives.filter(alt => alt.path).forEach(alt => paths.add(alt.path));
+      } else if (node.type === 'if' || node.type === 'unless') {
+        paths.add(node.condition.path);
+        walk(node.children);
+        walk(node.otherwise || []);
+      }
+    });
+    walk(nodes);
+
+    return [...paths];
+  }
+
+  /**
+   * Check a template without rendering it
+   * @param {string} source - Template text
+   * @param {Array<string>} knownVariables - Paths a template may use
+   * @returns {Array<string>} Errors - empty when the template is valid
+   */
+  validate(source, knownVariables = null) {
+    let nodes;
+    try {
+      nodes = this.parse(source);
+    } catch (error) {
+      return [error.message];
+    }
+
+    if (!knownVariables) return [];
+
+    return this.variables(nodes)
+      .filter(path => !knownVariables.includes(path))
+      .map(path => `Unknown variable "${path}"`);
+  }
+
+  /**
+   * Render a template against a context
+   * @param {string} source - Template text
+   * @param {Object} context - Plain data object
+   * @returns {Object} { text, missing } - missing: paths that rendered empty for want of a value
+   */
+  render(source, context) {
+    const missing = new Set();
+    const text = this.renderNodes(this.parse(source), context, missing);
+
+    return { text, missing: [...missing] };
+  }
+
+  renderNodes(nodes, context, missing) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+
+        case 'value': {
+          for (const alt of node.alternatives) {
+            if ('literal' in alt) return alt.literal;
+
+            const value = this.lookup(context, alt.path);
+            if (this.isPrintable(value)) return this.format(value);
+          }
+          missing.add(node.alternatives[0].path);
+          return '';
+        }
+
+        case 'if':
+        case 'unless': {
+          const truthy = this.test(node.condition, context);
+          const branch = truthy === (node.type === 'if') ? node.children : node.otherwise || [];
+          return this.renderNodes(branch, context, missing);
+        }
+
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  test({ path, operator, value }, context) {
+    const actual = this.lookup(context, path);
+
+    if (!operator) return !this.isEmpty(actual) && actual !== false && actual !== 0;
+
+    const equal = this.isPrintable(actual) && this.format(actual).toLowerCase() === value.toLowerCase();
+    return operator === '==' ? equal : !equal;
+  }
+
+  // Own properties only - "constructor" or "__proto__" never resolve
+  lookup(context, path) {
+    return path.split('.').reduce((value, key) => {
+      if (value === null || typeof value !== 'object') return undefined;
+      return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+    }, context);
+  }
+
+  isEmpty(value) {
+    return value === null || value === undefined || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+  }
+
+  // A section like linkedin.latest_post can be tested but not printed
+  isPrintable(value) {
+    return !this.isEmpty(value) &&
+      (typeof value !== 'object' || Array.isArray(value) || value instanceof Date);
+  }
+
+  format(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value instanceof Date) return value.toISOString().substring(0, 10);
+    return String(value);
+  }
+}
+
+module.exports = new TemplateEngine();
@@ -0,0 +1,206 @@
+const natural = require('natural');
+const config = require('../../config/config');
+const { linkedinQueries } = require('../db/queries');
+
+// Words that carry no theme in LinkedIn posts, on top of natural's stopwords
+const POST_STOPWORDS = [
+  'just', 'really', 'one', 'new', 'today', 'us', 'let', 'lets', 'know', 'think',
+  'thing', 'things', 'lot', 'lots', 'way', 'ways', 'time', 'year', 'years', 'week',
+  'weeks', 'day', 'days', 'month', 'months', 'people', 'everyone', 'anyone', 'someone',
+  'excited', 'thrilled', 'proud', 'happy', 'share', 'sharing', 'post', 'posts',
+  'linkedin', 'thoughts', 'comment', 'comments', 'link', 'check', 'read', 'love',
+  'great', 'good', 'big', 'many', 'much', 'still', 'even', 'every', 'always', 'never',
+  'going', 'got', 'make', 'made', 'need', 'want', 'see', 'say', 'said', 'take', 'keep',
+  'last', 'next', 'first', 'back', 'right', 'well', 'actually', 'yes', 'yeah', 'via'
+];
+
+// Stopwords allowed inside a three-word phrase: "voice of customer"
+const PHRASE_JOINERS = new Set(['of', 'for', 'and']);
+
+// Multi-word phrases say more than the words on their own
+const NGRAM_BOOST = { 1: 1, 2: 1.5, 3: 1.8 };
+
+const MIN_WORD_LENGTH = 3;
+
+const EMPTY_CORPUS = { documents: 0, df: new Map() };
+
+/**
+ * Theme Extractor
+ * Keyphrase themes for LinkedIn posts, ranked by TF-IDF against a corpus of
+ * the stored posts in linkedin_posts.
+ *
+ * Candidates are single words and two- or three-word phrases that do not
+ * start or end with a stopword and do not cross punctuation. A candidate
+ * scores tf × idf, where idf = ln((N + 1) / (df + 1)) + 1 over the corpus,
+ * so terms every post uses rank below the ones that set this post apart.
+ * A phrase that overlaps a higher-ranked one is dropped.
+ */
+class ThemeExtractor {
+  constructor() {
+    this.stopwords = new Set([...natural.stopwords, ...POST_STOPWORDS]);
+    this.corpus = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Document frequencies of candidate terms across the stored posts
+   * @returns {Promise<Object>} { documents, df: Map<term, count> }
+   */
+  async getCorpus() {
+    const maxAgeMs = config.themes.corpusRefreshMinutes * 60 * 1000;
+
+    if (!this.corpus || Date.now() - this.loadedAt > maxAgeMs) {
+      const texts = await linkedinQueries.getThemeCorpus(config.themes.corpusMaxPosts);
+      this.corpus = this.buildCorpus(texts);
+      this.loadedAt = Date.now();
+    }
+
+    return this.corpus;
+  }
+
+  buildCorpus(texts) {
+    const df = new Map();
+
+    texts.forEach(text => {
+      new Set(this.candidates(text).map(c => c.term)).forEach(term => {
+        df.set(term, (df.get(term) || 0) + 1);
+      });
+    });
+
+    return { documents: texts.length, df };
+  }
+
+  /**
+   * Top themes of one post
+   * @param {string} text - Post content
+   * @param {Object} corpus - From getCorpus(); without one, themes rank by frequency alone
+   * @param {number} limit - Themes to return
+   * @returns {Array<Object>} [{ theme, score, count }], best first
+   */
+  extract(text, corpus = EMPTY_CORPUS, limit = config.themes.maxPerPost) {
+    const counts = new Map();
+
+    this.candidates(text).forEach(({ term, size }) => {
+      const entry = counts.get(term) || { term, size, count: 0 };
+      entry.count++;
+      counts.set(term, entry);
+    });
+
+    const ranked = [...counts.values()]
+      .map(({ term, size, count }) => {
+        const idf = Math.log((corpus.documents + 1) / ((corpus.df.get(term) || 0) + 1)) + 1;
+        return { theme: term, score: Math.round(count * idf * NGRAM_BOOST[size] * 1000) / 1000, count };
+      })
+      .sort((a, b) => b.score - a.score || b.theme.length - a.theme.length);
+
+    const selected = [];
+    for (const candidate of ranked) {
+      if (selected.length >= limit) break;
+      if (!selected.some(s => this.overlaps(s.theme, candidate.theme))) {
+        selected.push(candidate);
+      }
+    }
+
+    return selected;
+  }
+
+  /**
+   * Every candidate word and phrase in a text, once per occurrence
+   * @returns {Array<Object>} [{ term, size }]
+   */
+  candidates(text) {
+    const candidates = [];
+
+    this.segments(text).forEach(tokens => {
+      tokens.forEach((token, i) => {
+        if (this.isThemeWord(token)) {
+          candidates.push({ term: token, size: 1 });
+        }
+
+        for (const size of [2, 3]) {
+          const phrase = tokens.slice(i, i + size);
+          if (phrase.length < size) break;
+
+          const inner = phrase.slice(1, -1);
+          if (this.isThemeWord(phrase[0]) && this.isThemeWord(phrase[size - 1]) &&
+              inner.every(word => this.isThemeWord(word) || PHRASE_JOINERS.has(word))) {
+            candidates.push({ term: phrase.join(' '), size });
+          }
+        }
+      });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Lowercase token runs between punctuation, with URLs, mentions and
+   * possessives removed; hashtags keep their word
+   */
+  segments(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' . ')
+      .replace(/@\w+/g, ' . ')
+      .replace(/['’]s\b/g, '')
+      .split(/[.!?,;:()[\]{}"“”\n|•–—]+|\s-\s/)
+      .map(segment => segment.match(/[a-z0-9][a-z0-9'&+%-]*[a-z0-9+%]|[a-z0-9]/g) || [])
+      .filter(tokens => tokens.length > 0);
+  }
+
+  isThemeWord(word) {
+    // Numbers ("120%", "2024") stay in the token run so phrases never skip over them
+    return word.length >= MIN_WORD_LENGTH && /^[a-z]/.test(word) && !this.stopwords.has(word);
+  }
+
+  // "pipeline" and "pipeline accuracy" share a word, so only the higher-ranked one is kept
+  overlaps(a, b) {
+    const words = new Set(a.split(' '));
+    return b.split(' ').some(word => words.has(word));
+  }
+
+  /**
+   * Re-extract and store the themes of stored posts against the current
+   * corpus (admin function - themes depend on the corpus they were ranked in).
+   * Themes entered by hand are kept as given.
+   * @param {number|null} contactId - One contact's posts, or every post when null
+   * @returns {Promise<Object>} { success, updated, manual_kept, corpus_documents }
+   */
+  async recalculateStoredThemes(contactId = null) {
+    // Always rank against a fresh corpus
+    this.corpus = null;
+    const corpus = await this.getCorpus();
+    const batchSize = config.themes.recalculateBatchSize;
+    let afterId = 0;
+    let updated = 0;
+    let manualKept = 0;
+    let posts;
+
+    do {
+      posts = await linkedinQueries.getPostsBatch({ contactId, afterId, limit: batchSize });
+      if (posts.length === 0) break;
+
+      const themes = posts
+        .filter(post => !post.manual_themes)
+        .map(post => ({
+          id: post.id,
+          themes: this.extract(post.post_content, corpus)
+        }));
+      manualKept += posts.length - themes.length;
+
+      updated += await linkedinQueries.savePostThemes(themes);
+      afterId = posts[posts.length - 1].id;
+    } while (posts.length === batchSize);
+
+    console.log(`Re-extracted themes for ${updated} posts${contactId ? ` of contact ${contactId}` : ''} (corpus: ${corpus.documents} posts)`);
+
+    return {
+      success: true,
+      updated,
+      manual_kept: manualKept,
+      corpus_documents: corpus.documents
+    };
+  }
+}
+
+module.exports = new ThemeExtractor();
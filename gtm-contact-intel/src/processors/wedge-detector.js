@@ -1,5 +1,19 @@
 const { linkedinQueries, githubQueries, signalQueries, companyQueries } = require('../db/queries');
 const config = require('../../config/config');
+const careerHistory = require('./career-history');
+
+// Displacement wedge strength by the stance taken on the competitor
+const COMPETITOR_WEDGE_SCORES = {
+  complaining: 0.92,
+  evaluating: 0.88,
+  neutral: 0.72
+};
+
+const COMPETITOR_SOURCE_PHRASES = {
+  linkedin_post: 'in your recent post',
+  job_posting: 'in your open roles',
+  podcast: 'on your recent podcast appearance'
+};
 
 /**
  * Wedge Detector
@@ -20,12 +34,14 @@ class WedgeDetector {
 
     try {
       // Get all intelligence data
-      const [linkedinProfile, linkedinPosts, signals, githubActivity] = await Promise.all([
+      const [linkedinProfile, linkedinPosts, signals, githubActivity, positions] = await Promise.all([
         linkedinQueries.getProfile(contactId),
         linkedinQueries.getRecentPosts(contactId, 10),
         signalQueries.getSignalsByContact(contactId),
-        githubQueries.getActivity(contactId)
+        githubQueries.getActivity(contactId),
+        linkedinQueries.getPositions(contactId)
       ]);
+      const career = positions.length > 0 ? careerHistory.analyze(positions) : null;
 
       const wedges = [];
 
@@ -38,7 +54,7 @@ class WedgeDetector {
       wedges.push(...buyingSignalWedges);
 
       // PRIORITY 3: LinkedIn new job timing
-      const jobChangeWedges = this.detectJobChangeWedges(linkedinProfile, signals);
+      const jobChangeWedges = this.detectJobChangeWedges(linkedinProfile, signals, career);
       wedges.push(...jobChangeWedges);
 
       // PRIORITY 4: LinkedIn high engagement posts (thought leadership)
@@ -53,6 +69,10 @@ class WedgeDetector {
       const initiativeWedges = this.detectInitiativeWedges(signals);
       wedges.push(...initiativeWedges);
 
+      // PRIORITY 7: Competitors complained about or under evaluation
+      const competitorWedges = this.detectCompetitorWedges(signals);
+      wedges.push(...competitorWedges);
+
       // Sort wedges by score
       const sortedWedges = wedges.sort((a, b) => b.score - a.score);
 
@@ -75,7 +95,9 @@ class WedgeDetector {
   }
 
   /**
-   * Detect pain point wedges from LinkedIn posts
+   * Detect pain point wedges from LinkedIn posts. Each wedge names the post's
+   * most confident pain label; posts analyzed before pain classification
+   * fall back to their top theme.
    */
   detectPainPointWedges(posts) {
     const wedges = [];
@@ -85,25 +107,33 @@ class WedgeDetector {
     painPointPosts.forEach(post => {
       const daysSincePost = this.getDaysSince(post.post_date);
       const recencyBoost = daysSincePost < 7 ? 0.15 : daysSincePost < 14 ? 0.10 : 0.05;
+      const painPoint = this.primaryPainPoint(post);
+      const pain = painPoint?.name || post.key_themes[0];
 
       wedges.push({
         type: 'linkedin_pain_point',
         score: 0.95 + recencyBoost,
-        description: `Recent LinkedIn post discussing pain points`,
+        description: painPoint
+          ? `Recent LinkedIn post about ${painPoint.name}`
+          : `Recent LinkedIn post discussing pain points`,
         details: {
           postUrl: post.post_url,
           postDate: post.post_date,
           daysSince: daysSincePost,
           themes: post.key_themes,
+          painPoint,
+          painPoints: post.pain_points || [],
           engagement: post.engagement_count,
           content_preview: post.post_content.substring(0, 200)
         },
         openingHook: this.generatePainPointHook(post),
         timingRationale: `Posted ${daysSincePost} days ago with ${post.engagement_count} engagements - indicates active, shared pain point`,
         conversationStarters: [
-          `Saw your recent post about ${post.key_themes[0] || 'challenges'}`,
-          `The ${post.engagement_count} responses to your post show this is a common issue`,
-          `Your point about ${post.key_themes[0] || 'the problem'} really resonated`
+          `Saw your recent post about ${pain || 'challenges'}`,
+          `The ${post.engagement_count} responses to your post show ${pain ? `${pain} is` : 'this is'} a common issue`,
+          painPoint
+            ? `Your point that "${painPoint.evidence.text}" really resonated`
+            : `Your point about ${pain || 'the problem'} really resonated`
         ]
       });
     });
@@ -121,6 +151,7 @@ class WedgeDetector {
 
     buyingSignalPosts.forEach(post => {
       const daysSince = this.getDaysSince(post.post_date);
+      const painPoint = this.primaryPainPoint(post);
 
       wedges.push({
         type: 'linkedin_buying_signal',
@@ -130,12 +161,13 @@ class WedgeDetector {
           postUrl: post.post_url,
           postDate: post.post_date,
           daysSince,
+          painPoint,
           content_preview: post.post_content.substring(0, 200)
         },
         openingHook: `Saw you're looking for ${this.extractBuyingIntent(post.post_content)} - happy to share what's worked for similar companies`,
         timingRationale: `Active evaluation happening now - posted ${daysSince} days ago`,
         conversationStarters: [
-          `Saw your question about solutions for ${post.key_themes[0]}`,
+          `Saw your question about solutions for ${painPoint?.name || post.key_themes[0] || 'this'}`,
           `Happy to share how similar companies approached this`,
           `Would love to share what we've learned from others in your situation`
         ]
@@ -147,8 +179,9 @@ class WedgeDetector {
 
   /**
    * Detect job change timing wedges
+   * @param {Object} career - careerHistory.analyze() features, when the work history is known
    */
-  detectJobChangeWedges(profile, signals) {
+  detectJobChangeWedges(profile, signals, career = null) {
     const wedges = [];
 
     if (!profile || !profile.current_position_tenure_months) {
@@ -157,20 +190,32 @@ class WedgeDetector {
 
     const tenureMonths = profile.current_position_tenure_months;
 
+    // A new title at the same company is a promotion, not a new employer
+    const companyTenureMonths = career?.current_company_tenure_months || null;
+    const internalMove = companyTenureMonths !== null && companyTenureMonths > tenureMonths;
+
     // Recent job change (< 6 months)
     if (tenureMonths < 6) {
       wedges.push({
         type: 'linkedin_job_change_recent',
         score: 0.90,
-        description: `Recently joined company ${tenureMonths} months ago`,
+        description: internalMove
+          ? `Moved into ${career.current_title || 'a new role'} ${tenureMonths} months ago after ${companyTenureMonths - tenureMonths} months at the company`
+          : `Recently joined company ${tenureMonths} months ago`,
         details: {
           tenureMonths,
+          companyTenureMonths,
+          internalMove,
           phase: 'evaluation'
         },
         openingHook: `Congrats on the new role! Curious how you're approaching [relevant challenge] as you get settled`,
-        timingRationale: `${tenureMonths} months in - still in evaluation phase, likely reviewing tech stack`,
+        timingRationale: internalMove
+          ? `${tenureMonths} months into an expanded remit - new owners revisit what they inherited`
+          : `${tenureMonths} months in - still in evaluation phase, likely reviewing tech stack`,
         conversationStarters: [
-          `Congrats on joining ${profile.current_company || 'your company'}`,
+          internalMove
+            ? `Congrats on the move to ${career.current_title || 'your new role'}`
+            : `Congrats on joining ${profile.current_company || 'your company'}`,
           `Curious what you're prioritizing in your first few months`,
           `How are you thinking about [relevant area] in your new role`
         ]
@@ -340,6 +385,72 @@ class WedgeDetector {
     return wedges;
   }
 
+  /**
+   * Detect competitor displacement wedges from competitor_mention signals.
+   * A competitor named in several sources yields one wedge from its
+   * strongest stance; praise means an entrenched incumbent, not an opening.
+   */
+  detectCompetitorWedges(signals) {
+    const wedges = [];
+    const byCompetitor = new Map();
+
+    signals
+      .filter(s => s.signal_type === 'competitor_mention' && s.raw_data?.stance !== 'praising')
+      .forEach(signal => {
+        const best = byCompetitor.get(signal.raw_data.competitorId);
+        const stance = signal.raw_data.stance;
+        if (!best || COMPETITOR_WEDGE_SCORES[stance] > COMPETITOR_WEDGE_SCORES[best.raw_data.stance]) {
+          byCompetitor.set(signal.raw_data.competitorId, signal);
+        }
+      });
+
+    byCompetitor.forEach(signal => {
+      const { competitor, displacesCategory, stance, context, source } = signal.raw_data;
+      const category = displacesCategory || 'your current tool';
+      const where = COMPETITOR_SOURCE_PHRASES[source] || 'recently';
+
+      const hooks = {
+        complaining: {
+          openingHook: `Saw ${where} that ${competitor} has been a source of friction - curious whether it's the tool or how it fits your workflow`,
+          timingRationale: `Active frustration with ${competitor} - the team is open to replacing ${category} now`
+        },
+        evaluating: {
+          openingHook: `Noticed ${where} you're weighing options around ${competitor} - happy to share how teams compare ${category} tools`,
+          timingRationale: `Evaluation in progress - a shortlist is forming for ${category}`
+        },
+        neutral: {
+          openingHook: `Looks like ${competitor} is part of your stack - curious how it's holding up as you scale`,
+          timingRationale: `Known incumbent for ${category} - frames the conversation around what it doesn't cover`
+        }
+      };
+
+      wedges.push({
+        type: 'competitor_displacement',
+        score: COMPETITOR_WEDGE_SCORES[stance],
+        description: stance === 'neutral'
+          ? `Uses or discussed ${competitor} (${category})`
+          : `${stance === 'complaining' ? 'Frustrated with' : 'Evaluating alternatives to'} ${competitor} (${category})`,
+        details: {
+          competitor,
+          competitorId: signal.raw_data.competitorId,
+          stance,
+          context,
+          displacesCategory,
+          source,
+          sourceRef: signal.source_ref || null
+        },
+        ...hooks[stance],
+        conversationStarters: [
+          `What's working and what isn't with ${competitor}`,
+          `What would a better ${category} setup look like for your team`,
+          `How are you measuring the impact of ${category} today`
+        ]
+      });
+    });
+
+    return wedges;
+  }
+
   // ===== HELPER METHODS =====
 
   getDaysSince(date) {
@@ -347,8 +458,16 @@ class WedgeDetector {
   }
 
   generatePainPointHook(post) {
-    const theme = post.key_themes[0] || 'this challenge';
-    return `Saw your recent post about ${theme} - the ${post.engagement_count} responses show it's a common frustration. We've helped similar companies tackle this.`;
+    const pain = this.primaryPainPoint(post)?.name || post.key_themes[0] || 'this challenge';
+    return `Saw your recent post about ${pain} - the ${post.engagement_count} responses show it's a common frustration. We've helped similar companies tackle this.`;
+  }
+
+  /**
+   * The post's most confident pain label (classified posts list them best first)
+   * @returns {Object|null} { label, name, confidence, evidence }
+   */
+  primaryPainPoint(post) {
+    return post.pain_points?.[0] || null;
   }
 
   extractBuyingIntent(content) {
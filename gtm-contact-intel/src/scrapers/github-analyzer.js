@@ -1,6 +1,6 @@
 const axios = require('axios');
 const config = require('../../config/config');
-const { githubQueries, signalQueries } = require('../db/queries');
+const techStackTracker = require('../processors/tech-stack-tracker');
 
 /**
  * GitHub Analyzer
@@ -21,80 +21,20 @@ class GitHubAnalyzer {
   }
 
   /**
-   * Research contact's GitHub activity
-   * @param {number} contactId - Database contact ID
-   * @param {string} fullName - Contact's full name
-   * @param {string} company - Current company
-   * @returns {Promise<Object>} GitHub intelligence
+   * Record tools named in repository names, descriptions and topics
    */
-  async researchContact(contactId, fullName, company = null) {
-    console.log(`Starting GitHub research for contact ${contactId}`);
-
-    try {
-      // Step 1: Search for GitHub username
-      const username = await this.findGitHubUsername(fullName, company);
-
-      if (!username) {
-        console.log(`No GitHub profile found for ${fullName}`);
-        return {
-          success: false,
-          error: 'GitHub profile not found'
-        };
-      }
-
-      // Step 2: Fetch profile data
-      const profile = await this.fetchProfile(username);
-
-      // Step 3: Fetch repositories
-      const repos = await this.fetchRepositories(username);
-
-      // Step 4: Fetch recent activity
-      const events = await this.fetchRecentEvents(username);
-
-      // Step 5: Analyze activity
-      const analysis = this.analyzeActivity(profile, repos, events);
-
-      // Step 6: Calculate activity score
-      const activityScore = this.calculateActivityScore(profile, repos, events);
-
-      // Step 7: Save to database
-      const githubData = {
-        github_username: username,
-        profile_url: profile.html_url,
-        followers: profile.followers,
-        following: profile.following,
-        public_repos: profile.public_repos,
-        contribution_count: events.length,
-        primary_languages: analysis.languages,
-        recent_repos: analysis.recentRepos,
-        activity_summary: analysis.summary,
-        last_commit_date: analysis.lastCommitDate,
-        technical_focus_areas: analysis.focusAreas,
-        activity_score: activityScore,
-        raw_profile_data: profile
-      };
-
-      await githubQueries.saveActivity(contactId, githubData);
-
-      // Step 8: Create intelligence signals
-      await this.createIntelligenceSignals(contactId, githubData, analysis);
-
-      console.log(`GitHub research completed for contact ${contactId}`);
-
-      return {
-        success: true,
-        username,
-        activityScore,
-        analysis
-      };
-
-    } catch (error) {
-      console.error(`GitHub research failed for contact ${contactId}:`, error.message);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  async recordTechStack(companyDomain, repos) {
+    if (!companyDomain) return;
+
+    await techStackTracker.recordDetections(
+      companyDomain,
+      'github',
+      repos.map(repo => ({
+        text: [repo.name.replace(/[-_]/g, ' '), repo.description, ...(repo.topics || [])].filter(Boolean).join(' '),
+        key: repo.full_name,
+        evidence: { repo: repo.full_name, url: repo.html_url }
+      }))
+    );
   }
 
   /**
@@ -327,9 +267,10 @@ class GitHubAnalyzer {
   }
 
   /**
-   * Create intelligence signals from GitHub data
+   * Build intelligence signals from GitHub data
+   * (recorded by the GitHub source adapter)
    */
-  async createIntelligenceSignals(contactId, githubData, analysis) {
+  buildSignals(githubData, analysis) {
     const signals = [];
 
     // Signal 1: Recent activity
@@ -341,6 +282,7 @@ class GitHubAnalyzer {
       if (daysSinceCommit < 7) {
         signals.push({
           signal_type: 'github_activity',
+          signal_key: 'recent_commits',
           signal_category: 'technical',
           description: `Active on GitHub - last commit ${daysSinceCommit} days ago. Technical buyer who evaluates tools hands-on.`,
           relevance_score: 0.85,
@@ -355,6 +297,7 @@ class GitHubAnalyzer {
     if (analysis.focusAreas.length > 0) {
       signals.push({
         signal_type: 'github_activity',
+        signal_key: 'focus_areas',
         signal_category: 'technical',
         description: `Technical expertise in: ${analysis.focusAreas.join(', ')}. Can discuss technical implementation details.`,
         relevance_score: 0.75,
@@ -368,6 +311,7 @@ class GitHubAnalyzer {
     if (githubData.followers > 100) {
       signals.push({
         signal_type: 'github_activity',
+        signal_key: 'followers',
         signal_category: 'technical',
         description: `${githubData.followers} GitHub followers - technical influencer. Could become advocate if product fits.`,
         relevance_score: 0.80,
@@ -381,6 +325,7 @@ class GitHubAnalyzer {
     if (analysis.focusAreas.includes('API Development')) {
       signals.push({
         signal_type: 'github_activity',
+        signal_key: 'api_focus',
         signal_category: 'technical',
         description: `Works with APIs - likely values good API documentation and developer experience. Recent API-related repositories.`,
         relevance_score: 0.85,
@@ -390,13 +335,6 @@ class GitHubAnalyzer {
       });
     }
 
-    // Save signals
-    for (const signal of signals) {
-      await signalQueries.createSignal(contactId, signal);
-    }
-
-    console.log(`Created ${signals.length} GitHub intelligence signals for contact ${contactId}`);
-
     return signals;
   }
 }
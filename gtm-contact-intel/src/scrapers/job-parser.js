@@ -1,6 +1,9 @@
 const firecrawl = require('./firecrawl-client');
-const { companyQueries, signalQueries } = require('../db/queries');
+const { companyQueries } = require('../db/queries');
 const config = require('../../config/config');
+const techStackTracker = require('../processors/tech-stack-tracker');
+const competitorDetector = require('../processors/competitor-detector');
+const painClassifier = require('../processors/pain-classifier');
 
 /**
  * Job Posting Parser
@@ -16,82 +19,105 @@ class JobParser {
   }
 
   /**
-   * Research company job postings
-   * @param {number} contactId - Database contact ID
+   * Scrape the company's careers pages, trying each likely URL until one
+   * lists jobs
    * @param {string} companyDomain - Company domain
    * @param {string} companyName - Company name
-   * @returns {Promise<Object>} Job posting intelligence
+   * @returns {Promise<Array>} Raw job postings (empty when none were found)
    */
-  async researchCompany(contactId, companyDomain, companyName) {
-    console.log(`Starting job posting research for company ${companyDomain}`);
-
-    try {
-      // Construct careers page URLs to try
-      const careerUrls = this.constructCareerUrls(companyDomain, companyName);
-
-      let jobPostings = [];
-
-      // Try each career URL
-      for (const url of careerUrls) {
-        try {
-          const scrapedJobs = await this.scrapeCareerPage(url);
-          if (scrapedJobs.length > 0) {
-            jobPostings = scrapedJobs;
-            break; // Found jobs, stop trying
-          }
-        } catch (error) {
-          console.log(`Failed to scrape ${url}, trying next URL...`);
-          continue;
+  async scrapeJobPostings(companyDomain, companyName) {
+    const careerUrls = this.constructCareerUrls(companyDomain, companyName);
+
+    for (const url of careerUrls) {
+      try {
+        const scrapedJobs = await this.scrapeCareerPage(url);
+        if (scrapedJobs.length > 0) {
+          return scrapedJobs;
         }
+      } catch (error) {
+        console.log(`Failed to scrape ${url}, trying next URL...`);
       }
+    }
 
-      if (jobPostings.length === 0) {
-        console.log(`No job postings found for ${companyDomain}`);
-        return {
-          success: false,
-          error: 'No job postings found',
-          analyzed: 0
-        };
-      }
+    return [];
+  }
 
-      // Analyze job postings
-      const analyzedJobs = jobPostings.map(job => this.analyzeJobPosting(job, companyDomain));
+  /**
+   * Whether the company's careers pages were scraped within the freshness window
+   */
+  isJobDataFresh(company) {
+    if (!company?.jobs_scraped_at) return false;
 
-      // Filter for GTM-relevant jobs
-      const gtmRelevantJobs = analyzedJobs.filter(job =>
-        this.gtmDepartments.some(dept =>
-          job.department?.toLowerCase().includes(dept.toLowerCase()) ||
-          job.job_title?.toLowerCase().includes(dept.toLowerCase())
-        )
-      );
+    const ageMs = Date.now() - new Date(company.jobs_scraped_at).getTime();
+    return ageMs < config.scraping.companyJobsFreshnessDays * 24 * 60 * 60 * 1000;
+  }
 
-      // Save job postings to database
-      for (const job of gtmRelevantJobs) {
-        await companyQueries.saveJobPosting(job);
-      }
+  /**
+   * The company's stored GTM job postings, shaped like freshly analyzed ones
+   */
+  async loadStoredJobPostings(companyDomain) {
+    return (await companyQueries.getJobPostingsByCompany(companyDomain)).map(job => ({
+      ...job,
+      initiative_signals: job.initiative_signals || [],
+      tech_stack_mentions: job.tech_stack_mentions || [],
+      urgency_indicators: job.urgency_indicators || [],
+      pain_points: job.pain_points || []
+    }));
+  }
 
-      // Create intelligence signals
-      if (gtmRelevantJobs.length > 0) {
-        await this.createIntelligenceSignals(contactId, companyDomain, gtmRelevantJobs);
-      }
+  /**
+   * Whether an analyzed job posting is a GTM role
+   */
+  isGtmRelevant(job) {
+    return this.gtmDepartments.some(dept =>
+      job.department?.toLowerCase().includes(dept.toLowerCase()) ||
+      job.job_title?.toLowerCase().includes(dept.toLowerCase())
+    );
+  }
 
-      console.log(`Analyzed ${gtmRelevantJobs.length} GTM-relevant job postings for ${companyDomain}`);
+  /**
+   * Record tools mentioned in the company's current job postings.
+   * The postings are a full snapshot, so tools no longer mentioned are retired.
+   */
+  async saveTechStack(companyDomain, jobs) {
+    await techStackTracker.recordDetections(
+      companyDomain,
+      'job_posting',
+      jobs.map(job => ({
+        text: `${job.job_title} ${job.raw_job_data?.raw_content || ''}`,
+        key: job.job_url,
+        evidence: { job_title: job.job_title, job_url: job.job_url }
+      })),
+      { snapshot: true }
+    );
+  }
 
-      return {
-        success: true,
-        totalJobs: jobPostings.length,
-        gtmRelevantJobs: gtmRelevantJobs.length,
-        analyzed: gtmRelevantJobs.length
-      };
+  /**
+   * Attach the competitors each posting names (e.g. "experience migrating
+   * off Outreach") as job.competitor_mentions
+   */
+  async detectCompetitors(jobs) {
+    const catalogue = await competitorDetector.getCatalogue();
+
+    return jobs.map(job => ({
+      ...job,
+      competitor_mentions: competitorDetector.detect(
+        `${job.job_title}. ${job.raw_job_data?.raw_content || ''}`,
+        catalogue,
+        { source_ref: job.job_url, mentioned_at: job.posted_date }
+      )
+    }));
+  }
 
-    } catch (error) {
-      console.error(`Job posting research failed for ${companyDomain}:`, error.message);
-      return {
-        success: false,
-        error: error.message,
-        analyzed: 0
-      };
-    }
+  /**
+   * Store the postings' competitor mentions. The postings are a full
+   * snapshot, so mentions from postings that are gone are removed.
+   */
+  async saveCompetitorMentions(companyDomain, jobs) {
+    await competitorDetector.recordMentions(
+      { source: 'job_posting', companyDomain },
+      jobs.flatMap(job => job.competitor_mentions || [])
+    );
   }
 
   /**
@@ -225,6 +251,14 @@ class JobParser {
     // Generate requirements summary
     const requirementsSummary = this.summarizeRequirements(job.raw_content);
 
+    // Pains the hire is meant to fix ("clean up our CRM data", "improve forecast accuracy").
+    // Classified as stored, so evidence offsets point into the saved fields.
+    const storedContent = job.raw_content.substring(0, 2000);
+    const painPoints = painClassifier.classifyFields([
+      { field: 'job_title', text: job.job_title },
+      { field: 'raw_job_data.raw_content', text: storedContent }
+    ]);
+
     return {
       company_domain: companyDomain,
       job_title: job.job_title,
@@ -236,8 +270,9 @@ class JobParser {
       tech_stack_mentions: techStackMentions,
       urgency_indicators: urgencyIndicators,
       requirements_summary: requirementsSummary,
+      pain_points: painPoints,
       raw_job_data: {
-        raw_content: job.raw_content.substring(0, 2000),
+        raw_content: storedContent,
         scrapedAt: new Date().toISOString()
       }
     };
@@ -300,15 +335,7 @@ class JobParser {
    * Extract tech stack mentions
    */
   extractTechStack(content) {
-    const tools = [];
-
-    this.gtmKeywords.tools.forEach(tool => {
-      if (content.includes(tool.toLowerCase())) {
-        tools.push(tool);
-      }
-    });
-
-    return tools;
+    return techStackTracker.detectTools(content);
   }
 
   /**
@@ -347,15 +374,17 @@ class JobParser {
   }
 
   /**
-   * Create intelligence signals from job postings
+   * Build intelligence signals from the company's GTM job postings
+   * (recorded by the jobs source adapter)
    */
-  async createIntelligenceSignals(contactId, companyDomain, jobs) {
+  buildSignals(jobs) {
     const signals = [];
 
     // Signal 1: High volume of GTM hiring
     if (jobs.length >= 3) {
       signals.push({
         signal_type: 'company_hiring',
+        signal_key: 'gtm_hiring_volume',
         signal_category: 'timing_trigger',
         description: `Company is hiring ${jobs.length} GTM roles: ${jobs.map(j => j.job_title).slice(0, 3).join(', ')}. Indicates growth and potential budget for new tools.`,
         relevance_score: 0.85,
@@ -376,6 +405,7 @@ class JobParser {
     if (seniorHires.length > 0) {
       signals.push({
         signal_type: 'company_hiring',
+        signal_key: 'senior_hiring',
         signal_category: 'timing_trigger',
         description: `Hiring senior GTM roles: ${seniorHires.map(j => j.job_title).join(', ')}. New leaders often bring budget for new tools.`,
         relevance_score: 0.90,
@@ -393,6 +423,7 @@ class JobParser {
 
       signals.push({
         signal_type: 'company_initiatives',
+        signal_key: 'initiatives',
         signal_category: 'buying_signal',
         description: `Company initiatives detected in job postings: ${allInitiatives.join(', ')}. Indicates active transformation and tool evaluation.`,
         relevance_score: 0.88,
@@ -410,6 +441,7 @@ class JobParser {
 
       signals.push({
         signal_type: 'company_tech_stack',
+        signal_key: 'tech_stack',
         signal_category: 'competitive',
         description: `Current tech stack: ${techStack.join(', ')}. Potential displacement opportunities.`,
         relevance_score: 0.80,
@@ -425,6 +457,7 @@ class JobParser {
     if (urgentJobs.length > 0) {
       signals.push({
         signal_type: 'company_hiring',
+        signal_key: 'hiring_urgency',
         signal_category: 'timing_trigger',
         description: `${urgentJobs.length} jobs posted with urgency indicators: ${urgentJobs[0].urgency_indicators.join(', ')}. Company is moving fast.`,
         relevance_score: 0.85,
@@ -434,12 +467,17 @@ class JobParser {
       });
     }
 
-    // Save signals
-    for (const signal of signals) {
-      await signalQueries.createSignal(contactId, signal);
-    }
-
-    console.log(`Created ${signals.length} job posting signals for contact ${contactId}`);
+    // Signal 6: Competitors named in postings, one per competitor
+    signals.push(...competitorDetector.buildSignals(
+      jobs.flatMap(j => j.competitor_mentions || []),
+      'job_posting'
+    ));
+
+    // Signal 7: Pains the company is hiring to fix, one per pain
+    signals.push(...painClassifier.buildSignals(
+      jobs.map(j => ({ pain_points: j.pain_points, source_ref: j.job_url, observed_at: j.posted_date })),
+      'job_posting'
+    ));
 
     return signals;
   }
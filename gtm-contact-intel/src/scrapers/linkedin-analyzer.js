@@ -1,80 +1,49 @@
 const firecrawl = require('./firecrawl-client');
-const { linkedinQueries, signalQueries } = require('../db/queries');
+const linkedinPostParser = require('./linkedin-post-parser');
+const linkedinExperienceParser = require('./linkedin-experience-parser');
 const config = require('../../config/config');
-const natural = require('natural');
+const techStackTracker = require('../processors/tech-stack-tracker');
+const profileChangeDetector = require('../processors/profile-change-detector');
+const careerHistory = require('../processors/career-history');
+const competitorDetector = require('../processors/competitor-detector');
+const sentimentAnalyzer = require('../processors/sentiment-analyzer');
+const themeExtractor = require('../processors/theme-extractor');
+const painClassifier = require('../processors/pain-classifier');
 const cheerio = require('cheerio');
 
+// Feed item activity -> linkedin_engagement.engagement_type. Reposts and
+// shares are engagements with the original author as well as the contact's posts.
+const ENGAGEMENT_TYPES = {
+  comment: 'commented',
+  reaction: 'liked'
+};
+
+const CONTENT_PREVIEW_LENGTH = 500;
+
 /**
  * LinkedIn Analyzer - PRIMARY INTELLIGENCE SOURCE
  * Scrapes and analyzes LinkedIn profiles, posts, and engagement patterns
  */
 class LinkedInAnalyzer {
   constructor() {
-    this.tokenizer = new natural.WordTokenizer();
-    this.tfidf = new natural.TfIdf();
     this.gtmKeywords = config.gtmTopics;
   }
 
   /**
-   * Main orchestration method - Research a contact's LinkedIn activity
-   * @param {number} contactId - Database contact ID
-   * @param {string} linkedinUrl - LinkedIn profile URL
-   * @returns {Promise<Object>} Complete LinkedIn intelligence
+   * Record tools the contact posts about as weak evidence of their company's stack
    */
-  async researchContact(contactId, linkedinUrl) {
-    console.log(`Starting LinkedIn research for contact ${contactId}`);
-
-    try {
-      // Step 1: Scrape profile
-      console.log('Scraping LinkedIn profile...');
-      const profileData = await this.scrapeProfile(linkedinUrl);
-
-      if (!profileData.success) {
-        throw new Error('Failed to scrape LinkedIn profile');
-      }
-
-      // Step 2: Parse profile data
-      const profile = await this.parseProfile(profileData);
-
-      // Step 3: Scrape recent posts
-      console.log('Scraping LinkedIn posts...');
-      const postsData = await this.scrapeRecentPosts(linkedinUrl);
-      const posts = await this.parseAndAnalyzePosts(postsData);
-
-      // Step 4: Analyze engagement patterns (from posts)
-      const engagementPatterns = this.analyzeEngagement(posts);
-
-      // Step 5: Calculate influence score
-      const influenceScore = this.calculateInfluenceScore(profile, posts);
-      profile.influence_score = influenceScore;
-
-      // Step 6: Save all data to database
-      await this.saveProfileData(contactId, profile);
-      if (posts.length > 0) {
-        await linkedinQueries.savePosts(contactId, posts);
-      }
-
-      // Step 7: Generate intelligence signals
-      await this.createIntelligenceSignals(contactId, profile, posts, engagementPatterns);
-
-      console.log(`LinkedIn research completed for contact ${contactId}`);
-
-      return {
-        success: true,
-        profile,
-        posts,
-        postsAnalyzed: posts.length,
-        influenceScore,
-        engagementPatterns
-      };
-
-    } catch (error) {
-      console.error(`LinkedIn research failed for contact ${contactId}:`, error.message);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  async recordTechStack(companyDomain, posts) {
+    if (!companyDomain) return;
+
+    await techStackTracker.recordDetections(
+      companyDomain,
+      'linkedin_post',
+      posts.map(post => ({
+        text: post.post_content,
+        key: post.post_url,
+        evidence: { post_url: post.post_url, post_date: post.post_date }
+      }))
+    );
   }
 
   /**
@@ -100,6 +69,7 @@ class LinkedInAnalyzer {
 
     const markdown = profileData.markdown || '';
     const $ = cheerio.load(profileData.html || '');
+    const positions = linkedinExperienceParser.parse(profileData);
 
     // Extract profile information from markdown/HTML
     // This is a simplified parser - real implementation would be more sophisticated
@@ -109,8 +79,8 @@ class LinkedInAnalyzer {
       location: this.extractLocation(markdown),
       connections_count: this.extractConnectionsCount(markdown),
       followers_count: this.extractFollowersCount(markdown),
-      current_position_tenure_months: this.calculateTenure(markdown),
-      previous_companies: this.extractPreviousCompanies(markdown),
+      ...this.careerFields(positions),
+      positions,
       skills: this.extractSkills(markdown),
       certifications: this.extractCertifications(markdown),
       education: this.extractEducation(markdown),
@@ -124,6 +94,18 @@ class LinkedInAnalyzer {
     return profile;
   }
 
+  /**
+   * Profile fields derived from the work history
+   * @param {Array<Object>} positions - Parsed positions or linkedin_positions rows
+   */
+  careerFields(positions) {
+    return {
+      current_position_tenure_months: careerHistory.currentTenureMonths(positions),
+      current_position_start_month: careerHistory.currentPosition(positions)?.start_month || null,
+      previous_companies: careerHistory.previousCompanies(positions)
+    };
+  }
+
   /**
    * Scrape recent LinkedIn posts
    */
@@ -142,118 +124,206 @@ class LinkedInAnalyzer {
   }
 
   /**
-   * Parse and analyze posts
+   * Feed items from a scraped recent-activity page: the contact's posts and
+   * reposts, and their comments and reactions on other people's posts
    */
-  async parseAndAnalyzePosts(postsData) {
-    if (!postsData.success || !postsData.markdown) {
-      return [];
-    }
+  parseActivity(postsData) {
+    return postsData.success ? linkedinPostParser.parse(postsData) : [];
+  }
 
-    const markdown = postsData.markdown;
+  /**
+   * Analyze the contact's posts. Only their own posts and reposts are
+   * kept - comments and reactions on other people's posts are not theirs
+   * (they become engagements, see buildEngagements()).
+   * @param {Array<Object>} items - From parseActivity()
+   */
+  async analyzePosts(items) {
+    const posts = items.filter(post => post.activity_type === 'post' || post.activity_type === 'repost');
 
-    // Parse posts from markdown
-    // This is simplified - real implementation would parse LinkedIn's HTML structure
-    const posts = this.extractPostsFromMarkdown(markdown);
+    const catalogue = await competitorDetector.getCatalogue();
+    const corpus = await themeExtractor.getCorpus();
 
     // Analyze each post
     const analyzedPosts = posts.map(post => {
-      const analysis = this.analyzePostContent(post.post_content);
+      const analysis = this.analyzePostContent(post.post_content, catalogue, {
+        source_ref: post.post_url,
+        mentioned_at: post.post_date
+      }, corpus);
 
       return {
         ...post,
         topics_detected: analysis.topics,
-        sentiment: analysis.sentiment,
-        key_themes: analysis.themes,
+        sentiment: analysis.sentiment.label,
+        sentiment_score: analysis.sentiment.score,
+        aspect_sentiment: analysis.sentiment.aspects,
+        key_themes: analysis.themes.map(t => t.theme),
+        theme_scores: analysis.themes,
         mentions_competitors: analysis.mentionsCompetitors,
+        competitor_mentions: analysis.competitorMentions,
         mentions_pain_points: analysis.mentionsPainPoints,
+        pain_points: analysis.painPoints,
         mentions_buying_signals: analysis.mentionsBuyingSignals,
         raw_post_data: {
           originalContent: post.post_content,
+          activityType: post.activity_type,
           analyzedAt: new Date().toISOString()
         }
       };
     });
 
-    // Filter to recent posts only
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - config.scraping.linkedinPostLookbackDays);
-
+    // Posts without a readable date can't be placed in the lookback window
     const recentPosts = analyzedPosts
-      .filter(p => new Date(p.post_date) >= cutoffDate)
+      .filter(p => this.isWithinLookback(p.post_date))
       .slice(0, config.scraping.maxLinkedinPostsPerProfile);
 
     return recentPosts;
   }
 
+  isWithinLookback(date) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - config.scraping.linkedinPostLookbackDays);
+
+    return Boolean(date) && new Date(date) >= cutoffDate;
+  }
+
+  /**
+   * Who the contact engaged with: the author of each post they commented on
+   * or reacted to, and the original author of each post they reshared
+   * @param {Array<Object>} items - From parseActivity()
+   * @returns {Array<Object>} Engagements for linkedinQueries.saveEngagements()
+   */
+  buildEngagements(items) {
+    const engagements = [];
+    const seen = new Set();
+
+    items.forEach(item => {
+      const type = ENGAGEMENT_TYPES[item.activity_type] ||
+        (item.reshared_author_name || item.reshared_author_url ? 'shared' : null);
+      if (!type || !this.isWithinLookback(item.post_date)) return;
+
+      // A repost's author line is the original author; a share's is the contact
+      const target = type === 'shared'
+        ? {
+          name: item.reshared_author_name,
+          url: item.reshared_author_url,
+          headline: item.post_type === 'repost' ? item.author_headline : null
+        }
+        : { name: item.author_name, url: item.author_url, headline: item.author_headline };
+
+      const engagement = this.buildEngagement({
+        engagement_type: type,
+        target_name: target.name,
+        target_url: target.url,
+        target_headline: target.headline,
+        post_url: item.post_url,
+        activity_urn: item.activity_urn,
+        content: item.post_content,
+        comment_text: item.comment_text,
+        engagement_date: item.post_date
+      });
+
+      const key = `${engagement?.engagement_type}:${item.post_url}`;
+      if (engagement && !seen.has(key)) {
+        seen.add(key);
+        engagements.push(engagement);
+      }
+    });
+
+    return engagements;
+  }
+
+  /**
+   * One engagement row. The target is a company when its URL is a company
+   * page; a person's company is read from their headline unless given.
+   * @param {Object} fields - { engagement_type, target_name, target_url, target_headline,
+   *   target_company, post_url, activity_urn, content, comment_text, engagement_date, source }
+   * @returns {Object|null} null when there is no one to attribute it to
+   */
+  buildEngagement(fields) {
+    const targetUrl = linkedinPostParser.normalizeProfileUrl(fields.target_url) || fields.target_url || null;
+    if (!fields.target_name && !targetUrl) return null;
+
+    const isCompany = /linkedin\.com\/company\//i.test(targetUrl || '');
+    const targetCompany = fields.target_company ||
+      (isCompany ? fields.target_name : profileChangeDetector.parseHeadline(fields.target_headline).company);
+    const content = fields.content || '';
+
+    return {
+      engagement_type: fields.engagement_type,
+      target_profile: targetUrl,
+      target_name: fields.target_name || null,
+      target_headline: fields.target_headline || null,
+      target_company: targetCompany || null,
+      target_type: isCompany ? 'company' : 'person',
+      content_topic: this.detectTopics(`${content}\n${fields.comment_text || ''}`),
+      engagement_date: fields.engagement_date || null,
+      post_url: fields.post_url || null,
+      activity_urn: fields.activity_urn || null,
+      comment_text: fields.comment_text || null,
+      content_preview: content ? content.substring(0, CONTENT_PREVIEW_LENGTH) : null,
+      source: fields.source || 'linkedin'
+    };
+  }
+
   /**
    * Analyze post content for topics, sentiment, and signals
+   * @param {string} content - Post text
+   * @param {Array} catalogue - Competitor catalogue (competitorDetector.getCatalogue())
+   * @param {Object} document - { source_ref, mentioned_at } for competitor mentions
+   * @param {Object} corpus - Theme corpus (themeExtractor.getCorpus())
    */
-  analyzePostContent(content) {
+  analyzePostContent(content, catalogue = [], document = {}, corpus = undefined) {
     const lowerContent = content.toLowerCase();
 
     // Detect topics
-    const topics = [];
-    const allKeywords = [
-      ...this.gtmKeywords.gtmKeywords,
-      ...this.gtmKeywords.tools,
-      ...this.gtmKeywords.initiatives
-    ];
+    const topics = this.detectTopics(content);
 
-    allKeywords.forEach(keyword => {
-      if (lowerContent.includes(keyword.toLowerCase())) {
-        topics.push(keyword);
-      }
-    });
+    // Keyphrase themes, ranked by TF-IDF against the stored posts
+    const themes = themeExtractor.extract(content, corpus);
 
-    // Extract themes using TF-IDF
-    this.tfidf.addDocument(content);
-    const themes = [];
-    this.tfidf.listTerms(0).slice(0, 5).forEach(item => {
-      if (item.term.length > 3) {
-        themes.push(item.term);
-      }
-    });
-
-    // Detect pain points
-    const mentionsPainPoints = this.gtmKeywords.painPoints.some(keyword =>
+    // Pain keywords ("struggling with") flag the post; the taxonomy labels
+    // say which pains, when a known one is named
+    const mentionsPainKeywords = this.gtmKeywords.painPoints.some(keyword =>
       lowerContent.includes(keyword.toLowerCase())
     );
+    const painPoints = painClassifier.classify(content);
 
     // Detect buying signals
     const mentionsBuyingSignals = this.gtmKeywords.buyingSignals.some(keyword =>
       lowerContent.includes(keyword.toLowerCase())
     );
 
-    // Detect competitor mentions (would need specific competitor list)
-    const mentionsCompetitors = false; // Placeholder
+    // Detect competitor mentions and the stance taken on each
+    const competitorMentions = competitorDetector.detect(content, catalogue, document);
 
-    // Sentiment analysis (simplified)
-    const sentiment = this.analyzeSentiment(content);
+    // Overall sentiment and sentiment toward each tool and topic named
+    const sentiment = sentimentAnalyzer.analyze(content);
 
     return {
-      topics: [...new Set(topics)], // Deduplicate
-      themes: [...new Set(themes)],
-      mentionsPainPoints,
+      topics,
+      themes,
+      mentionsPainPoints: mentionsPainKeywords || painPoints.length > 0,
+      painPoints,
       mentionsBuyingSignals,
-      mentionsCompetitors,
+      mentionsCompetitors: competitorMentions.length > 0,
+      competitorMentions,
       sentiment
     };
   }
 
   /**
-   * Simple sentiment analysis
+   * GTM keywords, tools and initiatives a text names
    */
-  analyzeSentiment(text) {
-    const positiveWords = ['excited', 'great', 'amazing', 'love', 'excellent', 'fantastic', 'successful', 'happy'];
-    const negativeWords = ['frustrated', 'struggling', 'difficult', 'problem', 'broken', 'challenging', 'disappointing'];
-
-    const lowerText = text.toLowerCase();
-    const positiveCount = positiveWords.filter(word => lowerText.includes(word)).length;
-    const negativeCount = negativeWords.filter(word => lowerText.includes(word)).length;
+  detectTopics(content) {
+    const lowerContent = String(content || '').toLowerCase();
+    const allKeywords = [
+      ...this.gtmKeywords.gtmKeywords,
+      ...this.gtmKeywords.tools,
+      ...this.gtmKeywords.initiatives
+    ];
 
-    if (positiveCount > negativeCount) return 'positive';
-    if (negativeCount > positiveCount) return 'negative';
-    return 'neutral';
+    const topics = allKeywords.filter(keyword => lowerContent.includes(keyword.toLowerCase()));
+    return [...new Set(topics)]; // Deduplicate
   }
 
   /**
@@ -278,8 +348,9 @@ class LinkedInAnalyzer {
 
   /**
    * Calculate LinkedIn influence score
+   * @param {Object} weights - Scoring profile influence weights { posting, engagement, network, contentRelevance }
    */
-  calculateInfluenceScore(profile, posts) {
+  calculateInfluenceScore(profile, posts, weights) {
     // Posting frequency score (0-1)
     const postingFrequency = posts.length / 10; // 10+ posts = 1.0
     const postingScore = Math.min(postingFrequency, 1.0);
@@ -303,32 +374,50 @@ class LinkedInAnalyzer {
 
     // Weighted influence score
     const influenceScore = (
-      postingScore * 0.25 +
-      engagementScore * 0.25 +
-      networkScore * 0.25 +
-      relevanceScore * 0.25
+      postingScore * weights.posting +
+      engagementScore * weights.engagement +
+      networkScore * weights.network +
+      relevanceScore * weights.contentRelevance
     );
 
     return Math.round(influenceScore * 100) / 100; // Round to 2 decimals
   }
 
   /**
-   * Save profile data to database
+   * Save profile data to database, recording changes since the last scrape
+   * (job, title, company and location changes become timing_trigger signals)
    */
   async saveProfileData(contactId, profile) {
-    return await linkedinQueries.saveProfile(contactId, profile);
+    return await profileChangeDetector.saveProfile(contactId, profile, 'scrape');
   }
 
   /**
-   * Create intelligence signals from LinkedIn data
+   * Store the posts' competitor mentions, replacing earlier ones from the same posts
    */
-  async createIntelligenceSignals(contactId, profile, posts, engagementPatterns) {
+  async recordCompetitorMentions(contact, posts) {
+    await competitorDetector.recordMentions(
+      {
+        source: 'linkedin_post',
+        contactId: contact.id,
+        companyDomain: contact.company_domain,
+        sourceRefs: posts.map(p => p.post_url)
+      },
+      posts.flatMap(p => p.competitor_mentions || [])
+    );
+  }
+
+  /**
+   * Build intelligence signals from LinkedIn data
+   * (recorded by the LinkedIn source adapter)
+   */
+  buildSignals(profile, posts, engagementPatterns) {
     const signals = [];
 
     // Signal 1: Recent posting activity
     if (posts.length > 5) {
       signals.push({
         signal_type: 'linkedin_activity',
+        signal_key: 'posting_volume',
         signal_category: 'thought_leadership',
         description: `Highly active on LinkedIn with ${posts.length} posts in last ${config.scraping.linkedinPostLookbackDays} days. Average ${engagementPatterns.avgEngagementPerPost} engagements per post.`,
         relevance_score: Math.min(0.9, 0.6 + (posts.length * 0.03)),
@@ -338,31 +427,7 @@ class LinkedInAnalyzer {
       });
     }
 
-    // Signal 2: Recent job change
-    const tenureMonths = profile.current_position_tenure_months || 999;
-    if (tenureMonths < 6) {
-      signals.push({
-        signal_type: 'linkedin_profile_change',
-        signal_category: 'timing_trigger',
-        description: `Recently joined current company (${tenureMonths} months ago) - in evaluation phase`,
-        relevance_score: 0.95,
-        urgency_score: 0.95,
-        wedge_potential: 0.9,
-        raw_data: { tenureMonths }
-      });
-    } else if (tenureMonths >= 6 && tenureMonths <= 12) {
-      signals.push({
-        signal_type: 'linkedin_profile_change',
-        signal_category: 'timing_trigger',
-        description: `${tenureMonths} months into current role - past honeymoon phase, likely evaluating tools`,
-        relevance_score: 0.85,
-        urgency_score: 0.75,
-        wedge_potential: 0.85,
-        raw_data: { tenureMonths }
-      });
-    }
-
-    // Signal 3: Pain point mentions in posts
+    // Signal 2: Pain point mentions in posts
     const painPointPosts = posts.filter(p => p.mentions_pain_points);
     if (painPointPosts.length > 0) {
       const latestPainPost = painPointPosts[0]; // Most recent
@@ -370,10 +435,15 @@ class LinkedInAnalyzer {
         (Date.now() - new Date(latestPainPost.post_date)) / (1000 * 60 * 60 * 24)
       );
 
+      const painNames = (latestPainPost.pain_points || []).map(p => p.name);
+
       signals.push({
         signal_type: 'linkedin_content',
+        signal_key: 'latest_pain_point',
+        source_ref: latestPainPost.post_url,
+        observed_at: latestPainPost.post_date,
         signal_category: 'buying_signal',
-        description: `Recently discussed challenges: "${latestPainPost.key_themes.join(', ')}". Posted ${daysSincePost} days ago with ${latestPainPost.engagement_count} engagements - indicates active pain point.`,
+        description: `Recently discussed ${painNames.join(', ') || 'challenges'}: "${latestPainPost.pain_points?.[0]?.evidence.text || latestPainPost.key_themes.join(', ')}". Posted ${daysSincePost} days ago with ${latestPainPost.engagement_count} engagements - indicates active pain point.`,
         relevance_score: 0.95,
         urgency_score: daysSincePost < 7 ? 0.95 : daysSincePost < 14 ? 0.85 : 0.75,
         wedge_potential: 0.95,
@@ -381,17 +451,21 @@ class LinkedInAnalyzer {
           postUrl: latestPainPost.post_url,
           postDate: latestPainPost.post_date,
           themes: latestPainPost.key_themes,
+          painPoints: latestPainPost.pain_points || [],
           engagement: latestPainPost.engagement_count
         }
       });
     }
 
-    // Signal 4: Buying signals in posts
+    // Signal 3: Buying signals in posts
     const buyingSignalPosts = posts.filter(p => p.mentions_buying_signals);
     if (buyingSignalPosts.length > 0) {
       const latestBuyingPost = buyingSignalPosts[0];
       signals.push({
         signal_type: 'linkedin_content',
+        signal_key: 'latest_buying_signal',
+        source_ref: latestBuyingPost.post_url,
+        observed_at: latestBuyingPost.post_date,
         signal_category: 'buying_signal',
         description: `Active buying signals detected: "${latestBuyingPost.post_content.substring(0, 100)}..." - asking for recommendations or evaluating solutions`,
         relevance_score: 0.98,
@@ -404,11 +478,12 @@ class LinkedInAnalyzer {
       });
     }
 
-    // Signal 5: Topic expertise
+    // Signal 4: Topic expertise
     const topTopics = this.extractTopTopics(posts);
     if (topTopics.length > 0) {
       signals.push({
         signal_type: 'linkedin_content',
+        signal_key: 'content_themes',
         signal_category: 'thought_leadership',
         description: `Primary content themes: ${topTopics.slice(0, 5).join(', ')}. Established voice in these areas.`,
         relevance_score: 0.8,
@@ -418,7 +493,7 @@ class LinkedInAnalyzer {
       });
     }
 
-    // Signal 6: High engagement posts (viral content)
+    // Signal 5: High engagement posts (viral content)
     const highEngagementPosts = posts
       .filter(p => (p.engagement_count || 0) > engagementPatterns.avgEngagementPerPost * 2)
       .slice(0, 3);
@@ -426,6 +501,7 @@ class LinkedInAnalyzer {
     if (highEngagementPosts.length > 0) {
       signals.push({
         signal_type: 'linkedin_activity',
+        signal_key: 'high_engagement_posts',
         signal_category: 'thought_leadership',
         description: `${highEngagementPosts.length} posts with 2x average engagement - strong audience resonance on: ${highEngagementPosts.map(p => p.key_themes.slice(0, 2).join(', ')).join('; ')}`,
         relevance_score: 0.85,
@@ -435,10 +511,11 @@ class LinkedInAnalyzer {
       });
     }
 
-    // Signal 7: Influence score
+    // Signal 6: Influence score
     if (profile.influence_score > 0.7) {
       signals.push({
         signal_type: 'linkedin_activity',
+        signal_key: 'influence',
         signal_category: 'thought_leadership',
         description: `High LinkedIn influence score (${profile.influence_score}): ${profile.connections_count}+ connections, regular posting, strong engagement`,
         relevance_score: 0.8,
@@ -452,12 +529,11 @@ class LinkedInAnalyzer {
       });
     }
 
-    // Save all signals to database
-    for (const signal of signals) {
-      await signalQueries.createSignal(contactId, signal);
-    }
-
-    console.log(`Created ${signals.length} LinkedIn intelligence signals for contact ${contactId}`);
+    // Signal 7: Competitor mentions, one per competitor
+    signals.push(...competitorDetector.buildSignals(
+      posts.flatMap(p => p.competitor_mentions || []),
+      'linkedin_post'
+    ));
 
     return signals;
   }
@@ -490,33 +566,6 @@ class LinkedInAnalyzer {
     return match ? parseInt(match[1].replace(/,/g, '')) : null;
   }
 
-  calculateTenure(markdown) {
-    // Simplified tenure calculation
-    // Would need to parse work history section more carefully
-    const currentYearMatch = markdown.match(/(\d{4})\s*[-–]\s*Present/i);
-    if (currentYearMatch) {
-      const startYear = parseInt(currentYearMatch[1]);
-      const currentYear = new Date().getFullYear();
-      return (currentYear - startYear) * 12; // Rough estimate in months
-    }
-    return null;
-  }
-
-  extractPreviousCompanies(markdown) {
-    // Simplified - would parse Experience section
-    const companies = [];
-    const companyMatches = markdown.match(/(?:at|@)\s+([A-Z][a-zA-Z\s&]+?)(?:\n|$)/g);
-    if (companyMatches) {
-      companyMatches.forEach(match => {
-        const company = match.replace(/(?:at|@)\s+/, '').trim();
-        if (company && !companies.includes(company)) {
-          companies.push(company);
-        }
-      });
-    }
-    return companies.slice(0, 5); // Return top 5
-  }
-
   extractSkills(markdown) {
     // Simplified - would parse Skills section
     const skills = [];
@@ -558,34 +607,6 @@ class LinkedInAnalyzer {
     return summarySection ? summarySection[1].trim().substring(0, 1000) : null;
   }
 
-  extractPostsFromMarkdown(markdown) {
-    // Simplified post extraction
-    // Real implementation would parse LinkedIn's post structure
-    const posts = [];
-
-    // This is a placeholder - actual parsing would be more sophisticated
-    const postPattern = /(?:Post|Activity)[\s\S]{0,500}?(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/gi;
-    const matches = markdown.match(postPattern);
-
-    if (matches) {
-      matches.forEach((match, index) => {
-        // Extract basic post data
-        posts.push({
-          post_url: `https://linkedin.com/posts/activity-${index}`, // Placeholder
-          post_date: new Date(), // Would parse from match
-          post_content: match.substring(0, 500),
-          post_type: 'post',
-          engagement_count: Math.floor(Math.random() * 100), // Would parse actual engagement
-          likes_count: null,
-          comments_count: null,
-          shares_count: null
-        });
-      });
-    }
-
-    return posts;
-  }
-
   extractTopTopics(posts) {
     const topicCounts = {};
 
@@ -0,0 +1,336 @@
+const cheerio = require('cheerio');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "Nov 2023", "November 2023" or a bare year
+const DATE_POINT = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s+)?(?:19|20)\\d{2}';
+// "Nov 2023 - Present · 1 yr 5 mos", "2015 – 2018"
+const DATE_RANGE = new RegExp(`^(${DATE_POINT})\\s*[-–—]\\s*(present|current|now|${DATE_POINT})\\b`, 'i');
+
+const EMPLOYMENT_TYPES = [
+  'Full-time', 'Part-time', 'Self-employed', 'Freelance', 'Contract',
+  'Internship', 'Apprenticeship', 'Seasonal', 'Permanent', 'Temporary'
+];
+const EMPLOYMENT_TYPE = new RegExp(`^(${EMPLOYMENT_TYPES.join('|')})$`, 'i');
+const DURATION = '\\d+\\s*(?:yrs?|years?)(?:\\s+\\d+\\s*(?:mos?|months?))?|\\d+\\s*(?:mos?|months?)';
+// A company group header's total time there: "Full-time · 4 yrs 4 mos"
+const GROUP_DURATION = new RegExp(`^(?:(${EMPLOYMENT_TYPES.join('|')})\\s*·\\s*)?(?:${DURATION})$`, 'i');
+
+// Headings that end the Experience section
+const NEXT_SECTION = /^(?:education|licenses & certifications|certifications|skills|volunteering|volunteer experience|projects|publications|honors & awards|languages|recommendations|courses|interests)$/i;
+
+/**
+ * LinkedIn Experience Parser
+ * Extracts structured positions from the Experience section of a Firecrawl
+ * profile scrape. The HTML (public profile markup) is parsed first; the
+ * markdown is the fallback.
+ *
+ * Positions keep the order the profile lists them in. Multiple roles at one
+ * company (a company group) each become a position with the group's company.
+ * Months are 'YYYY-MM' strings; year-only dates are read as January and
+ * marked with date_precision 'year'.
+ */
+class LinkedInExperienceParser {
+  /**
+   * Parse the positions on a scraped profile
+   * @param {Object} scrape - Firecrawl result { html, markdown }
+   * @returns {Array<Object>} Positions, most recent first as listed
+   */
+  parse(scrape) {
+    const fromHtml = scrape?.html ? this.parseHtml(scrape.html) : [];
+    const positions = fromHtml.length > 0
+      ? fromHtml
+      : (scrape?.markdown ? this.parseMarkdown(scrape.markdown) : []);
+
+    return positions.map((position, index) => ({ ...position, position_order: index }));
+  }
+
+  // ===== HTML =====
+
+  parseHtml(html) {
+    const $ = cheerio.load(html);
+    $('br').replaceWith('\n');
+
+    const $section = $('section.experience, section[data-section="experience"]').first();
+    const $root = $section.length > 0 ? $section : $.root();
+    const positions = [];
+
+    $root.find('li.experience-item, li.experience-group').each((_, element) => {
+      const $item = $(element);
+
+      if ($item.hasClass('experience-group')) {
+        const $header = $item.find('.experience-group-header__company').first();
+        const company = {
+          name: this.cleanText($header.text()),
+          url: this.normalizeCompanyUrl($item.find('a[href*="/company/"]').first().attr('href'))
+        };
+
+        $item.find('.experience-group-position').each((_, positionElement) => {
+          const position = this.parseHtmlPosition($, $(positionElement), company);
+          if (position) positions.push(position);
+        });
+      } else {
+        const $subtitle = $item.find('.profile-section-card__subtitle, .experience-item__subtitle').first();
+        const position = this.parseHtmlPosition($, $item, {
+          name: this.cleanText($subtitle.text()),
+          url: this.normalizeCompanyUrl($item.find('a[href*="/company/"]').first().attr('href'))
+        });
+        if (position) positions.push(position);
+      }
+    });
+
+    return positions;
+  }
+
+  parseHtmlPosition($, $item, company) {
+    const $dateRange = $item.find('.date-range').first().clone();
+    $dateRange.find('.date-range__duration').remove();
+    const dates = this.parseDateRange(this.cleanText($dateRange.text()));
+
+    const title = this.cleanText($item.find('.profile-section-card__title, .experience-item__title').first().text());
+    if (!title && !dates) return null;
+
+    return this.buildPosition({
+      title,
+      company,
+      dates,
+      location: this.cleanText($item.find('.experience-item__location, .experience-group-position__location').first().text()),
+      description: this.cleanText($item.find('.show-more-less-text__text--less, .experience-item__description').first().text())
+    });
+  }
+
+  // ===== MARKDOWN =====
+
+  /**
+   * Parse positions from the profile markdown. Entries are anchored on their
+   * date-range lines; the lines before a date range name the role and the
+   * lines after it hold the location and description.
+   */
+  parseMarkdown(markdown) {
+    const lines = this.extractMarkdownSection(markdown);
+    const entries = [];
+    let group = null;
+
+    lines.forEach((line, index) => {
+      // A duration on its own line after a date range is that position's, not a group's
+      const groupMatch = line.text.match(GROUP_DURATION);
+      if (groupMatch && index > 0 && !this.parseDateRange(lines[index - 1].text)) {
+        const companyLine = lines[index - 1];
+        group = {
+          start: index - 1,
+          company: { name: companyLine.text, url: companyLine.companyUrl },
+          employmentType: groupMatch[1] || null
+        };
+        return;
+      }
+
+      const dates = this.parseDateRange(line.text);
+      if (!dates) return;
+
+      const header = this.resolveMarkdownHeader(lines, index, group);
+      if (header.closesGroup) group = null;
+
+      // A line between the group header and its first role is the group's location
+      if (group && group.location === undefined) {
+        const afterHeader = lines[group.start + 2];
+        group.location = afterHeader && afterHeader.index < header.start && this.looksLikeLocation(afterHeader.text)
+          ? afterHeader.text
+          : null;
+      }
+
+      entries.push({ index, dates, group, ...header });
+    });
+
+    return entries.map((entry, i) => {
+      const next = entries[i + 1];
+      // Trailing lines stop where the next entry (or its company group) starts
+      const nextStart = next ? (next.group && next.group !== entry.group ? next.group.start : next.start) : lines.length;
+      const trailing = lines.slice(entry.index + 1, Math.max(nextStart, entry.index + 1)).map(line => line.text);
+
+      let location = null;
+      if (trailing.length > 0 && this.looksLikeLocation(trailing[0])) {
+        location = trailing.shift();
+      }
+
+      return this.buildPosition({
+        title: entry.title,
+        company: entry.company,
+        employmentType: entry.employmentType,
+        dates: entry.dates,
+        location: location || entry.group?.location || null,
+        description: trailing.filter(text => !/^skills:/i.test(text)).join('\n')
+      });
+    });
+  }
+
+  /**
+   * Title and company for the date range at lines[index]
+   *   "Title / Company · Full-time / <dates>"  (signed-in layout)
+   *   "### Title / #### Company / <dates>"     (public layout)
+   *   "Title / <dates>" inside a company group
+   */
+  resolveMarkdownHeader(lines, index, group) {
+    const previous = lines[index - 1];
+    const beforePrevious = lines[index - 2];
+    const companyLine = previous ? this.parseCompanyLine(previous.text) : null;
+
+    if (previous && (companyLine || previous.level === 4)) {
+      return {
+        start: index - 2,
+        title: beforePrevious?.text || null,
+        // The company logo link comes before the title
+        company: {
+          name: companyLine ? companyLine.name : previous.text,
+          url: previous.companyUrl || beforePrevious?.companyUrl || null
+        },
+        employmentType: companyLine?.employmentType || null,
+        closesGroup: true
+      };
+    }
+
+    if (group) {
+      return {
+        start: index - 1,
+        title: previous?.text || null,
+        company: group.company,
+        employmentType: group.employmentType,
+        closesGroup: false
+      };
+    }
+
+    return {
+      start: index - 2,
+      title: beforePrevious?.text || null,
+      company: { name: previous?.text || null, url: previous?.companyUrl || null },
+      employmentType: null,
+      closesGroup: false
+    };
+  }
+
+  /**
+   * The Experience section as plain text lines with their heading level and
+   * any company link they carry
+   */
+  extractMarkdownSection(markdown) {
+    const rawLines = String(markdown).split('\n');
+    const start = rawLines.findIndex(line => /^experience$/i.test(this.stripMarkdown(line)));
+    if (start < 0) return [];
+
+    const lines = [];
+    let pendingUrl = null;
+
+    for (const raw of rawLines.slice(start + 1)) {
+      const text = this.stripMarkdown(raw);
+      const level = (raw.trim().match(/^(?:-\s+)?(#{1,6})\s/) || [])[1]?.length || 0;
+
+      if ((level > 0 && level <= 2) || NEXT_SECTION.test(text)) break;
+
+      const companyUrl = this.normalizeCompanyUrl(raw);
+
+      // Logo lines are a bare company link; the name follows on the next line
+      if (!text) {
+        if (companyUrl) pendingUrl = companyUrl;
+        continue;
+      }
+
+      lines.push({ index: lines.length, text, level, companyUrl: companyUrl || pendingUrl });
+      pendingUrl = null;
+    }
+
+    return lines;
+  }
+
+  /**
+   * "Contoso · Full-time" -> { name, employmentType }
+   */
+  parseCompanyLine(text) {
+    const parts = text.split(/\s+·\s+/);
+    if (parts.length < 2 || !EMPLOYMENT_TYPE.test(parts[parts.length - 1])) return null;
+
+    return {
+      name: parts.slice(0, -1).join(' · '),
+      employmentType: parts[parts.length - 1]
+    };
+  }
+
+  looksLikeLocation(text) {
+    return text.length <= 80 && !/[.!?:]$/.test(text) && !DATE_RANGE.test(text) &&
+      (/,/.test(text) || /\b(?:remote|hybrid|on-site|area|metropolitan)\b/i.test(text));
+  }
+
+  stripMarkdown(line) {
+    return String(line || '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s*[-*]\s+/, '')
+      .replace(/[*_`#>]+/g, '')
+      .trim();
+  }
+
+  // ===== SHARED =====
+
+  buildPosition({ title, company, employmentType = null, dates, location, description }) {
+    return {
+      company_name: company?.name ? company.name.substring(0, 255) : null,
+      company_linkedin_url: company?.url || null,
+      title: title ? title.substring(0, 255) : null,
+      employment_type: employmentType,
+      location: location ? location.substring(0, 255) : null,
+      description: description || null,
+      start_month: dates?.start || null,
+      end_month: dates?.end || null,
+      is_current: dates ? dates.isCurrent : false,
+      date_precision: dates?.precision || 'month'
+    };
+  }
+
+  /**
+   * "Nov 2023 - Present" -> { start: '2023-11', end: null, isCurrent: true, precision: 'month' }
+   * @returns {Object|null} null when the text is not a date range
+   */
+  parseDateRange(text) {
+    const match = String(text || '').match(DATE_RANGE);
+    if (!match) return null;
+
+    const start = this.parseMonth(match[1]);
+    const isCurrent = /^(?:present|current|now)$/i.test(match[2]);
+    const end = isCurrent ? null : this.parseMonth(match[2]);
+
+    return {
+      start: start.month,
+      end: end ? end.month : null,
+      isCurrent,
+      precision: start.precision === 'year' || end?.precision === 'year' ? 'year' : 'month'
+    };
+  }
+
+  /**
+   * "Nov 2023" -> { month: '2023-11', precision: 'month' }; "2021" -> '2021-01', 'year'
+   */
+  parseMonth(text) {
+    const year = text.match(/(?:19|20)\d{2}/)[0];
+    const monthIndex = MONTHS.findIndex(month => text.toLowerCase().startsWith(month));
+
+    return monthIndex >= 0
+      ? { month: `${year}-${String(monthIndex + 1).padStart(2, '0')}`, precision: 'month' }
+      : { month: `${year}-01`, precision: 'year' };
+  }
+
+  normalizeCompanyUrl(href) {
+    if (!href) return null;
+
+    const match = String(href).match(/linkedin\.com\/company\/([^/?#\s)"]+)/i);
+    return match ? `https://www.linkedin.com/company/${match[1]}` : null;
+  }
+
+  cleanText(text) {
+    return String(text || '')
+      .replace(/…\s*(?:see more|more)\s*$/i, '')
+      .replace(/[ \t ]+/g, ' ')
+      .replace(/\s*\n\s*/g, '\n')
+      .replace(/\n{2,}/g, '\n')
+      .trim();
+  }
+}
+
+module.exports = new LinkedInExperienceParser();
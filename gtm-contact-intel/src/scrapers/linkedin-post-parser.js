@@ -0,0 +1,554 @@
+const cheerio = require('cheerio');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Relative timestamps as LinkedIn renders them ("5m", "3h", "2w", "1mo", "1yr")
+// and as screen readers read them ("2 weeks ago")
+const RELATIVE_UNITS = {
+  s: 1000, sec: 1000, second: 1000,
+  m: MINUTE_MS, min: MINUTE_MS, minute: MINUTE_MS,
+  h: HOUR_MS, hr: HOUR_MS, hour: HOUR_MS,
+  d: DAY_MS, day: DAY_MS,
+  w: 7 * DAY_MS, wk: 7 * DAY_MS, week: 7 * DAY_MS,
+  mo: 30 * DAY_MS, month: 30 * DAY_MS,
+  y: 365 * DAY_MS, yr: 365 * DAY_MS, year: 365 * DAY_MS
+};
+const RELATIVE_DATE = /^(?:(just now|now)|(\d+)\s*(mo|months?|yrs?|years?|y|wks?|weeks?|w|days?|d|hrs?|hours?|h|mins?|minutes?|m|secs?|seconds?|s)(?:\s+ago)?)(?=$|[\s•·])/i;
+
+// "Jane Doe reposted this", "Jane Doe commented on this", "Jane Doe likes this"
+const ACTIVITY_HEADERS = [
+  { pattern: /\breposted this\b/i, activityType: 'repost' },
+  { pattern: /\b(?:commented on|replied to)\b/i, activityType: 'comment' },
+  { pattern: /\b(?:likes|loves|celebrates|supports|finds this|reacted to)\b/i, activityType: 'reaction' }
+];
+
+// Activity URNs appear in data-urn attributes, /feed/update/ URLs and /posts/ slugs
+const URN_PATTERN = /urn(?::|%3A)li(?::|%3A)(activity|share|ugcPost)(?::|%3A)(\d{15,20})/i;
+const POST_SLUG_PATTERN = /linkedin\.com\/posts\/[^\s)"']*?-(activity|share|ugcPost)-(\d{15,20})/i;
+
+// Activity IDs hold their creation time (ms since epoch) in the top 41 bits
+const URN_TIMESTAMP_SHIFT = 22n;
+const EARLIEST_URN_TIME = Date.UTC(2010, 0, 1);
+
+/**
+ * LinkedIn Post Parser
+ * Extracts posts from a Firecrawl scrape of a profile's recent-activity page.
+ * The HTML is parsed first; the markdown is the fallback when the HTML is
+ * missing or has no recognisable feed items.
+ *
+ * Each post carries its activity URN and canonical URL, a publish date (exact
+ * when taken from the URN or a <time> element, estimated from relative text
+ * otherwise), reaction, comment and repost counts, its type (post, article,
+ * share, poll or repost), its author and, for reshares, the original author.
+ * Comments and reactions on other people's posts are items too - their
+ * author is the person the contact engaged with, and a comment item carries
+ * the contact's comment when the page shows it.
+ */
+class LinkedInPostParser {
+  /**
+   * Parse a scraped recent-activity page
+   * @param {Object} scrape - Firecrawl result { html, markdown }
+   * @param {Object} options - { now: reference time for relative dates }
+   * @returns {Array<Object>} Feed items, newest first as they appear on the page
+   */
+  parse(scrape, { now = new Date() } = {}) {
+    const fromHtml = scrape?.html ? this.parseHtml(scrape.html, now) : [];
+    if (fromHtml.length > 0) return fromHtml;
+
+    return scrape?.markdown ? this.parseMarkdown(scrape.markdown, now) : [];
+  }
+
+  // ===== HTML =====
+
+  /**
+   * Parse feed items from the activity page HTML
+   */
+  parseHtml(html, now = new Date()) {
+    const $ = cheerio.load(html);
+    $('br').replaceWith('\n');
+
+    const posts = [];
+    const seen = new Set();
+
+    $('[data-urn], .feed-shared-update-v2').each((_, element) => {
+      const $item = $(element);
+
+      // Reshared posts are nested feed items - they belong to their outer item
+      if ($item.parents('[data-urn], .feed-shared-update-v2').length > 0) return;
+
+      const post = this.parseHtmlItem($, $item, now);
+      if (post && !seen.has(post.post_url)) {
+        seen.add(post.post_url);
+        posts.push(post);
+      }
+    });
+
+    return posts;
+  }
+
+  parseHtmlItem($, $item, now) {
+    const urn = this.extractUrn($item.attr('data-urn')) ||
+      this.extractUrn($item.find('a[href*="activity"], a[href*="/posts/"], a[href*="urn:li:"]').first().attr('href'));
+
+    if (!urn) return null;
+
+    const $reshare = $item.find('.update-components-mini-update-v2, .feed-shared-mini-update-v2, .update-components-reshare').first();
+    const outside = selector => $item.find(selector).filter((_, el) => $reshare.length === 0 || !$.contains($reshare[0], el));
+
+    const header = this.cleanText(outside('.update-components-header__text-view, .feed-shared-header__text, .update-components-header').first().text());
+    const activityType = this.detectActivityType(header);
+
+    const actor = this.extractHtmlActor($, outside('.update-components-actor, .feed-shared-actor').first());
+    const reshareActor = $reshare.length > 0
+      ? this.extractHtmlActor($, $reshare.find('.update-components-actor, .feed-shared-actor').first())
+      : null;
+
+    // The contact's comment renders below the post and has its own text block
+    const content = this.cleanText(
+      outside('.update-components-text, .feed-shared-update-v2__description, .feed-shared-text')
+        .filter((_, el) => $(el).closest('.comments-comment-item, .comments-comment-entity').length === 0)
+        .first()
+        .text()
+    );
+
+    const date = this.resolveDate(urn, {
+      datetime: outside('time[datetime]').first().attr('datetime'),
+      text: [
+        outside('.update-components-actor__sub-description .visually-hidden, .feed-shared-actor__sub-description .visually-hidden').first().text(),
+        outside('.update-components-actor__sub-description, .feed-shared-actor__sub-description').first().text()
+      ]
+    }, now);
+
+    const counts = this.extractHtmlCounts($, $item);
+
+    const commentText = activityType === 'comment'
+      ? this.cleanText(outside('.comments-comment-item__main-content, .comments-comment-item-content-body').first().text())
+      : '';
+
+    const postType = this.detectPostType({
+      activityType,
+      hasOwnContent: Boolean(content),
+      isReshare: $reshare.length > 0,
+      isPoll: $item.find('.update-components-poll, .feed-shared-poll').length > 0,
+      isArticle: $item.find('.update-components-article, .feed-shared-article, a[href*="/pulse/"]').length > 0
+    });
+
+    const resharedAuthor = postType === 'repost' ? actor : postType === 'share' ? reshareActor : null;
+
+    return this.buildPost({
+      urn,
+      date,
+      content: content || this.cleanText($reshare.find('.update-components-text, .feed-shared-text').first().text()),
+      activityType,
+      postType,
+      counts,
+      author: actor,
+      resharedAuthor,
+      commentText
+    });
+  }
+
+  extractHtmlActor($, $actor) {
+    if (!$actor || $actor.length === 0) return null;
+
+    const name = this.cleanText(
+      $actor.find('.update-components-actor__title span[aria-hidden="true"], .update-components-actor__name span[aria-hidden="true"], .feed-shared-actor__name').first().text() ||
+      $actor.find('.update-components-actor__title, .update-components-actor__name').first().text()
+    );
+    const href = $actor.find('a[href*="/in/"], a[href*="/company/"]').first().attr('href');
+    const headline = this.cleanText(
+      $actor.find('.update-components-actor__description span[aria-hidden="true"], .feed-shared-actor__description').first().text()
+    );
+
+    return name || href
+      ? { name: name || null, url: this.normalizeProfileUrl(href), headline: headline || null }
+      : null;
+  }
+
+  extractHtmlCounts($, $item) {
+    const $social = $item.find('.social-details-social-counts, .social-details-social-activity').first();
+    const labels = $social.find('[aria-label]').map((_, el) => $(el).attr('aria-label')).get();
+    const text = [this.cleanText($social.text()), ...labels].join(' \n ');
+
+    const reactionsText = this.cleanText($social.find('.social-details-social-counts__reactions-count').first().text());
+
+    return {
+      reactions: reactionsText ? this.parseCount(reactionsText) : this.matchCount(text, /([\d.,]+[KkMm]?)\s+reactions?\b/) ?? this.matchOthers(text),
+      comments: this.matchCount(text, /([\d.,]+[KkMm]?)\s+comments?\b/),
+      reposts: this.matchCount(text, /([\d.,]+[KkMm]?)\s+(?:reposts?|shares?)\b/)
+    };
+  }
+
+  // ===== MARKDOWN =====
+
+  /**
+   * Parse feed items from the activity page markdown
+   */
+  parseMarkdown(markdown, now = new Date()) {
+    const posts = [];
+    const seen = new Set();
+
+    this.splitMarkdownItems(markdown).forEach(lines => {
+      const post = this.parseMarkdownItem(lines, now);
+      if (post && !seen.has(post.post_url)) {
+        seen.add(post.post_url);
+        posts.push(post);
+      }
+    });
+
+    return posts;
+  }
+
+  /**
+   * Split the page into one block of lines per feed item. Firecrawl keeps
+   * LinkedIn's screen-reader "Feed post number N" markers when present;
+   * otherwise items end with the Like / Comment / Repost / Send action bar.
+   */
+  splitMarkdownItems(markdown) {
+    const lines = markdown.split('\n').map(line => line.trim());
+    const blocks = [];
+    let current = [];
+
+    const hasMarkers = lines.some(line => /^#*\s*Feed post number \d+/i.test(line));
+
+    lines.forEach(line => {
+      if (hasMarkers && /^#*\s*Feed post number \d+/i.test(line)) {
+        if (current.length > 0) blocks.push(current);
+        current = [];
+        return;
+      }
+
+      current.push(line);
+
+      if (!hasMarkers && /^(?:(?:Like|Comment|Repost|Share)\s+)*Send$/i.test(line)) {
+        blocks.push(current);
+        current = [];
+      }
+    });
+
+    if (current.length > 0) blocks.push(current);
+
+    return blocks.filter(block => block.some(line => this.extractUrn(line)));
+  }
+
+  parseMarkdownItem(lines, now) {
+    const urn = lines.map(line => this.extractUrn(line)).find(Boolean);
+    if (!urn) return null;
+
+    // Timestamp line: "2w •", "[3d • Edited •](https://www.linkedin.com/feed/update/...)"
+    const dateIndex = lines.findIndex(line => this.parseRelativeDate(this.stripMarkdown(line), now));
+
+    // Author lines are a lone profile or company link. The activity header
+    // ("Jane Doe reposted this") comes before the first of them.
+    const actorIndexes = lines
+      .map((line, index) => (this.parseActorLine(line) ? index : -1))
+      .filter(index => index >= 0);
+    const firstActor = actorIndexes.length > 0 ? this.parseActorLine(lines[actorIndexes[0]]) : null;
+
+    const headerEnd = actorIndexes.length > 0 ? actorIndexes[0] : Math.max(dateIndex, 0);
+    const header = lines.slice(0, headerEnd).map(line => this.stripMarkdown(line)).find(line =>
+      ACTIVITY_HEADERS.some(h => h.pattern.test(line))
+    );
+    const activityType = this.detectActivityType(header);
+
+    // In a share, the original post starts with its author's line after our own content
+    const reshareIndex = activityType === 'repost' || dateIndex < 0
+      ? -1
+      : actorIndexes.find(index => index > dateIndex && this.parseActorLine(lines[index]).url !== firstActor?.url) ?? -1;
+
+    const contentEnd = reshareIndex >= 0 ? reshareIndex : lines.length;
+    const content = this.extractMarkdownContent(lines.slice(dateIndex + 1, contentEnd));
+    const reshareContent = reshareIndex >= 0
+      ? this.extractMarkdownContent(this.skipToContent(lines.slice(reshareIndex + 1), now))
+      : '';
+
+    const text = lines.join('\n');
+    const date = this.resolveDate(urn, {
+      text: dateIndex >= 0 ? [this.stripMarkdown(lines[dateIndex])] : []
+    }, now);
+
+    const postType = this.detectPostType({
+      activityType,
+      hasOwnContent: Boolean(content),
+      isReshare: reshareIndex >= 0,
+      isPoll: /[\d.,]+[KkMm]?\s+votes?\b/i.test(text) || /\b(?:View|Show) results\b/i.test(text),
+      isArticle: /linkedin\.com\/pulse\//i.test(text)
+    });
+
+    const resharedAuthor = postType === 'repost'
+      ? firstActor
+      : postType === 'share' ? this.parseActorLine(lines[reshareIndex]) : null;
+
+    const author = firstActor && {
+      ...firstActor,
+      headline: this.extractMarkdownHeadline(lines.slice(actorIndexes[0] + 1, dateIndex >= 0 ? dateIndex : undefined))
+    };
+
+    return this.buildPost({
+      urn,
+      date,
+      content: content || reshareContent,
+      activityType,
+      postType,
+      counts: {
+        // "122 reactions", "Jane Doe and 121 others", or the count after the reaction icons
+        reactions: this.matchCount(text, /^([\d.,]+[KkMm]?)\s+reactions?$/m) ??
+          this.matchOthers(text) ??
+          this.matchCount(text, /(?:!\[[^\]]*\]\([^)]*\)\s*)+\n?\s*([\d.,]+[KkMm]?)(?:\]\([^)]*\))?\s*$/m),
+        comments: this.matchCount(text, /^([\d.,]+[KkMm]?)\s+comments?$/m),
+        reposts: this.matchCount(text, /^([\d.,]+[KkMm]?)\s+(?:reposts?|shares?)$/m)
+      },
+      author,
+      resharedAuthor
+    });
+  }
+
+  /**
+   * The author headline: the first plain line between the author's link and
+   * the timestamp ("• 2nd" and "Follow" are LinkedIn chrome)
+   */
+  extractMarkdownHeadline(lines) {
+    const headline = lines
+      .map(line => (/^!?\[/.test(line) ? '' : this.stripMarkdown(line)))
+      .find(line => line && !/^(?:Follow|•\s*(?:1st|2nd|3rd\+?|Following)|Promoted)$/i.test(line));
+
+    return headline || null;
+  }
+
+  /**
+   * Lines after a reshared post's timestamp (its author headline comes before it)
+   */
+  skipToContent(lines, now) {
+    const dateIndex = lines.findIndex(line => this.parseRelativeDate(this.stripMarkdown(line), now));
+    return dateIndex >= 0 ? lines.slice(dateIndex + 1) : lines;
+  }
+
+  /**
+   * A line holding only a link to a profile or company page ("[Jane Doe](https://www.linkedin.com/in/janedoe)")
+   */
+  parseActorLine(line) {
+    const match = line && line.match(/^\[([^\]]+)\]\((https?:\/\/(?:[a-z]+\.)?linkedin\.com\/(?:in|company)\/[^)\s]+)\)$/i);
+    if (!match) return null;
+
+    const name = this.cleanText(match[1].replace(/!\[[^\]]*\]\([^)]*\)/g, ''));
+    return { name: name || null, url: this.normalizeProfileUrl(match[2]) };
+  }
+
+  /**
+   * Post text from the lines between the timestamp and the end of the item,
+   * without images, action bars, counts and LinkedIn chrome
+   */
+  extractMarkdownContent(lines) {
+    const content = [];
+
+    for (const line of lines) {
+      const plain = this.stripMarkdown(line);
+
+      if (/^(?:(?:Like|Comment|Repost|Share)\s+)*Send$/i.test(plain) ||
+          /^[\d.,]+[KkMm]?\s+(?:reactions?|comments?|reposts?|shares?)$/i.test(plain) ||
+          /\band [\d,]+ others?$/i.test(plain) ||
+          /^[\d.,]+[KkMm]?\s+votes?\b/i.test(plain)) {
+        break;
+      }
+
+      if (!plain ||
+          /^!\[/.test(line) ||
+          this.parseActorLine(line) ||
+          /^(?:…|\.\.\.)?\s*see more$/i.test(plain) ||
+          /^(?:Edited|Follow|Visible to anyone on or off LinkedIn|•\s*(?:1st|2nd|3rd\+?|Following))$/i.test(plain) ||
+          /^[\d.,]+[KkMm]?$/.test(plain)) {
+        continue;
+      }
+
+      content.push(plain);
+    }
+
+    return this.cleanText(content.join('\n'));
+  }
+
+  /**
+   * Markdown line to plain text ("[2w •](url)" -> "2w •")
+   */
+  stripMarkdown(line) {
+    return String(line || '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*_`#>]+/g, '')
+      .trim();
+  }
+
+  // ===== SHARED =====
+
+  buildPost({ urn, date, content, activityType, postType, counts, author, resharedAuthor, commentText }) {
+    const reactions = counts.reactions ?? 0;
+    const comments = counts.comments ?? 0;
+    const reposts = counts.reposts ?? 0;
+
+    return {
+      activity_urn: urn.urn,
+      post_url: `https://www.linkedin.com/feed/update/${urn.urn}/`,
+      post_date: date.date,
+      post_date_source: date.source,
+      post_content: content || '',
+      post_type: postType,
+      activity_type: activityType,
+      engagement_count: reactions + comments + reposts,
+      likes_count: counts.reactions,
+      comments_count: counts.comments,
+      shares_count: counts.reposts,
+      author_name: author?.name || null,
+      author_url: author?.url || null,
+      author_headline: author?.headline || null,
+      reshared_author_name: resharedAuthor?.name || null,
+      reshared_author_url: resharedAuthor?.url || null,
+      comment_text: commentText || null
+    };
+  }
+
+  /**
+   * Activity URN from a data-urn attribute, URL or text
+   * @returns {Object|null} { urn, type, id }
+   */
+  extractUrn(value) {
+    if (!value) return null;
+
+    let decoded = String(value);
+    try {
+      decoded = decodeURIComponent(decoded);
+    } catch (error) {
+      // Keep the raw value - the patterns also match %3A-encoded URNs
+    }
+
+    const match = decoded.match(URN_PATTERN) || decoded.match(POST_SLUG_PATTERN);
+    if (!match) return null;
+
+    const type = match[1].toLowerCase() === 'ugcpost' ? 'ugcPost' : match[1].toLowerCase();
+    return { urn: `urn:li:${type}:${match[2]}`, type, id: match[2] };
+  }
+
+  /**
+   * Creation time encoded in an activity ID (null when it is not plausible)
+   */
+  urnTimestamp(id, now = new Date()) {
+    try {
+      const ms = Number(BigInt(id) >> URN_TIMESTAMP_SHIFT);
+      return ms >= EARLIEST_URN_TIME && ms <= now.getTime() + DAY_MS ? new Date(ms) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Best available publish date: the URN timestamp, then a <time datetime>
+   * or absolute date, then relative text ("2w" - an estimate)
+   * @returns {Object} { date, source: 'urn' | 'absolute' | 'relative' | null }
+   */
+  resolveDate(urn, { datetime = null, text = [] }, now = new Date()) {
+    const fromUrn = this.urnTimestamp(urn.id, now);
+    if (fromUrn) return { date: fromUrn, source: 'urn' };
+
+    const absolute = this.parseAbsoluteDate(datetime) ||
+      text.map(value => this.parseAbsoluteDate(this.cleanText(value))).find(Boolean);
+    if (absolute) return { date: absolute, source: 'absolute' };
+
+    const relative = text.map(value => this.parseRelativeDate(this.cleanText(value), now)).find(Boolean);
+    if (relative) return { date: relative, source: 'relative' };
+
+    return { date: null, source: null };
+  }
+
+  /**
+   * "2w", "3 days ago", "Just now" -> Date relative to now (null otherwise)
+   */
+  parseRelativeDate(text, now = new Date()) {
+    const match = String(text || '').trim().match(RELATIVE_DATE);
+    if (!match) return null;
+    if (match[1]) return new Date(now.getTime());
+
+    // Exact unit first: "s" is seconds, not a plural to strip
+    const unit = match[3].toLowerCase();
+    const unitMs = RELATIVE_UNITS[unit] || RELATIVE_UNITS[unit.replace(/s$/, '')];
+    if (!unitMs) return null;
+
+    return new Date(now.getTime() - parseInt(match[2], 10) * unitMs);
+  }
+
+  /**
+   * ISO timestamps and dates with a year ("Jan 5, 2025") -> Date
+   */
+  parseAbsoluteDate(text) {
+    if (!text || !/\b(?:19|20)\d{2}\b/.test(text)) return null;
+
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  detectActivityType(header) {
+    if (!header) return 'post';
+
+    const match = ACTIVITY_HEADERS.find(h => h.pattern.test(header));
+    return match ? match.activityType : 'post';
+  }
+
+  /**
+   * post | article | share (reshare with commentary) | poll | repost (reshare without)
+   */
+  detectPostType({ activityType, hasOwnContent, isReshare, isPoll, isArticle }) {
+    if (activityType === 'repost') return 'repost';
+    if (isReshare) return hasOwnContent ? 'share' : 'repost';
+    if (isPoll) return 'poll';
+    if (isArticle) return 'article';
+    return 'post';
+  }
+
+  /**
+   * "1,234" -> 1234, "1.2K" -> 1200, "3M" -> 3000000
+   */
+  parseCount(text) {
+    const match = String(text || '').replace(/\s/g, '').match(/^([\d.,]+)([KkMm]?)$/);
+    if (!match) return null;
+
+    const multiplier = { k: 1000, m: 1000000 }[match[2].toLowerCase()] || 1;
+    const number = multiplier > 1
+      ? parseFloat(match[1].replace(/,/g, ''))
+      : parseInt(match[1].replace(/[.,]/g, ''), 10);
+
+    return Number.isNaN(number) ? null : Math.round(number * multiplier);
+  }
+
+  matchCount(text, pattern) {
+    const match = text.match(pattern);
+    return match ? this.parseCount(match[1]) : null;
+  }
+
+  /**
+   * "Jane Doe and 122 others" (reactions) -> 123
+   */
+  matchOthers(text) {
+    const match = text.match(/\band ([\d,]+) others?\b/i);
+    return match ? this.parseCount(match[1]) + 1 : null;
+  }
+
+  /**
+   * Profile or company URL without tracking parameters
+   */
+  normalizeProfileUrl(href) {
+    if (!href) return null;
+
+    const match = String(href).match(/linkedin\.com\/(in|company)\/([^/?#\s)]+)/i);
+    return match ? `https://www.linkedin.com/${match[1].toLowerCase()}/${match[2]}` : null;
+  }
+
+  cleanText(text) {
+    return String(text || '')
+      .replace(/…\s*(?:see more|more)\s*$/i, '')
+      .replace(/[ \t ]+/g, ' ')
+      .replace(/\s*\n\s*/g, '\n')
+      .replace(/\n{2,}/g, '\n')
+      .trim();
+  }
+}
+
+module.exports = new LinkedInPostParser();
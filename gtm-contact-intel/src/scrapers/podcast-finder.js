@@ -1,5 +1,6 @@
 const axios = require('axios');
-const { speakingQueries, signalQueries } = require('../db/queries');
+const competitorDetector = require('../processors/competitor-detector');
+const painClassifier = require('../processors/pain-classifier');
 
 /**
  * Podcast & Speaking Engagement Finder
@@ -13,62 +14,6 @@ class PodcastFinder {
     };
   }
 
-  /**
-   * Research speaking engagements for a contact
-   * @param {number} contactId - Database contact ID
-   * @param {string} fullName - Contact's full name
-   * @param {string} currentTitle - Current job title
-   * @returns {Promise<Object>} Speaking engagement intelligence
-   */
-  async researchContact(contactId, fullName, currentTitle = '') {
-    console.log(`Starting podcast/speaking research for contact ${contactId}`);
-
-    try {
-      const engagements = [];
-
-      // Search strategy 1: Google search for podcast appearances
-      const podcastResults = await this.searchPodcasts(fullName, currentTitle);
-      engagements.push(...podcastResults);
-
-      // Search strategy 2: YouTube search for conference talks
-      const videoResults = await this.searchYouTube(fullName, currentTitle);
-      engagements.push(...videoResults);
-
-      // Search strategy 3: Search for webinar appearances
-      const webinarResults = await this.searchWebinars(fullName);
-      engagements.push(...webinarResults);
-
-      // Analyze and score engagements
-      const analyzedEngagements = this.analyzeEngagements(engagements);
-
-      // Save to database
-      for (const engagement of analyzedEngagements) {
-        await speakingQueries.saveEngagement(contactId, engagement);
-      }
-
-      // Create intelligence signals
-      if (analyzedEngagements.length > 0) {
-        await this.createIntelligenceSignals(contactId, analyzedEngagements);
-      }
-
-      console.log(`Found ${analyzedEngagements.length} speaking engagements for contact ${contactId}`);
-
-      return {
-        success: true,
-        engagements: analyzedEngagements,
-        count: analyzedEngagements.length
-      };
-
-    } catch (error) {
-      console.error(`Podcast research failed for contact ${contactId}:`, error.message);
-      return {
-        success: false,
-        error: error.message,
-        engagements: []
-      };
-    }
-  }
-
   /**
    * Search for podcast appearances
    */
@@ -147,15 +92,66 @@ class PodcastFinder {
       // Determine audience size
       const audienceSize = this.estimateAudienceSize(engagement);
 
+      // Pains discussed on air - quotes make the best evidence. The description
+      // and transcript are not stored, so their evidence carries no offsets.
+      const painPoints = painClassifier.classifyFields([
+        ...(engagement.key_quotes || []).map((quote, index) => ({ field: `key_quotes[${index}]`, text: quote })),
+        { field: 'title', text: engagement.title },
+        { field: 'description', text: engagement.description, offsets: false },
+        { field: 'transcript', text: engagement.transcript, offsets: false }
+      ]);
+
       return {
         ...engagement,
         topics,
         relevance_score: relevanceScore,
-        audience_size: audienceSize
+        audience_size: audienceSize,
+        pain_points: painPoints
       };
     });
   }
 
+  /**
+   * Attach the competitors named in each engagement's title, description,
+   * transcript or quotes as engagement.competitor_mentions
+   */
+  async detectCompetitors(engagements) {
+    const catalogue = await competitorDetector.getCatalogue();
+
+    return engagements.map(engagement => {
+      const text = [
+        engagement.title,
+        engagement.description,
+        engagement.transcript,
+        ...(engagement.key_quotes || [])
+      ].filter(Boolean).join('\n');
+
+      return {
+        ...engagement,
+        competitor_mentions: competitorDetector.detect(text, catalogue, {
+          source_ref: engagement.url,
+          mentioned_at: engagement.date
+        })
+      };
+    });
+  }
+
+  /**
+   * Store the engagements' competitor mentions, replacing earlier ones from
+   * the same episodes
+   */
+  async saveCompetitorMentions(contact, engagements) {
+    await competitorDetector.recordMentions(
+      {
+        source: 'podcast',
+        contactId: contact.id,
+        companyDomain: contact.company_domain,
+        sourceRefs: engagements.map(e => e.url)
+      },
+      engagements.flatMap(e => e.competitor_mentions || [])
+    );
+  }
+
   /**
    * Extract topics from title and description
    */
@@ -236,9 +232,10 @@ class PodcastFinder {
   }
 
   /**
-   * Create intelligence signals from speaking engagements
+   * Build intelligence signals from speaking engagements
+   * (recorded by the podcast source adapter)
    */
-  async createIntelligenceSignals(contactId, engagements) {
+  buildSignals(engagements) {
     const signals = [];
 
     // Signal 1: Recent podcast appearance
@@ -250,6 +247,9 @@ class PodcastFinder {
       const latest = recentEngagements[0];
       signals.push({
         signal_type: 'speaking_engagement',
+        signal_key: 'latest_engagement',
+        source_ref: latest.url,
+        observed_at: latest.date,
         signal_category: 'thought_leadership',
         description: `Recent ${latest.type} appearance: "${latest.title}" on ${latest.platform}. Active thought leader in ${latest.topics.join(', ')}.`,
         relevance_score: latest.relevance_score,
@@ -268,6 +268,7 @@ class PodcastFinder {
     if (engagements.length >= 3) {
       signals.push({
         signal_type: 'speaking_engagement',
+        signal_key: 'speaking_volume',
         signal_category: 'thought_leadership',
         description: `${engagements.length} speaking engagements found - established voice in the industry. Topics: ${[...new Set(engagements.flatMap(e => e.topics))].join(', ')}.`,
         relevance_score: 0.80,
@@ -282,6 +283,7 @@ class PodcastFinder {
     if (largeAudienceEngagements.length > 0) {
       signals.push({
         signal_type: 'speaking_engagement',
+        signal_key: 'large_audience',
         signal_category: 'thought_leadership',
         description: `High-visibility speaking engagements with large audiences. Potential influential advocate.`,
         relevance_score: 0.85,
@@ -291,12 +293,17 @@ class PodcastFinder {
       });
     }
 
-    // Save signals
-    for (const signal of signals) {
-      await signalQueries.createSignal(contactId, signal);
-    }
-
-    console.log(`Created ${signals.length} speaking engagement signals for contact ${contactId}`);
+    // Signal 4: Competitors discussed on air, one per competitor
+    signals.push(...competitorDetector.buildSignals(
+      engagements.flatMap(e => e.competitor_mentions || []),
+      'podcast'
+    ));
+
+    // Signal 5: Pains discussed on air, one per pain
+    signals.push(...painClassifier.buildSignals(
+      engagements.map(e => ({ pain_points: e.pain_points, source_ref: e.url, observed_at: e.date })),
+      'podcast'
+    ));
 
     return signals;
   }
@@ -0,0 +1,69 @@
+const SourceAdapter = require('./source-adapter');
+const githubAnalyzer = require('../scrapers/github-analyzer');
+const { githubQueries } = require('../db/queries');
+
+/**
+ * GitHub Source
+ * Technical activity and influence for contacts with a findable GitHub profile
+ */
+class GitHubSource extends SourceAdapter {
+  constructor() {
+    super({
+      name: 'github',
+      description: 'GitHub profile, repositories and recent activity'
+    });
+  }
+
+  async discover(contact) {
+    const username = await githubAnalyzer.findGitHubUsername(contact.full_name, contact.current_company);
+    return username ? { username } : null;
+  }
+
+  async fetch({ username }) {
+    const profile = await githubAnalyzer.fetchProfile(username);
+    const repos = await githubAnalyzer.fetchRepositories(username);
+    const events = await githubAnalyzer.fetchRecentEvents(username);
+
+    return { profile, repos, events };
+  }
+
+  async parse({ profile, repos, events }, { username }) {
+    const analysis = githubAnalyzer.analyzeActivity(profile, repos, events);
+
+    const githubData = {
+      github_username: username,
+      profile_url: profile.html_url,
+      followers: profile.followers,
+      following: profile.following,
+      public_repos: profile.public_repos,
+      contribution_count: events.length,
+      primary_languages: analysis.languages,
+      recent_repos: analysis.recentRepos,
+      activity_summary: analysis.summary,
+      last_commit_date: analysis.lastCommitDate,
+      technical_focus_areas: analysis.focusAreas,
+      activity_score: githubAnalyzer.calculateActivityScore(profile, repos, events),
+      raw_profile_data: profile
+    };
+
+    return { githubData, analysis, repos };
+  }
+
+  async emit({ githubData, analysis, repos }, { username }, contact) {
+    await githubQueries.saveActivity(contact.id, githubData);
+
+    // GTM tools the contact builds against (integrations, scripts)
+    await githubAnalyzer.recordTechStack(contact.company_domain, repos);
+
+    return {
+      result: {
+        found: true,
+        username,
+        activity_score: githubData.activity_score
+      },
+      signals: githubAnalyzer.buildSignals(githubData, analysis)
+    };
+  }
+}
+
+module.exports = new GitHubSource();
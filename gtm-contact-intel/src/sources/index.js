@@ -0,0 +1,74 @@
+const linkedinSource = require('./linkedin-source');
+const githubSource = require('./github-source');
+const podcastSource = require('./podcast-source');
+const jobsSource = require('./jobs-source');
+
+/**
+ * Source Registry
+ * The intelligence sources the research pipeline runs, in stage order.
+ * Register an adapter (see source-adapter.js) here and it becomes a pipeline
+ * stage and a valid entry in a research job's `sources` list.
+ */
+class SourceRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Add an adapter
+   * @param {SourceAdapter} adapter - Adapter with a unique name
+   * @throws {Error} If the name is taken
+   */
+  register(adapter) {
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`Source "${adapter.name}" is already registered`);
+    }
+
+    this.adapters.set(adapter.name, adapter);
+    return this;
+  }
+
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  names() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Validate a requested source list (omitted means every source)
+   * @param {*} input - Request value, e.g. ['linkedin', 'github']
+   * @returns {Object} { sources, errors } - sources is null for "all"
+   */
+  parseSources(input) {
+    if (input === undefined || input === null) {
+      return { sources: null, errors: [] };
+    }
+
+    if (!Array.isArray(input) || input.length === 0 || !input.every(name => typeof name === 'string')) {
+      return { sources: null, errors: ['sources must be a non-empty array of source names'] };
+    }
+
+    const unknown = input.filter(name => !this.adapters.has(name));
+    if (unknown.length > 0) {
+      return {
+        sources: null,
+        errors: [`Unknown source(s): ${unknown.join(', ')} (available: ${this.names().join(', ')})`]
+      };
+    }
+
+    // Registry order, without duplicates
+    return { sources: this.names().filter(name => input.includes(name)), errors: [] };
+  }
+}
+
+module.exports = new SourceRegistry()
+  .register(linkedinSource)
+  .register(githubSource)
+  .register(podcastSource)
+  .register(jobsSource);
@@ -0,0 +1,85 @@
+const SourceAdapter = require('./source-adapter');
+const jobParser = require('../scrapers/job-parser');
+const { companyQueries } = require('../db/queries');
+
+/**
+ * Jobs Source
+ * GTM job postings on the contact's company careers pages. Postings belong
+ * to the company, so a recent scrape made for another contact at the same
+ * domain is reused instead of scraping again.
+ */
+class JobsSource extends SourceAdapter {
+  constructor() {
+    super({
+      name: 'jobs',
+      signalSource: 'job_postings',
+      description: 'GTM job postings on the company careers pages'
+    });
+  }
+
+  async discover(contact) {
+    if (!contact.company_domain) return null;
+
+    return {
+      companyDomain: contact.company_domain,
+      companyName: contact.current_company || contact.company_domain
+    };
+  }
+
+  notFound() {
+    return { ...this.emptyResult(), skipped: 'No company domain' };
+  }
+
+  emptyResult() {
+    return { analyzed: 0 };
+  }
+
+  async fetch({ companyDomain, companyName }) {
+    const company = await companyQueries.upsertCompany(companyDomain, companyName);
+
+    if (jobParser.isJobDataFresh(company)) {
+      const jobs = await jobParser.loadStoredJobPostings(companyDomain);
+      console.log(`Reusing ${jobs.length} job postings for ${companyDomain} (scraped ${new Date(company.jobs_scraped_at).toISOString()})`);
+      return { cached: true, jobs };
+    }
+
+    return { cached: false, jobs: await jobParser.scrapeJobPostings(companyDomain, companyName) };
+  }
+
+  async parse({ cached, jobs }, { companyDomain }) {
+    if (cached) {
+      return { cached, scraped: jobs.length, jobs: await jobParser.detectCompetitors(jobs) };
+    }
+
+    const gtmRelevantJobs = jobs
+      .map(job => jobParser.analyzeJobPosting(job, companyDomain))
+      .filter(job => jobParser.isGtmRelevant(job));
+
+    return { cached, scraped: jobs.length, jobs: await jobParser.detectCompetitors(gtmRelevantJobs) };
+  }
+
+  async emit({ cached, scraped, jobs }, { companyDomain }) {
+    if (!cached) {
+      // Save job postings and the tech stack they mention
+      await companyQueries.replaceJobPostings(companyDomain, jobs);
+      await jobParser.saveTechStack(companyDomain, jobs);
+      await jobParser.saveCompetitorMentions(companyDomain, jobs);
+      await companyQueries.markJobsScraped(companyDomain);
+
+      console.log(`Analyzed ${jobs.length} GTM-relevant job postings for ${companyDomain} (${scraped} scraped)`);
+    }
+
+    return {
+      result: {
+        analyzed: jobs.length,
+        signals: jobs.length,
+        cached
+      },
+      // No GTM openings archives the old hiring signals, but an empty scrape
+      // (no careers page found) leaves them alone
+      signals: scraped > 0 ? jobParser.buildSignals(jobs) : null
+    };
+  }
+}
+
+module.exports = new JobsSource();
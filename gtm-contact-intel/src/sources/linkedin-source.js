@@ -0,0 +1,112 @@
+const SourceAdapter = require('./source-adapter');
+const linkedinAnalyzer = require('../scrapers/linkedin-analyzer');
+const signalScorer = require('../processors/signal-scorer');
+const { linkedinQueries } = require('../db/queries');
+
+/**
+ * LinkedIn Source - PRIMARY INTELLIGENCE SOURCE
+ * Profile, recent posts, engagement and influence. Failures are almost always
+ * transient (rate limits, circuit breaker, timeouts) so they are worth a
+ * retry with backoff.
+ */
+class LinkedInSource extends SourceAdapter {
+  constructor() {
+    super({
+      name: 'linkedin',
+      description: 'LinkedIn profile, recent posts and engagement',
+      retryOnError: true
+    });
+  }
+
+  async discover(contact) {
+    return contact.linkedin_url ? { linkedinUrl: contact.linkedin_url } : null;
+  }
+
+  async fetch({ linkedinUrl }) {
+    const profileData = await linkedinAnalyzer.scrapeProfile(linkedinUrl);
+
+    if (!profileData.success) {
+      throw new Error(`LinkedIn research failed: ${profileData.error || 'Failed to scrape LinkedIn profile'}`);
+    }
+
+    const postsData = await linkedinAnalyzer.scrapeRecentPosts(linkedinUrl);
+
+    return { profileData, postsData };
+  }
+
+  async parse({ profileData, postsData }) {
+    const profile = await linkedinAnalyzer.parseProfile(profileData);
+    const activity = linkedinAnalyzer.parseActivity(postsData);
+    const posts = await linkedinAnalyzer.analyzePosts(activity);
+    const engagements = linkedinAnalyzer.buildEngagements(activity);
+    const engagementPatterns = linkedinAnalyzer.analyzeEngagement(posts);
+
+    // Influence weights come from the default scoring profile
+    const scoringProfile = await signalScorer.getDefaultProfile();
+    profile.influence_score = linkedinAnalyzer.calculateInfluenceScore(profile, posts, scoringProfile.model.influence);
+    profile.influence_scoring_profile = scoringProfile.ref;
+
+    return { profile, posts, engagements, engagementPatterns };
+  }
+
+  async emit({ profile, posts, engagements, engagementPatterns }, target, contact) {
+    // A scrape whose Experience section failed to parse keeps the stored
+    // history, and the tenure and previous companies derived from it
+    if (profile.positions.length === 0) {
+      Object.assign(profile, await this.storedCareerFields(contact.id));
+    }
+
+    // Diffs the profile against the stored one (job changes become signals)
+    const { changes } = await linkedinAnalyzer.saveProfileData(contact.id, profile);
+
+    if (profile.positions.length > 0) {
+      await linkedinQueries.savePositions(contact.id, profile.positions);
+    }
+
+    if (posts.length > 0) {
+      await linkedinQueries.savePosts(contact.id, posts);
+      await linkedinAnalyzer.recordTechStack(contact.company_domain, posts);
+      await linkedinAnalyzer.recordCompetitorMentions(contact, posts);
+    }
+
+    if (engagements.length > 0) {
+      await linkedinQueries.saveEngagements(contact.id, engagements);
+    }
+
+    return {
+      result: {
+        found: true,
+        posts_analyzed: posts.length,
+        engagements_found: engagements.length,
+        positions_found: profile.positions.length,
+        influence_score: profile.influence_score || 0,
+        profile_changes: (changes || []).map(c => c.change_type)
+      },
+      signals: linkedinAnalyzer.buildSignals(profile, posts, engagementPatterns)
+    };
+  }
+
+  /**
+   * Career fields from the stored positions, or as last saved when there are none
+   */
+  async storedCareerFields(contactId) {
+    const positions = await linkedinQueries.getPositions(contactId);
+    if (positions.length > 0) {
+      return linkedinAnalyzer.careerFields(positions);
+    }
+
+    const stored = await linkedinQueries.getProfile(contactId);
+    if (!stored) return {};
+
+    const startMonth = stored.current_position_start_month;
+    return {
+      current_position_tenure_months: stored.current_position_tenure_months,
+      current_position_start_month: startMonth
+        ? `${startMonth.getFullYear()}-${String(startMonth.getMonth() + 1).padStart(2, '0')}`
+        : null,
+      previous_companies: stored.previous_companies
+    };
+  }
+}
+
+module.exports = new LinkedInSource();
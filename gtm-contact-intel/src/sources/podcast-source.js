@@ -0,0 +1,53 @@
+const SourceAdapter = require('./source-adapter');
+const podcastFinder = require('../scrapers/podcast-finder');
+const { speakingQueries } = require('../db/queries');
+
+/**
+ * Podcast Source
+ * Podcast appearances, conference talks and webinars
+ */
+class PodcastSource extends SourceAdapter {
+  constructor() {
+    super({
+      name: 'podcasts',
+      description: 'Podcast appearances, conference talks and webinars'
+    });
+  }
+
+  async fetch(target, contact) {
+    const title = contact.current_title || '';
+
+    return [
+      ...await podcastFinder.searchPodcasts(contact.full_name, title),
+      ...await podcastFinder.searchYouTube(contact.full_name, title),
+      ...await podcastFinder.searchWebinars(contact.full_name)
+    ];
+  }
+
+  async parse(engagements) {
+    return podcastFinder.detectCompetitors(podcastFinder.analyzeEngagements(engagements));
+  }
+
+  async emit(engagements, target, contact) {
+    for (const engagement of engagements) {
+      await speakingQueries.saveEngagement(contact.id, engagement);
+    }
+
+    if (engagements.length > 0) {
+      await podcastFinder.saveCompetitorMentions(contact, engagements);
+    }
+
+    console.log(`Found ${engagements.length} speaking engagements for contact ${contact.id}`);
+
+    return {
+      result: {
+        found: engagements.length > 0,
+        count: engagements.length
+      },
+      // Searches are not exhaustive - an empty result never archives earlier signals
+      signals: engagements.length > 0 ? podcastFinder.buildSignals(engagements) : null
+    };
+  }
+}
+
+module.exports = new PodcastSource();
@@ -0,0 +1,114 @@
+const signalLifecycle = require('../processors/signal-lifecycle');
+
+/**
+ * Source Adapter
+ * Base class for intelligence sources. A research stage runs an adapter in
+ * four steps:
+ *
+ *   discover(contact)              -> target to research, or null when there is none
+ *   fetch(target, contact)         -> raw data from the source
+ *   parse(raw, target, contact)    -> analyzed data
+ *   emit(parsed, target, contact)  -> { result, signals } after saving the parsed data
+ *
+ * The signals emit returns are recorded here through the signal lifecycle, so
+ * adapters never write signals themselves. Return `signals: null` to leave the
+ * contact's existing signals from this source untouched.
+ *
+ * Register new adapters in src/sources/index.js; the research pipeline runs
+ * one stage per registered adapter.
+ */
+class SourceAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Stage and job `sources` name ('linkedin')
+   * @param {string} options.signalSource - Signal lifecycle source ('job_postings')
+   * @param {string} options.description - Shown by GET /api/research/sources
+   * @param {boolean} options.snapshot - Emitted signals are everything the source currently shows
+   * @param {boolean} options.retryOnError - Rethrow errors so the job is retried
+   */
+  constructor({ name, signalSource = name, description, snapshot = true, retryOnError = false }) {
+    this.name = name;
+    this.signalSource = signalSource;
+    this.description = description;
+    this.snapshot = snapshot;
+    this.retryOnError = retryOnError;
+  }
+
+  async discover(contact) {
+    return contact;
+  }
+
+  async fetch(target, contact) {
+    throw new Error(`${this.name} source adapter does not implement fetch()`);
+  }
+
+  async parse(raw, target, contact) {
+    return raw;
+  }
+
+  async emit(parsed, target, contact) {
+    throw new Error(`${this.name} source adapter does not implement emit()`);
+  }
+
+  /**
+   * Stage result for a contact with nothing to research. A `skipped` key
+   * marks the stage skipped rather than completed.
+   */
+  notFound(contact) {
+    return this.emptyResult();
+  }
+
+  /**
+   * Results summary entry for a stage that found nothing or did not run
+   */
+  emptyResult() {
+    return { found: false };
+  }
+
+  /**
+   * Run the adapter for a contact
+   * @param {Object} contact - contacts row
+   * @returns {Promise<Object>} Stage result
+   */
+  async research(contact) {
+    console.log(`Starting ${this.name} research for contact ${contact.id}`);
+
+    try {
+      const target = await this.discover(contact);
+
+      if (!target) {
+        console.log(`No ${this.name} data to research for contact ${contact.id}`);
+        return this.notFound(contact);
+      }
+
+      const raw = await this.fetch(target, contact);
+      const parsed = await this.parse(raw, target, contact);
+      const { result, signals } = await this.emit(parsed, target, contact);
+
+      if (signals) {
+        const recorded = await signalLifecycle.recordSignals(
+          contact.id,
+          this.signalSource,
+          signals,
+          { snapshot: this.snapshot }
+        );
+
+        console.log(`Recorded ${signals.length} ${this.name} signals for contact ${contact.id} (${recorded.inserted} new, ${recorded.archived} archived)`);
+      }
+
+      console.log(`${this.name} research completed for contact ${contact.id}`);
+
+      return result;
+
+    } catch (error) {
+      if (this.retryOnError) {
+        throw error;
+      }
+
+      console.error(`${this.name} research failed for contact ${contact.id}:`, error.message);
+      return { ...this.emptyResult(), error: error.message };
+    }
+  }
+}
+
+module.exports = SourceAdapter;
@@ -0,0 +1,34 @@
+const config = require('../../config/config');
+const db = require('../db/client');
+const researchWorker = require('./research-worker');
+const researchScheduler = require('./research-scheduler');
+
+/**
+ * Worker process entrypoint
+ * Run alongside the API server: `npm run worker`
+ */
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║   GTM Contact Intelligence - Research Worker              ║
+║   Environment: ${config.server.nodeEnv}                           ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+researchWorker.start()
+  .then(() => researchScheduler.start())
+  .catch(error => {
+    console.error('Research worker failed to start:', error);
+    process.exit(1);
+  });
+
+// Graceful shutdown
+async function shutdown(signal) {
+  console.log(`${signal} signal received: stopping research worker`);
+  await researchScheduler.stop();
+  await researchWorker.stop();
+  await db.end();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,180 @@
+const { researchJobQueries } = require('../db/queries');
+const jobEvents = require('../events/job-events');
+const sourceRegistry = require('../sources');
+const playbookGenerator = require('../processors/playbook-generator');
+
+/**
+ * Research Pipeline
+ * Runs a research job as a sequence of stages. Every stage transition is
+ * recorded in research_job_stages and published as a job event. Completed
+ * stages act as checkpoints, so a retried or resumed job skips the stages
+ * that already finished (LinkedIn is never re-scraped).
+ *
+ * There is one source stage per adapter in the source registry
+ * (src/sources), followed by the playbook stage. Jobs with a `sources` list
+ * (requested sources, scheduled refreshes) only run those source stages; the
+ * rest are marked skipped. The playbook stage always runs.
+ */
+class ResearchPipeline {
+  constructor() {
+    this.stages = [
+      ...sourceRegistry.list().map(adapter => ({
+        name: adapter.name,
+        run: contact => adapter.research(contact)
+      })),
+      { name: 'playbook', run: contact => this.runPlaybookStage(contact) }
+    ];
+  }
+
+  /**
+   * Run all outstanding stages for a claimed job
+   * @param {Object} job - research_jobs row (as returned by claimNextJob)
+   * @param {Object} contact - contacts row
+   * @param {Object} options - { isCancelled: () => boolean }
+   * @returns {Promise<Object>} Results summary
+   */
+  async run(job, contact, options = {}) {
+    const isCancelled = options.isCancelled || (() => false);
+    const finalAttempt = job.attempts >= job.max_attempts;
+
+    await researchJobQueries.initStages(job.id, this.stages.map(s => s.name));
+    const stageRows = await researchJobQueries.getJobStages(job.id);
+
+    const results = {};
+    stageRows
+      .filter(row => row.status === 'completed' || row.status === 'skipped')
+      .forEach(row => {
+        results[row.stage] = row.result;
+      });
+
+    for (const stage of this.stages) {
+      if (results[stage.name]) {
+        console.log(`Job ${job.id}: skipping ${stage.name} stage (completed on an earlier attempt)`);
+        continue;
+      }
+
+      if (!this.isSelected(job, stage.name)) {
+        results[stage.name] = { skipped: job.schedule_id ? 'Data is still fresh' : 'Source not requested' };
+        await this.recordTransition(
+          job,
+          await researchJobQueries.finishStage(job.id, stage.name, 'skipped', results[stage.name])
+        );
+        continue;
+      }
+
+      if (isCancelled()) {
+        throw new Error(`Job ${job.id} is no longer owned by this worker`);
+      }
+
+      await this.recordTransition(job, await researchJobQueries.startStage(job.id, stage.name, job.attempts));
+
+      let stageResult;
+      try {
+        stageResult = await stage.run(contact);
+      } catch (error) {
+        await this.recordTransition(
+          job,
+          await researchJobQueries.finishStage(job.id, stage.name, 'failed', null, error.message)
+        );
+
+        // Retry the job while attempts remain; on the last attempt keep going
+        // so the remaining sources still get researched
+        if (!finalAttempt) {
+          error.stage = stage.name;
+          throw error;
+        }
+
+        console.error(`Job ${job.id}: ${stage.name} stage failed on final attempt:`, error.message);
+        results[stage.name] = { error: error.message };
+        continue;
+      }
+
+      const status = stageResult.skipped ? 'skipped' : 'completed';
+      results[stage.name] = stageResult;
+      await this.recordTransition(
+        job,
+        await researchJobQueries.finishStage(job.id, stage.name, status, stageResult)
+      );
+    }
+
+    const summary = this.buildResultsSummary(results);
+    summary.sources = job.sources || this.sources;
+    summary.changes = await this.buildChangeReport(job, contact);
+
+    return summary;
+  }
+
+  /**
+   * Source stages a job can be limited to (every stage but the playbook)
+   */
+  get sources() {
+    return sourceRegistry.names();
+  }
+
+  isSelected(job, stageName) {
+    return !job.sources || stageName === 'playbook' || job.sources.includes(stageName);
+  }
+
+  /**
+   * What this run added since the contact's previous completed job
+   * (null on the first run)
+   */
+  async buildChangeReport(job, contact) {
+    const previous = await researchJobQueries.getPreviousCompletedJob(contact.id, job.id);
+    if (!previous) return null;
+
+    const changes = await researchJobQueries.getChangesSince(
+      contact.id,
+      contact.company_domain,
+      previous.completed_at
+    );
+
+    return {
+      since: previous.completed_at,
+      previous_job_id: previous.id,
+      ...changes
+    };
+  }
+
+  /**
+   * Publish a stage row change to job event subscribers
+   */
+  async recordTransition(job, stageRow) {
+    if (!stageRow) return;
+
+    await jobEvents.publish({
+      type: 'stage',
+      job_id: job.id,
+      contact_id: job.contact_id,
+      stage: stageRow.stage,
+      status: stageRow.status,
+      attempt: stageRow.attempt,
+      started_at: stageRow.started_at,
+      finished_at: stageRow.finished_at,
+      error: stageRow.error_message
+    });
+  }
+
+  /**
+   * Shape per-stage results into the results_summary format returned by the API
+   */
+  buildResultsSummary(results) {
+    const summary = {};
+
+    sourceRegistry.list().forEach(adapter => {
+      summary[adapter.name] = results[adapter.name] || adapter.emptyResult();
+    });
+    summary.playbook_generated = results.playbook?.generated || false;
+
+    return summary;
+  }
+
+  // ===== STAGES =====
+
+  async runPlaybookStage(contact) {
+    const playbookResult = await playbookGenerator.generatePlaybook(contact.id);
+    return { generated: playbookResult.success };
+  }
+}
+
+module.exports = new ResearchPipeline();
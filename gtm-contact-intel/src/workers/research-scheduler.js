@@ -0,0 +1,139 @@
+const config = require('../../config/config');
+const { researchScheduleQueries } = require('../db/queries');
+const bulkIntake = require('../processors/bulk-intake');
+const signalLifecycle = require('../processors/signal-lifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Research Scheduler
+ * Runs inside the worker process. On every tick it claims the schedules that
+ * are due, works out which sources have gone stale for each contact they
+ * cover, and queues refresh jobs that only re-scrape those sources.
+ * Contacts whose data is all still fresh, or that already have a job in the
+ * queue, are skipped until the next run.
+ * Each tick also archives signals that expired or were superseded long enough ago.
+ */
+class ResearchScheduler {
+  constructor() {
+    this.timer = null;
+    this.currentTick = null;
+  }
+
+  start() {
+    if (!config.scheduler.enabled || this.timer) return;
+
+    console.log(`Research scheduler started (checking every ${Math.round(config.scheduler.tickIntervalMs / 1000)}s)`);
+    this.timer = setInterval(() => this.tick(), config.scheduler.tickIntervalMs);
+    this.tick();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.currentTick;
+  }
+
+  /**
+   * Run every due schedule and archive stale signals (ticks never overlap)
+   */
+  async tick() {
+    if (this.currentTick) return this.currentTick;
+
+    this.currentTick = (async () => {
+      try {
+        const schedules = await researchScheduleQueries.claimDueSchedules(config.scheduler.maxSchedulesPerTick);
+
+        for (const schedule of schedules) {
+          await this.runSchedule(schedule).catch(error =>
+            console.error(`Research schedule ${schedule.id} failed:`, error.message)
+          );
+        }
+
+        const archived = await signalLifecycle.archiveStale();
+        if (archived > 0) {
+          console.log(`Archived ${archived} expired or superseded signals`);
+        }
+      } catch (error) {
+        console.error('Research scheduler error:', error.message);
+      } finally {
+        this.currentTick = null;
+      }
+    })();
+
+    return this.currentTick;
+  }
+
+  /**
+   * Queue refresh jobs for the stale contacts of one schedule
+   * @param {Object} schedule - research_schedules row
+   * @returns {Promise<Object>} Run summary (also saved on the schedule)
+   */
+  async runSchedule(schedule) {
+    const contactIds = await researchScheduleQueries.getScheduleContactIds(schedule);
+    const freshness = await researchScheduleQueries.getSourceFreshness(contactIds);
+
+    const toQueue = [];
+    const summary = {
+      ran_at: new Date().toISOString(),
+      contacts: freshness.length,
+      queued: 0,
+      skipped_fresh: 0,
+      skipped_active: 0,
+      stale_sources: {}
+    };
+
+    for (const row of freshness) {
+      if (row.has_active_job) {
+        summary.skipped_active++;
+        continue;
+      }
+
+      const sources = this.getStaleSources(row);
+      if (sources.length === 0) {
+        summary.skipped_fresh++;
+        continue;
+      }
+
+      sources.forEach(source => {
+        summary.stale_sources[source] = (summary.stale_sources[source] || 0) + 1;
+      });
+      toQueue.push({ contact_id: row.contact_id, sources });
+    }
+
+    const jobs = await researchScheduleQueries.enqueueScheduledJobs(
+      schedule.id,
+      toQueue,
+      bulkIntake.getJobSpacingMs()
+    );
+    summary.queued = jobs.length;
+
+    await researchScheduleQueries.recordRunSummary(schedule.id, summary);
+
+    const target = schedule.contact_id ? `contact ${schedule.contact_id}` : `batch ${schedule.batch_id}`;
+    console.log(`Schedule ${schedule.id} (${target}, ${schedule.cadence}): queued ${summary.queued}, ${summary.skipped_fresh} fresh, ${summary.skipped_active} already queued`);
+
+    return summary;
+  }
+
+  /**
+   * Sources whose data is older than the freshness policy allows
+   * @param {Object} row - getSourceFreshness row (last refresh time per source)
+   * @returns {Array<string>} Source names
+   */
+  getStaleSources(row, now = Date.now()) {
+    const graceMs = config.scheduler.freshnessGraceHours * HOUR_MS;
+
+    return Object.entries(config.scheduler.sourceMaxAgeDays)
+      .filter(([source, maxAgeDays]) => {
+        if (source === 'jobs' && !row.company_domain) return false;
+
+        const refreshedAt = row[source];
+        return !refreshedAt || now - new Date(refreshedAt).getTime() >= maxAgeDays * DAY_MS - graceMs;
+      })
+      .map(([source]) => source);
+  }
+}
+
+module.exports = new ResearchScheduler();
@@ -0,0 +1,237 @@
+const os = require('os');
+const config = require('../../config/config');
+const { contactQueries, researchJobQueries } = require('../db/queries');
+const jobEvents = require('../events/job-events');
+const researchPipeline = require('./research-pipeline');
+
+/**
+ * Research Worker
+ * Claims jobs from the research_jobs queue and runs them through the research
+ * pipeline. Failed attempts are retried with exponential backoff, and a reaper
+ * requeues jobs whose worker died mid-run so they resume from their checkpoints.
+ */
+class ResearchWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.loops = [];
+    this.activeJobs = new Map();
+    this.reaperTimer = null;
+  }
+
+  /**
+   * Start polling the queue
+   */
+  async start() {
+    if (this.running) return;
+
+    this.running = true;
+    console.log(`Research worker ${this.workerId} started (concurrency: ${config.queue.concurrency})`);
+
+    await this.reapAbandonedJobs();
+    this.reaperTimer = setInterval(() => this.reapAbandonedJobs(), config.queue.reaperIntervalMs);
+
+    for (let i = 0; i < config.queue.concurrency; i++) {
+      this.loops.push(this.pollLoop());
+    }
+  }
+
+  /**
+   * Stop claiming new jobs and wait for in-flight jobs to finish.
+   * Jobs still running after the shutdown timeout are released back to the
+   * queue so another worker can resume them straight away.
+   */
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearInterval(this.reaperTimer);
+    console.log(`Research worker ${this.workerId} stopping - waiting for ${this.activeJobs.size} active job(s)`);
+
+    const finished = await Promise.race([
+      Promise.all(this.loops).then(() => true),
+      this.sleep(config.queue.shutdownTimeoutMs).then(() => false)
+    ]);
+
+    if (!finished) {
+      for (const jobId of this.activeJobs.keys()) {
+        console.warn(`Releasing research job ${jobId} back to the queue`);
+        await researchJobQueries.releaseJob(jobId, this.workerId).catch(err =>
+          console.error(`Failed to release job ${jobId}:`, err.message)
+        );
+      }
+    }
+  }
+
+  /**
+   * Claim and process jobs until stopped
+   */
+  async pollLoop() {
+    while (this.running) {
+      let job = null;
+
+      try {
+        job = await researchJobQueries.claimNextJob(this.workerId);
+      } catch (error) {
+        console.error('Failed to claim research job:', error.message);
+      }
+
+      if (!job) {
+        await this.sleep(config.queue.pollIntervalMs);
+        continue;
+      }
+
+      await this.processJob(job);
+    }
+  }
+
+  /**
+   * Run a claimed job, keeping its heartbeat alive while it runs
+   */
+  async processJob(job) {
+    console.log(`Processing research job ${job.id} for contact ${job.contact_id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    const state = { lost: false };
+    this.activeJobs.set(job.id, state);
+    await this.publishJobEvent(job);
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const owned = await researchJobQueries.heartbeat(job.id, this.workerId);
+        if (!owned) {
+          console.warn(`Research job ${job.id} was reclaimed by another worker`);
+          state.lost = true;
+        }
+      } catch (error) {
+        console.error(`Heartbeat failed for job ${job.id}:`, error.message);
+      }
+    }, config.queue.heartbeatIntervalMs);
+
+    try {
+      const contact = await contactQueries.getContactById(job.contact_id);
+
+      if (!contact) {
+        await this.publishLeasedUpdate(
+          job,
+          await researchJobQueries.updateJobStatus(job.id, this.workerId, 'failed', 'Contact not found')
+        );
+        return;
+      }
+
+      const results = await researchPipeline.run(job, contact, {
+        isCancelled: () => state.lost
+      });
+
+      if (!state.lost) {
+        const updated = await this.publishLeasedUpdate(
+          job,
+          await researchJobQueries.updateJobStatus(job.id, this.workerId, 'completed', null, results)
+        );
+        if (updated) {
+          console.log(`Research completed for contact ${job.contact_id} (job ${job.id})`);
+        }
+      }
+
+    } catch (error) {
+      if (!state.lost) {
+        await this.handleFailure(job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Retry with backoff while attempts remain, otherwise fail the job
+   */
+  async handleFailure(job, error) {
+    const message = error.stage ? `${error.stage} stage: ${error.message}` : error.message;
+
+    try {
+      if (job.attempts < job.max_attempts) {
+        const delayMs = this.getBackoffDelay(job.attempts);
+        console.warn(`Research job ${job.id} attempt ${job.attempts} failed (${message}) - retrying in ${Math.round(delayMs / 1000)}s`);
+        await this.publishLeasedUpdate(
+          job,
+          await researchJobQueries.scheduleRetry(job.id, this.workerId, message, delayMs)
+        );
+      } else {
+        console.error(`Research job ${job.id} failed after ${job.attempts} attempts:`, message);
+        await this.publishLeasedUpdate(
+          job,
+          await researchJobQueries.updateJobStatus(job.id, this.workerId, 'failed', message)
+        );
+      }
+    } catch (dbError) {
+      // The reaper will pick the job up once its heartbeat goes stale
+      console.error(`Failed to record failure for job ${job.id}:`, dbError.message);
+    }
+  }
+
+  /**
+   * Publish a status update made under this worker's lease; no row means the
+   * job was reaped and handed to another worker, so there is nothing to publish
+   */
+  async publishLeasedUpdate(job, updated) {
+    if (!updated) {
+      console.warn(`Research job ${job.id} lease lost - discarding this worker's result`);
+      return null;
+    }
+
+    await this.publishJobEvent(updated);
+    return updated;
+  }
+
+  /**
+   * Exponential backoff with jitter, capped at backoffMaxMs
+   */
+  getBackoffDelay(attempt) {
+    const exponential = config.queue.backoffBaseMs * Math.pow(2, attempt - 1);
+    const capped = Math.min(exponential, config.queue.backoffMaxMs);
+    return Math.round(capped / 2 + Math.random() * (capped / 2));
+  }
+
+  /**
+   * Requeue jobs abandoned by crashed workers
+   */
+  async reapAbandonedJobs() {
+    try {
+      const reaped = await researchJobQueries.reapAbandonedJobs(config.queue.staleJobTimeoutMs);
+
+      for (const job of reaped) {
+        console.warn(`Reaped abandoned research job ${job.id} - now ${job.status}`);
+        await this.publishJobEvent(job);
+      }
+
+      return reaped;
+    } catch (error) {
+      console.error('Job reaper error:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Publish a job-level status change to event subscribers
+   */
+  async publishJobEvent(job) {
+    if (!job) return;
+
+    await jobEvents.publish({
+      type: 'job',
+      job_id: job.id,
+      contact_id: job.contact_id,
+      status: job.status,
+      attempt: job.attempts,
+      max_attempts: job.max_attempts,
+      next_attempt_at: job.status === 'pending' ? job.run_after : null,
+      error: job.error_message
+    });
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new ResearchWorker();
@@ -77,6 +77,22 @@ async function testCreateResearchJob() {
   console.log(`   Created job ${global.testJobId} for contact ${global.testContactId}`);
 }
 
+async function testResearchSources() {
+  const response = await axios.get(`${BASE_URL}/api/research/sources`);
+  const names = response.data.sources.map(source => source.name);
+
+  assert(names.includes('linkedin'), 'LinkedIn source should be registered');
+
+  try {
+    await axios.post(`${BASE_URL}/api/research`, { ...TEST_CONTACT, sources: ['myspace'] });
+    throw new Error('Should have thrown 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Unknown source should return 400');
+  }
+
+  console.log(`   Sources: ${names.join(', ')}`);
+}
+
 async function testGetJobStatus() {
   assert(global.testJobId, 'Test job ID should exist');
 
@@ -87,8 +103,57 @@ async function testGetJobStatus() {
   assert(response.data.contact_id === global.testContactId, 'Contact ID should match');
   assert(['pending', 'processing', 'completed', 'failed'].includes(response.data.status),
          'Status should be valid');
+  assert(typeof response.data.attempts === 'number', 'Should report attempts');
+  assert(Array.isArray(response.data.completed_stages), 'Should list completed stages');
+  assert(Array.isArray(response.data.stages), 'Should list per-stage progress');
 
-  console.log(`   Job status: ${response.data.status}`);
+  console.log(`   Job status: ${response.data.status} (attempt ${response.data.attempts}/${response.data.max_attempts})`);
+}
+
+async function testBulkResearch() {
+  const response = await axios.post(`${BASE_URL}/api/research/bulk`, [
+    TEST_CONTACT,
+    { ...TEST_CONTACT, linkedin_url: 'https://www.linkedin.com/in/testuser/' },
+    { full_name: 'No LinkedIn' }
+  ]);
+
+  assert(response.status === 200, 'Should return 200');
+  assert(response.data.batch_id, 'Should return batch_id');
+  assert(response.data.total_rows === 3, 'Should count every row');
+  assert(response.data.invalid_rows === 1, 'Should reject rows without linkedin_url');
+  assert(response.data.duplicate_rows >= 1, 'Should dedupe on linkedin_url');
+
+  global.testBatchId = response.data.batch_id;
+
+  console.log(`   Created batch ${global.testBatchId} (${response.data.queued_rows} queued)`);
+}
+
+async function testBulkResearchCsv() {
+  const csv = 'Name,LinkedIn URL,Company\nCsv User,linkedin.com/in/csv-test-user,Csv Corp\n';
+  const response = await axios.post(`${BASE_URL}/api/research/bulk`, csv, {
+    headers: { 'Content-Type': 'text/csv' }
+  });
+
+  assert(response.status === 200, 'Should return 200');
+  assert(response.data.total_rows === 1, 'Should parse CSV rows');
+  assert(response.data.invalid_rows === 0, 'Should map CSV headers onto contact fields');
+}
+
+async function testGetBatchProgress() {
+  const response = await axios.get(`${BASE_URL}/api/research/batches/${global.testBatchId}`);
+
+  assert(response.status === 200, 'Should return 200');
+  assert(['processing', 'completed'].includes(response.data.status), 'Status should be valid');
+  assert(typeof response.data.jobs.pending === 'number', 'Should report job counts');
+  assert(typeof response.data.percent_complete === 'number', 'Should report percent complete');
+}
+
+async function testGetBatchErrors() {
+  const response = await axios.get(`${BASE_URL}/api/research/batches/${global.testBatchId}/errors`);
+
+  assert(response.status === 200, 'Should return 200');
+  assert(response.headers['content-type'].includes('text/csv'), 'Should return CSV');
+  assert(response.data.includes('linkedin_url is required'), 'Should include row errors');
 }
 
 async function testGetContact() {
@@ -104,6 +169,119 @@ async function testGetContact() {
   console.log(`   Contact: ${response.data.contact.full_name}`);
 }
 
+async function testListContacts() {
+  const response = await axios.get(`${BASE_URL}/api/contacts`, {
+    params: { q: 'Test', has_email: true, sort: 'name', order: 'asc', limit: 10 }
+  });
+
+  assert(response.status === 200, 'Should return 200');
+  assert(Array.isArray(response.data.contacts), 'Should return contacts array');
+  assert(response.data.pagination.limit === 10, 'Should honour limit');
+  assert(response.data.contacts.some(c => c.id === global.testContactId), 'Should find test contact');
+
+  console.log(`   Found ${response.data.pagination.total} matching contacts`);
+}
+
+async function testUpdateAndDeleteContact() {
+  const created = await axios.post(`${BASE_URL}/api/research`, {
+    full_name: 'Crud User',
+    linkedin_url: 'https://linkedin.com/in/crud-test-user'
+  });
+  const contactId = created.data.contact_id;
+
+  const updated = await axios.patch(`${BASE_URL}/api/contacts/${contactId}`, {
+    current_title: 'Head of RevOps'
+  });
+  assert(updated.data.contact.current_title === 'Head of RevOps', 'Title should be updated');
+  assert(updated.data.contact.full_name === 'Crud User', 'Other fields should be unchanged');
+
+  const deleted = await axios.delete(`${BASE_URL}/api/contacts/${contactId}`);
+  assert(deleted.data.deleted === true, 'Should delete contact');
+
+  try {
+    await axios.get(`${BASE_URL}/api/contacts/${contactId}`);
+    throw new Error('Should have thrown 404');
+  } catch (error) {
+    assert(error.response?.status === 404, 'Deleted contact should return 404');
+  }
+}
+
+async function testResearchSchedule() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const created = await axios.post(`${BASE_URL}/api/research/schedules`, {
+    contact_id: global.testContactId,
+    cadence: 'weekly'
+  });
+  const scheduleId = created.data.schedule.id;
+  assert(created.data.schedule.interval_days === 7, 'Weekly cadence should be 7 days');
+
+  const paused = await axios.patch(`${BASE_URL}/api/research/schedules/${scheduleId}`, { enabled: false });
+  assert(paused.data.schedule.enabled === false, 'Should pause schedule');
+
+  const fetched = await axios.get(`${BASE_URL}/api/research/schedules/${scheduleId}`);
+  assert(Array.isArray(fetched.data.recent_jobs), 'Should list recent refresh jobs');
+
+  try {
+    await axios.post(`${BASE_URL}/api/research/schedules`, { contact_id: global.testContactId, cadence: 'hourly' });
+    throw new Error('Should have thrown 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Unknown cadence should return 400');
+  }
+
+  const deleted = await axios.delete(`${BASE_URL}/api/research/schedules/${scheduleId}`);
+  assert(deleted.data.deleted === true, 'Should delete schedule');
+}
+
+async function testGetCompanyDossier() {
+  const response = await axios.get(`${BASE_URL}/api/companies/${TEST_CONTACT.company_domain}`);
+
+  assert(response.status === 200, 'Should return 200');
+  assert(response.data.company.domain === TEST_CONTACT.company_domain, 'Domain should match');
+  assert(response.data.summary.contacts >= 1, 'Should include contacts at the domain');
+  assert(response.data.buying_committee, 'Should return buying committee');
+  assert(Array.isArray(response.data.buying_committee.gaps), 'Should list committee gaps');
+
+  console.log(`   Account: ${response.data.summary.contacts} contact(s), score ${response.data.summary.account_score}`);
+}
+
+async function testGetCompanyTechStack() {
+  const response = await axios.get(`${BASE_URL}/api/companies/${TEST_CONTACT.company_domain}/tech-stack`);
+
+  assert(response.status === 200, 'Should return 200');
+  assert(Array.isArray(response.data.tools), 'Tools should be an array');
+  assert(response.data.tools.every(t => t.confidence > 0 && t.confidence < 1), 'Confidence should be between 0 and 1');
+  assert(response.data.tools.every(t => Array.isArray(t.sources)), 'Each tool should list its sources');
+
+  console.log(`   Tools detected: ${response.data.count}`);
+}
+
+async function testTechStackRepeatedEvidence() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const entryUrl = `${BASE_URL}/api/linkedin/manual-entry/${global.testContactId}`;
+  const post = {
+    url: `https://www.linkedin.com/posts/tech-stack-test-${Date.now()}`,
+    content: 'We record every discovery call in Gong and review them on Fridays.',
+    date: new Date().toISOString()
+  };
+
+  const gongConfidence = async () => {
+    const response = await axios.get(`${BASE_URL}/api/companies/${TEST_CONTACT.company_domain}/tech-stack`);
+    const gong = response.data.tools.find(t => t.tool_name === 'Gong');
+    return gong?.sources.find(s => s.source === 'linkedin_post')?.confidence;
+  };
+
+  await axios.post(entryUrl, { posts: [post] });
+  const first = await gongConfidence();
+  assert(first > 0, 'Gong should be detected from the post');
+
+  // Same post again, e.g. from a scheduled re-research
+  await axios.post(entryUrl, { posts: [post] });
+  const second = await gongConfidence();
+  assert(second === first, `Same post should not raise the confidence (${first} -> ${second})`);
+}
+
 async function testGetSignals() {
   assert(global.testContactId, 'Test contact ID should exist');
 
@@ -130,6 +308,550 @@ async function testGetLinkedInActivity() {
   console.log(`   LinkedIn posts: ${response.data.posts.length}`);
 }
 
+async function testPostSentiment() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const postUrl = `https://www.linkedin.com/posts/sentiment-test-${Date.now()}`;
+  await axios.post(`${BASE_URL}/api/linkedin/manual-entry/${global.testContactId}`, {
+    posts: [{
+      url: postUrl,
+      content: 'Our Salesforce setup is a nightmare, but Clay has been great for enrichment. Forecasting is not great either.',
+      date: new Date().toISOString()
+    }]
+  });
+
+  const activity = await axios.get(`${BASE_URL}/api/research/linkedin/recent-activity/${global.testContactId}`);
+  const post = activity.data.posts.find(p => p.post_url === postUrl);
+  assert(post, 'Manual post should be listed');
+
+  const aspect = name => post.aspect_sentiment.find(a => a.aspect === name);
+  assert(aspect('Salesforce')?.label === 'negative', 'Should be negative about Salesforce');
+  assert(aspect('Clay')?.label === 'positive', 'Should be positive about Clay');
+  assert(aspect('forecasting')?.label === 'negative', '"not great" should be negative');
+
+  const patterns = await axios.get(`${BASE_URL}/api/research/linkedin/engagement-patterns/${global.testContactId}`);
+  assert(patterns.data.patterns.sentiment_distribution, 'Should report the sentiment distribution');
+  assert(patterns.data.patterns.aspect_sentiment.some(a => a.aspect === 'Salesforce'), 'Should summarize aspect sentiment');
+}
+
+async function testPostPainPoints() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const content = 'Quarter close again. Our forecast calls keep turning into data cleanup sessions because of duplicate records.';
+  const postUrl = `https://www.linkedin.com/posts/pain-test-${Date.now()}`;
+  await axios.post(`${BASE_URL}/api/linkedin/manual-entry/${global.testContactId}`, {
+    posts: [{ url: postUrl, content, date: new Date().toISOString() }]
+  });
+
+  const activity = await axios.get(`${BASE_URL}/api/research/linkedin/recent-activity/${global.testContactId}`);
+  const post = activity.data.posts.find(p => p.post_url === postUrl);
+  assert(post?.mentions_pain_points, 'Should flag the pain point');
+
+  const dataQuality = post.pain_points.find(p => p.label === 'data_quality');
+  assert(dataQuality, 'Should label the data quality pain');
+  assert(dataQuality.confidence > 0 && dataQuality.confidence <= 1, 'Confidence should be between 0 and 1');
+  assert(
+    content.substring(dataQuality.evidence.start, dataQuality.evidence.end) === dataQuality.evidence.text,
+    'Evidence offsets should point at the evidence span'
+  );
+
+  console.log(`   Pain points: ${post.pain_points.map(p => `${p.label} (${p.confidence})`).join(', ')}`);
+}
+
+async function testLinkedInProfileChanges() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const entryUrl = `${BASE_URL}/api/linkedin/manual-entry/${global.testContactId}`;
+  await axios.post(entryUrl, {
+    profile: { linkedin_url: TEST_CONTACT.linkedin_url, headline: 'Sales Manager at Old Corp', location: 'Austin, Texas' }
+  });
+  const response = await axios.post(entryUrl, {
+    profile: { linkedin_url: TEST_CONTACT.linkedin_url, headline: 'Director of Revenue Operations at Test Corp | RevOps', location: 'Austin, Texas' }
+  });
+
+  assert(response.data.results.profile_changes.includes('job_change'), 'Should detect job change');
+
+  const changes = await axios.get(
+    `${BASE_URL}/api/linkedin/profile-changes/${global.testContactId}?type=job_change`
+  );
+
+  assert(changes.status === 200, 'Should return 200');
+  assert(changes.data.current.company === 'Test Corp', 'Should store current company');
+  assert(changes.data.changes[0].new_value === 'Director of Revenue Operations at Test Corp', 'Should record new position');
+
+  console.log(`   Profile changes: ${changes.data.total_changes}`);
+}
+
+async function testLinkedInCareer() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const response = await axios.get(`${BASE_URL}/api/linkedin/career/${global.testContactId}`);
+
+  assert(response.status === 200, 'Should return 200');
+  assert(Array.isArray(response.data.positions), 'Should return positions');
+  assert(response.data.positions.length > 0 || response.data.features === null, 'Features should be null without positions');
+
+  try {
+    await axios.get(`${BASE_URL}/api/linkedin/career/999999999`);
+    throw new Error('Should have returned 404');
+  } catch (error) {
+    assert(error.response?.status === 404, 'Should return 404 for an unknown contact');
+  }
+
+  console.log(`   Positions: ${response.data.positions.length}`);
+}
+
+async function testLinkedInThemes() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const entry = await axios.post(`${BASE_URL}/api/linkedin/manual-entry/${global.testContactId}`, {
+    posts: [{
+      url: 'https://linkedin.com/posts/test-themes-1',
+      content: 'Territory planning season again. Territory planning in spreadsheets is how good reps end up with bad books.'
+    }]
+  });
+  assert(entry.data.results.posts_saved === 1, 'Should save the post');
+
+  const response = await axios.get(`${BASE_URL}/api/linkedin/themes/${global.testContactId}`);
+
+  assert(response.status === 200, 'Should return 200');
+  assert(response.data.themes.some(t => t.theme === 'territory planning'), 'Should extract the repeated phrase');
+
+  const manualPostUrl = 'https://linkedin.com/posts/test-themes-manual';
+  await axios.post(`${BASE_URL}/api/linkedin/manual-entry/${global.testContactId}`, {
+    posts: [{
+      url: manualPostUrl,
+      content: 'Territory planning is mostly a conversation about comp plans.',
+      themes: ['comp plans']
+    }]
+  });
+
+  const recalculated = await axios.post(`${BASE_URL}/api/linkedin/themes/recalculate`, {
+    contact_id: global.testContactId
+  });
+  assert(recalculated.data.updated > 0, 'Should re-extract stored posts');
+  assert(recalculated.data.manual_kept > 0, 'Should count the posts with themes entered by hand');
+
+  const activity = await axios.get(`${BASE_URL}/api/research/linkedin/recent-activity/${global.testContactId}`);
+  const manualPost = activity.data.posts.find(p => p.post_url === manualPostUrl);
+  assert(manualPost?.key_themes.join(',') === 'comp plans', 'Themes entered by hand should be kept');
+
+  try {
+    await axios.post(`${BASE_URL}/api/linkedin/themes/recalculate`, { contact_id: 'all' });
+    throw new Error('Should have returned 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Should reject an invalid contact_id');
+  }
+
+  console.log(`   Themes: ${response.data.themes.slice(0, 3).map(t => t.theme).join(', ')}`);
+}
+
+async function testEngagementGraph() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const entryUrl = `${BASE_URL}/api/linkedin/manual-entry/${global.testContactId}`;
+  const entry = await axios.post(entryUrl, {
+    engagements: [
+      {
+        type: 'commented',
+        target_name: 'Priya Raman',
+        target_url: 'https://www.linkedin.com/in/priyaraman?trk=feed',
+        target_headline: 'Director of Sales Operations at Globex',
+        post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:7290802195660923456/',
+        content: 'We are rolling out a new forecasting process for the sales team.',
+        comment_text: 'Happy to share how we run forecasting reviews.'
+      },
+      {
+        type: 'liked',
+        target_name: 'Priya Raman',
+        target_url: 'https://www.linkedin.com/in/priyaraman',
+        post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:7290000000000000000/',
+        content: 'Hiring two Sales Ops analysts.'
+      },
+      {
+        type: 'liked',
+        target_name: 'Gong',
+        target_url: 'https://www.linkedin.com/company/gong-io',
+        post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:7289000000000000000/',
+        content: 'New research on deal velocity.'
+      }
+    ]
+  });
+  assert(entry.data.results.engagements_saved === 3, 'Should save the engagements');
+
+  const response = await axios.get(`${BASE_URL}/api/linkedin/engagement-graph/${global.testContactId}`);
+
+  assert(response.status === 200, 'Should return 200');
+  const priya = response.data.people.find(p => p.profile_url === 'https://www.linkedin.com/in/priyaraman');
+  assert(priya, 'Should list the person engaged with');
+  assert(priya.interactions === 2 && priya.comments === 1, 'Should merge engagements with one profile');
+  assert(priya.company === 'Globex', 'Should read the company from the headline');
+  assert(response.data.companies.some(c => c.company === 'Gong' && c.direct_engagements === 1),
+         'Should list company pages');
+
+  try {
+    await axios.post(entryUrl, { engagements: [{ type: 'viewed', target_name: 'Priya Raman' }] });
+    throw new Error('Should have returned 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Should reject an unknown engagement type');
+  }
+
+  try {
+    await axios.get(`${BASE_URL}/api/linkedin/engagement-graph/999999`);
+    throw new Error('Should have returned 404');
+  } catch (error) {
+    assert(error.response?.status === 404, 'Should return 404 for an unknown contact');
+  }
+
+  console.log(`   Top people: ${response.data.people.slice(0, 3).map(p => p.name).join(', ')}`);
+}
+
+async function testSignalDeduplication() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const entry = {
+    posts: [{
+      url: 'https://linkedin.com/posts/test-dedup-1',
+      content: 'Struggling with forecast accuracy this quarter',
+      mentions_pain_points: true
+    }]
+  };
+  const entryUrl = `${BASE_URL}/api/linkedin/manual-entry/${global.testContactId}`;
+  await axios.post(entryUrl, entry);
+  await axios.post(entryUrl, entry);
+
+  const response = await axios.get(
+    `${BASE_URL}/api/signals/${global.testContactId}?include_inactive=true`
+  );
+  const painSignals = response.data.signals.filter(s => s.signal_key === 'latest_pain_point');
+
+  assert(response.status === 200, 'Should return 200');
+  assert(painSignals.length === 1, 'Same post entered twice should give one active signal');
+  assert(painSignals[0].source_ref === entry.posts[0].url, 'Signal should reference the post');
+  assert(Array.isArray(response.data.inactive_signals), 'Should include inactive signals');
+
+  console.log(`   Active signals: ${response.data.signals.length}, inactive: ${response.data.inactive_signals.length}`);
+}
+
+async function testRecalculateSignalScores() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const response = await axios.post(`${BASE_URL}/api/signals/recalculate`, {
+    contact_id: global.testContactId
+  });
+
+  assert(response.status === 200, 'Should return 200');
+  assert(response.data.success === true, 'Recalculation should succeed');
+  assert(typeof response.data.updated === 'number', 'Should report updated count');
+
+  const signals = await axios.get(`${BASE_URL}/api/signals/${global.testContactId}`);
+  assert(signals.data.signals.every(s => s.decay && s.decay.factor <= 1), 'Signals should carry decay details');
+
+  console.log(`   Rescored signals: ${response.data.updated}`);
+}
+
+async function testScoringProfiles() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const list = await axios.get(`${BASE_URL}/api/scoring-profiles`);
+  assert(list.data.profiles.some(p => p.name === 'default'), 'Default profile should be seeded');
+
+  const created = await axios.post(`${BASE_URL}/api/scoring-profiles`, {
+    name: 'api-test',
+    model: { composite: { relevance: 0.2, urgency: 0.5, wedgePotential: 0.3 } }
+  });
+  const ref = `api-test@${created.data.profile.version}`;
+  assert(created.data.profile.model.linkedinRelevanceBoost !== undefined, 'Model should be merged onto the default');
+
+  const signals = await axios.get(`${BASE_URL}/api/signals/${global.testContactId}?scoring_profile=${ref}`);
+  assert(signals.data.scoring_profile === ref, 'Signals should record the profile used');
+
+  try {
+    await axios.post(`${BASE_URL}/api/scoring-profiles`, {
+      name: 'api-test',
+      model: { composite: { relevance: 0.9 } }
+    });
+    throw new Error('Should have thrown 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Weights that do not sum to 1 should return 400');
+  }
+
+  try {
+    await axios.get(`${BASE_URL}/api/export/clay/${global.testContactId}?scoring_profile=no-such-profile`);
+    throw new Error('Should have thrown 404');
+  } catch (error) {
+    assert(error.response?.status === 404, 'Unknown profile should return 404');
+  }
+
+  console.log(`   Scoring profile: ${ref}`);
+}
+
+async function testCompetitors() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const name = `Testrival ${Date.now()}`;
+  const created = await axios.post(`${BASE_URL}/api/competitors`, {
+    name,
+    aliases: ['testrival.io'],
+    displaces_category: 'sales engagement'
+  });
+  const competitorId = created.data.competitor.id;
+
+  try {
+    await axios.post(`${BASE_URL}/api/competitors`, { name: name.toUpperCase() });
+    throw new Error('Should have thrown 409');
+  } catch (error) {
+    assert(error.response?.status === 409, 'Duplicate name should return 409');
+  }
+
+  // A complaint in a manually entered post is detected with its stance
+  await axios.post(`${BASE_URL}/api/linkedin/manual-entry/${global.testContactId}`, {
+    posts: [{
+      url: `https://www.linkedin.com/posts/competitor-test-${competitorId}`,
+      content: `Honestly testrival.io has been clunky since the last release. Time to look at other options.`,
+      date: new Date().toISOString()
+    }]
+  });
+
+  const mentions = await axios.get(`${BASE_URL}/api/competitors/${competitorId}/mentions`);
+  assert(mentions.data.mentions.length === 1, 'Should record the mention');
+  assert(mentions.data.mentions[0].stance === 'complaining', 'Should classify the complaint');
+
+  const signals = await axios.get(`${BASE_URL}/api/signals/${global.testContactId}`);
+  assert(signals.data.signals.some(s => s.signal_key === `competitor:${competitorId}` && s.signal_category === 'competitive'),
+         'Should create a competitive signal');
+
+  const updated = await axios.patch(`${BASE_URL}/api/competitors/${competitorId}`, { products: ['Testrival Cadences'] });
+  assert(updated.data.competitor.products.length === 1, 'Should replace products');
+
+  const deleted = await axios.delete(`${BASE_URL}/api/competitors/${competitorId}`);
+  assert(deleted.data.deleted === true, 'Should delete competitor');
+
+  try {
+    await axios.get(`${BASE_URL}/api/competitors/${competitorId}`);
+    throw new Error('Should have thrown 404');
+  } catch (error) {
+    assert(error.response?.status === 404, 'Deleted competitor should return 404');
+  }
+}
+
+async function testIntroPaths() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  // The test contact engaged with Priya's posts in the engagement graph test
+  const created = await axios.post(`${BASE_URL}/api/team-members`, {
+    full_name: 'Priya Raman',
+    email: `priya.${Date.now()}@example.com`,
+    linkedin_url: 'https://www.linkedin.com/in/priyaraman',
+    positions: [{ company_name: 'Globex', title: 'Director of Sales Operations', start_month: '2021-01' }]
+  });
+  const teamMemberId = created.data.team_member.id;
+  assert(created.data.team_member.positions[0].is_current === true, 'Open-ended position should be current');
+
+  try {
+    await axios.post(`${BASE_URL}/api/team-members`, {
+      full_name: 'Bad Dates',
+      positions: [{ company_name: 'Globex', start_month: '2021' }]
+    });
+    throw new Error('Should have returned 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Should reject a month that is not YYYY-MM');
+  }
+
+  const response = await axios.get(`${BASE_URL}/api/contacts/${global.testContactId}/intro-paths?type=team_member`);
+
+  assert(response.status === 200, 'Should return 200');
+  const path = response.data.intro_paths.find(p => p.id === teamMemberId);
+  assert(path, 'Should list the team member the contact engages with');
+  assert(path.ties.some(t => t.type === 'engagement'), 'Should explain the engagement tie');
+  assert(path.strength > 0 && path.strength <= 1, 'Strength should be between 0 and 1');
+
+  try {
+    await axios.get(`${BASE_URL}/api/contacts/${global.testContactId}/intro-paths?type=friend`);
+    throw new Error('Should have returned 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Should reject an unknown connector type');
+  }
+
+  try {
+    await axios.get(`${BASE_URL}/api/contacts/999999/intro-paths`);
+    throw new Error('Should have returned 404');
+  } catch (error) {
+    assert(error.response?.status === 404, 'Should return 404 for an unknown contact');
+  }
+
+  console.log(`   Intro angle: ${path.intro_angle}`);
+
+  const deleted = await axios.delete(`${BASE_URL}/api/team-members/${teamMemberId}`);
+  assert(deleted.data.deleted === true, 'Should delete the team member');
+}
+
+async function testOutreachTemplates() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const library = await axios.get(`${BASE_URL}/api/outreach-templates`);
+  assert(library.data.templates.some(t => t.name === 'pain-point'), 'Should seed the built-in templates');
+
+  const created = await axios.post(`${BASE_URL}/api/outreach-templates`, {
+    name: `test-job-change-${Date.now()}`,
+    wedge_types: ['linkedin_job_change_recent'],
+    persona: 'champion',
+    subject: 'Welcome to {{contact.company | "the team"}}',
+    body: 'Hi {{contact.first_name}},{{#if linkedin.tenure_months}} {{linkedin.tenure_months}} months in.{{else}} New role!{{/if}} {{github.username | "no github"}}'
+  });
+  const templateId = created.data.template.id;
+
+  try {
+    await axios.post(`${BASE_URL}/api/outreach-templates`, {
+      name: 'broken',
+      body: 'Hi {{contact.first_nmae}} {{#if wedge.pain}}'
+    });
+    throw new Error('Should have returned 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Should reject an unknown variable and an unclosed block');
+    assert(error.response.data.details.length === 2, 'Should report both problems');
+  }
+
+  const preview = await axios.post(`${BASE_URL}/api/outreach-templates/${templateId}/preview`, {
+    contact_id: global.testContactId
+  });
+  assert(preview.data.preview.body.startsWith('Hi '), 'Should render the body');
+  assert(!preview.data.preview.body.includes('{{'), 'Should leave no tags behind');
+
+  const draft = await axios.post(`${BASE_URL}/api/outreach-templates/preview`, {
+    contact_id: global.testContactId,
+    template: { body: '{{contact.full_name}} / {{wedge.competitor}}' }
+  });
+  assert(Array.isArray(draft.data.preview.missing), 'Should list missing variables');
+
+  try {
+    await axios.post(`${BASE_URL}/api/outreach-templates/${templateId}/preview`, { contact_id: 999999 });
+    throw new Error('Should have returned 404');
+  } catch (error) {
+    assert(error.response?.status === 404, 'Should return 404 for an unknown contact');
+  }
+
+  console.log(`   Preview (${preview.data.preview.persona}): ${preview.data.preview.body}`);
+
+  const deleted = await axios.delete(`${BASE_URL}/api/outreach-templates/${templateId}`);
+  assert(deleted.data.deleted === true, 'Should delete the template');
+}
+
+async function testSellerProfile() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  const rep = await axios.post(`${BASE_URL}/api/team-members`, {
+    full_name: 'Sam Patel',
+    email: `sam.${Date.now()}@example.com`,
+    phone: '+1 512 555 0100',
+    signature: 'Sam Patel\nAccount Executive'
+  });
+  const teamMemberId = rep.data.team_member.id;
+
+  const profile = await axios.put(`${BASE_URL}/api/seller-profile`, {
+    company_name: 'Our Company',
+    product_name: 'Signal Desk',
+    value_props: { data_quality: 'Signal Desk dedupes records as they land in the CRM.' },
+    default_value_prop: 'Signal Desk keeps go-to-market data trustworthy.',
+    default_team_member_id: teamMemberId
+  });
+  assert(profile.data.profile.default_team_member_id === teamMemberId, 'Should save the default rep');
+
+  try {
+    await axios.patch(`${BASE_URL}/api/seller-profile`, { value_props: { not_a_pain: 'x' } });
+    throw new Error('Should have returned 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Should reject a value prop for an unknown pain label');
+  }
+
+  const created = await axios.post(`${BASE_URL}/api/seller-profile/case-studies`, {
+    customer_company: 'Globex',
+    industry: 'B2B SaaS',
+    pain_labels: ['data_quality'],
+    metric: 'duplicate records',
+    result: 'cut duplicate records by 40%',
+    timeframe: 'in 90 days'
+  });
+  const caseStudyId = created.data.case_study.id;
+
+  try {
+    await axios.post(`${BASE_URL}/api/seller-profile/case-studies`, { customer_company: 'Initech' });
+    throw new Error('Should have returned 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Should require a metric and result');
+  }
+
+  // Shares the case study's industry
+  await axios.patch(`${BASE_URL}/api/contacts/${global.testContactId}`, { industry: 'SaaS' });
+
+  const library = await axios.get(`${BASE_URL}/api/outreach-templates`);
+  const general = library.data.templates.find(t => t.name === 'general');
+  const preview = await axios.post(`${BASE_URL}/api/outreach-templates/${general.id}/preview`, {
+    contact_id: global.testContactId,
+    team_member_id: teamMemberId
+  });
+  assert(preview.data.preview.body.endsWith('Sam Patel\nAccount Executive'), 'Should sign with the rep\'s signature');
+  assert(preview.data.preview.case_study_id, 'Should cite a case study');
+  assert(!/\[[^\]]+\]/.test(preview.data.preview.body), 'Should leave no bracket placeholders');
+
+  try {
+    await axios.post(`${BASE_URL}/api/outreach-templates/${general.id}/preview`, {
+      contact_id: global.testContactId,
+      team_member_id: 999999999
+    });
+    throw new Error('Should have returned 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Should reject an unknown team member');
+  }
+
+  console.log(`   Preview: ${preview.data.preview.body}`);
+
+  // With only a case study that shares nothing with the contact, none is cited
+  await axios.patch(`${BASE_URL}/api/seller-profile/case-studies/${caseStudyId}`, { active: false });
+  const unrelated = await axios.post(`${BASE_URL}/api/seller-profile/case-studies`, {
+    customer_company: 'Initech',
+    industry: 'Healthcare',
+    metric: 'claims backlog',
+    result: 'halved their claims backlog'
+  });
+  const unmatched = await axios.post(`${BASE_URL}/api/outreach-templates/${general.id}/preview`, {
+    contact_id: global.testContactId
+  });
+  assert(unmatched.data.preview.case_study_id === null, 'Should not cite an unrelated case study');
+  assert(!unmatched.data.preview.body.includes('Initech'), 'Should leave the case study sentence out');
+  await axios.delete(`${BASE_URL}/api/seller-profile/case-studies/${unrelated.data.case_study.id}`);
+
+  const deleted = await axios.delete(`${BASE_URL}/api/seller-profile/case-studies/${caseStudyId}`);
+  assert(deleted.data.deleted === true, 'Should delete the case study');
+  await axios.delete(`${BASE_URL}/api/team-members/${teamMemberId}`);
+}
+
+async function testAnalytics() {
+  const signals = await axios.get(`${BASE_URL}/api/analytics/signals?interval=day`);
+  assert(typeof signals.data.active.total === 'number', 'Should count active signals');
+  assert(Array.isArray(signals.data.timeline), 'Should have a timeline');
+  assert(signals.data.scores.histogram.length === 10, 'Should have ten score buckets');
+
+  const coverage = await axios.get(`${BASE_URL}/api/analytics/coverage`);
+  assert(coverage.data.sources.linkedin, 'Should report LinkedIn coverage');
+
+  const wedges = await axios.get(`${BASE_URL}/api/analytics/wedges`);
+  assert(Array.isArray(wedges.data.wedges), 'Should list wedge types');
+
+  const themes = await axios.get(`${BASE_URL}/api/analytics/pain-themes?limit=5`);
+  assert(themes.data.themes.length <= 5, 'Should respect the limit');
+  assert(themes.data.themes.every(t => t.label && t.theme), 'Should name each pain label');
+
+  try {
+    await axios.get(`${BASE_URL}/api/analytics/signals?interval=year`);
+    throw new Error('Should have thrown 400');
+  } catch (error) {
+    assert(error.response?.status === 400, 'Unknown interval should return 400');
+  }
+
+  console.log(`   Active signals: ${signals.data.active.total}`);
+}
+
 async function testClayExport() {
   assert(global.testContactId, 'Test contact ID should exist');
 
@@ -160,6 +882,40 @@ async function testCSVExport() {
   console.log(`   CSV rows: ${lines.length}`);
 }
 
+async function testOutreachSequence() {
+  assert(global.testContactId, 'Test contact ID should exist');
+
+  let playbook;
+  try {
+    playbook = await axios.get(`${BASE_URL}/api/playbook/${global.testContactId}`);
+  } catch (error) {
+    // Research may not have found a wedge for the test contact yet
+    assert(error.response?.status === 404, 'Should return 404 without a playbook');
+    console.log('   No playbook yet - skipping sequence checks');
+    return;
+  }
+
+  const sequence = playbook.data.playbook.outreach_sequence;
+  assert(sequence.steps.length >= 4 && sequence.steps.length <= 6, 'Should have 4-6 steps');
+  assert(sequence.steps[0].day_offset === 0, 'First step should be on day 0');
+  sequence.steps.forEach((step, i) => {
+    assert(i === 0 || step.day_offset > sequence.steps[i - 1].day_offset, 'Day offsets should increase');
+    assert(step.char_count <= step.char_limit, 'Body should fit the channel limit');
+  });
+
+  const stored = await axios.get(`${BASE_URL}/api/playbook/${global.testContactId}/sequence`);
+  assert(stored.status === 200, 'Should return 200');
+  assert(stored.data.sequence.step_count === sequence.step_count, 'Stored sequence should match');
+
+  const csv = await axios.get(
+    `${BASE_URL}/api/export/csv?contact_ids=${global.testContactId}&format=sequence`,
+    { responseType: 'text' }
+  );
+  assert(csv.data.includes('Step Type'), 'CSV should have sequence headers');
+
+  console.log(`   Sequence: ${sequence.steps.map(s => `${s.step_type}@${s.day_offset}`).join(', ')}`);
+}
+
 async function testExportFormats() {
   const response = await axios.get(`${BASE_URL}/api/export/formats`);
 
@@ -206,13 +962,41 @@ async function runTests() {
   // Research workflow
   await test('Create Research Job', testCreateResearchJob);
   await test('Get Job Status', testGetJobStatus);
+  await test('Research Sources', testResearchSources);
   await test('Get Contact', testGetContact);
+  await test('List Contacts', testListContacts);
+  await test('Update and Delete Contact', testUpdateAndDeleteContact);
+  await test('Research Schedule', testResearchSchedule);
+  await test('Get Company Dossier', testGetCompanyDossier);
+  await test('Get Company Tech Stack', testGetCompanyTechStack);
+  await test('Tech Stack Repeated Evidence', testTechStackRepeatedEvidence);
   await test('Get Intelligence Signals', testGetSignals);
   await test('Get LinkedIn Activity', testGetLinkedInActivity);
+  await test('LinkedIn Post Sentiment', testPostSentiment);
+  await test('LinkedIn Post Pain Points', testPostPainPoints);
+  await test('LinkedIn Profile Changes', testLinkedInProfileChanges);
+  await test('LinkedIn Career History', testLinkedInCareer);
+  await test('LinkedIn Post Themes', testLinkedInThemes);
+  await test('LinkedIn Engagement Graph', testEngagementGraph);
+  await test('Signal Deduplication', testSignalDeduplication);
+  await test('Recalculate Signal Scores', testRecalculateSignalScores);
+  await test('Scoring Profiles', testScoringProfiles);
+  await test('Competitor Catalogue and Mentions', testCompetitors);
+  await test('Warm Intro Paths', testIntroPaths);
+  await test('Outreach Template Library', testOutreachTemplates);
+  await test('Seller Profile', testSellerProfile);
+  await test('Cross-Contact Analytics', testAnalytics);
+
+  // Bulk intake
+  await test('Bulk Research (JSON)', testBulkResearch);
+  await test('Bulk Research (CSV)', testBulkResearchCsv);
+  await test('Get Batch Progress', testGetBatchProgress);
+  await test('Get Batch Error Report', testGetBatchErrors);
 
   // Export tests
   await test('Clay Export Format', testClayExport);
   await test('CSV Export', testCSVExport);
+  await test('Outreach Sequence', testOutreachSequence);
   await test('Get Export Formats', testExportFormats);
 
   // Error handling
@@ -0,0 +1,212 @@
+/**
+ * LinkedIn Experience Parser Tests
+ * Parses saved profile snapshots (tests/fixtures/linkedin) and computes
+ * career features - no API server or database needed
+ *
+ * Run with: node tests/linkedin-experience-parser.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const linkedinExperienceParser = require('../src/scrapers/linkedin-experience-parser');
+const careerHistory = require('../src/processors/career-history');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'linkedin');
+const NOW = new Date('2025-03-15T12:00:00Z');
+
+// Test results tracker
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+/**
+ * Test helper
+ */
+async function test(name, testFn) {
+  try {
+    console.log(`\n🧪 Testing: ${name}`);
+    await testFn();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'passed' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'failed', error: error.message });
+  }
+}
+
+/**
+ * Assertion helpers
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function parseHtml() {
+  return linkedinExperienceParser.parse({ html: fixture('profile.html') });
+}
+
+function parseMarkdown() {
+  return linkedinExperienceParser.parse({ html: '<main></main>', markdown: fixture('profile.md') });
+}
+
+// Title, company, start, end and location - the fields both layouts carry
+function summarize(position) {
+  return [position.title, position.company_name, position.start_month, position.end_month, position.location].join(' | ');
+}
+
+const EXPECTED_POSITIONS = [
+  'VP Revenue Operations | Northwind Analytics | 2023-11 |  | Austin, Texas, United States',
+  'Director, Revenue Operations | Northwind Analytics | 2022-01 | 2023-10 | Austin, Texas, United States',
+  'Senior Manager, Sales Operations | Northwind Analytics | 2020-12 | 2021-12 | Remote',
+  'Sales Operations Manager | Contoso | 2018-03 | 2020-11 | San Francisco Bay Area',
+  'Sales Operations Analyst | Fabrikam Inc. | 2015-06 | 2018-02 | Seattle, Washington',
+  'Board Advisor | Revenue Collective | 2021-01 |  | '
+];
+
+/**
+ * Tests
+ */
+
+async function testHtmlPositions() {
+  const positions = parseHtml();
+
+  assertEqual(positions.length, 6, 'Positions');
+  positions.forEach((position, index) => {
+    assertEqual(summarize(position), EXPECTED_POSITIONS[index], `Position ${index}`);
+    assertEqual(position.position_order, index, 'Profile order');
+  });
+
+  const [current, , , contoso, fabrikam, advisor] = positions;
+  assert(current.is_current, 'First position should be current');
+  assertEqual(current.company_linkedin_url, 'https://www.linkedin.com/company/northwind-analytics', 'Group company URL');
+  assert(current.description.startsWith('Own forecasting, territory planning and the GTM tech stack.\nRolled out'),
+         'Description should keep line breaks');
+  assertEqual(contoso.company_linkedin_url, 'https://www.linkedin.com/company/contoso', 'Company URL');
+  assertEqual(fabrikam.company_linkedin_url, null, 'Company without a page');
+  assertEqual(advisor.date_precision, 'year', 'Year-only dates');
+  assert(advisor.is_current, 'Year-only current position');
+}
+
+async function testMarkdownPositions() {
+  const positions = parseMarkdown();
+
+  assertEqual(positions.length, 6, 'Positions');
+  positions.forEach((position, index) => {
+    assertEqual(summarize(position), EXPECTED_POSITIONS[index], `Position ${index}`);
+  });
+
+  assertEqual(positions[1].employment_type, 'Full-time', 'Group employment type');
+  assertEqual(positions[3].company_linkedin_url, 'https://www.linkedin.com/company/contoso', 'Company URL from logo link');
+  assertEqual(positions[5].employment_type, 'Part-time', 'Employment type');
+  assert(!positions[3].description.includes('Skills:'), 'Skills line should not be in the description');
+  assert(!positions.some(p => /University/.test(p.company_name || p.title)), 'Education should not be parsed');
+}
+
+async function testDateRanges() {
+  const range = linkedinExperienceParser.parseDateRange('Sept 2019 – Present · 5 yrs 7 mos');
+  assertEqual(range.start, '2019-09', 'Start month');
+  assertEqual(range.end, null, 'Current position end');
+  assert(range.isCurrent, 'Current position');
+
+  const years = linkedinExperienceParser.parseDateRange('2015 - 2018');
+  assertEqual(years.start, '2015-01', 'Year-only start');
+  assertEqual(years.end, '2018-01', 'Year-only end');
+  assertEqual(years.precision, 'year', 'Year precision');
+
+  assertEqual(linkedinExperienceParser.parseDateRange('4 yrs 4 mos'), null, 'Duration is not a date range');
+}
+
+async function testTenure() {
+  const positions = parseHtml();
+
+  // Nov 2023 - Mar 2025, both months counted
+  assertEqual(careerHistory.currentTenureMonths(positions, NOW), 17, 'Current tenure');
+  assertEqual(careerHistory.durationMonths({ start_month: '2025-03', is_current: true }, NOW), 1, 'Started this month');
+  assertEqual(careerHistory.durationMonths({ start_month: '2022-01', end_month: '2023-10' }, NOW), 22, 'Completed position');
+
+  // The side role started earlier but is not the main job
+  assertEqual(careerHistory.currentPosition(positions).title, 'VP Revenue Operations', 'Current position');
+  assertEqual(careerHistory.previousCompanies(positions).join(', '), 'Contoso, Fabrikam Inc.', 'Previous companies');
+}
+
+async function testCareerFeatures() {
+  const features = careerHistory.analyze(parseHtml(), { now: NOW });
+
+  assertEqual(features.companies_count, 3, 'Companies');
+  assertEqual(features.current_seniority, 'vp', 'Current seniority');
+  assertEqual(features.current_company_tenure_months, 52, 'Company tenure');
+  assertEqual(features.total_experience_months, 118, 'Total experience');
+  assertEqual(features.average_position_tenure_months, 25.3, 'Average position tenure');
+  assertEqual(features.average_company_tenure_months, 33, 'Average company tenure');
+  assertEqual(features.promotions_count, 4, 'Promotions');
+  assertEqual(features.internal_promotions_count, 2, 'Internal promotions');
+  assertEqual(features.promotion_velocity_months, 25.3, 'Months per promotion');
+  assertEqual(features.company_changes_last_3_years, 0, 'Recent company changes');
+}
+
+async function testSeniority() {
+  assertEqual(careerHistory.seniority('Vice President, Sales').name, 'vp', 'Vice President');
+  assertEqual(careerHistory.seniority('Chief Revenue Officer').name, 'executive', 'Chief');
+  assertEqual(careerHistory.seniority('Senior Director of Sales').name, 'senior_director', 'Senior Director');
+  assertEqual(careerHistory.seniority('Account Executive').name, 'individual_contributor', 'Account Executive');
+  assertEqual(careerHistory.seniority('Sales Development Intern').name, 'intern', 'Intern');
+}
+
+async function testEmptyProfile() {
+  assertEqual(linkedinExperienceParser.parse({ html: '', markdown: '' }).length, 0, 'Empty scrape');
+  assertEqual(careerHistory.currentTenureMonths([], NOW), null, 'No current position');
+  assertEqual(careerHistory.analyze([], { now: NOW }).promotion_velocity_months, null, 'No promotions');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  console.log('=================================================');
+  console.log('LinkedIn Experience Parser Test Suite');
+  console.log('=================================================');
+
+  await test('HTML Positions', testHtmlPositions);
+  await test('Markdown Positions', testMarkdownPositions);
+  await test('Date Ranges', testDateRanges);
+  await test('Tenure', testTenure);
+  await test('Career Features', testCareerFeatures);
+  await test('Seniority', testSeniority);
+  await test('Empty Profile', testEmptyProfile);
+
+  console.log('\n=================================================');
+  console.log(`Passed: ${results.passed}, Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    results.tests
+      .filter(t => t.status === 'failed')
+      .forEach(t => console.log(`  - ${t.name}: ${t.error}`));
+  }
+
+  console.log('=================================================\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});
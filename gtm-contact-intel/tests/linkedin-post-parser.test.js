@@ -0,0 +1,252 @@
+/**
+ * LinkedIn Post Parser Tests
+ * Parses saved recent-activity page snapshots (tests/fixtures/linkedin) -
+ * no API server or database needed
+ *
+ * Run with: node tests/linkedin-post-parser.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const linkedinPostParser = require('../src/scrapers/linkedin-post-parser');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'linkedin');
+const NOW = new Date('2025-03-01T12:00:00Z');
+
+// Test results tracker
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+/**
+ * Test helper
+ */
+async function test(name, testFn) {
+  try {
+    console.log(`\n🧪 Testing: ${name}`);
+    await testFn();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'passed' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'failed', error: error.message });
+  }
+}
+
+/**
+ * Assertion helpers
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function byUrn(posts, id) {
+  const post = posts.find(p => p.activity_urn.endsWith(`:${id}`));
+  assert(post, `Post ${id} should be parsed`);
+  return post;
+}
+
+/**
+ * Tests
+ */
+
+async function testHtmlPosts() {
+  const posts = linkedinPostParser.parse({ html: fixture('recent-activity.html') }, { now: NOW });
+
+  assertEqual(posts.length, 6, 'Feed items');
+
+  const post = byUrn(posts, '7300446997708923456');
+  assertEqual(post.post_url, 'https://www.linkedin.com/feed/update/urn:li:activity:7300446997708923456/', 'Canonical URL');
+  assertEqual(post.post_type, 'post', 'Post type');
+  assertEqual(post.likes_count, 1204, 'Reactions');
+  assertEqual(post.comments_count, 87, 'Comments');
+  assertEqual(post.shares_count, 12, 'Reposts');
+  assertEqual(post.engagement_count, 1303, 'Engagement');
+  assert(post.post_content.startsWith('Our pipeline reviews keep turning into data-cleanup sessions.\nReps update'),
+         'Content should keep line breaks and drop "see more"');
+  assert(!post.post_content.includes('see more'), 'Content should not include "see more"');
+}
+
+async function testHtmlPostTypes() {
+  const posts = linkedinPostParser.parse({ html: fixture('recent-activity.html') }, { now: NOW });
+
+  const repost = byUrn(posts, '7298370817228923456');
+  assertEqual(repost.post_type, 'repost', 'Repost type');
+  assertEqual(repost.reshared_author_name, 'Marcus Lee', 'Repost author');
+  assertEqual(repost.reshared_author_url, 'https://www.linkedin.com/in/marcuslee', 'Repost author URL');
+
+  const share = byUrn(posts, '7296079468953723456');
+  assertEqual(share.post_type, 'share', 'Share type');
+  assertEqual(share.reshared_author_name, 'Acme Analytics', 'Shared post author');
+  assertEqual(share.reshared_author_url, 'https://www.linkedin.com/company/acme-analytics', 'Shared post author URL');
+  assert(share.post_content.startsWith('This matches what we saw'), 'Share content should be the commentary');
+  assertEqual(share.likes_count, 56, 'Reactions from aria-label');
+
+  assertEqual(byUrn(posts, '7292149825536123456').post_type, 'poll', 'Poll type');
+  assertEqual(byUrn(posts, '7285234257100923456').post_type, 'article', 'Article type');
+  assertEqual(byUrn(posts, '7290802195660923456').activity_type, 'comment', 'Comment activity');
+  assert(!posts.some(p => p.activity_urn.endsWith(':7295000000000000000')),
+         'Reshared post should not be a separate item');
+}
+
+async function testAuthorsAndComments() {
+  const posts = linkedinPostParser.parse({ html: fixture('recent-activity.html') }, { now: NOW });
+
+  const post = byUrn(posts, '7300446997708923456');
+  assertEqual(post.author_name, 'Jane Doe', 'Own post author');
+  assertEqual(post.author_url, 'https://www.linkedin.com/in/janedoe', 'Own post author URL');
+  assertEqual(post.author_headline, 'VP Revenue Operations at Northwind', 'Own post author headline');
+  assertEqual(post.comment_text, null, 'No comment on an own post');
+
+  const comment = byUrn(posts, '7290802195660923456');
+  assertEqual(comment.author_name, 'Priya Raman', 'Commented post author');
+  assertEqual(comment.author_url, 'https://www.linkedin.com/in/priyaraman', 'Commented post author URL');
+  assertEqual(comment.author_headline, 'Director of Sales Operations at Globex', 'Commented post author headline');
+  assert(comment.comment_text.startsWith('Congrats Priya'), 'Comment text');
+  assertEqual(comment.post_content, "We're hiring two Sales Ops analysts in Austin.", 'Content should not include the comment');
+
+  const markdownPosts = linkedinPostParser.parse({ markdown: fixture('recent-activity.md') }, { now: NOW });
+  assertEqual(byUrn(markdownPosts, '7300446997708923456').author_headline, 'VP Revenue Operations at Northwind', 'Markdown author headline');
+  assertEqual(byUrn(markdownPosts, '7298370817228923456').author_headline, 'Founder, Pipeline Labs', 'Markdown headline skips connection degree');
+}
+
+async function testDatesFromUrns() {
+  const posts = linkedinPostParser.parse({ html: fixture('recent-activity.html') }, { now: NOW });
+  const post = byUrn(posts, '7296079468953723456');
+
+  assertEqual(post.post_date_source, 'urn', 'Date source');
+  assertEqual(post.post_date.toISOString(), '2025-02-14T08:15:00.000Z', 'Date from URN');
+}
+
+async function testMarkdownFallback() {
+  const posts = linkedinPostParser.parse({ html: '<main></main>', markdown: fixture('recent-activity.md') }, { now: NOW });
+
+  assertEqual(posts.length, 5, 'Feed items');
+
+  const post = byUrn(posts, '7300446997708923456');
+  assertEqual(post.likes_count, 1204, 'Reactions after reaction icons');
+  assertEqual(post.comments_count, 87, 'Comments');
+  assertEqual(post.shares_count, 12, 'Reposts');
+  assert(!post.post_content.includes('VP Revenue Operations'), 'Author headline should not be content');
+
+  const repost = byUrn(posts, '7298370817228923456');
+  assertEqual(repost.post_type, 'repost', 'Repost type');
+  assertEqual(repost.reshared_author_name, 'Marcus Lee', 'Repost author');
+  assertEqual(repost.likes_count, 342, '"and 341 others" reactions');
+
+  const share = byUrn(posts, '7296079468953723456');
+  assertEqual(share.post_type, 'share', 'Share type');
+  assertEqual(share.reshared_author_url, 'https://www.linkedin.com/company/acme-analytics', 'Shared post author URL');
+  assert(!share.post_content.includes('62%'), 'Share content should not include the original post');
+
+  assertEqual(byUrn(posts, '7292149825536123456').post_type, 'poll', 'Poll type');
+  assertEqual(byUrn(posts, '7285234257100923456').post_type, 'article', 'Article type');
+}
+
+async function testMarkdownWithoutMarkers() {
+  const posts = linkedinPostParser.parse({ markdown: fixture('recent-activity-unmarked.md') }, { now: NOW });
+
+  assertEqual(posts.length, 2, 'Items split on the action bar');
+
+  const post = byUrn(posts, '7300000000000000000');
+  assertEqual(post.activity_urn, 'urn:li:activity:7300000000000000000', 'URL-encoded URN');
+  assertEqual(post.likes_count, 24, 'Reactions');
+  assertEqual(post.shares_count, 2, 'Reposts');
+
+  const repost = byUrn(posts, '7299000000000000000');
+  assertEqual(repost.activity_urn, 'urn:li:ugcPost:7299000000000000000', 'ugcPost URN');
+  assertEqual(repost.likes_count, 1500, 'Abbreviated reactions');
+  assertEqual(repost.reshared_author_name, 'Fabrikam', 'Company repost author');
+}
+
+async function testRelativeDates() {
+  const daysAgo = date => Math.round((NOW - date) / (24 * 60 * 60 * 1000));
+
+  assertEqual(daysAgo(linkedinPostParser.parseRelativeDate('3d • Edited •', NOW)), 3, '3d');
+  assertEqual(daysAgo(linkedinPostParser.parseRelativeDate('2w •', NOW)), 14, '2w');
+  assertEqual(daysAgo(linkedinPostParser.parseRelativeDate('1mo', NOW)), 30, '1mo');
+  assertEqual(daysAgo(linkedinPostParser.parseRelativeDate('2 weeks ago', NOW)), 14, '2 weeks ago');
+  assertEqual(NOW - linkedinPostParser.parseRelativeDate('45m', NOW), 45 * 60 * 1000, '45m is minutes');
+  assertEqual(NOW - linkedinPostParser.parseRelativeDate('30s', NOW), 30 * 1000, '30s is seconds');
+  assertEqual(NOW - linkedinPostParser.parseRelativeDate('3 hrs ago', NOW), 3 * 60 * 60 * 1000, '3 hrs ago');
+  assertEqual(linkedinPostParser.parseRelativeDate('Revenue leaders', NOW), null, 'Plain text');
+
+  // IDs too small to hold a plausible timestamp fall back to the page text
+  const date = linkedinPostParser.resolveDate(
+    { id: '123456789012345' },
+    { text: ['5d • '] },
+    NOW
+  );
+  assertEqual(date.source, 'relative', 'Relative date source');
+  assertEqual(daysAgo(date.date), 5, 'Relative date');
+
+  const absolute = linkedinPostParser.resolveDate({ id: '123456789012345' }, { datetime: '2024-11-05T10:00:00Z' }, NOW);
+  assertEqual(absolute.source, 'absolute', 'Absolute date source');
+}
+
+async function testCounts() {
+  assertEqual(linkedinPostParser.parseCount('1,204'), 1204, '1,204');
+  assertEqual(linkedinPostParser.parseCount('1.2K'), 1200, '1.2K');
+  assertEqual(linkedinPostParser.parseCount('3M'), 3000000, '3M');
+  assertEqual(linkedinPostParser.parseCount('n/a'), null, 'Not a count');
+}
+
+async function testEmptyScrape() {
+  assertEqual(linkedinPostParser.parse({ html: '', markdown: '' }).length, 0, 'Empty scrape');
+  assertEqual(linkedinPostParser.parse({ markdown: 'Activity\n\n12/01/2024 great post' }).length, 0, 'No URNs');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  console.log('=================================================');
+  console.log('LinkedIn Post Parser Test Suite');
+  console.log('=================================================');
+
+  await test('HTML Posts', testHtmlPosts);
+  await test('HTML Post Types', testHtmlPostTypes);
+  await test('Authors And Comments', testAuthorsAndComments);
+  await test('Dates From URNs', testDatesFromUrns);
+  await test('Markdown Fallback', testMarkdownFallback);
+  await test('Markdown Without Markers', testMarkdownWithoutMarkers);
+  await test('Relative Dates', testRelativeDates);
+  await test('Counts', testCounts);
+  await test('Empty Scrape', testEmptyScrape);
+
+  console.log('\n=================================================');
+  console.log(`Passed: ${results.passed}, Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    results.tests
+      .filter(t => t.status === 'failed')
+      .forEach(t => console.log(`  - ${t.name}: ${t.error}`));
+  }
+
+  console.log('=================================================\n');
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+  console.error('Test suite error:', error);
+  process.exit(1);
+});